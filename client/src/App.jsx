@@ -10,6 +10,16 @@ import {
   useAuth,
 } from "@clerk/clerk-react";
 import { createSocket } from "./socket";
+import ThreadPanel from "./components/ThreadPanel";
+import SearchPanel from "./components/SearchPanel";
+import MessageText from "./components/MessageText";
+import PollCard from "./components/PollCard";
+import Attachment from "./components/Attachment";
+import UploadProgress from "./components/UploadProgress";
+import NotificationBell from "./components/NotificationBell";
+import { plainText } from "./markdown";
+import { uploadFile } from "./uploads";
+import { createOutbox } from "./outbox";
 import "./styles.css";
 
 // small helper to render initials
@@ -23,6 +33,46 @@ function initials(name) {
     .toUpperCase();
 }
 
+// readable reason from a failed socket ack ({ ok: false, error: { code, message }, ...details });
+// `forbidden` acks name the role required
+function ackError(ack) {
+  if (!ack) return "no response";
+  const { code, message } = ack.error || {};
+  if (code === "forbidden") return `requires ${ack.required} role`;
+  if (code === "rate_limited") return `sending too fast, try again in ${Math.ceil(ack.retryAfterMs / 1000)}s`;
+  return message || code || "unknown";
+}
+
+// a tab with no input for this long reports itself idle (see the `setIdle` effect)
+const IDLE_AFTER_MS = 5 * 60 * 1000;
+
+// a sent room message without an ack by then is shown as failed, with a retry
+const SEND_TIMEOUT_MS = 10000;
+
+// our own id for a message we send; the server acks a retried send with the message it already stored
+const newClientMsgId = () => (crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+
+// our entry for `clientMsgId` once the server has acked it: it becomes the stored message (id, time),
+// unless the broadcast got here first and already replaced it
+function settleOutgoing(prev, clientMsgId, ack) {
+  const id = String(ack.id);
+  if (prev.some((m) => String(m.id) === id)) {
+    return prev.filter((m) => !(m.local && m.clientMsgId === clientMsgId)).map((m) => (String(m.id) === id ? { ...m, sendStatus: 'sent' } : m));
+  }
+  return prev
+    .map((m) => (m.local && m.clientMsgId === clientMsgId ? { ...m, id, _id: id, timestamp: ack.ts, local: false, sendStatus: 'sent', sendError: null } : m))
+    .sort((a, b) => (new Date(a.timestamp || a.createdAt || 0) - new Date(b.timestamp || b.createdAt || 0)));
+}
+
+const STATUS_LABELS = { online: "Online", away: "Away", dnd: "Do not disturb", offline: "Offline" };
+
+// "Away · in a meeting", or when an offline user was last seen
+function presenceLabel(p) {
+  if (!p) return STATUS_LABELS.offline;
+  if (p.status === "offline") return p.lastSeen ? `Last seen ${new Date(p.lastSeen).toLocaleString()}` : STATUS_LABELS.offline;
+  return p.statusText ? `${STATUS_LABELS[p.status]} · ${p.statusText}` : STATUS_LABELS[p.status];
+}
+
 export default function App() {
   // Clerk
   const { user } = useUser() || {};
@@ -32,18 +82,67 @@ export default function App() {
   const socketRef = useRef(null);
   const [connected, setConnected] = useState(false);
   const [lastError, setLastError] = useState(null);
+  const [uploads, setUploads] = useState([]); // files being uploaded: { key, name, size, sent, error? }
+  // messages, reactions and deletes made while offline (see outbox.js); `queued` mirrors its ops
+  const outboxRef = useRef(null);
+  const [queued, setQueued] = useState([]);
+  const queuedRef = useRef(queued); // for callbacks made before the latest change
+  useEffect(() => { queuedRef.current = queued; }, [queued]);
+  // queued actions the server turned down once we were back: [{ key, text }]
+  const [conflicts, setConflicts] = useState([]);
+  // the server refused our token: nothing gets through until we reconnect with a fresh one
+  const [authExpired, setAuthExpired] = useState(false);
+  const uploadAborts = useRef(new Map()); // upload key -> AbortController
 
   // App data
   const [rooms, setRooms] = useState([]);
-  const [onlineUsers, setOnlineUsers] = useState([]);
+  // notification center, newest first: { items, unread, hasMore } (the server keeps read state)
+  const [notifications, setNotifications] = useState({ items: [], unread: 0, hasMore: false });
+  // presence by user id: { userId, userName, status, statusText, lastSeen, devices }
+  const [presence, setPresence] = useState({});
   const [messages, setMessages] = useState([]);
   const [currentRoom, setCurrentRoom] = useState(() => {
     try { return localStorage.getItem('currentRoom') || 'global'; } catch (e) { return 'global'; }
   });
   // track recently-deleted message ids locally to avoid re-adding from late server responses
   const deletedMessageIds = useRef(new Set());
+  // per room: { before: cursor for the next older `history` page, hasMoreBefore }
+  const historyCursors = useRef({});
+  // per room: the seq of the last room event we've seen there, to `sync` from after a reconnect
+  const roomSeqs = useRef({});
   const [input, setInput] = useState("");
+  // composer @mention autocomplete: the `@partial` before the caret ({ start, query, index }), if any
+  const [mentionDraft, setMentionDraft] = useState(null);
+  // slash commands the server offers ([{ name, aliases, description, usage }]) and the highlighted suggestion
+  const [commands, setCommands] = useState([]);
+  const [commandIndex, setCommandIndex] = useState(0);
+  // rooms where we can't post right now: { [room]: until (null = until unmuted) }
+  const [mutedIn, setMutedIn] = useState({});
   const [onlineCount, setOnlineCount] = useState(0); // new
+  // open thread side panel: { root, replies, loading }
+  const [activeThread, setActiveThread] = useState(null);
+  // pending private room invitations: [{ room, invitedBy, invitedByName, createdAt }]
+  const [invites, setInvites] = useState([]);
+  // search side panel, and the message a search hit jumped to
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [highlightedId, setHighlightedId] = useState(null);
+  // server-computed per room: { [room]: { unread, mentions, lastReadId } }
+  const [unreadCounts, setUnreadCounts] = useState({});
+  // where the "new messages" divider goes: the read position when the room was opened
+  const [readMarker, setReadMarker] = useState(null);
+  const lastMarkedRead = useRef({});
+  // DM partners: [{ userId, userName, online, lastMessage, unread, lastReadId }], most recent first
+  const [conversations, setConversations] = useState([]);
+  // socket handlers are registered once, so they read the signed-in user id through a ref
+  const userIdRef = useRef(null);
+  useEffect(() => { userIdRef.current = user?.id || null; }, [user]);
+  const currentRoomRef = useRef(currentRoom);
+  useEffect(() => { currentRoomRef.current = currentRoom; }, [currentRoom]);
+  const [pageVisible, setPageVisible] = useState(() => typeof document === "undefined" || document.visibilityState === "visible");
+  // everyone not offline, for the users list
+  const onlineUsers = React.useMemo(() => Object.values(presence)
+    .filter((p) => p.status !== "offline")
+    .map((p) => ({ id: p.userId, name: p.userName, online: true, status: p.status, statusText: p.statusText })), [presence]);
 
   const appName = import.meta.env.VITE_APP_NAME || "Realtime App";
 
@@ -59,13 +158,21 @@ export default function App() {
     // clear previous listeners defensively
     try {
       s.off && s.off();
+      s.offAny && s.offAny();
     } catch (e) {}
 
+    // room events carry { room, seq } (a history page the seq it was taken at): keep the latest per room
+    s.onAny((event, payload) => {
+      if (!payload || !payload.room || typeof payload.seq !== "number") return;
+      if (!(roomSeqs.current[payload.room] >= payload.seq)) roomSeqs.current[payload.room] = payload.seq;
+    });
+
     // Connection lifecycle
     s.on("connect", () => {
       console.info("[app] socket connected", s.id);
       setConnected(true);
       setLastError(null);
+      setAuthExpired(false);
       // request a fresh rooms/users snapshot
       try { s.emit("rooms_request", null); } catch (e) {}
     });
@@ -77,6 +184,13 @@ export default function App() {
       console.error("[app] socket connect_error", err && err.message);
       setLastError(err?.message || String(err));
       setConnected(false);
+      // "Authentication error" / "Authentication required" (see server socket/auth.js)
+      if (/auth/i.test(err?.message || "")) setAuthExpired(true);
+    });
+    // flood control: an event without an ack was dropped, or we were disconnected for a while
+    s.on("rateLimited", (p) => {
+      const seconds = Math.ceil((p?.retryAfterMs || 0) / 1000);
+      setLastError(p?.error?.code === "flooding" ? `Disconnected for sending too fast; reconnect in ${seconds}s` : `Sending too fast, try again in ${seconds}s`);
     });
 
     // domain events
@@ -85,24 +199,65 @@ export default function App() {
     s.on("roomsList", (r) => {
       try {
         if (!Array.isArray(r)) return setRooms([]);
-        setRooms(r.map((x) => ({ name: x.name, id: x.id || x._id })));
+        setRooms(r.map((x) => ({ name: x.name, id: x.id || x._id, isPrivate: !!x.isPrivate, topic: x.topic || "" })));
+        // a private room we were removed from drops out of our list
+        setCurrentRoom((prev) => (prev === "global" || r.some((x) => x.name === prev) ? prev : "global"));
       } catch (e) { setRooms([]); }
     });
 
-    // support both `users` and `onlineUsers` payload shapes
-    s.on("users", (u) => {
-      console.info("[client] received users payload:", u);
-      setOnlineUsers(Array.isArray(u) ? u : []);
-      try { const inferred = Array.isArray(u) ? u.filter(x => x.online).length : 0; setOnlineCount(inferred); } catch {}
+    // private room invitations; the server re-sends the list on request after any change
+    const refreshInvites = () => {
+      try { s.emit("roomInvites", null, (ack) => { if (ack && ack.ok) setInvites(ack.invites || []); }); } catch { /* ignore */ }
+    };
+    s.on("roomInvites", (list) => setInvites(Array.isArray(list) ? list : []));
+    s.on("roomInvite", (invite) => {
+      setInvites((prev) => [invite, ...prev.filter((i) => i.room !== invite.room)]);
     });
-    s.on("onlineUsers", (arr) => {
-      try {
-        // server may send [{ socketId, username }] shape
-        if (!Array.isArray(arr)) return setOnlineUsers([]);
-        const mapped = arr.map((x) => ({ id: x.socketId || x.id || x.userId, name: x.username || x.name, online: true }));
-        setOnlineUsers(mapped);
-        setOnlineCount(mapped.length);
-      } catch (e) { setOnlineUsers([]); }
+    s.on("roomInviteAccepted", refreshInvites);
+    s.on("roomInviteDeclined", refreshInvites);
+    s.on("roomAccessRevoked", refreshInvites);
+
+    // unread counts follow our read cursors on every device; `full` replaces the whole map
+    s.on("unreadCounts", ({ rooms: counts, full } = {}) => {
+      if (!counts) return;
+      setUnreadCounts((prev) => (full ? counts : { ...prev, ...counts }));
+    });
+
+    // DM conversations: the full list on connect, then one conversation per change
+    s.on("conversations", (list) => setConversations(Array.isArray(list) ? list : []));
+    // DMs are keyed by the other user's id, groups by their own id
+    const conversationKey = (c) => (c.type === "group" ? `#${c.id}` : c.userId);
+    s.on("conversationUpdated", (c) => {
+      if (!c || !conversationKey(c)) return;
+      setConversations((prev) => [c, ...prev.filter((x) => conversationKey(x) !== conversationKey(c))]
+        .sort((a, b) => new Date(b.lastMessage?.timestamp || b.createdAt || 0) - new Date(a.lastMessage?.timestamp || a.createdAt || 0)));
+    });
+    s.on("conversationRemoved", ({ type, id } = {}) => {
+      if (type !== "group") return;
+      setConversations((prev) => prev.filter((x) => !(x.type === "group" && x.id === id)));
+      setPrivateChatWith((prev) => (prev && prev.group && prev.id === id ? null : prev));
+    });
+    s.on("groupUpdated", (g) => {
+      if (!g) return;
+      setPrivateChatWith((prev) => (prev && prev.group && prev.id === g.id ? { ...prev, name: g.name || prev.name } : prev));
+    });
+    s.on("groupMessage", (msg) => {
+      const id = msg._id || msg.id;
+      if (!id || deletedMessageIds.current.has(String(id))) return;
+      setMessages((prev) => {
+        if (prev.some((m) => String(m.id || m._id) === String(id))) return prev;
+        return [...prev, { ...msg, id, private: true }].sort((a, b) => (new Date(a.timestamp || a.createdAt || 0) - new Date(b.timestamp || b.createdAt || 0)));
+      });
+    });
+
+    // presence: a snapshot on connect, then one entry per change (offline entries keep lastSeen)
+    s.on("presenceSnapshot", (list) => {
+      if (!Array.isArray(list)) return;
+      setPresence(Object.fromEntries(list.map((p) => [p.userId, p])));
+    });
+    s.on("presenceUpdated", (p) => {
+      if (!p || !p.userId) return;
+      setPresence((prev) => ({ ...prev, [p.userId]: p }));
     });
     s.on("recent_messages", (recent) => {
       if (!Array.isArray(recent)) return;
@@ -116,8 +271,9 @@ export default function App() {
         return Array.from(map.values()).sort((a, b) => (new Date(a.timestamp || a.createdAt || 0) - new Date(b.timestamp || b.createdAt || 0)));
       });
     });
-    s.on("room_messages", ({ room, messages: roomMsgs }) => {
+    s.on("room_messages", ({ room, messages: roomMsgs, cursors, hasMoreBefore }) => {
       if (!Array.isArray(roomMsgs)) return;
+      if (cursors) historyCursors.current[room] = { before: cursors.before, hasMoreBefore: !!hasMoreBefore };
       setMessages((prev) => {
         const map = new Map(prev.map((m) => [m.id || m._id, m]));
         roomMsgs.forEach((m) => {
@@ -129,8 +285,9 @@ export default function App() {
       });
     });
     // server may emit `roomMessages` (camelCase)
-    s.on('roomMessages', ({ room, messages: roomMsgs }) => {
+    s.on('roomMessages', ({ room, messages: roomMsgs, cursors, hasMoreBefore }) => {
       if (!Array.isArray(roomMsgs)) return;
+      if (cursors) historyCursors.current[room] = { before: cursors.before, hasMoreBefore: !!hasMoreBefore };
       setMessages((prev) => {
         const map = new Map(prev.map((m) => [m.id || m._id, m]));
         roomMsgs.forEach((m) => {
@@ -148,7 +305,10 @@ export default function App() {
         const normalized = { ...msg, id };
         setMessages((prev) => {
           if (prev.some((m) => String(m.id || m._id) === String(id))) return prev;
-          return [...prev, normalized].sort((a, b) => (new Date(a.timestamp || a.createdAt || 0) - new Date(b.timestamp || b.createdAt || 0)));
+          // one of ours coming back: it replaces the entry we showed while sending
+          const sending = msg.clientMsgId && prev.some((m) => m.local && m.clientMsgId === msg.clientMsgId);
+          const rest = sending ? prev.filter((m) => !(m.local && m.clientMsgId === msg.clientMsgId)) : prev;
+          return [...rest, sending ? { ...normalized, sendStatus: "sent" } : normalized].sort((a, b) => (new Date(a.timestamp || a.createdAt || 0) - new Date(b.timestamp || b.createdAt || 0)));
         });
       } catch (e) { /* ignore malformed message */ }
     });
@@ -159,14 +319,60 @@ export default function App() {
         setMessages((prev) => prev.filter(m => String(m.id || m._id) !== idStr));
       } catch (e) {}
     });
+    s.on('messageEdited', (msg) => {
+      try {
+        const idStr = String(msg._id || msg.id);
+        setMessages((prev) => prev.map(m => (String(m.id || m._id) === idStr ? { ...m, ...msg, id: m.id || idStr } : m)));
+      } catch { /* ignore malformed payload */ }
+    });
+    // thread replies go to the side panel; the root only gets its summary updated
+    s.on('threadReply', ({ parentId, message }) => {
+      try {
+        const idStr = String(parentId);
+        setActiveThread((prev) => {
+          if (!prev || String(prev.root._id || prev.root.id) !== idStr) return prev;
+          const rid = String(message._id || message.id);
+          if (prev.replies.some((r) => String(r._id || r.id) === rid)) return prev;
+          return { ...prev, replies: [...prev.replies, message] };
+        });
+      } catch { /* ignore malformed payload */ }
+    });
+    s.on('threadUpdated', ({ messageId, replyCount, lastReplyAt }) => {
+      const idStr = String(messageId);
+      setMessages((prev) => prev.map(m => (String(m.id || m._id) === idStr ? { ...m, replyCount, lastReplyAt } : m)));
+      setActiveThread((prev) => (prev && String(prev.root._id || prev.root.id) === idStr ? { ...prev, root: { ...prev.root, replyCount, lastReplyAt } } : prev));
+    });
     s.on('roomCleared', ({ room }) => {
       setMessages((prev) => prev.filter(m => (m.room || 'global') !== room));
     });
     s.on('roomDeleted', ({ room }) => {
+      delete roomSeqs.current[room];
       setMessages((prev) => prev.filter(m => (m.room || 'global') !== room));
       setRooms((prev) => prev.filter(r => r.name !== room));
       if (currentRoom === room) setCurrentRoom('global');
     });
+    // slash commands: the list to autocomplete, replies only we see, and what commands change
+    s.on('commands', (list) => setCommands(Array.isArray(list) ? list : []));
+    s.on('ephemeralMessage', (msg) => {
+      if (!msg || !msg.id) return;
+      setMessages((prev) => [...prev, { ...msg, ephemeral: true }]);
+    });
+    s.on('pollUpdated', ({ messageId, poll }) => {
+      const idStr = String(messageId);
+      setMessages((prev) => prev.map(m => (String(m.id || m._id) === idStr ? { ...m, poll } : m)));
+    });
+    s.on('roomUpdated', ({ room, topic }) => {
+      if (topic === undefined) return;
+      setRooms((prev) => prev.map(r => (r.name === room ? { ...r, topic } : r)));
+    });
+    s.on('muteUpdated', ({ room, userId, muted, until }) => {
+      if (userId !== userIdRef.current) return;
+      setMutedIn((prev) => {
+        const next = { ...prev };
+        if (muted) next[room] = until || null; else delete next[room];
+        return next;
+      });
+    });
     // support either snake_case or camelCase private messages
     s.on("private_message", (msg) => {
       try {
@@ -181,7 +387,7 @@ export default function App() {
       
       try {
         if (("Notification" in window) && Notification.permission === "granted") {
-          new Notification(`PM from ${msg.senderName}`, { body: msg.text });
+          new Notification(`PM from ${msg.senderName}`, { body: plainText(msg.text || msg.content) });
         }
       } catch {}
     });
@@ -196,18 +402,11 @@ export default function App() {
         });
       } catch (e) {}
       try {
+        // our own DMs come back to every one of our tabs; new ones from others show up in the DM list
+        if (msg.fromId && msg.fromId === userIdRef.current) return;
         const senderName = msg.from || msg.fromName || msg.senderName || 'Unknown';
-        const senderSocket = msg.fromSocketId || null;
-        // auto-open private chat if message is from someone else and we're not already in that PM
-        const myId = user?.id || user?.userId || null;
-        if (senderName && (!privateChatWith || privateChatWith.name !== senderName)) {
-          // attempt to resolve socket id from onlineUsers
-          const found = onlineUsers.find(u => (u.name === senderName || u.id === senderSocket));
-          const targetId = senderSocket || (found && found.id) || (msg.fromId || null);
-          if (targetId) setPrivateChatWith({ id: targetId, name: senderName });
-        }
         if (("Notification" in window) && Notification.permission === "granted") {
-          new Notification(`PM from ${senderName}`, { body: msg.text || msg.content });
+          new Notification(`PM from ${senderName}`, { body: plainText(msg.text || msg.content) });
         }
       } catch (e) { /* ignore */ }
     });
@@ -223,8 +422,22 @@ export default function App() {
       console.info("[client] received users_count:", count);
       setOnlineCount(Number(count) || 0);
     });
-    s.on('notification', (n) => {
-      try { console.info('[client] notification', n); } catch (e) {}
+    // notification center: a snapshot on connect (including anything missed while offline),
+    // each new one as it arrives, and read / cleared changes made on other devices
+    s.on("notifications", ({ notifications: items = [], unread = 0, hasMore = false } = {}) => {
+      setNotifications({ items, unread, hasMore });
+    });
+    s.on("notification", (n) => {
+      if (!n || !n.id) return; // presence join / leave notices are not kept
+      setNotifications((prev) => (prev.items.some((x) => x.id === n.id) ? prev : { ...prev, items: [n, ...prev.items], unread: prev.unread + (n.read ? 0 : 1) }));
+    });
+    s.on("notificationsUpdated", ({ unread, read, cleared } = {}) => {
+      const hit = (ids, n) => ids === "all" || (ids === "read" && n.read) || (Array.isArray(ids) && ids.includes(n.id));
+      setNotifications((prev) => ({
+        ...prev,
+        unread,
+        items: prev.items.filter((n) => !cleared || !hit(cleared, n)).map((n) => (read && hit(read, n) ? { ...n, read: true } : n))
+      }));
     });
     s.on('reaction', (r) => {
       try {
@@ -236,6 +449,39 @@ export default function App() {
     try { s.emit("rooms_request", null); } catch (e) { /* ignore */ }
   }, []);
 
+  // After a reconnect Socket.IO couldn't recover: catch up on `rooms` from the last event seen in each.
+  // Missed events are replayed through our own handlers, in order; a room too far behind is replaced
+  // by a snapshot, and one that's gone or closed to us is dropped. Resolves once applied (or on failure).
+  const syncRooms = useCallback((s, rooms) => new Promise((resolve) => {
+    const since = rooms.filter((room) => typeof roomSeqs.current[room] === "number").map((room) => ({ room, seq: roomSeqs.current[room] }));
+    if (!since.length) return resolve();
+    s.timeout(10000).emit("sync", { rooms: since }, (err, ack) => {
+      if (err || !ack?.ok) {
+        console.warn("[app] sync failed", err?.message || ackError(ack));
+        return resolve();
+      }
+      const inRoom = (m, room) => !m.private && !m.conversationId && (m.room || "global") === room;
+      ack.rooms.forEach((r) => {
+        if (r.ok === false) {
+          delete roomSeqs.current[r.room];
+          setMessages((prev) => prev.filter((m) => !inRoom(m, r.room)));
+        } else if (r.snapshot) {
+          const { messages: snap, cursors, hasMoreBefore } = r.snapshot;
+          historyCursors.current[r.room] = { before: cursors?.before, hasMoreBefore: !!hasMoreBefore };
+          setMessages((prev) => [
+            ...prev.filter((m) => m.local || !inRoom(m, r.room)),
+            ...snap.filter((m) => !deletedMessageIds.current.has(String(m._id))).map((m) => ({ ...m, id: m._id })),
+          ].sort((a, b) => (new Date(a.timestamp || a.createdAt || 0) - new Date(b.timestamp || b.createdAt || 0))));
+          roomSeqs.current[r.room] = r.seq;
+        } else {
+          r.events.forEach(({ event, payload }) => s.listeners(event).forEach((fn) => fn(payload)));
+          roomSeqs.current[r.room] = r.seq;
+        }
+      });
+      resolve();
+    });
+  }), []);
+
   // initialize socket when user signs in
   useEffect(() => {
     if (!user) {
@@ -257,14 +503,25 @@ export default function App() {
         if (!mounted) return;
         registerSocket(s);
 
-        // NEW: ensure the server knows who joined and which room to join
-        s.once("connect", () => {
+        // on every (re)connect: tell the server who we are and rejoin the open room, which may have
+        // been deleted while we were away. Unless Socket.IO recovered the connection (rooms and missed
+        // events included), first catch up on global and the open room: the rooms we're back in.
+        s.on("connect", () => {
           try {
             const uname = user?.fullName || user?.firstName || user?.primaryEmailAddress?.emailAddress || user?.id || "Anonymous";
             // announce presence (server tracks online users)
             s.emit("join", { username: uname });
-            // ensure we join the current room (default 'global')
-            s.emit("join_room", { room: currentRoom || "global" });
+            const room = currentRoomRef.current || "global";
+            const rejoin = () => s.emit("join_room", { room }, (ack) => {
+              if (!ack || ack.ok || room === "global") return;
+              setConflicts((prev) => [...prev, { key: `join-${room}-${Date.now()}`, text: `Left '${room}': ${ackError(ack)}` }]);
+              setCurrentRoom("global");
+              try { localStorage.setItem('currentRoom', 'global'); } catch { /* ignore */ }
+            });
+            if (s.recovered) return rejoin();
+            const following = [...new Set(["global", room])];
+            Object.keys(roomSeqs.current).forEach((r) => { if (!following.includes(r)) delete roomSeqs.current[r]; });
+            syncRooms(s, following).then(rejoin);
           } catch (e) {
             console.warn("[app] join emit failed", e);
           }
@@ -278,7 +535,63 @@ export default function App() {
     })();
 
     return () => { mounted = false; };
-  }, [user, getToken, registerSocket /* intentionally not adding currentRoom to avoid re-init loops */]);
+  }, [user, getToken, registerSocket, syncRooms /* the open room is read through currentRoomRef, so switching rooms doesn't re-init */]);
+
+  // the signed-in user's outbox; what it still holds from an earlier visit shows up again as queued
+  useEffect(() => {
+    const userId = user?.id;
+    if (!userId) {
+      outboxRef.current = null;
+      setQueued([]);
+      return;
+    }
+    const outbox = createOutbox(userId, { onChange: setQueued });
+    outboxRef.current = outbox;
+    let live = true;
+    outbox.list().then((ops) => {
+      if (!live) return;
+      setQueued(ops);
+      const waiting = ops.filter((op) => op.kind === "message").map((op) => ({ ...op.entry, sendStatus: "queued" }));
+      if (!waiting.length) return;
+      setMessages((prev) => [...prev.filter((m) => !waiting.some((w) => w.clientMsgId === m.clientMsgId)), ...waiting]
+        .sort((a, b) => (new Date(a.timestamp || a.createdAt || 0) - new Date(b.timestamp || b.createdAt || 0))));
+    }).catch((err) => console.warn("[outbox] load failed", err));
+    return () => { live = false; };
+  }, [user?.id]);
+
+  // send what's queued, in order, whenever we're connected and there is something; refusals are
+  // reported (a delete of a message that's gone already got what it wanted)
+  useEffect(() => {
+    const outbox = outboxRef.current;
+    if (!connected || !outbox || !queued.length) return;
+    const report = (op, text) => setConflicts((prev) => [...prev, { key: `op-${op.seq}`, text }]);
+    outbox.flush(() => socketRef.current, {
+      onSent: (op, ack) => {
+        if (op.kind === "message") setMessages((prev) => settleOutgoing(prev, op.payload.clientMsgId, ack));
+      },
+      onRefused: (op, ack) => {
+        if (op.kind === "message") {
+          const { clientMsgId, content, room } = op.payload;
+          setMessages((prev) => prev.map((m) => (m.local && m.clientMsgId === clientMsgId ? { ...m, sendStatus: "failed", sendError: ackError(ack) } : m)));
+          report(op, `"${content.length > 40 ? `${content.slice(0, 40)}…` : content}" wasn't sent to '${room}': ${ackError(ack)}`);
+        } else if (op.kind === "reaction") {
+          report(op, `Your ${op.payload.emoji} reaction wasn't added: ${ackError(ack)}`);
+        } else if (ack.error?.code !== "not_found") {
+          report(op, `A message wasn't deleted: ${ackError(ack)}`);
+        }
+      },
+    }).catch((err) => console.warn("[outbox] flush failed", err));
+  }, [connected, queued.length]);
+
+  // the browser is back online: reconnect now instead of waiting out (or after) the socket's retries
+  useEffect(() => {
+    const onOnline = () => {
+      const s = socketRef.current;
+      if (s && !s.connected) s.connect();
+    };
+    window.addEventListener("online", onOnline);
+    return () => window.removeEventListener("online", onOnline);
+  }, []);
 
   // clear locally-tracked deleted IDs when switching rooms so they don't block other rooms
   useEffect(() => {
@@ -286,33 +599,61 @@ export default function App() {
   }, [currentRoom]);
 
   // derive visible messages for current room
-  const [privateChatWith, setPrivateChatWith] = useState(null); // { id, name }
+  const [privateChatWith, setPrivateChatWith] = useState(null); // { id, name, group? } (a user id, or a group id when `group`)
 
   const visibleMessages = React.useMemo(() => {
+    // deletes waiting in the outbox have taken effect as far as we're concerned
+    const deleting = new Set(queued.filter((op) => op.kind === "delete").map((op) => op.payload.messageId));
+    const shown = deleting.size ? messages.filter((m) => !deleting.has(String(m.id || m._id))) : messages;
+    if (privateChatWith?.group) {
+      return shown.filter((m) => !m.parentId && m.conversationId === privateChatWith.id);
+    }
     if (privateChatWith) {
+      const myId = user?.id;
       const myName = user?.fullName || user?.firstName || user?.primaryEmailAddress?.emailAddress || user?.id || 'You';
-      return messages.filter((m) => m.private && ((m.from === myName && m.to === privateChatWith.name) || (m.from === privateChatWith.name && m.to === myName)));
+      const peer = privateChatWith;
+      // DMs carry both user ids; older ones only names
+      const between = (m) => (m.fromId
+        ? (m.fromId === myId && m.toId === peer.id) || (m.fromId === peer.id && m.toId === myId)
+        : (m.from === myName && m.to === peer.name) || (m.from === peer.name && m.to === myName));
+      return shown.filter((m) => m.private && !m.parentId && between(m));
     }
-    return messages.filter((m) => (m.room || "global") === (currentRoom || "global"));
-  }, [messages, currentRoom, privateChatWith, user]);
+    // thread replies are shown in the side panel only
+    return shown.filter((m) => !m.parentId && (m.room || "global") === (currentRoom || "global"));
+  }, [messages, queued, currentRoom, privateChatWith, user]);
+
+  const currentTopic = privateChatWith ? "" : rooms.find((r) => r.name === currentRoom)?.topic || "";
+  // a timed mute lapses on its own; the server has the final say either way
+  const mutedUntil = mutedIn[currentRoom || "global"];
+  const currentMuted = !privateChatWith && mutedUntil !== undefined && (mutedUntil === null || new Date(mutedUntil) > new Date());
 
   // Infinite scroll: load older messages when scrolling near top
   const messageListRef = React.useRef();
   const [loadingOlder, setLoadingOlder] = React.useState(false);
   const [hasMoreOlder, setHasMoreOlder] = React.useState(true);
+  // each room pages on its own; its cursor (if any) says whether older messages remain
+  useEffect(() => {
+    const known = historyCursors.current[currentRoom || 'global'];
+    setHasMoreOlder(known ? known.hasMoreBefore : true);
+  }, [currentRoom]);
 
   const loadOlderMessages = async () => {
     if (loadingOlder || !hasMoreOlder) return;
+    const s = getSocket();
+    if (!s || !s.connected) return;
+    const room = currentRoom || 'global';
+    const known = historyCursors.current[room];
+    if (known && !known.hasMoreBefore) return setHasMoreOlder(false);
     setLoadingOlder(true);
     try {
-      const room = currentRoom || 'global';
-      // find oldest timestamp in visible messages
-      const oldest = visibleMessages.length ? Math.min(...visibleMessages.map((m) => m.timestamp || Date.now())) : Date.now();
-      const resp = await fetch(`${API_BASE}/messages/paginate?room=${encodeURIComponent(room)}&before=${oldest}&limit=50`);
-      const json = await resp.json().catch(() => null);
-      if (resp.ok && json && Array.isArray(json.messages)) {
-        const older = json.messages || [];
-        if (older.length === 0) setHasMoreOlder(false);
+      // page older than the room's `before` cursor; with no cursor yet this is the newest page (merge dedupes)
+      const res = await new Promise((resolve) => {
+        s.timeout(10000).emit('history', { room, before: known?.before, limit: 50 }, (err, ack) => resolve(err ? null : ack));
+      });
+      if (res && res.ok) {
+        historyCursors.current[room] = { before: res.cursors.before, hasMoreBefore: res.hasMoreBefore };
+        if (!res.hasMoreBefore) setHasMoreOlder(false);
+        const older = res.messages || [];
         // prepend older messages if not already present
         setMessages((prev) => {
           const map = new Map(prev.map((m) => [m.id || m._id, m]));
@@ -356,23 +697,108 @@ export default function App() {
     return () => el.removeEventListener('scroll', onScroll);
   }, [messageListRef.current, loadingOlder, hasMoreOlder, visibleMessages, currentRoom]);
 
-  // mark visible messages as read (avoid marking own messages)
+  useEffect(() => {
+    const onVisibility = () => setPageVisible(document.visibilityState === "visible");
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => document.removeEventListener("visibilitychange", onVisibility);
+  }, []);
+
+  // report this tab idle after a few minutes without input, and active again on the next input;
+  // the server shows us away once every tab is idle
   useEffect(() => {
     const s = socketRef.current;
     if (!s || !connected) return;
-    const myId = user?.id || user?.userId;
-    visibleMessages.forEach((m) => {
-      if (!m) return;
-      const alreadyRead = Array.isArray(m.readBy) && m.readBy.includes(myId);
-      if (!alreadyRead && m.senderId !== myId) {
-        try {
-          s.emit("mark_read", { messageId: m.id }, (ack) => { if (ack && !ack.ok) console.warn("mark_read ack error", ack); });
-        } catch (e) {
-          console.warn("mark_read emit failed", e);
-        }
-      }
+    let idle = false;
+    let timer = null;
+    const goIdle = () => { idle = true; s.emit("setIdle", { idle: true }); };
+    const onActivity = () => {
+      if (idle) { idle = false; s.emit("setIdle", { idle: false }); }
+      clearTimeout(timer);
+      timer = setTimeout(goIdle, IDLE_AFTER_MS);
+    };
+    const events = ["mousemove", "keydown", "pointerdown", "focus"];
+    events.forEach((e) => window.addEventListener(e, onActivity));
+    onActivity();
+    return () => {
+      clearTimeout(timer);
+      events.forEach((e) => window.removeEventListener(e, onActivity));
+    };
+  }, [connected]);
+
+  // an offline DM partner is not in the presence snapshot: ask for their last-seen once
+  useEffect(() => {
+    const s = socketRef.current;
+    const peerId = privateChatWith?.id;
+    if (!s || !connected || !peerId || privateChatWith.group || presence[peerId]) return;
+    s.emit("presence", { userIds: [peerId] }, (ack) => {
+      if (!ack || !ack.ok) return;
+      setPresence((prev) => ({ ...Object.fromEntries(ack.users.map((p) => [p.userId, p])), ...prev }));
     });
-  }, [visibleMessages, connected, user]);
+  }, [privateChatWith, connected, presence]);
+
+  // snapshot the read position once per room visit, so the divider stays put while we catch up
+  useEffect(() => {
+    const room = currentRoom || "global";
+    const counts = unreadCounts[room];
+    setReadMarker((prev) => {
+      if (prev && prev.room === room) return prev;
+      return counts ? { room, lastReadId: counts.lastReadId, unread: counts.unread } : prev;
+    });
+  }, [currentRoom, unreadCounts]);
+
+  // move our read cursor up to the newest message in the open room or DM; the server keeps the counts
+  useEffect(() => {
+    const s = socketRef.current;
+    if (!s || !connected || !pageVisible) return;
+    const peerId = privateChatWith?.id;
+    const key = peerId ? `${privateChatWith.group ? "#" : "@"}${peerId}` : currentRoom || "global";
+    const newest = [...visibleMessages].reverse().find((m) => m.id && !m.ephemeral && !m.local && (peerId ? m.fromId : !m.private));
+    if (!newest) return;
+    const id = String(newest.id);
+    const open = peerId && conversations.find((c) => (privateChatWith.group ? c.type === "group" && c.id === peerId : c.userId === peerId));
+    const known = peerId ? open?.lastReadId : unreadCounts[key]?.lastReadId;
+    if (lastMarkedRead.current[key] === id || known === id) return;
+    lastMarkedRead.current[key] = id;
+    try {
+      // DMs and groups are marked without a room: the server moves that conversation's cursor
+      const payload = peerId ? { messageId: id } : { room: key, messageId: id };
+      s.emit("markRead", payload, (ack) => { if (ack && !ack.ok) console.warn("markRead ack error", ack); });
+    } catch { /* ignore */ }
+  }, [visibleMessages, connected, privateChatWith, pageVisible, currentRoom, unreadCounts, conversations]);
+
+  // opening a DM or group loads its history (including anything sent while we were away); users
+  // picked from the online list may be known by socket id, so adopt the user id the server resolved
+  useEffect(() => {
+    const s = socketRef.current;
+    const peerId = privateChatWith?.id;
+    const isGroup = !!privateChatWith?.group;
+    if (!s || !connected || !peerId) return;
+    const [event, payload] = isGroup ? ["groupHistory", { conversationId: peerId, limit: 50 }] : ["conversationHistory", { with: peerId, limit: 50 }];
+    s.timeout(10000).emit(event, payload, (err, ack) => {
+      if (err || !ack || !ack.ok) return;
+      if (!isGroup && ack.userId !== peerId) return setPrivateChatWith({ id: ack.userId, name: ack.userName });
+      setMessages((prev) => {
+        const map = new Map(prev.map((m) => [m.id || m._id, m]));
+        ack.messages.forEach((m) => { if (!deletedMessageIds.current.has(String(m._id))) map.set(m._id, { ...m, id: m._id }); });
+        return Array.from(map.values()).sort((a, b) => (new Date(a.timestamp || a.createdAt || 0) - new Date(b.timestamp || b.createdAt || 0)));
+      });
+    });
+  }, [privateChatWith?.id, privateChatWith?.group, connected]);
+
+  // index of the first unread message when we opened the room, or -1 for no divider
+  const dividerIndex = React.useMemo(() => {
+    if (privateChatWith || !readMarker || readMarker.room !== (currentRoom || "global") || !readMarker.unread) return -1;
+    const at = visibleMessages.findIndex((m) => String(m.id) === String(readMarker.lastReadId));
+    const index = at >= 0 ? at + 1 : visibleMessages.length - readMarker.unread;
+    return index >= 0 && index < visibleMessages.length ? index : -1;
+  }, [visibleMessages, readMarker, currentRoom, privateChatWith]);
+
+  const unreadBadge = (room) => {
+    const counts = unreadCounts[room];
+    if (!counts || !counts.unread || (room === (currentRoom || "global") && !privateChatWith)) return null;
+    const title = `${counts.unread} unread${counts.mentions ? `, ${counts.mentions} mentioning you` : ""}`;
+    return <span className={`unread-badge${counts.mentions ? " unread-badge--mention" : ""}`} title={title}>{counts.mentions ? `@${counts.mentions}` : counts.unread}</span>;
+  };
 
   // scroll to bottom on new incoming messages (unless user is reading older messages)
   React.useEffect(() => {
@@ -415,8 +841,10 @@ export default function App() {
     const nameRaw = prompt("Room name:");
     const name = nameRaw?.trim();
     if (!name) return;
+    const isPrivate = confirm("Make this room private? Only members and people you invite will see it.");
 
     let s = getSocket();
+    const fresh = !s;
 
     // If no socket, create one (same flow as init): request token and create
     if (!s) {
@@ -433,20 +861,17 @@ export default function App() {
       }
     }
 
-    // Wait for connection (timeout)
-    const ok = await waitForConnect(s, 5000);
-    if (!ok) {
-      console.error("[createRoom] socket failed to connect in time");
-      return alert("Failed to connect to server — try again");
+    // a socket made just now gets a moment to connect; when the one we had is down, say so straight away
+    // (unlike messages, a room can't wait in the outbox: everything after would depend on it)
+    if (fresh ? !(await waitForConnect(s, 5000)) : !s.connected) {
+      return alert("Not connected — rooms can be created once the connection is back");
     }
 
-    // Emit create_room and handle ack
-    // emit both legacy and modern event names
-    s.emit("create_room", { name }, (res) => {});
-    s.emit("createRoom", { name }, (res) => {
+    // Emit createRoom and handle ack (the server also accepts the legacy create_room alias)
+    s.emit("createRoom", { name, isPrivate }, (res) => {
       console.info("[app] create_room ack", res);
       if (!res) return alert("No response from server");
-      if (!res.ok) return alert("Create room failed: " + (res.error || "unknown"));
+      if (!res.ok) return alert("Create room failed: " + ackError(res));
       // success: switch to the new room and persist
       setPrivateChatWith(null);
       const newRoomName = res.room?.name || name;
@@ -461,6 +886,7 @@ export default function App() {
   const joinRoom = async (room) => {
     if (!room) return;
     let s = getSocket();
+    const fresh = !s;
     if (!s) {
       try {
         const token = await getToken().catch(() => null);
@@ -475,6 +901,15 @@ export default function App() {
       }
     }
 
+    // offline: open a room we know of with what we have; joining it is part of reconnecting (see the
+    // socket init effect), which also reports a room deleted in the meantime
+    if (!fresh && !s.connected) {
+      if (room !== "global" && !rooms.some((r) => r.name === room)) return alert("Not connected — try again once the connection is back");
+      setPrivateChatWith(null);
+      setCurrentRoom(room);
+      try { localStorage.setItem('currentRoom', room); } catch { /* ignore */ }
+      return;
+    }
     const ok = await waitForConnect(s, 5000);
     if (!ok) {
       console.error("[joinRoom] socket failed to connect in time");
@@ -484,7 +919,7 @@ export default function App() {
     s.emit("join_room", { room }, (res) => {
       console.info("[app] join_room ack", res);
       if (!res) return alert("No response from server");
-      if (!res.ok) return alert("Join failed: " + (res.error || "unknown"));
+      if (!res.ok) return alert("Join failed: " + (res.error?.code === "forbidden" ? "this room is private" : ackError(res)));
       setPrivateChatWith(null);
       setCurrentRoom(room);
       try { localStorage.setItem('currentRoom', room); } catch (e) {}
@@ -492,6 +927,16 @@ export default function App() {
     });
   };
 
+  // after the server refused our token: get a new one and connect with it
+  const reconnectWithFreshToken = async () => {
+    const s = getSocket();
+    if (!s) return;
+    const token = await getToken({ skipCache: true }).catch(() => null);
+    if (!token) return alert("Please sign in again");
+    s.auth = { ...s.auth, token };
+    s.disconnect().connect();
+  };
+
   // Leave room helper
   const leaveRoom = (room) => {
     if (!room) return;
@@ -508,6 +953,82 @@ export default function App() {
     } catch (e) { console.warn('leaveRoom failed', e); }
   };
 
+  // Private room invitations: accept joins the room straight away
+  const respondToInvite = (room, accept) => {
+    const s = getSocket();
+    if (!s) return alert('Not connected');
+    s.emit(accept ? 'acceptInvite' : 'declineInvite', { room }, (ack) => {
+      if (!ack || !ack.ok) return alert('Invitation failed: ' + ackError(ack));
+      setInvites((prev) => prev.filter((i) => i.room !== room));
+      if (accept) joinRoom(room);
+    });
+  };
+
+  // invite a user to, or remove them from, the current private room (id may be a socket id)
+  const setRoomAccess = (u, grant) => {
+    const s = getSocket();
+    if (!s) return alert('Not connected');
+    const name = u.name || u.id;
+    if (!grant && !confirm(`Remove ${name} from '${currentRoom}'?`)) return;
+    s.emit(grant ? 'inviteToRoom' : 'revokeRoomAccess', { room: currentRoom, userId: u.id }, (ack) => {
+      if (!ack || !ack.ok) return alert((grant ? 'Invite failed: ' : 'Remove failed: ') + ackError(ack));
+      if (grant) alert(`Invited ${name} to '${currentRoom}'`);
+    });
+  };
+  const currentRoomIsPrivate = rooms.some((r) => r.name === currentRoom && r.isPrivate);
+
+  // our own presence, as the server last announced it
+  const myPresence = presence[user?.id];
+  const setMyStatus = (fields) => {
+    const s = getSocket();
+    if (!s) return alert('Not connected');
+    s.emit('setStatus', fields, (ack) => { if (!ack || !ack.ok) alert('Status update failed: ' + ackError(ack)); });
+  };
+  const editStatusText = () => {
+    const text = prompt('Status text (empty to clear):', myPresence?.statusText || '');
+    if (text !== null) setMyStatus({ text });
+  };
+
+  // Group conversations: a group without a name is shown by its other participants' names
+  const groupLabel = (c) => c.name || c.participants.filter((p) => p.userId !== user?.id).map((p) => p.userName).join(", ");
+  const openConversation = (c) => setPrivateChatWith(c.type === "group" ? { id: c.id, name: groupLabel(c), group: true } : { id: c.userId, name: c.userName });
+  const createGroup = () => {
+    const s = getSocket();
+    if (!s) return alert('Not connected');
+    const people = prompt('Start a group with (usernames, comma separated):');
+    if (!people) return;
+    const name = prompt('Group name (optional):') || undefined;
+    const participants = people.split(',').map((p) => p.trim()).filter(Boolean);
+    s.emit('createGroup', { name, participants }, (ack) => {
+      if (!ack || !ack.ok) return alert('Could not create group: ' + (ack?.missing ? `unknown ${ack.missing.join(', ')}` : ackError(ack)));
+      openConversation(ack.conversation);
+    });
+  };
+  // rename / add / remove / leave on the open group; each acks { ok, conversation }
+  const groupAction = (event, payload, label) => {
+    const s = getSocket();
+    if (!s || !privateChatWith?.group) return;
+    s.emit(event, { conversationId: privateChatWith.id, ...payload }, (ack) => {
+      if (!ack || !ack.ok) return alert(`${label} failed: ` + ackError(ack));
+      if (!ack.conversation) setPrivateChatWith(null);
+    });
+  };
+  const renameGroup = () => {
+    const name = prompt('New group name (empty to clear):', privateChatWith?.name || '');
+    if (name !== null) groupAction('renameGroup', { name }, 'Rename');
+  };
+  const addGroupMember = () => {
+    const who = prompt('Add who (username)?');
+    if (who) groupAction('addGroupMember', { userId: who.trim() }, 'Add');
+  };
+  const removeGroupMember = () => {
+    const who = prompt('Remove who (username)?');
+    if (who) groupAction('removeGroupMember', { userId: who.trim() }, 'Remove');
+  };
+  const leaveGroup = () => {
+    if (confirm(`Leave '${privateChatWith?.name}'?`)) groupAction('removeGroupMember', { userId: user?.id }, 'Leave');
+  };
+
   // Send private message (prompt for quick demo)
   const sendPrivateMessage = (toUserId, toName) => {
     const s = getSocket();
@@ -515,16 +1036,48 @@ export default function App() {
     const text = prompt(`Send private message to ${toName || toUserId}:`);
     if (!text) return;
     try {
-      const payload = { content: text, from: user?.fullName || user?.firstName || user?.primaryEmailAddress?.emailAddress || 'You' };
-      s.emit('privateMessage', { toSocketId: toUserId, payload }, (ack) => { if (ack && !ack.ok) console.warn('privateMessage ack', ack); });
+      s.emit('privateMessage', { to: toUserId, content: text }, (ack) => { if (ack && !ack.ok) alert('Send failed: ' + ackError(ack)); });
     } catch (e) { console.error('private_message emit failed', e); }
   };
 
+  // Edit helper: prompt for new text, server keeps the previous version in editHistory
+  const [historyOpenFor, setHistoryOpenFor] = useState(null);
+  const editMessage = (m) => {
+    const s = getSocket();
+    if (!s) return alert('Not connected');
+    const next = prompt('Edit message:', m.text || m.content || '');
+    if (next === null) return;
+    const content = next.trim();
+    if (!content) return;
+    s.emit('editMessage', { messageId: m.id || m._id, content }, (ack) => { if (!ack || !ack.ok) alert('Edit failed: ' + ackError(ack)); });
+  };
+
+  // offline, or with older actions still waiting, new ones join the outbox so they go out in order
+  const mustQueue = () => !!outboxRef.current && (!socketRef.current?.connected || queuedRef.current.length > 0);
+  const enqueue = (kind, payload, entry) => outboxRef.current.add(kind, payload, entry)
+    .catch((err) => setLastError(`Couldn't queue: ${err?.message || err}`));
+
   // Reaction helper
   const sendReaction = (messageId, reaction) => {
+    if (mustQueue()) return enqueue('reaction', { messageId: String(messageId), emoji: reaction });
     const s = getSocket();
     if (!s) return;
-    try { s.emit('reaction', { messageId, emoji: reaction, by: user?.fullName || user?.id }); } catch (e) { console.warn('reaction emit failed', e); }
+    try { s.emit('reaction', { messageId, emoji: reaction }); } catch (e) { console.warn('reaction emit failed', e); }
+  };
+
+  const deleteMessage = (m) => {
+    const messageId = String(m.id || m._id);
+    if (mustQueue()) return enqueue('delete', { messageId });
+    const s = getSocket();
+    if (!s) return alert('Not connected');
+    s.emit('deleteMessage', { messageId }, (ack) => { if (!ack || !ack.ok) return alert('Delete failed: ' + ackError(ack)); });
+  };
+
+  // Poll vote: picking our current option again takes the vote back; everyone gets pollUpdated
+  const votePoll = (m, option) => {
+    const s = getSocket();
+    if (!s) return alert('Not connected');
+    s.emit('votePoll', { messageId: m.id || m._id, option }, (ack) => { if (!ack || !ack.ok) alert('Vote failed: ' + ackError(ack)); });
   };
 
   // Typing indicator: debounce stop typing
@@ -538,6 +1091,91 @@ export default function App() {
 
 
   // Single, canonical sendMessageToRoom implementation (remove duplicates)
+  // @here / @room and the online users whose name starts with what follows the `@`
+  const mentionOptions = React.useMemo(() => {
+    if (!mentionDraft || privateChatWith) return [];
+    const q = mentionDraft.query.toLowerCase();
+    const names = Array.from(new Set(onlineUsers.map((u) => u.name).filter((n) => n && n !== "Anonymous")));
+    return ["here", "room", ...names].filter((n) => n.toLowerCase().startsWith(q)).slice(0, 6);
+  }, [mentionDraft, onlineUsers, privateChatWith]);
+  const trackMention = (value, caret) => {
+    const match = /(^|\s)@([^\s@]*)$/.exec(value.slice(0, caret));
+    setMentionDraft(match ? { start: caret - match[2].length - 1, query: match[2], index: 0 } : null);
+  };
+  const pickMention = (name) => {
+    const { start, query } = mentionDraft;
+    setInput((prev) => `${prev.slice(0, start)}@${name} ${prev.slice(start + 1 + query.length)}`);
+    setMentionDraft(null);
+  };
+  // /command suggestions while the first word of a room message is being typed
+  const commandOptions = React.useMemo(() => {
+    const match = !privateChatWith && /^\/(\S*)$/.exec(input);
+    if (!match) return [];
+    const q = match[1].toLowerCase();
+    return commands.filter((c) => [c.name, ...(c.aliases || [])].some((n) => n.startsWith(q))).slice(0, 8);
+  }, [input, commands, privateChatWith]);
+  const pickCommand = (c) => {
+    setInput(`/${c.name} `);
+    setCommandIndex(0);
+  };
+  const onComposerKeyDown = (e) => {
+    if (commandOptions.length) {
+      const move = { ArrowDown: 1, ArrowUp: -1 }[e.key];
+      if (move) {
+        e.preventDefault();
+        return setCommandIndex((i) => (i + move + commandOptions.length) % commandOptions.length);
+      }
+      const picked = commandOptions[commandIndex] || commandOptions[0];
+      // Enter on a fully typed command sends it; otherwise it completes the suggestion
+      if (e.key === "Tab" || (e.key === "Enter" && input !== `/${picked.name}`)) {
+        e.preventDefault();
+        return pickCommand(picked);
+      }
+    }
+    if (mentionOptions.length) {
+      const move = { ArrowDown: 1, ArrowUp: -1 }[e.key];
+      if (move) {
+        e.preventDefault();
+        return setMentionDraft((d) => ({ ...d, index: (d.index + move + mentionOptions.length) % mentionOptions.length }));
+      }
+      if (e.key === "Enter" || e.key === "Tab") {
+        e.preventDefault();
+        return pickMention(mentionOptions[mentionDraft.index] || mentionOptions[0]);
+      }
+      if (e.key === "Escape") return setMentionDraft(null);
+    }
+    if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); sendMessageToRoom(); }
+  };
+
+  // Room messages we send show up at once as local entries ({ local, clientMsgId, sendStatus: 'pending' })
+  // until the server's ack or broadcast replaces them with the stored message (sendStatus 'sent'). No ack
+  // in time, or a refusal, marks them 'failed' with a retry; retrying reuses the clientMsgId, so a send
+  // that did arrive isn't posted twice. Offline they wait in the outbox instead (sendStatus 'queued').
+  const updateOutgoing = (clientMsgId, fields) => {
+    setMessages((prev) => prev.map((m) => (m.local && m.clientMsgId === clientMsgId ? { ...m, ...fields } : m)));
+  };
+  const sendRoomMessage = (entry) => {
+    const { clientMsgId } = entry;
+    if (mustQueue()) {
+      const { id, local, content, room, from, fromId, timestamp } = entry;
+      updateOutgoing(clientMsgId, { sendStatus: 'queued', sendError: null });
+      return enqueue('message', { content, room, clientMsgId }, { id, clientMsgId, local, content, room, from, fromId, timestamp });
+    }
+    const s = getSocket();
+    if (!s || !s.connected) return updateOutgoing(clientMsgId, { sendStatus: 'failed', sendError: 'not connected' });
+    updateOutgoing(clientMsgId, { sendStatus: 'pending', sendError: null });
+    s.timeout(SEND_TIMEOUT_MS).emit('message', { content: entry.content, room: entry.room, clientMsgId }, (err, ack) => {
+      if (err) return updateOutgoing(clientMsgId, { sendStatus: 'failed', sendError: 'no response' });
+      if (!ack.ok) return updateOutgoing(clientMsgId, { sendStatus: 'failed', sendError: ackError(ack) });
+      setMessages((prev) => settleOutgoing(prev, clientMsgId, ack));
+    });
+  };
+  const discardOutgoing = (clientMsgId) => {
+    const op = queuedRef.current.find((o) => o.kind === 'message' && o.payload.clientMsgId === clientMsgId);
+    if (op) outboxRef.current?.remove(op.seq).catch((err) => console.warn('[outbox] remove failed', err));
+    setMessages((prev) => prev.filter((m) => !(m.local && m.clientMsgId === clientMsgId)));
+  };
+
   const sendMessageToRoom = React.useCallback(() => {
     const s = getSocket();
     if (!s) {
@@ -549,19 +1187,35 @@ export default function App() {
 
     // send message to the current room with server ack
     try {
-      const fromName = user?.fullName || user?.firstName || user?.primaryEmailAddress?.emailAddress || 'Anonymous';
-      if (privateChatWith) {
-        // send a private message to the selected socketId
-        const payload = { content: text, from: fromName };
-        s.emit('privateMessage', { toSocketId: privateChatWith.id, payload }, (ack) => { if (ack && !ack.ok) console.warn('privateMessage ack', ack); });
-      } else {
-        // server expects { content, from, room }
-        const payload = { content: text, from: fromName, room: currentRoom || 'global' };
-        s.emit("message", payload, (ack) => {
-          if (ack && !ack.ok) {
-            console.warn("message ack error", ack);
-          }
+      if (privateChatWith?.group) {
+        s.emit('groupMessage', { conversationId: privateChatWith.id, content: text }, (ack) => { if (ack && !ack.ok) alert('Send failed: ' + ackError(ack)); });
+      } else if (privateChatWith) {
+        // DMs are addressed by user id; the server delivers to every tab and stores them for offline users
+        s.emit('privateMessage', { to: privateChatWith.id, content: text }, (ack) => { if (ack && !ack.ok) alert('Send failed: ' + ackError(ack)); });
+      } else if (text.startsWith('/') && !text.startsWith('//')) {
+        // slash commands run on the server; failures come back as an ephemeral message in the room
+        setReadMarker(null);
+        s.emit('command', { room: currentRoom || 'global', text }, (ack) => {
+          if (ack && !ack.ok) console.warn('command ack error', ack);
         });
+      } else {
+        // shown right away as sending; a leading "//" posts text that starts with "/"
+        const clientMsgId = newClientMsgId();
+        const entry = {
+          id: `local-${clientMsgId}`,
+          clientMsgId,
+          local: true,
+          content: text.startsWith('//') ? text.slice(1) : text,
+          room: currentRoom || 'global',
+          from: user?.username || user?.fullName || user?.id || 'You',
+          fromId: user?.id,
+          timestamp: new Date().toISOString(),
+          sendStatus: 'pending'
+        };
+        // replying means we've caught up: drop the "new messages" divider
+        setReadMarker(null);
+        setMessages((prev) => [...prev, entry]);
+        sendRoomMessage(entry);
       }
     } catch (err) {
       console.error("emit message failed", err);
@@ -571,56 +1225,142 @@ export default function App() {
     setInput("");
   }, [input, currentRoom]);
 
-  // File picker: read file as base64 and emit via socket (demo flow)
+  // File picker
   const fileInputRef = React.useRef();
   const onChooseFile = () => fileInputRef.current && fileInputRef.current.click();
-  const API_BASE = import.meta.env.VITE_SERVER_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:3000';
+  const API_BASE = import.meta.env.VITE_SERVER_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
+  // REST reads of private rooms and DMs need the signed-in user's token
+  const authHeaders = async () => {
+    const token = await getToken().catch(() => null);
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  };
 
-  const onFileChange = async (e) => {
-    const f = e.target.files && e.target.files[0];
-    if (!f) return;
-    // Try multipart upload first (Option B)
-    const form = new FormData();
-    form.append('file', f);
+  // Threads: load root + replies over REST, send replies over the socket
+  const openThread = async (m) => {
+    const id = m.id || m._id;
+    setActiveThread({ root: m, replies: [], loading: true });
     try {
-      const resp = await fetch(`${API_BASE}/upload`, { method: 'POST', body: form });
+      const resp = await fetch(`${API_BASE}/api/messages/${encodeURIComponent(id)}/thread`, { headers: await authHeaders() });
       const json = await resp.json().catch(() => null);
-      if (resp.ok && json && json.ok && json.url) {
-        const s = getSocket();
-        if (s && s.emit) {
-          const payload = { content: '', from: user?.fullName || user?.firstName || user?.primaryEmailAddress?.emailAddress || 'Anonymous', room: currentRoom || 'global', file: { url: `${API_BASE}${json.url}`, name: f.name, mime: f.type } };
-          s.emit('message', payload, (ack) => {
-            if (ack && !ack.ok) console.warn('file message ack', ack);
-          });
-        }
-        e.target.value = '';
-        return;
-      }
+      setActiveThread((prev) => {
+        if (!prev || String(prev.root.id || prev.root._id) !== String(id)) return prev;
+        if (!resp.ok || !json) return { ...prev, loading: false };
+        return { root: { ...prev.root, ...json.root, id }, replies: json.replies || [], loading: false };
+      });
     } catch (err) {
-      console.warn('Upload via /upload failed, falling back to base64', err);
+      console.warn('openThread failed', err);
+      setActiveThread((prev) => (prev ? { ...prev, loading: false } : prev));
     }
+  };
 
-    // Fallback to base64 socket send for demo
+  // Search: load the hit with its neighbours, switch to its room (or DM), then scroll to it.
+  // Thread replies live in the side panel, so their root is highlighted and the thread opened.
+  const jumpToMessage = async (hit) => {
+    const id = hit._id || hit.id;
     try {
-      const reader = new FileReader();
-      reader.onload = () => {
-        try {
-          const s = getSocket();
-          const dataUrl = reader.result; // data:<mime>;base64,....
-          if (s && s.emit) {
-            s.emit('file_message', { room: currentRoom || 'global', name: f.name, data: dataUrl, mime: f.type }, (ack) => {
-              if (ack && !ack.ok) console.warn('file_message ack', ack);
-            });
-          }
-        } catch (err) { console.error('file send failed', err); }
-      };
-      reader.readAsDataURL(f);
+      const resp = await fetch(`${API_BASE}/api/messages/${encodeURIComponent(id)}/context?before=15&after=15`, { headers: await authHeaders() });
+      const json = await resp.json().catch(() => null);
+      if (!resp.ok || !json) return alert('Could not open message: ' + ((json && json.error) || resp.status));
+      setMessages((prev) => {
+        const map = new Map(prev.map((m) => [String(m.id || m._id), m]));
+        json.messages.forEach((m) => {
+          const mid = String(m._id || m.id);
+          if (deletedMessageIds.current.has(mid) || map.has(mid)) return;
+          map.set(mid, { ...m, id: m._id || m.id });
+        });
+        return Array.from(map.values()).sort((a, b) => (new Date(a.timestamp || a.createdAt || 0) - new Date(b.timestamp || b.createdAt || 0)));
+      });
+      if (json.room) {
+        if (json.room !== currentRoom) await joinRoom(json.room);
+        else setPrivateChatWith(null);
+      } else if (json.message.conversationId) {
+        const gid = String(json.message.conversationId);
+        const group = conversations.find((c) => c.type === "group" && c.id === gid);
+        setPrivateChatWith({ id: gid, name: group ? groupLabel(group) : "Group", group: true });
+      } else if (json.message.fromId) {
+        const mine = json.message.fromId === user?.id;
+        setPrivateChatWith(mine ? { id: json.message.toId, name: json.message.to } : { id: json.message.fromId, name: json.message.from });
+      } else {
+        const myName = user?.fullName || user?.firstName || user?.primaryEmailAddress?.emailAddress || user?.id;
+        const other = json.message.from === myName ? json.message.to : json.message.from;
+        setPrivateChatWith({ id: other, name: other });
+      }
+      const anchorId = String(json.threadRootId || id);
+      setHighlightedId(anchorId);
+      if (json.threadRootId) {
+        const root = json.messages.find((m) => String(m._id || m.id) === anchorId);
+        if (root) openThread({ ...root, id: anchorId });
+      }
     } catch (err) {
-      console.error('Fallback file read failed', err);
+      console.warn('jumpToMessage failed', err);
     }
+  };
+
+  // opening a notification marks it read (on every device) and jumps to what it is about
+  const openNotification = (n) => {
+    const s = getSocket();
+    if (s && !n.read) s.emit("markNotificationsRead", { ids: [n.id] });
+    if (n.messageId) jumpToMessage({ _id: n.messageId });
+  };
+  const loadMoreNotifications = () => {
+    const s = getSocket();
+    const last = notifications.items[notifications.items.length - 1];
+    if (!s || !last) return;
+    s.emit("notifications", { before: last.id }, (ack) => {
+      if (!ack || !ack.ok) return;
+      setNotifications((prev) => ({ ...prev, items: [...prev.items, ...ack.notifications.filter((n) => !prev.items.some((x) => x.id === n.id))], hasMore: ack.hasMore }));
+    });
+  };
+
+  // scroll a jumped-to message into view once it renders, then let the highlight fade
+  useEffect(() => {
+    if (!highlightedId) return;
+    const el = document.getElementById(`msg-${highlightedId}`);
+    if (el) el.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    const t = setTimeout(() => setHighlightedId(null), 4000);
+    return () => clearTimeout(t);
+  }, [highlightedId, visibleMessages]);
+
+  const sendThreadReply = (parentId, content) => {
+    const s = getSocket();
+    if (!s) return setLastError("Not connected");
+    s.emit('threadReply', { parentId, content }, (ack) => { if (!ack || !ack.ok) console.warn('threadReply ack', ack); });
+  };
+
+  // files go up in resumable chunks over the socket (see ./uploads), then out as a message in the room
+  // that was open when they were picked
+  const uploadErrorText = (err) => {
+    if (err.error === 'file_too_large') return `Too large (max ${Math.round(err.max / (1024 * 1024))} MB)`;
+    if (err.error === 'invalid_mime') return 'This file type is not allowed';
+    if (err.error === 'disconnected' || err.error === 'timeout') return 'Connection lost';
+    return `Upload failed (${err.error || err.message})`;
+  };
+  const onFileChange = async (e) => {
+    const f = e.target.files && e.target.files[0];
     // reset input so same file can be reselected later
     e.target.value = '';
+    if (!f) return;
+    const key = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const room = currentRoom || 'global';
+    const controller = new AbortController();
+    uploadAborts.current.set(key, controller);
+    const patch = (fields) => setUploads((prev) => prev.map((u) => (u.key === key ? { ...u, ...fields } : u)));
+    setUploads((prev) => [...prev, { key, name: f.name, size: f.size, sent: 0 }]);
+    try {
+      const file = await uploadFile(getSocket, f, { signal: controller.signal, onProgress: (sent) => patch({ sent }) });
+      getSocket()?.emit('message', { content: '', room, file: { attachmentId: file.attachmentId } }, (ack) => {
+        if (ack && !ack.ok) setLastError(`File not sent: ${ackError(ack)}`);
+      });
+      setUploads((prev) => prev.filter((u) => u.key !== key));
+    } catch (err) {
+      if (err.error === 'cancelled') setUploads((prev) => prev.filter((u) => u.key !== key));
+      else patch({ error: uploadErrorText(err) });
+    } finally {
+      uploadAborts.current.delete(key);
+    }
   };
+  const cancelUpload = (key) => uploadAborts.current.get(key)?.abort();
+  const dismissUpload = (key) => setUploads((prev) => prev.filter((u) => u.key !== key));
 
   // UI (kept simple)
   return (
@@ -648,6 +1388,15 @@ export default function App() {
                 <button className="badge" onClick={() => { const s = getSocket(); if (s) s.connect(); else alert("Connect will be automatic when signed in."); }}>Connect</button>
                 <button className="badge" onClick={() => { const s = getSocket(); if (s) { s.disconnect(); setConnected(false); } }}>Disconnect</button>
 
+                <NotificationBell
+                  items={notifications.items}
+                  unread={notifications.unread}
+                  hasMore={notifications.hasMore}
+                  onOpen={openNotification}
+                  onMarkAllRead={() => getSocket()?.emit("markNotificationsRead", {})}
+                  onClearRead={() => getSocket()?.emit("clearNotifications", { readOnly: true })}
+                  onLoadMore={loadMoreNotifications}
+                />
                 <UserButton />
                 <SignOutButton className="badge">Sign out</SignOutButton>
               </div>
@@ -656,22 +1405,43 @@ export default function App() {
             <div className="layout">
               <aside className="sidebar">
                 <div className="users-card">
+                  {invites.length > 0 && (
+                    <>
+                      <h4>Invitations</h4>
+                      <div style={{ display: "flex", flexDirection: "column", gap: 8, marginBottom: 12 }}>
+                        {invites.map((i) => (
+                          <div key={i.room} style={{ display: "flex", alignItems: "center", gap: 8, padding: 8, borderRadius: 8 }}>
+                            <div>
+                              <div style={{ fontWeight: 700 }}>🔒 {i.room}</div>
+                              <div style={{ fontSize: 12, color: "var(--muted)" }}>from {i.invitedByName || i.invitedBy}</div>
+                            </div>
+                            <div style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
+                              <button className="btn btn-primary btn--small" onClick={() => respondToInvite(i.room, true)}>Accept</button>
+                              <button className="btn btn-ghost btn--small" onClick={() => respondToInvite(i.room, false)}>Decline</button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </>
+                  )}
+
                   <h4>Rooms</h4>
                   <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
                     <button className="btn btn-primary btn--small" onClick={createRoom}>New Room</button>
-                    <button className="btn btn-ghost btn--small" onClick={() => joinRoom("global")}>Global</button>
+                    <button className="btn btn-ghost btn--small" onClick={() => joinRoom("global")}>Global {unreadBadge("global")}</button>
                   </div>
 
                   <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
                     {rooms.length === 0 ? <div className="empty">No rooms</div> : rooms.map((r) => (
                       <div key={r.name} style={{ display: "flex", alignItems: "center", gap: 8, padding: 8, borderRadius: 8 }}>
-                        <div style={{ fontWeight: 700 }}>{r.name}</div>
+                        <div style={{ fontWeight: 700 }} title={r.isPrivate ? "Private room" : undefined}>{r.isPrivate ? `🔒 ${r.name}` : r.name}</div>
+                        {unreadBadge(r.name)}
                         <div style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
                           <button className="btn btn-ghost btn--small" onClick={() => joinRoom(r.name)}>Join</button>
-                          <button className="btn btn-ghost btn--small" onClick={() => { if (!confirm(`Clear all messages in '${r.name}'? This cannot be undone.`)) return; const s = getSocket(); s && s.emit && s.emit('clearRoom', { room: r.name }, (ack) => { if (!ack || !ack.ok) console.warn('clearRoom failed', ack); }); }}>Clear</button>
+                          <button className="btn btn-ghost btn--small" onClick={() => { if (!confirm(`Clear all messages in '${r.name}'? This cannot be undone.`)) return; const s = getSocket(); s && s.emit && s.emit('clearRoom', { room: r.name }, (ack) => { if (!ack || !ack.ok) alert('Clear failed: ' + ackError(ack)); }); }}>Clear</button>
                           <button className="btn btn-ghost btn--small" onClick={() => {
                             if (!confirm(`Delete room '${r.name}'? This will remove all messages.`)) return;
-                            const s = getSocket(); s && s.emit && s.emit('deleteRoom', { room: r.name }, (ack) => { if (!ack || !ack.ok) return alert('Delete failed: ' + (ack?.error||'unknown')); try { s.emit('rooms_request'); } catch {} });
+                            const s = getSocket(); s && s.emit && s.emit('deleteRoom', { room: r.name }, (ack) => { if (!ack || !ack.ok) return alert('Delete failed: ' + ackError(ack)); try { s.emit('rooms_request'); } catch {} });
                           }}>Delete</button>
                           {currentRoom === r.name && r.name !== "global" && <button className="btn btn-outline btn--small" onClick={() => leaveRoom(r.name)}>Leave</button>}
                         </div>
@@ -681,18 +1451,58 @@ export default function App() {
 
                   <hr style={{ margin: "12px 0", borderColor: "rgba(255,255,255,0.03)" }} />
 
-                  <h4>Users</h4>
+                  <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+                    <h4>Direct messages</h4>
+                    <button className="btn btn-ghost btn--small" onClick={createGroup}>New group</button>
+                  </div>
+                  <div style={{ display: "flex", flexDirection: "column", gap: 4, marginBottom: 8 }}>
+                    {conversations.map((c) => {
+                      const id = c.type === "group" ? c.id : c.userId;
+                      const label = c.type === "group" ? groupLabel(c) : c.userName;
+                      const active = privateChatWith?.id === id;
+                      return (
+                        <button key={id} className={`conversation-row${active ? " conversation-row--active" : ""}`} onClick={() => openConversation(c)}>
+                          <div className="avatar">{c.type === "group" ? c.participants.length : initials(label || id)}</div>
+                          <div className="user-meta">
+                            <div className="user-name">
+                              {c.type !== "group" && <span className={`presence-dot presence-dot--${presence[c.userId]?.status || "offline"}`} />} {label}
+                            </div>
+                            <div className="conversation-preview">{c.type === "group" && c.lastMessage ? `${c.lastMessage.from}: ` : ""}{c.lastMessage && <MessageText message={c.lastMessage} myId={user?.id} inline />}</div>
+                          </div>
+                          {c.unread > 0 && !active && <span className="unread-badge" style={{ marginLeft: "auto" }}>{c.unread}</span>}
+                        </button>
+                      );
+                    })}
+                  </div>
+                  <hr style={{ margin: "12px 0", borderColor: "rgba(255,255,255,0.03)" }} />
+
+                  <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+                    <h4>Users</h4>
+                    <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                      <span className={`presence-dot presence-dot--${myPresence?.status || "offline"}`} />
+                      <select value={myPresence?.status === "offline" ? "online" : myPresence?.status || "online"} onChange={(e) => setMyStatus({ status: e.target.value })} disabled={!connected}>
+                        {["online", "away", "dnd"].map((st) => <option key={st} value={st}>{STATUS_LABELS[st]}</option>)}
+                      </select>
+                      <button className="btn btn-ghost btn--small" onClick={editStatusText} disabled={!connected} title={myPresence?.statusText || "Set a status"}>✎</button>
+                    </div>
+                  </div>
                   <div className="users-list" style={{ marginTop: 8 }}>
                     {onlineUsers.length === 0 ? <div className="empty">No users</div> : onlineUsers.map((u) => (
                       <div className="user-row" key={u.id}>
                         <div className="avatar">{initials(u.name || u.id)}</div>
                         <div className="user-meta">
                           <div className="user-name">{u.name || u.id}</div>
-                          <div className="user-status">{u.online ? "Online" : "Offline"}</div>
+                          <div className="user-status"><span className={`presence-dot presence-dot--${u.status}`} /> {presenceLabel(presence[u.id])}</div>
                         </div>
                         <div style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
                           <button className="btn btn-ghost btn--small" onClick={() => { setPrivateChatWith({ id: u.id, name: u.name || u.id }); }}>Open PM</button>
                           <button className="btn btn-ghost btn--small" onClick={() => sendPrivateMessage(u.id, u.name)}>PM</button>
+                          {currentRoomIsPrivate && !privateChatWith && (
+                            <>
+                              <button className="btn btn-ghost btn--small" onClick={() => setRoomAccess(u, true)}>Invite</button>
+                              <button className="btn btn-ghost btn--small" onClick={() => setRoomAccess(u, false)}>Remove</button>
+                            </>
+                          )}
                         </div>
                       </div>
                     ))}
@@ -706,13 +1516,28 @@ export default function App() {
                     {privateChatWith ? (
                       <>
                         <button className="btn btn-ghost btn--small" onClick={() => setPrivateChatWith(null)}>← Back</button>
-                        <h2 style={{ margin: 0 }}>Private: {privateChatWith.name}</h2>
+                        <h2 style={{ margin: 0 }}>{privateChatWith.group ? "Group" : "Private"}: {privateChatWith.name}</h2>
+                        {!privateChatWith.group && <span style={{ fontSize: 13, color: "var(--muted)" }}>{presenceLabel(presence[privateChatWith.id])}</span>}
+                        {privateChatWith.group && (
+                          <>
+                            <button className="btn btn-ghost btn--small" onClick={renameGroup}>Rename</button>
+                            <button className="btn btn-ghost btn--small" onClick={addGroupMember}>Add</button>
+                            <button className="btn btn-ghost btn--small" onClick={removeGroupMember}>Remove</button>
+                            <button className="btn btn-ghost btn--small" onClick={leaveGroup}>Leave</button>
+                          </>
+                        )}
                       </>
                     ) : (
-                      <h2 style={{ margin: 0 }}>{currentRoom === "global" ? "Global Chat" : `Room: ${currentRoom}`}</h2>
+                      <>
+                        <h2 style={{ margin: 0 }}>{currentRoom === "global" ? "Global Chat" : `Room: ${currentRoom}`}</h2>
+                        {currentTopic && <span className="room-topic" title={currentTopic}>{currentTopic}</span>}
+                      </>
                     )}
                   </div>
-                  <div style={{ fontSize: 13, color: "var(--muted)" }}>{onlineCount} online</div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+                    <button className="btn btn-ghost btn--small" onClick={() => setSearchOpen((v) => !v)}>🔍 Search</button>
+                    <div style={{ fontSize: 13, color: "var(--muted)" }}>{onlineCount} online</div>
+                  </div>
                 </div>
 
                 <div className="chat-card">
@@ -737,45 +1562,95 @@ export default function App() {
                       <div className="empty">No messages yet</div>
                     ) : (
                       visibleMessages.map((m, i) => {
-                        const sent = m.senderId === user?.id || m.senderId === user?.userId;
+                        const sent = (m.fromId && m.fromId === user?.id) || m.senderId === user?.id || m.senderId === user?.userId;
+                        // command replies and errors: only this tab has them, and they go away on reload
+                        if (m.ephemeral) {
+                          return (
+                            <React.Fragment key={m.id}>
+                            {i === dividerIndex && <div className="new-messages-divider"><span>New messages</span></div>}
+                            <div className={`message-ephemeral${m.error ? " message-ephemeral--error" : ""}`}>
+                              <div className="message-meta">
+                                <span>{m.command ? `/${m.command}` : "Command"} · only visible to you</span>
+                                <button className="btn-ghost small" onClick={() => setMessages((prev) => prev.filter((x) => x.id !== m.id))}>Dismiss</button>
+                              </div>
+                              <div className="message-ephemeral-text">{m.content}</div>
+                            </div>
+                            </React.Fragment>
+                          );
+                        }
                         return (
-                          <div key={m.id || m._id || `${m.timestamp || Date.now()}-${i}`} className={`message-bubble ${sent ? "message-sent" : "message-recv"}`} style={{ marginBottom: 10 }}>
+                          <React.Fragment key={m.id || m._id || `${m.timestamp || Date.now()}-${i}`}>
+                          {i === dividerIndex && <div className="new-messages-divider"><span>New messages</span></div>}
+                          <div id={`msg-${m.id || m._id}`} className={`message-bubble ${sent ? "message-sent" : "message-recv"}${highlightedId && String(m.id || m._id) === highlightedId ? " message-highlight" : ""}`} style={{ marginBottom: 10 }}>
                             <div className="message-meta">
-                              <div style={{ fontWeight: 700 }}>{m.senderName || m.from}</div>
+                              <div className="message-author">
+                                {m.avatarUrl && <img className="message-avatar" src={m.avatarUrl} alt="" />}
+                                <span style={{ fontWeight: 700 }}>{m.senderName || m.from}</span>
+                                {m.bot && <span className="bot-badge" title={m.bot.kind === 'webhook' ? `Incoming webhook: ${m.bot.name}` : `Bot: ${m.bot.name}`}>{m.bot.kind === 'webhook' ? 'APP' : 'BOT'}</span>}
+                              </div>
                               <div>{m.timestamp ? new Date(m.timestamp).toLocaleTimeString() : ""}</div>
                             </div>
-                            <div style={{ marginTop: 6 }}>{m.text || m.content}
-                              <div style={{ marginTop: 6 }}>
-                                <button className="btn btn-ghost btn--small" onClick={() => {
-                                  const s = getSocket();
-                                  if (!s) return alert('Not connected');
-                                  s.emit('deleteMessage', { messageId: m.id || m._id }, (ack) => { if (!ack || !ack.ok) return alert('Delete failed'); });
-                                }}>Delete</button>
-                              </div>
-                              {m.file && (m.file.url || m.file.data) && (
-                                <div style={{ marginTop: 8 }}>
-                                  {m.file.url ? (
-                                    <a href={m.file.url} target="_blank" rel="noreferrer">{m.file.name || 'file'}</a>
-                                  ) : (
-                                    <div>
-                                      {/* inline base64 preview for images */}
-                                      {m.file.mime && m.file.mime.startsWith('image/') ? (
-                                        <img src={m.file.data} alt={m.file.name} style={{ maxWidth: 240, display: 'block', marginTop: 6 }} />
-                                      ) : (
-                                        <a href={m.file.data} target="_blank" rel="noreferrer">{m.file.name || 'file'}</a>
-                                      )}
+                            <div style={{ marginTop: 6 }}>
+                              {m.poll ? (
+                                <PollCard poll={m.poll} myId={user?.id} onVote={(option) => votePoll(m, option)} />
+                              ) : m.subtype === 'me' ? (
+                                <em className="message-action">* {m.senderName || m.from} <MessageText message={m} myId={user?.id} inline /></em>
+                              ) : (
+                                <MessageText message={m} myId={user?.id} />
+                              )}
+                              {m.edited && (
+                                <button className="btn-ghost small edited-marker" title="Show earlier versions" onClick={() => setHistoryOpenFor(historyOpenFor === m.id ? null : m.id)}>(edited)</button>
+                              )}
+                              {historyOpenFor === m.id && Array.isArray(m.editHistory) && (
+                                <div className="edit-history">
+                                  {m.editHistory.slice().reverse().map((h, hi) => (
+                                    <div key={hi} className="edit-history-item">
+                                      <span className="edit-history-time">{h.timestamp ? new Date(h.timestamp).toLocaleString() : ''}</span>
+                                      <MessageText message={h} inline />
                                     </div>
-                                  )}
+                                  ))}
                                 </div>
                               )}
+                              {m.sendStatus === 'pending' && <div className="message-status">Sending…</div>}
+                              {m.sendStatus === 'queued' && (
+                                <div className="message-status" title="Sent once the connection is back">
+                                  <span>Queued</span>
+                                  <button className="btn btn-ghost btn--small" onClick={() => discardOutgoing(m.clientMsgId)}>Discard</button>
+                                </div>
+                              )}
+                              {m.sendStatus === 'sent' && <div className="message-status" title="Stored by the server">✓ Sent</div>}
+                              {m.sendStatus === 'failed' && (
+                                <div className="message-status message-status--failed">
+                                  <span>Not sent: {m.sendError}</span>
+                                  <button className="btn btn-ghost btn--small" onClick={() => sendRoomMessage(m)}>Retry</button>
+                                  <button className="btn btn-ghost btn--small" onClick={() => discardOutgoing(m.clientMsgId)}>Discard</button>
+                                </div>
+                              )}
+                              {!m.local && <div style={{ marginTop: 6 }}>
+                                <button className="btn btn-ghost btn--small" onClick={() => deleteMessage(m)}>Delete</button>
+                                {!m.file && !m.bot && !m.poll && <button className="btn btn-ghost btn--small" onClick={() => editMessage(m)}>Edit</button>}
+                                <button className="btn btn-ghost btn--small" onClick={() => openThread(m)}>Reply</button>
+                                {m.replyCount > 0 && (
+                                  <button className="btn-ghost small thread-link" onClick={() => openThread(m)}>
+                                    💬 {m.replyCount} {m.replyCount === 1 ? 'reply' : 'replies'}
+                                    {m.lastReplyAt ? ` • last ${new Date(m.lastReplyAt).toLocaleTimeString()}` : ''}
+                                  </button>
+                                )}
+                              </div>}
+                              {m.file && (m.file.url || m.file.data) && (
+                                <Attachment file={m.file} apiBase={API_BASE} getToken={getToken} />
+                              )}
                             </div>
 
                             {/* reactions */}
-                            <div style={{ display: 'flex', gap: 8, marginTop: 8, alignItems: 'center' }}>
+                            {!m.local && <div style={{ display: 'flex', gap: 8, marginTop: 8, alignItems: 'center' }}>
                               <div style={{ display: 'flex', gap: 6 }}>
                                 {m.reactions && Object.keys(m.reactions).map((r) => (
                                   <div key={r} className="reaction-pill">{r} <span className="reaction-count">{m.reactions[r]}</span></div>
                                 ))}
+                                {queued.filter((op) => op.kind === 'reaction' && op.payload.messageId === String(m.id || m._id)).map((op) => (
+                                  <div key={op.seq} className="reaction-pill reaction-pill--queued" title="Sent once the connection is back">{op.payload.emoji}</div>
+                                ))}
                               </div>
 
                               <div style={{ marginLeft: 'auto', display: 'flex', gap: 6 }}>
@@ -783,7 +1658,7 @@ export default function App() {
                                 <button className="btn-ghost small" onClick={() => sendReaction(m.id, '❤️')}>❤️</button>
                                 <button className="btn-ghost small" onClick={() => sendReaction(m.id, '😂')}>😂</button>
                               </div>
-                            </div>
+                            </div>}
 
                             {/* read receipts */}
                             <div style={{ fontSize: 11, color: 'var(--muted)', marginTop: 6 }}>
@@ -792,19 +1667,60 @@ export default function App() {
                               )}
                             </div>
                           </div>
+                          </React.Fragment>
                         );
                       })
                     )}
                   </div>
 
+                  <UploadProgress uploads={uploads} onCancel={cancelUpload} onDismiss={dismissUpload} />
+                  {(authExpired || conflicts.length > 0 || (queued.length > 0 && !connected)) && (
+                    <div className="outbox-notices">
+                      {queued.length > 0 && !connected && !authExpired && (
+                        <div className="outbox-notice">{queued.length} {queued.length === 1 ? "action is" : "actions are"} queued and will be sent once the connection is back</div>
+                      )}
+                      {authExpired && (
+                        <div className="outbox-notice outbox-notice--problem">
+                          <span>Your sign-in has expired{queued.length ? `; ${queued.length} queued ${queued.length === 1 ? "action waits" : "actions wait"} for you to reconnect` : ""}</span>
+                          <button className="btn btn-ghost btn--small" onClick={reconnectWithFreshToken}>Reconnect</button>
+                        </div>
+                      )}
+                      {conflicts.map((c) => (
+                        <div key={c.key} className="outbox-notice outbox-notice--problem">
+                          <span>{c.text}</span>
+                          <button className="btn btn-ghost btn--small" onClick={() => setConflicts((prev) => prev.filter((x) => x.key !== c.key))}>Dismiss</button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                   <div className="composer">
                     <div className="input-box">
+                      {commandOptions.length > 0 && (
+                        <div className="mention-suggestions">
+                          {commandOptions.map((c, i) => (
+                            <button key={c.name} type="button" className={`mention-option${i === commandIndex ? " mention-option--active" : ""}`} onMouseDown={(e) => { e.preventDefault(); pickCommand(c); }}>
+                              {c.usage} <span className="command-description">— {c.description}</span>
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                      {mentionOptions.length > 0 && (
+                        <div className="mention-suggestions">
+                          {mentionOptions.map((name, i) => (
+                            <button key={name} type="button" className={`mention-option${i === mentionDraft.index ? " mention-option--active" : ""}`} onMouseDown={(e) => { e.preventDefault(); pickMention(name); }}>
+                              @{name}{name === "here" ? " — everyone online" : name === "room" ? " — everyone in the room" : ""}
+                            </button>
+                          ))}
+                        </div>
+                      )}
                       <input
                         className="input-field"
                         value={input}
                         onChange={(e) => {
                           const val = e.target.value;
                           setInput(val);
+                          setCommandIndex(0);
+                          trackMention(val, e.target.selectionStart);
                           // emit typing true and debounce stop
                           try {
                             emitTyping(true);
@@ -814,8 +1730,9 @@ export default function App() {
                             typingTimers.current.set(key, t);
                           } catch (e) { /* ignore */ }
                         }}
-                        placeholder="Type a message..."
-                        onKeyDown={(e) => { if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); sendMessageToRoom(); } }}
+                        placeholder={currentMuted ? "You are muted in this room" : "Type a message... (/ for commands)"}
+                        onKeyDown={onComposerKeyDown}
+                        onBlur={() => setMentionDraft(null)}
                       />
                       <input ref={fileInputRef} type="file" style={{ display: 'none' }} onChange={onFileChange} />
                     </div>
@@ -826,6 +1743,27 @@ export default function App() {
                   </div>
                 </div>
               </main>
+
+              {searchOpen && (
+                <SearchPanel
+                  apiBase={API_BASE}
+                  getHeaders={authHeaders}
+                  currentRoom={currentRoom}
+                  onJump={jumpToMessage}
+                  onClose={() => setSearchOpen(false)}
+                />
+              )}
+
+              {activeThread && (
+                <ThreadPanel
+                  root={activeThread.root}
+                  replies={activeThread.replies}
+                  loading={activeThread.loading}
+                  myId={user?.id}
+                  onSend={sendThreadReply}
+                  onClose={() => setActiveThread(null)}
+                />
+              )}
             </div>
           </div>
         </div>
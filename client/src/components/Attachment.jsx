@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+
+const formatSize = (bytes) => {
+  if (!Number.isFinite(bytes)) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const mediaOf = (mime = '') => ['image', 'video', 'audio'].find((kind) => mime.startsWith(`${kind}/`)) || null;
+
+// a message's file. Uploads (`attachmentId`) download from the server with the signed-in user's
+// token; <img>, <video> and <audio> can't send headers, so it goes in the query instead. Older
+// messages carry a plain `url` or inline base64 `data`.
+export default function Attachment({ file, apiBase, getToken }) {
+  const stored = !!file.attachmentId;
+  const media = mediaOf(file.mime);
+  const [token, setToken] = useState(null);
+
+  useEffect(() => {
+    if (!stored || !media) return undefined;
+    let live = true;
+    getToken().then((t) => { if (live) setToken(t); }).catch(() => { /* ignore */ });
+    return () => { live = false; };
+  }, [stored, media, file.url, getToken]);
+
+  const name = file.name || 'file';
+  if (!stored) {
+    const href = file.url || file.data;
+    return (
+      <div className="attachment">
+        {file.data && media === 'image'
+          ? <img className="attachment-image" src={file.data} alt={name} />
+          : <a href={href} target="_blank" rel="noreferrer">{name}</a>}
+      </div>
+    );
+  }
+
+  const urlWith = (t, extra = '') => `${apiBase}${file.url}?token=${encodeURIComponent(t)}${extra}`;
+  // a fresh token per click; Content-Disposition makes it a download rather than a navigation
+  const download = async (e) => {
+    e.preventDefault();
+    const t = await getToken().catch(() => null);
+    if (t) window.location.assign(urlWith(t, '&download=1'));
+  };
+
+  return (
+    <div className="attachment">
+      {token && media === 'image' && <img className="attachment-image" src={urlWith(token)} alt={name} />}
+      {token && media === 'video' && <video className="attachment-image" src={urlWith(token)} controls preload="metadata" />}
+      {token && media === 'audio' && <audio src={urlWith(token)} controls preload="metadata" />}
+      <a className="attachment-link" href={`${apiBase}${file.url}`} onClick={download}>
+        📎 {name} <span className="attachment-size">{formatSize(file.size)}</span>
+      </a>
+    </div>
+  );
+}
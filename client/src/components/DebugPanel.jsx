@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 
-export default function DebugPanel({ connected, rooms, messages, onlineUsers, notifications }) {
+export default function DebugPanel({ connected, rooms, messages, onlineUsers }) {
   const [open, setOpen] = useState(false);
   return (
     <div style={{
@@ -30,15 +30,10 @@ export default function DebugPanel({ connected, rooms, messages, onlineUsers, no
             <pre style={{ whiteSpace:'pre-wrap', fontSize:12 }}>{JSON.stringify(onlineUsers || [], null, 2)}</pre>
           </div>
 
-          <div style={{ marginBottom: 8 }}>
+          <div>
             <div style={{ fontWeight:700 }}>Messages (last 10)</div>
             <pre style={{ whiteSpace:'pre-wrap', fontSize:12 }}>{JSON.stringify((messages || []).slice(-10), null, 2)}</pre>
           </div>
-
-          <div>
-            <div style={{ fontWeight:700 }}>Notifications</div>
-            <pre style={{ whiteSpace:'pre-wrap', fontSize:12 }}>{JSON.stringify(notifications || [], null, 2)}</pre>
-          </div>
         </div>
       )}
     </div>
@@ -0,0 +1,52 @@
+import React from 'react';
+import { parseBlocks, parseInline, flatten } from '../markdown';
+import { highlight } from '../highlight';
+
+// inline nodes from ../markdown as elements; `renderText` styles plain text runs (mentions)
+function renderInline(nodes, renderText, keyPrefix) {
+  return nodes.map((n, i) => {
+    const key = `${keyPrefix}-${i}`;
+    switch (n.type) {
+      case 'br': return <br key={key} />;
+      case 'code': return <code key={key} className="md-code">{n.text}</code>;
+      case 'strong': return <strong key={key}>{renderInline(n.children, renderText, key)}</strong>;
+      case 'em': return <em key={key}>{renderInline(n.children, renderText, key)}</em>;
+      case 'link': return <a key={key} href={n.href} target="_blank" rel="noopener noreferrer nofollow">{renderInline(n.children, renderText, key)}</a>;
+      default: return <React.Fragment key={key}>{renderText(n.text, key)}</React.Fragment>;
+    }
+  });
+}
+
+function renderBlocks(blocks, renderText, keyPrefix) {
+  return blocks.map((b, i) => {
+    const key = `${keyPrefix}-${i}`;
+    switch (b.type) {
+      case 'code':
+        return (
+          <pre key={key} className="md-code-block" data-lang={b.lang || undefined}>
+            <code>{highlight(b.code, b.lang).map((t, ti) => (t.type ? <span key={ti} className={`tok-${t.type}`}>{t.text}</span> : t.text))}</code>
+          </pre>
+        );
+      case 'quote':
+        return <blockquote key={key} className="md-quote">{renderBlocks(b.children, renderText, key)}</blockquote>;
+      case 'list': {
+        const items = b.items.map((item, ii) => <li key={ii}>{renderBlocks(item, renderText, `${key}-${ii}`)}</li>);
+        return b.ordered
+          ? <ol key={key} className="md-list" start={b.start}>{items}</ol>
+          : <ul key={key} className="md-list">{items}</ul>;
+      }
+      default:
+        return <p key={key} className="md-paragraph">{renderInline(b.children, renderText, key)}</p>;
+    }
+  });
+}
+
+const asIs = (text) => text;
+
+// Message text as the Markdown subset in ../markdown. `inline` renders one line of inline formatting
+// only (previews, notifications). Output is React elements only, so the source can never inject HTML.
+export default function Markdown({ text, inline = false, renderText = asIs }) {
+  if (!text) return null;
+  if (inline) return <span className="md md--inline">{renderInline(parseInline(flatten(text)), renderText, 'i')}</span>;
+  return <div className="md">{renderBlocks(parseBlocks(text), renderText, 'b')}</div>;
+}
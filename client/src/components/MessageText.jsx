@@ -0,0 +1,26 @@
+import React from 'react';
+import Markdown from './Markdown';
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// message text rendered as Markdown, with the server-parsed `mentions` highlighted; mentions of
+// `myId` (directly or via @here / @room) stand out more. `inline` is the one-line form for previews.
+export default function MessageText({ message, myId, inline = false }) {
+  const text = message.text || message.content || '';
+  const mentions = Array.isArray(message.mentions) ? message.mentions : [];
+  if (!mentions.length) return <Markdown text={text} inline={inline} />;
+
+  // longest names first, so "@Ann Lee" wins over "@Ann"
+  const byToken = new Map(mentions.map((m) => [`@${m.kind === 'user' ? m.userName : m.kind}`.toLowerCase(), m]));
+  const tokens = Array.from(byToken.keys()).sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(`(${tokens.map(escapeRegex).join('|')})(?![\\w-])`, 'gi');
+
+  // mentions are only looked for in plain text runs, never in code
+  const renderText = (run, key) => run.split(pattern).map((part, i) => {
+    const m = byToken.get(part.toLowerCase());
+    if (!m || i % 2 === 0) return part;
+    const mine = m.kind !== 'user' || m.userId === myId;
+    return <span key={`${key}-${i}`} className={`mention${mine ? ' mention--me' : ''}`}>{part}</span>;
+  });
+  return <Markdown text={text} inline={inline} renderText={renderText} />;
+}
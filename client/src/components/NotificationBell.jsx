@@ -0,0 +1,57 @@
+import React, { useEffect, useRef, useState } from 'react';
+import Markdown from './Markdown';
+
+const ICONS = { message: '💬', mention: '@', reaction: '👍', invite: '✉️' };
+
+const formatTime = (ts) => {
+  try { return new Date(ts).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }); }
+  catch { return ''; }
+};
+
+// header bell with the notification center dropdown; the server keeps the list and read state
+export default function NotificationBell({ items = [], unread = 0, hasMore = false, onOpen, onMarkAllRead, onClearRead, onLoadMore }) {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  // close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => { if (ref.current && !ref.current.contains(e.target)) setOpen(false); };
+    document.addEventListener('mousedown', onDown);
+    return () => document.removeEventListener('mousedown', onDown);
+  }, [open]);
+
+  return (
+    <div className="notification-bell" ref={ref}>
+      <button className="badge" onClick={() => setOpen((v) => !v)} title={`${unread} unread notifications`}>
+        🔔{unread > 0 && <span className="unread-badge unread-badge--mention" style={{ marginLeft: 6 }}>{unread > 99 ? '99+' : unread}</span>}
+      </button>
+      {open && (
+        <div className="notification-dropdown">
+          <div className="notification-dropdown-header">
+            <strong>Notifications</strong>
+            <div style={{ display: 'flex', gap: 6 }}>
+              <button className="btn btn-ghost btn--small" onClick={onMarkAllRead} disabled={!unread}>Mark all read</button>
+              <button className="btn btn-ghost btn--small" onClick={onClearRead}>Clear read</button>
+            </div>
+          </div>
+          {items.length === 0 ? <div className="empty" style={{ padding: 12 }}>Nothing yet</div> : (
+            <div className="notification-list">
+              {items.map((n) => (
+                <button key={n.id} className={`notification-item${n.read ? '' : ' notification-item--unread'}`} onClick={() => { setOpen(false); onOpen(n); }}>
+                  <span className="notification-icon">{ICONS[n.type] || '•'}</span>
+                  <span style={{ minWidth: 0 }}>
+                    <span className="notification-title">{n.title}</span>
+                    {n.body && <span className="notification-body"><Markdown text={n.body} inline /></span>}
+                    <span className="notification-time">{formatTime(n.createdAt)}</span>
+                  </span>
+                </button>
+              ))}
+              {hasMore && <button className="btn btn-ghost btn--small" style={{ margin: 8 }} onClick={onLoadMore}>Load more</button>}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
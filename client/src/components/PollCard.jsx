@@ -0,0 +1,25 @@
+import React from 'react';
+
+// a /poll message: one row per option with its share of the votes; clicking an option votes for it,
+// clicking our current pick again takes the vote back
+export default function PollCard({ poll, myId, onVote }) {
+  const total = poll.options.reduce((n, o) => n + (o.votes || []).length, 0);
+  return (
+    <div className="poll-card">
+      <div className="poll-question">📊 {poll.question}</div>
+      {poll.options.map((o, i) => {
+        const votes = (o.votes || []).length;
+        const mine = (o.votes || []).includes(myId);
+        const share = total ? Math.round((votes / total) * 100) : 0;
+        return (
+          <button key={i} type="button" className={`poll-option${mine ? ' poll-option--mine' : ''}`} disabled={poll.closed} onClick={() => onVote(i)}>
+            <span className="poll-option-bar" style={{ width: `${share}%` }} />
+            <span className="poll-option-text">{o.text}</span>
+            <span className="poll-option-count">{votes}</span>
+          </button>
+        );
+      })}
+      <div className="poll-footer">{total} {total === 1 ? 'vote' : 'votes'}{poll.closed ? ' • closed' : ''}</div>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+
+const PAGE_SIZE = 20;
+
+// render `text` with the server's [start, end) highlight ranges wrapped in <mark>
+function Highlighted({ text = '', highlights = [] }) {
+  const parts = [];
+  let pos = 0;
+  highlights.forEach(([start, end], i) => {
+    if (start > pos) parts.push(text.slice(pos, start));
+    parts.push(<mark key={i}>{text.slice(start, end)}</mark>);
+    pos = end;
+  });
+  if (pos < text.length) parts.push(text.slice(pos));
+  return <>{parts}</>;
+}
+
+// side panel for full-text message search; clicking a hit calls onJump(hit)
+export default function SearchPanel({ apiBase, getHeaders, currentRoom, onJump, onClose }) {
+  const [q, setQ] = useState('');
+  const [filters, setFilters] = useState({ scope: 'all', from: '', since: '', until: '', hasAttachment: '' });
+  const [state, setState] = useState({ results: [], total: 0, hasMore: false, loading: false, error: null, searched: false });
+
+  const setFilter = (key) => (e) => setFilters((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const run = async (offset = 0) => {
+    const query = q.trim();
+    if (!query) return;
+    const params = new URLSearchParams({ q: query, limit: String(PAGE_SIZE), offset: String(offset) });
+    if (filters.scope === 'room' && currentRoom) params.set('room', currentRoom);
+    if (filters.from.trim()) params.set('from', filters.from.trim());
+    // date inputs are local days: `since` from the start of one, `until` to the end of the other
+    if (filters.since) params.set('since', new Date(`${filters.since}T00:00:00`).toISOString());
+    if (filters.until) params.set('until', new Date(`${filters.until}T23:59:59.999`).toISOString());
+    if (filters.hasAttachment) params.set('hasAttachment', filters.hasAttachment);
+
+    setState((prev) => ({ ...prev, loading: true, error: null }));
+    try {
+      const resp = await fetch(`${apiBase}/api/messages/search?${params}`, { headers: await getHeaders() });
+      const json = await resp.json().catch(() => null);
+      if (!resp.ok || !json || !json.ok) {
+        const reason = json && json.error === 'forbidden' ? 'you are not a member of this room' : (json && json.error) || resp.status;
+        return setState((prev) => ({ ...prev, loading: false, error: `Search failed: ${reason}` }));
+      }
+      setState((prev) => ({
+        results: offset === 0 ? json.results : [...prev.results, ...json.results],
+        total: json.total,
+        hasMore: json.hasMore,
+        loading: false,
+        error: null,
+        searched: true
+      }));
+    } catch (err) {
+      setState((prev) => ({ ...prev, loading: false, error: `Search failed: ${err.message || err}` }));
+    }
+  };
+
+  const submit = (e) => {
+    e && e.preventDefault();
+    run(0);
+  };
+
+  const where = (m) => (m.private ? `DM ${m.from} → ${m.to}` : `#${m.room || 'global'}`);
+
+  return (
+    <aside className="search-panel">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+        <div style={{ fontWeight: 700 }}>Search</div>
+        <button className="btn btn-ghost btn--small" onClick={onClose}>Close</button>
+      </div>
+
+      <form onSubmit={submit} className="search-form">
+        <input className="input-field" value={q} onChange={(e) => setQ(e.target.value)} placeholder='Words or "a phrase"' autoFocus />
+        <div className="search-filters">
+          <select value={filters.scope} onChange={setFilter('scope')}>
+            <option value="all">All rooms</option>
+            <option value="room">This room ({currentRoom})</option>
+          </select>
+          <input value={filters.from} onChange={setFilter('from')} placeholder="From (sender)" />
+          <label>Since <input type="date" value={filters.since} onChange={setFilter('since')} /></label>
+          <label>Until <input type="date" value={filters.until} onChange={setFilter('until')} /></label>
+          <select value={filters.hasAttachment} onChange={setFilter('hasAttachment')}>
+            <option value="">Any message</option>
+            <option value="true">With attachment</option>
+            <option value="false">Without attachment</option>
+          </select>
+        </div>
+        <button type="submit" className="btn btn-primary btn--small" disabled={state.loading || !q.trim()}>Search</button>
+      </form>
+
+      {state.error && <div className="search-error">{state.error}</div>}
+      {state.searched && !state.error && (
+        <div className="kicker" style={{ margin: '8px 0' }}>{state.total} {state.total === 1 ? 'result' : 'results'}</div>
+      )}
+
+      <div className="search-results">
+        {state.results.map((m) => (
+          <button key={m._id || m.id} className="search-hit" onClick={() => onJump && onJump(m)}>
+            <div className="message-meta">
+              <div style={{ fontWeight: 700 }}>{m.from}</div>
+              <div>{where(m)}{m.parentId ? ' · thread' : ''} · {m.timestamp ? new Date(m.timestamp).toLocaleString() : ''}</div>
+            </div>
+            <div className="search-snippet">
+              {m.file && '📎 '}
+              <Highlighted text={m.snippet?.text} highlights={m.snippet?.highlights} />
+            </div>
+          </button>
+        ))}
+        {state.loading && <div className="loading-top"><div className="spinner" /> Searching…</div>}
+        {state.hasMore && !state.loading && (
+          <button className="btn btn-ghost btn--small" onClick={() => run(state.results.length)}>Load more</button>
+        )}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import MessageText from './MessageText';
+
+// side panel showing a thread root and its replies; replies never enter the main timeline
+export default function ThreadPanel({ root, replies = [], loading = false, myId, onSend, onClose }) {
+  const [text, setText] = useState('');
+
+  const submit = (e) => {
+    e && e.preventDefault();
+    const val = text.trim();
+    if (!val || !root) return;
+    onSend && onSend(root._id || root.id, val);
+    setText('');
+  };
+
+  const formatTime = (ts) => {
+    try { return new Date(ts || Date.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }); }
+    catch { return ''; }
+  };
+
+  if (!root) return null;
+
+  return (
+    <aside className="thread-panel">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+        <div style={{ fontWeight: 700 }}>Thread</div>
+        <button className="btn btn-ghost btn--small" onClick={onClose}>Close</button>
+      </div>
+
+      <div className="thread-root">
+        <div className="message-meta">
+          <div style={{ fontWeight: 700 }}>{root.senderName || root.from}</div>
+          <div>{formatTime(root.timestamp)}</div>
+        </div>
+        <div><MessageText message={root} myId={myId} /></div>
+      </div>
+
+      <div className="kicker" style={{ margin: '8px 0' }}>
+        {replies.length} {replies.length === 1 ? 'reply' : 'replies'}
+      </div>
+
+      <div className="thread-replies">
+        {loading && <div className="loading-top"><div className="spinner" /> Loading thread…</div>}
+        {replies.map((r) => (
+          <div key={r._id || r.id} className="thread-reply">
+            <div className="message-meta">
+              <div style={{ fontWeight: 700 }}>{r.senderName || r.from}</div>
+              <div>{formatTime(r.timestamp)}</div>
+            </div>
+            <div><MessageText message={r} myId={myId} /></div>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={submit} className="composer">
+        <div className="input-box">
+          <input className="input-field" value={text} onChange={(e) => setText(e.target.value)} placeholder="Reply in thread..." />
+        </div>
+        <button type="submit" className="send-btn">Reply</button>
+      </form>
+    </aside>
+  );
+}
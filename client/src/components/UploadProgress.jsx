@@ -0,0 +1,32 @@
+import React from 'react';
+
+// uploads in flight above the composer: a bar per file with a cancel button, or why it failed
+export default function UploadProgress({ uploads, onCancel, onDismiss }) {
+  if (!uploads.length) return null;
+  return (
+    <div className="upload-list">
+      {uploads.map((u) => {
+        const share = u.size ? Math.round((u.sent / u.size) * 100) : 0;
+        return (
+          <div key={u.key} className={`upload-item${u.error ? ' upload-item--failed' : ''}`}>
+            <span className="upload-name">{u.name}</span>
+            {u.error ? (
+              <>
+                <span className="upload-error">{u.error}</span>
+                <button type="button" className="btn-ghost small" onClick={() => onDismiss(u.key)}>Dismiss</button>
+              </>
+            ) : (
+              <>
+                <span className="upload-bar" role="progressbar" aria-valuenow={share} aria-valuemin={0} aria-valuemax={100}>
+                  <span className="upload-bar-fill" style={{ width: `${share}%` }} />
+                </span>
+                <span className="upload-percent">{share}%</span>
+                <button type="button" className="btn-ghost small" onClick={() => onCancel(u.key)}>Cancel</button>
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+// A small syntax highlighter for fenced code blocks: comments, strings, numbers, keywords and
+// literals for the languages people paste most. It only splits the code into tokens
+// ({ type, text }, type null for plain text); components/Markdown.jsx renders them as spans.
+// Unknown languages come back as one plain token.
+
+const C_COMMENTS = ['//[^\\n]*', '/\\*[\\s\\S]*?(?:\\*/|$)'];
+const HASH_COMMENT = ['#[^\\n]*'];
+const QUOTES = ['"(?:[^"\\\\\\n]|\\\\.)*"?', "'(?:[^'\\\\\\n]|\\\\.)*'?"];
+const BACKTICK = ['`(?:[^`\\\\]|\\\\[\\s\\S])*`?'];
+
+const LANGUAGES = {
+  js: {
+    comments: C_COMMENTS,
+    strings: [...QUOTES, ...BACKTICK],
+    keywords: 'async await break case catch class const continue default delete do else export extends finally for from function if import in instanceof interface let new of return static super switch this throw try type typeof var void while yield',
+    literals: 'true false null undefined NaN Infinity'
+  },
+  python: {
+    comments: HASH_COMMENT,
+    strings: ['"""[\\s\\S]*?(?:"""|$)', "'''[\\s\\S]*?(?:'''|$)", ...QUOTES],
+    keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield',
+    literals: 'True False None'
+  },
+  clike: {
+    comments: C_COMMENTS,
+    strings: QUOTES,
+    keywords: 'auto bool boolean break case catch char chan class const continue default defer do double else enum extends final finally float fn for func go if impl implements import int interface let long match mod mut namespace new package private protected pub public return short static struct switch template this throw throws trait try type typename using var void while',
+    literals: 'true false null nullptr nil None'
+  },
+  shell: {
+    comments: HASH_COMMENT,
+    strings: QUOTES,
+    keywords: 'case cd do done echo elif else esac exit export fi for function if in local return then until while',
+    literals: 'true false'
+  },
+  sql: {
+    comments: ['--[^\\n]*', '/\\*[\\s\\S]*?(?:\\*/|$)'],
+    strings: QUOTES,
+    keywords: 'all alter and as asc by create delete desc distinct drop from group having in index inner insert into is join key left like limit not offset on or order outer primary right select set table union update values where',
+    literals: 'null true false',
+    ignoreCase: true
+  },
+  json: { comments: [], strings: QUOTES, keywords: '', literals: 'true false null' },
+  css: { comments: ['/\\*[\\s\\S]*?(?:\\*/|$)'], strings: QUOTES, keywords: '', literals: '' },
+  yaml: { comments: HASH_COMMENT, strings: QUOTES, keywords: '', literals: 'true false null yes no' }
+};
+
+const ALIASES = {
+  javascript: 'js', jsx: 'js', ts: 'js', tsx: 'js', typescript: 'js', mjs: 'js', cjs: 'js',
+  py: 'python',
+  c: 'clike', h: 'clike', cpp: 'clike', 'c++': 'clike', cs: 'clike', csharp: 'clike', java: 'clike', kotlin: 'clike',
+  go: 'clike', rust: 'clike', rs: 'clike', swift: 'clike', php: 'clike',
+  sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell',
+  scss: 'css', yml: 'yaml'
+};
+
+const NUMBER = '\\b(?:0x[0-9a-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b';
+const words = (list) => (list ? `\\b(?:${list.split(' ').join('|')})\\b` : null);
+
+// one regex per language, compiled on first use; each group is a token type
+const compiled = new Map();
+function patternFor(name) {
+  if (!compiled.has(name)) {
+    const lang = LANGUAGES[name];
+    const groups = [
+      ['comment', lang.comments.join('|')],
+      ['string', lang.strings.join('|')],
+      ['number', NUMBER],
+      ['keyword', words(lang.keywords)],
+      ['literal', words(lang.literals)]
+    ].filter(([, source]) => source);
+    compiled.set(name, {
+      types: groups.map(([type]) => type),
+      re: new RegExp(groups.map(([, source]) => `(${source})`).join('|'), lang.ignoreCase ? 'gi' : 'g')
+    });
+  }
+  return compiled.get(name);
+}
+
+export function highlight(code, lang) {
+  const name = ALIASES[lang] || lang;
+  if (!LANGUAGES[name]) return [{ type: null, text: code }];
+  const { types, re } = patternFor(name);
+  const tokens = [];
+  let last = 0;
+  re.lastIndex = 0;
+  for (let m = re.exec(code); m; m = re.exec(code)) {
+    if (!m[0]) { re.lastIndex += 1; continue; }
+    if (m.index > last) tokens.push({ type: null, text: code.slice(last, m.index) });
+    tokens.push({ type: types[m.slice(1).findIndex((g) => g !== undefined)], text: m[0] });
+    last = m.index + m[0].length;
+  }
+  if (last < code.length) tokens.push({ type: null, text: code.slice(last) });
+  return tokens;
+}
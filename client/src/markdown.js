@@ -0,0 +1,216 @@
+// The Markdown subset messages use: **bold**, *italic* / _italic_, `inline code`, ``` fenced code
+// blocks (with a language for highlighting), [links](https://...) and bare URLs, - / 1. lists and
+// > blockquotes. Everything else, HTML included, stays literal text. The parser only builds plain
+// node objects; components/Markdown.jsx turns them into React elements, so nothing is ever handed to
+// the DOM as HTML.
+
+const MAX_DEPTH = 8; // nested quotes, lists and emphasis beyond this are left as text
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([\w+#.-]*)[^\n`]*$/;
+const QUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+const ESCAPABLE = /[\\`*_{}[\]()#+\-.!>~|]/;
+
+// a link target we are willing to render: http(s), mailto or a path on this server
+export function safeHref(url) {
+  const href = String(url || '').trim();
+  // browsers read `\` as `/` and drop tabs and newlines, so `/\evil.example` would leave this server
+  if (href.startsWith('/')) return /^\/(?!\/)[^\\\s]*$/.test(href) ? href : null;
+  try {
+    const parsed = new URL(href);
+    return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// where the run of `delim` opened at `from` closes, or -1; code spans in between are skipped
+function findClose(src, from, delim) {
+  const ch = delim[0];
+  for (let j = from; j < src.length; j++) {
+    if (src[j] === '\\') { j++; continue; }
+    if (src[j] === '`') {
+      const run = /^`+/.exec(src.slice(j))[0];
+      const end = src.indexOf(run, j + run.length);
+      if (end > 0) j = end + run.length - 1;
+      continue;
+    }
+    if (!src.startsWith(delim, j) || /\s/.test(src[j - 1])) continue;
+    // a single delimiter skips over doubled ones, which belong to a nested strong
+    if (delim.length === 1 && src[j + 1] === ch) { j++; continue; }
+    // _ only closes at the end of a word, so snake_case stays as it is
+    if (ch === '_' && /[\p{L}\p{N}]/u.test(src[j + delim.length] || '')) continue;
+    return j;
+  }
+  return -1;
+}
+
+/**
+ * Inline nodes for one paragraph: { type: 'text' | 'code', text }, { type: 'strong' | 'em', children },
+ * { type: 'link', href, children } and { type: 'br' }.
+ */
+export function parseInline(src, depth = 0, { links = true } = {}) {
+  const nodes = [];
+  let text = '';
+  const flush = () => {
+    if (text) nodes.push({ type: 'text', text });
+    text = '';
+  };
+  const push = (node) => {
+    flush();
+    nodes.push(node);
+  };
+
+  for (let i = 0; i < src.length;) {
+    const ch = src[i];
+    const rest = src.slice(i);
+
+    if (ch === '\\' && ESCAPABLE.test(src[i + 1] || '')) {
+      text += src[i + 1];
+      i += 2;
+      continue;
+    }
+    if (ch === '\n') {
+      push({ type: 'br' });
+      i += 1;
+      continue;
+    }
+    if (ch === '`') {
+      const run = /^`+/.exec(rest)[0];
+      const end = src.indexOf(run, i + run.length);
+      if (end > 0 && src[end + run.length] !== '`') {
+        const code = src.slice(i + run.length, end);
+        push({ type: 'code', text: /^ .* $/s.test(code) ? code.slice(1, -1) : code });
+        i = end + run.length;
+      } else {
+        text += run;
+        i += run.length;
+      }
+      continue;
+    }
+    if (links && ch === '[' && depth < MAX_DEPTH) {
+      const link = /^\[((?:[^[\]\\]|\\.)+)\]\(\s*<?([^\s()<>]+)>?\s*\)/.exec(rest);
+      if (link) {
+        const href = safeHref(link[2]);
+        const children = parseInline(link[1], depth + 1, { links: false });
+        flush();
+        // an unsafe target keeps only its label
+        nodes.push(...(href ? [{ type: 'link', href, children }] : children));
+        i += link[0].length;
+        continue;
+      }
+    }
+    if (links && (ch === '<' || ch === 'h') && !/[\p{L}\p{N}]/u.test(src[i - 1] || '')) {
+      const auto = /^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i.exec(rest) || /^((?:https?:\/\/)[^\s<]+)/i.exec(rest);
+      if (auto) {
+        // trailing punctuation ends the sentence, not the URL
+        const url = auto[0].startsWith('<') ? auto[1] : auto[1].replace(/[.,;:!?'")\]]+$/, '');
+        const href = safeHref(url);
+        if (href) {
+          push({ type: 'link', href, children: [{ type: 'text', text: url }] });
+          i += auto[0].startsWith('<') ? auto[0].length : url.length;
+          continue;
+        }
+      }
+    }
+    if ((ch === '*' || ch === '_') && depth < MAX_DEPTH) {
+      const delim = src[i + 1] === ch ? ch + ch : ch;
+      const opens = !/\s/.test(src[i + delim.length] || ' ') && (ch === '*' || !/[\p{L}\p{N}]/u.test(src[i - 1] || ''));
+      const close = opens ? findClose(src, i + delim.length + 1, delim) : -1;
+      if (close > 0) {
+        push({ type: delim.length === 2 ? 'strong' : 'em', children: parseInline(src.slice(i + delim.length, close), depth + 1, { links }) });
+        i = close + delim.length;
+        continue;
+      }
+      text += delim;
+      i += delim.length;
+      continue;
+    }
+    text += ch;
+    i += 1;
+  }
+  flush();
+  return nodes;
+}
+
+const isBlockStart = (line) => FENCE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+
+/**
+ * Block nodes: { type: 'paragraph', children }, { type: 'code', lang, code },
+ * { type: 'quote', children: blocks }, { type: 'list', ordered, start, items: [blocks] }.
+ */
+export function parseBlocks(text, depth = 0) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i += 1; continue; }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const marker = fence[1];
+      const body = [];
+      i += 1;
+      while (i < lines.length && !new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`).test(lines[i])) body.push(lines[i++]);
+      i += 1; // the closing fence (an unclosed block runs to the end)
+      blocks.push({ type: 'code', lang: fence[2].toLowerCase(), code: body.join('\n') });
+      continue;
+    }
+
+    if (QUOTE.test(line) && depth < MAX_DEPTH) {
+      const body = [];
+      while (i < lines.length && QUOTE.test(lines[i])) body.push(QUOTE.exec(lines[i++])[1]);
+      blocks.push({ type: 'quote', children: parseBlocks(body.join('\n'), depth + 1) });
+      continue;
+    }
+
+    const first = LIST_ITEM.exec(line);
+    if (first && depth < MAX_DEPTH) {
+      const ordered = /\d/.test(first[2]);
+      const items = [];
+      let current = null;
+      while (i < lines.length) {
+        const item = LIST_ITEM.exec(lines[i]);
+        if (item && item[1].length <= first[1].length + 1 && /\d/.test(item[2]) === ordered) {
+          current = [item[3]];
+          items.push(current);
+        } else if (current && /^\s{2,}\S/.test(lines[i])) {
+          // indented lines continue the item, nested lists included
+          current.push(lines[i].replace(/^\s{2,4}/, ''));
+        } else {
+          break;
+        }
+        i += 1;
+      }
+      blocks.push({
+        type: 'list',
+        ordered,
+        start: ordered ? parseInt(first[2], 10) : 1,
+        items: items.map((item) => parseBlocks(item.join('\n'), depth + 1))
+      });
+      continue;
+    }
+
+    const para = [line];
+    i += 1;
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) para.push(lines[i++]);
+    blocks.push({ type: 'paragraph', children: parseInline(para.join('\n'), depth) });
+  }
+  return blocks;
+}
+
+// one line for previews and notifications: block markers dropped, line breaks become spaces
+export function flatten(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .filter((line) => !FENCE.test(line))
+    .map((line) => line.replace(/^\s*(?:>\s?)+/, '').replace(LIST_ITEM, '$3').trim())
+    .filter(Boolean)
+    .join(' ');
+}
+
+const textOf = (nodes) => nodes.map((n) => (n.type === 'br' ? ' ' : n.text ?? textOf(n.children || []))).join('');
+
+// the text with all Markdown taken out, for places that cannot render it (browser notifications)
+export const plainText = (text) => textOf(parseInline(flatten(text)));
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { safeHref, parseInline, parseBlocks, flatten, plainText } from './markdown.js';
+
+describe('safeHref', () => {
+  it('keeps web and mail links and paths on this server', () => {
+    assert.equal(safeHref(' HTTPS://Example.com/a?b=1 '), 'https://example.com/a?b=1');
+    assert.equal(safeHref('mailto:ann@example.com'), 'mailto:ann@example.com');
+    assert.equal(safeHref('/uploads/report.pdf'), '/uploads/report.pdf');
+  });
+
+  it('refuses scripts, data, and paths a browser would take off-site', () => {
+    for (const href of ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', 'data:text/html,<b>x</b>', 'vbscript:x', '//evil.example',
+      '/\\evil.example', '/\\/evil.example', '/\t/evil.example', '/\n/evil.example', 'uploads/a.png', '', null]) {
+      assert.equal(safeHref(href), null, JSON.stringify(href));
+    }
+  });
+});
+
+describe('parseInline', () => {
+  it('reads emphasis, code and links, leaving snake_case alone', () => {
+    assert.deepEqual(parseInline('**bold** *it* `a*b*` snake_case_name'), [
+      { type: 'strong', children: [{ type: 'text', text: 'bold' }] },
+      { type: 'text', text: ' ' },
+      { type: 'em', children: [{ type: 'text', text: 'it' }] },
+      { type: 'text', text: ' ' },
+      { type: 'code', text: 'a*b*' },
+      { type: 'text', text: ' snake_case_name' }
+    ]);
+    assert.deepEqual(parseInline('[docs](https://example.com/docs)'), [
+      { type: 'link', href: 'https://example.com/docs', children: [{ type: 'text', text: 'docs' }] }
+    ]);
+  });
+
+  it('keeps HTML as text and an unsafe link\'s label only', () => {
+    assert.deepEqual(parseInline('<img src=x onerror=alert(1)>'), [{ type: 'text', text: '<img src=x onerror=alert(1)>' }]);
+    assert.deepEqual(parseInline('[click](javascript:alert)'), [{ type: 'text', text: 'click' }]);
+    assert.deepEqual(parseInline('[home](/\\evil.example)'), [{ type: 'text', text: 'home' }]);
+  });
+
+  it('links bare URLs without the sentence\'s punctuation', () => {
+    assert.deepEqual(parseInline('see https://example.com/a.'), [
+      { type: 'text', text: 'see ' },
+      { type: 'link', href: 'https://example.com/a', children: [{ type: 'text', text: 'https://example.com/a' }] },
+      { type: 'text', text: '.' }
+    ]);
+  });
+});
+
+describe('parseBlocks', () => {
+  it('reads fenced code, quotes and lists', () => {
+    const paragraph = (text) => ({ type: 'paragraph', children: [{ type: 'text', text }] });
+    assert.deepEqual(parseBlocks('```JS\nlet a = `**`;\n```\n> quoted\n1. one\n2. two'), [
+      { type: 'code', lang: 'js', code: 'let a = `**`;' },
+      { type: 'quote', children: [paragraph('quoted')] },
+      { type: 'list', ordered: true, start: 1, items: [[paragraph('one')], [paragraph('two')]] }
+    ]);
+  });
+
+  it('stops nesting at a bounded depth', () => {
+    const depth = (blocks) => (blocks[0]?.type === 'quote' ? 1 + depth(blocks[0].children) : 0);
+    assert.equal(depth(parseBlocks('>'.repeat(50) + ' deep')), 8);
+  });
+});
+
+describe('plain text', () => {
+  it('flattens blocks and drops the markup for previews', () => {
+    assert.equal(flatten('> quoted\n- item\n```\ncode\n```'), 'quoted item code');
+    assert.equal(plainText('**Deploy** to [prod](https://example.com) `now`'), 'Deploy to prod now');
+  });
+});
@@ -0,0 +1,120 @@
+// Offline outbox: room messages, reactions and message deletes made while the socket is down are kept
+// in IndexedDB, per signed-in user, so they survive a reload, and are sent in the order they were made
+// once the connection is back. Without IndexedDB (private browsing in some browsers) the queue lives in
+// memory for as long as the page does.
+
+const DB_NAME = "chat-outbox";
+const STORE = "ops";
+const ACK_TIMEOUT_MS = 10000;
+
+// what each kind of queued op is sent as. A message carries its clientMsgId, so sending it again after
+// a lost ack is harmless; a reaction toggles, so one whose ack was lost is not sent again.
+const KINDS = {
+  message: { event: "message" },
+  reaction: { event: "reaction", once: true },
+  delete: { event: "deleteMessage" },
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const done = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// the database, or null where IndexedDB can't be used
+async function openDb() {
+  if (typeof indexedDB === "undefined") return null;
+  try {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: "seq", autoIncrement: true });
+      store.createIndex("userId", "userId");
+    };
+    return await done(req);
+  } catch (err) {
+    console.warn("[outbox] IndexedDB unavailable, queueing in memory", err);
+    return null;
+  }
+}
+
+// emit `op` and resolve with its ack, or null when there was none in time
+function send(s, op) {
+  return new Promise((resolve) => {
+    s.timeout(ACK_TIMEOUT_MS).emit(KINDS[op.kind].event, op.payload, (err, ack) => resolve(err ? null : ack || {}));
+  });
+}
+
+/**
+ * The outbox of user `userId`. Ops are { seq, userId, kind: 'message' | 'reaction' | 'delete', payload,
+ * entry?, createdAt }, where `payload` is what the socket event takes and a message's `entry` is how it
+ * is shown until sent. `onChange(ops)` gets the whole queue, oldest first, after every change.
+ */
+export function createOutbox(userId, { onChange = () => {} } = {}) {
+  const db = openDb();
+  const memory = [];
+  let nextSeq = 1;
+  let flushing = null;
+
+  const tx = async (mode, fn) => {
+    const conn = await db;
+    return conn && done(fn(conn.transaction(STORE, mode).objectStore(STORE)));
+  };
+
+  const list = async () => {
+    if (!(await db)) return memory.slice();
+    return (await tx("readonly", (store) => store.index("userId").getAll(userId))).sort((a, b) => a.seq - b.seq);
+  };
+
+  const changed = async () => onChange(await list());
+
+  const remove = async (seq) => {
+    if (await db) await tx("readwrite", (store) => store.delete(seq));
+    else memory.splice(memory.findIndex((op) => op.seq === seq), 1);
+    await changed();
+  };
+
+  return {
+    list,
+    remove,
+
+    // queue `kind` with `payload`; resolves with the stored op
+    async add(kind, payload, entry) {
+      const op = { userId, kind, payload, ...(entry ? { entry } : {}), createdAt: new Date().toISOString() };
+      if (await db) op.seq = await tx("readwrite", (store) => store.add(op));
+      else {
+        op.seq = nextSeq++;
+        memory.push(op);
+      }
+      await changed();
+      return op;
+    },
+
+    /**
+     * Send the queue in order through `getSocket()`. Stops, leaving the rest queued, when the socket is
+     * down or an op gets no ack; waits out rate limits. Every answered op leaves the queue and goes to
+     * `onSent(op, ack)` or, when the server refused it, `onRefused(op, ack)`. Calls made while a flush
+     * is running join it.
+     */
+    flush(getSocket, { onSent = () => {}, onRefused = () => {} } = {}) {
+      if (flushing) return flushing;
+      flushing = (async () => {
+        for (;;) {
+          const [op] = await list();
+          const s = getSocket();
+          if (!op || !s || !s.connected) break;
+          const ack = await send(s, op);
+          if (ack && ack.error?.code === "rate_limited") {
+            await sleep(ack.retryAfterMs);
+            continue;
+          }
+          // no ack: stays queued for the next flush, unless sending it twice could undo it
+          if (!ack && !KINDS[op.kind].once) break;
+          await remove(op.seq);
+          if (ack) (ack.ok ? onSent : onRefused)(op, ack);
+        }
+      })().finally(() => { flushing = null; });
+      return flushing;
+    },
+  };
+}
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOutbox } from './outbox.js';
+
+// a socket stand-in that answers each emit with the next of `replies` (a function of the payload, or
+// undefined for no ack at all) and records what was sent
+function fakeSocket(replies = []) {
+  const s = {
+    connected: true,
+    sent: [],
+    timeout: () => s,
+    emit(event, payload, ack) {
+      s.sent.push([event, payload]);
+      const reply = replies.shift();
+      if (reply) ack(null, reply(payload));
+      else ack(new Error('operation has timed out'));
+    },
+  };
+  return s;
+}
+
+describe('outbox', () => {
+  it('queues ops per user, oldest first, and reports every change', async () => {
+    const seen = [];
+    const outbox = createOutbox('u1', { onChange: (ops) => seen.push(ops.map((op) => op.kind)) });
+    await outbox.add('message', { room: 'dev', content: 'hi', clientMsgId: 'c1' }, { content: 'hi' });
+    const reaction = await outbox.add('reaction', { messageId: 'm1', emoji: '👍' });
+    assert.deepEqual((await outbox.list()).map((op) => [op.seq, op.kind, op.userId]), [[1, 'message', 'u1'], [2, 'reaction', 'u1']]);
+    await outbox.remove(reaction.seq);
+    assert.deepEqual(seen, [['message'], ['message', 'reaction'], ['message']]);
+  });
+
+  it('sends the queue in order, telling sent ops from refused ones', async () => {
+    const outbox = createOutbox('u1');
+    await outbox.add('message', { content: 'one', clientMsgId: 'c1' });
+    await outbox.add('delete', { messageId: 'm1' });
+    await outbox.add('message', { room: 'gone', content: 'two', clientMsgId: 'c2' });
+    const s = fakeSocket([
+      () => ({ ok: true, id: 'm2' }),
+      () => ({ ok: true }),
+      () => ({ ok: false, error: { code: 'room_not_found', message: 'Room not found' } }),
+    ]);
+    const sent = [];
+    const refused = [];
+    await outbox.flush(() => s, {
+      onSent: (op, ack) => sent.push([op.kind, ack.id]),
+      onRefused: (op, ack) => refused.push([op.payload.content, ack.error.code]),
+    });
+    assert.deepEqual(s.sent.map(([event]) => event), ['message', 'deleteMessage', 'message']);
+    assert.deepEqual(sent, [['message', 'm2'], ['delete', undefined]]);
+    assert.deepEqual(refused, [['two', 'room_not_found']]);
+    assert.deepEqual(await outbox.list(), []);
+  });
+
+  it('keeps an unanswered message for the next flush, but not a reaction', async () => {
+    const outbox = createOutbox('u1');
+    await outbox.add('reaction', { messageId: 'm1', emoji: '👍' });
+    await outbox.add('message', { content: 'hi', clientMsgId: 'c1' });
+    await outbox.add('delete', { messageId: 'm1' });
+    const s = fakeSocket();
+    await outbox.flush(() => s);
+    assert.deepEqual((await outbox.list()).map((op) => op.kind), ['message', 'delete']);
+
+    // sent again with the same clientMsgId, so the server can tell it is a retry
+    const again = fakeSocket([(payload) => ({ ok: true, clientMsgId: payload.clientMsgId, duplicate: true }), () => ({ ok: true })]);
+    await outbox.flush(() => again);
+    assert.equal(again.sent[0][1].clientMsgId, 'c1');
+    assert.deepEqual(await outbox.list(), []);
+  });
+
+  it('waits out a rate limit, and leaves everything queued while disconnected', async () => {
+    const outbox = createOutbox('u1');
+    await outbox.add('message', { content: 'hi', clientMsgId: 'c1' });
+    await outbox.flush(() => null);
+    await outbox.flush(() => ({ ...fakeSocket(), connected: false }));
+    assert.equal((await outbox.list()).length, 1);
+
+    const s = fakeSocket([() => ({ ok: false, error: { code: 'rate_limited' }, retryAfterMs: 5 }), () => ({ ok: true })]);
+    const first = outbox.flush(() => s);
+    assert.equal(outbox.flush(() => s), first);
+    await first;
+    assert.equal(s.sent.length, 2);
+    assert.deepEqual(await outbox.list(), []);
+  });
+});
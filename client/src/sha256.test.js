@@ -0,0 +1,24 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { createSha256 } from './sha256.js';
+
+const reference = (bytes) => createHash('sha256').update(bytes).digest('hex');
+
+describe('createSha256', () => {
+  it('matches the standard digest for empty and padding-edge inputs', () => {
+    for (const size of [0, 1, 55, 56, 63, 64, 65, 1000]) {
+      const bytes = new Uint8Array(size).map((_, i) => (i * 31) % 256);
+      const h = createSha256();
+      h.update(bytes);
+      assert.equal(h.hex(), reference(bytes), `${size} bytes`);
+    }
+  });
+
+  it('gives the same digest however the bytes are split into chunks', () => {
+    const bytes = new TextEncoder().encode('resumable uploads hash a chunk at a time '.repeat(20));
+    const h = createSha256();
+    for (let at = 0; at < bytes.length; at += 37) h.update(bytes.subarray(at, at + 37));
+    assert.equal(h.hex(), reference(bytes));
+  });
+});
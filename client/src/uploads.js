@@ -0,0 +1,92 @@
+import { createSha256 } from "./sha256";
+
+// Resumable uploads over the socket (server: utils/uploads.js). The file is read a chunk at a time and
+// hashed as the server accepts it, so it is never held in memory whole. When the connection drops, the
+// upload waits for it to come back, asks the server how much arrived and carries on from there.
+
+const ACK_TIMEOUT_MS = 30000;
+const RECONNECT_WAIT_MS = 2 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// an upload error with the server's fields ({ error, max, ... }); `retry` when the connection was at fault
+const uploadError = (fields) => Object.assign(new Error(fields.error || "upload_failed"), fields);
+
+// the error of a failed ack ({ ok: false, error: { code, message }, ...details }), with `error` its code
+const ackFailure = (ack) => uploadError({ ...ack, error: ack.error?.code, message: ack.error?.message });
+
+function ask(getSocket, event, payload) {
+  return new Promise((resolve, reject) => {
+    const s = getSocket();
+    if (!s || !s.connected) return reject(uploadError({ error: "disconnected", retry: true }));
+    s.timeout(ACK_TIMEOUT_MS).emit(event, payload, (err, ack) => {
+      if (err) reject(uploadError({ error: "timeout", retry: true }));
+      else resolve(ack || {});
+    });
+  });
+}
+
+async function waitForConnection(getSocket, signal) {
+  const until = Date.now() + RECONNECT_WAIT_MS;
+  while (!getSocket()?.connected) {
+    if (signal?.aborted) throw uploadError({ error: "cancelled" });
+    if (Date.now() > until) throw uploadError({ error: "disconnected" });
+    await sleep(1000);
+  }
+}
+
+/**
+ * Upload `file`; resolves with the server's file ({ attachmentId, name, mime, size, sha256, url }) to send
+ * as a message's `file`. `onProgress(sent, total)` follows the bytes the server has; aborting `signal`
+ * cancels the upload on the server too. Rejects with an Error whose `error` is the server's code.
+ */
+export async function uploadFile(getSocket, file, { onProgress = () => {}, signal } = {}) {
+  const started = await ask(getSocket, "uploadStart", { name: file.name, mime: file.type, size: file.size });
+  if (!started.ok) throw ackFailure(started);
+  const { uploadId, maxChunkBytes } = started.upload;
+  const hash = createSha256();
+  let hashed = 0; // bytes fed to the hash; always <= what the server has
+  let offset = 0; // what the server has
+
+  try {
+    while (offset < file.size) {
+      if (signal?.aborted) throw uploadError({ error: "cancelled" });
+      const chunk = new Uint8Array(await file.slice(offset, offset + maxChunkBytes).arrayBuffer());
+      const sentAt = offset;
+      try {
+        const ack = await ask(getSocket, "uploadChunk", { uploadId, offset, data: chunk });
+        // over the server's rate limit: wait and send the same chunk again
+        if (ack.error?.code === "rate_limited") {
+          await sleep(ack.retryAfterMs);
+          continue;
+        }
+        if (!ack.ok && ack.error?.code !== "offset_mismatch") throw ackFailure(ack);
+        offset = ack.ok ? ack.upload.received : ack.received;
+      } catch (err) {
+        if (!err.retry) throw err;
+        await waitForConnection(getSocket, signal);
+        const status = await ask(getSocket, "uploadStatus", { uploadId });
+        if (!status.ok) throw ackFailure(status);
+        offset = status.upload.received;
+      }
+      // hash what the server now has: usually just this chunk, after a resume possibly more from the file
+      if (hashed === sentAt && offset === sentAt + chunk.length) {
+        hash.update(chunk);
+        hashed = offset;
+      }
+      while (hashed < offset) {
+        const part = new Uint8Array(await file.slice(hashed, Math.min(offset, hashed + maxChunkBytes)).arrayBuffer());
+        hash.update(part);
+        hashed += part.length;
+      }
+      onProgress(offset, file.size);
+    }
+    const done = await ask(getSocket, "uploadComplete", { uploadId, sha256: hash.hex() });
+    if (!done.ok) throw ackFailure(done);
+    return done.file;
+  } catch (err) {
+    // best effort; sessions the server never hears about again expire on their own
+    ask(getSocket, "uploadCancel", { uploadId }).catch(() => { /* ignore */ });
+    throw err;
+  }
+}
@@ -0,0 +1,170 @@
+// The slash commands every server starts with; see ./index.js for the command shape.
+const permissions = require('../utils/permissions');
+const roomAccess = require('../utils/roomAccess');
+const mentions = require('../utils/mentions');
+const roomMessages = require('../utils/roomMessages');
+const messageText = require('../utils/messageText');
+
+const MAX_TOPIC_LENGTH = 250;
+const MAX_POLL_OPTIONS = 10;
+const MAX_MUTE_MINUTES = 7 * 24 * 60;
+
+// a readable line for the error objects the shared flows return
+function explain(result) {
+  switch (result.error) {
+    case 'forbidden': return `That needs the ${result.required} role`;
+    case 'room_not_private': return 'Only private rooms take invitations; anyone can join this one';
+    case 'already_member': return 'They are already a member';
+    case 'not_found': return 'They are not in this room';
+    case 'muted': return result.until ? `You are muted here until ${new Date(result.until).toLocaleString()}` : 'You are muted here';
+    default: return result.error;
+  }
+}
+
+// post a message from the command's caller into its room, like the socket `message` event
+async function postAsCaller({ ctx, socket, room, user }, fields) {
+  const body = messageText.clean(fields.content);
+  if (body.error) return { ...body, message: body.max ? `Messages are limited to ${body.max} characters` : body.error };
+  const denied = await ctx.checkRoomPost(socket, room);
+  if (denied) return { ...denied, message: explain(denied) };
+  const message = await ctx.repos.messages.create({
+    from: user.userName,
+    fromId: String(user.userId),
+    room,
+    mentions: await mentions.parse(ctx, body.text, room),
+    timestamp: new Date(),
+    ...fields,
+    content: body.text
+  });
+  roomMessages.publish(ctx, message, { sender: user });
+  return { id: message._id, ts: message.timestamp };
+}
+
+// room members and the target's own sockets hear about moderation; io.to dedupes
+const toRoomAndUser = (ctx, room, userId) => ctx.io.to([room, ...(ctx.online.resolve(userId)?.sockets || [])]);
+
+module.exports = [
+  {
+    name: 'help',
+    description: 'List the commands you can use',
+    args: [],
+    async run({ ctx, reply }) {
+      reply(ctx.commands.list().map((c) => `${c.usage} — ${c.description}`).join('\n'));
+    }
+  },
+
+  {
+    name: 'me',
+    description: 'Post an action, e.g. /me waves',
+    args: [{ name: 'action', type: 'text' }],
+    run: (cmd) => postAsCaller(cmd, { content: cmd.args.action, subtype: 'me' })
+  },
+
+  {
+    name: 'topic',
+    description: 'Show the room topic, or set it (moderators)',
+    args: [{ name: 'topic', type: 'text', optional: true }],
+    roomOnly: true,
+    async run({ ctx, socket, room, roomDoc, args, reply }) {
+      if (!args.topic) {
+        reply(roomDoc.description ? `Topic: ${roomDoc.description}` : 'No topic set');
+        return { topic: roomDoc.description || '' };
+      }
+      const denied = permissions.check(roomDoc, socket.data.userId, 'room.topic');
+      if (denied) return { ...denied, message: explain(denied) };
+      const topic = args.topic.slice(0, MAX_TOPIC_LENGTH);
+      await ctx.repos.rooms.update(roomDoc._id, { description: topic });
+      await ctx.roomEvents.publish(room, 'roomUpdated', { roomId: roomDoc._id, topic, by: ctx.nameOf(socket) });
+      await ctx.broadcastRooms();
+      return { topic };
+    }
+  },
+
+  {
+    name: 'invite',
+    description: 'Invite someone to this private room',
+    args: [{ name: 'user', type: 'user' }],
+    roomOnly: true,
+    async run({ ctx, socket, roomDoc, args, reply }) {
+      const result = await roomAccess.invite(ctx, roomDoc, socket.data.userId, args.user.userId);
+      if (result.error) return { ...result, message: explain(result) };
+      reply(`Invited ${args.user.userName}`);
+      return { invited: args.user.userId };
+    }
+  },
+
+  {
+    name: 'kick',
+    description: 'Remove someone from this room (private rooms: their membership too)',
+    args: [{ name: 'user', type: 'user' }],
+    roomOnly: true,
+    permission: 'member.remove',
+    async run({ ctx, socket, room, roomDoc, args, reply }) {
+      const target = args.user;
+      if (roomDoc.isPrivate) {
+        const result = await roomAccess.revoke(ctx, roomDoc, socket.data.userId, target.userId);
+        if (result.error) return { ...result, message: explain(result) };
+      } else {
+        const denied = permissions.checkMemberRemoval(roomDoc, socket.data.userId, target.userId);
+        if (denied) return { ...denied, message: explain(denied) };
+        // a public room can be joined again; this only takes them out of it now
+        toRoomAndUser(ctx, room, target.userId).emit('roomAccessRevoked', { room, roomId: roomDoc._id, userId: target.userId, revoked: 'kick', by: socket.data.userId });
+        (ctx.online.resolve(target.userId)?.sockets || []).forEach((sid) => ctx.io.sockets.sockets.get(sid)?.leave(room));
+      }
+      ctx.log(`[kick] room:${room} user:${target.userId} by:${socket.data.userId}`);
+      reply(`Removed ${target.userName}`);
+      return { kicked: target.userId };
+    }
+  },
+
+  {
+    name: 'mute',
+    description: 'Stop someone posting here, for some minutes or until unmuted',
+    args: [{ name: 'user', type: 'user' }, { name: 'minutes', type: 'number', optional: true }],
+    roomOnly: true,
+    permission: 'member.mute',
+    async run({ ctx, socket, room, roomDoc, args, reply }) {
+      const target = args.user;
+      const denied = permissions.checkModeration(roomDoc, socket.data.userId, target.userId, 'member.mute');
+      if (denied) return { ...denied, message: explain(denied) };
+      const until = args.minutes ? new Date(Date.now() + Math.min(args.minutes, MAX_MUTE_MINUTES) * 60000) : null;
+      await ctx.repos.rooms.setMute(roomDoc._id, { userId: target.userId, until, by: socket.data.userId });
+      toRoomAndUser(ctx, room, target.userId).emit('muteUpdated', { room, userId: target.userId, muted: true, until, by: socket.data.userId });
+      reply(until ? `Muted ${target.userName} until ${until.toLocaleString()}` : `Muted ${target.userName}`);
+      return { muted: target.userId, until };
+    }
+  },
+
+  {
+    name: 'unmute',
+    description: 'Let a muted user post again',
+    args: [{ name: 'user', type: 'user' }],
+    roomOnly: true,
+    permission: 'member.mute',
+    async run({ ctx, socket, room, roomDoc, args, reply }) {
+      const target = args.user;
+      if (!permissions.activeMute(roomDoc, target.userId)) return { error: 'not_muted', message: `${target.userName} is not muted` };
+      await ctx.repos.rooms.clearMute(roomDoc._id, target.userId);
+      toRoomAndUser(ctx, room, target.userId).emit('muteUpdated', { room, userId: target.userId, muted: false, by: socket.data.userId });
+      reply(`Unmuted ${target.userName}`);
+      return { unmuted: target.userId };
+    }
+  },
+
+  {
+    name: 'poll',
+    description: 'Start a poll: /poll "Question?" "Option 1" "Option 2"',
+    args: [{ name: 'question', type: 'string' }, { name: 'options', type: 'list' }],
+    async run(cmd) {
+      const options = Array.from(new Set(cmd.args.options.map((o) => o.trim()).filter(Boolean)));
+      if (options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+        return { error: 'invalid_args', message: `A poll needs 2 to ${MAX_POLL_OPTIONS} different options` };
+      }
+      return postAsCaller(cmd, {
+        content: cmd.args.question,
+        subtype: 'poll',
+        poll: { question: cmd.args.question, options: options.map((text) => ({ text, votes: [] })), closed: false }
+      });
+    }
+  }
+];
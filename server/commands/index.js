@@ -0,0 +1,161 @@
+// Slash commands: `/name args...` typed in a room is run here by the `command` socket event instead
+// of being posted as text. Each command is a plain object registered on the registry:
+//
+//   {
+//     name: 'mute',                      // lower case; typed as /mute
+//     aliases: ['silence'],              // optional
+//     description: 'Stop someone posting here',
+//     args: [{ name: 'user', type: 'user' }, { name: 'minutes', type: 'number', optional: true }],
+//     roomOnly: true,                    // needs a room document (not the global room); optional
+//     permission: 'member.mute',         // a utils/permissions action checked before run; optional
+//     async run(cmd) { ... }             // see `run` below for what `cmd` holds
+//   }
+//
+// Argument types: `string` (one word, or "a quoted phrase"), `number`, `user` (@name, a username or
+// user id; resolved to { userId, userName }), `list` (every remaining word or phrase) and `text` (the
+// rest of the line as typed). Plugins add commands with `registry.register(...)`, or through
+// `createServer({ commands: [...] })`.
+const permissions = require('../utils/permissions');
+const conversations = require('../utils/conversations');
+
+const NAME = /^[a-z][a-z0-9_-]{0,31}$/;
+const ARG_TYPES = ['string', 'number', 'user', 'list', 'text'];
+
+// split on whitespace, keeping "double quoted" phrases together; each token remembers where it ended
+function tokenize(line) {
+  const tokens = [];
+  const re = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(line))) {
+    tokens.push({ value: m[1] !== undefined ? m[1].replace(/\\(.)/g, '$1') : m[2], end: re.lastIndex });
+  }
+  return tokens;
+}
+
+// a reply only the caller sees; never stored
+const ephemeralMessage = (room, command, content, extra = {}) => ({
+  id: `eph-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  room,
+  command,
+  content,
+  ephemeral: true,
+  timestamp: new Date(),
+  ...extra
+});
+
+// `/mute <user> [minutes]`
+const usageOf = (def) => [`/${def.name}`, ...(def.args || []).map((a) => {
+  const label = a.type === 'list' ? `${a.name}...` : a.name;
+  return a.optional ? `[${label}]` : `<${label}>`;
+})].join(' ');
+
+/**
+ * `{ args }` for the text after the command name, or `{ error }` with a message for the caller.
+ * User arguments are resolved against online users, then the profile directory.
+ */
+async function parseArgs(deps, def, line) {
+  const tokens = tokenize(line);
+  const args = {};
+  let next = 0;
+  for (const spec of def.args || []) {
+    const missing = () => ({ error: 'invalid_args', message: `Usage: ${usageOf(def)}` });
+    if (spec.type === 'text') {
+      const start = next ? tokens[next - 1].end : 0;
+      const text = line.slice(start).trim();
+      if (!text && !spec.optional) return missing();
+      args[spec.name] = text || null;
+      next = tokens.length;
+    } else if (spec.type === 'list') {
+      args[spec.name] = tokens.slice(next).map((t) => t.value);
+      if (!args[spec.name].length && !spec.optional) return missing();
+      next = tokens.length;
+    } else {
+      const token = tokens[next];
+      if (!token) {
+        if (!spec.optional) return missing();
+        args[spec.name] = null;
+        continue;
+      }
+      next += 1;
+      if (spec.type === 'number') {
+        const n = Number(token.value);
+        if (!Number.isFinite(n) || n <= 0) return { error: 'invalid_args', message: `${spec.name} must be a positive number` };
+        args[spec.name] = n;
+      } else if (spec.type === 'user') {
+        const who = await conversations.resolveRecipient(deps, token.value.replace(/^@/, ''));
+        if (!who) return { error: 'unknown_user', message: `No user called ${token.value}` };
+        args[spec.name] = who;
+      } else {
+        args[spec.name] = token.value;
+      }
+    }
+  }
+  if (next < tokens.length) return { error: 'invalid_args', message: `Usage: ${usageOf(def)}` };
+  return { args };
+}
+
+function createCommandRegistry() {
+  const commands = new Map(); // name or alias -> definition
+
+  // add a command; `replace` lets a plugin override a built-in of the same name
+  function register(def, { replace = false } = {}) {
+    if (!def || !NAME.test(def.name || '')) throw new Error(`Invalid command name: ${def && def.name}`);
+    if (typeof def.run !== 'function') throw new Error(`Command /${def.name} needs a run function`);
+    const bad = (def.args || []).find((a) => !ARG_TYPES.includes(a.type));
+    if (bad) throw new Error(`Command /${def.name}: unknown argument type ${bad.type}`);
+    if (def.permission && !permissions.REQUIRED_ROLE[def.permission]) throw new Error(`Command /${def.name}: unknown permission ${def.permission}`);
+    const names = [def.name, ...(def.aliases || [])];
+    const taken = names.find((n) => commands.has(n));
+    if (taken && !replace) throw new Error(`Command /${taken} is already registered`);
+    if (replace) unregister(def.name);
+    names.forEach((n) => commands.set(n, def));
+    return def;
+  }
+
+  function unregister(name) {
+    const def = commands.get(name);
+    if (!def) return false;
+    [def.name, ...(def.aliases || [])].forEach((n) => commands.delete(n));
+    return true;
+  }
+
+  const get = (name) => commands.get(String(name).toLowerCase()) || null;
+
+  // what clients autocomplete from: one entry per command, by name
+  const list = () => Array.from(new Set(commands.values()))
+    .map((def) => ({ name: def.name, aliases: def.aliases || [], description: def.description || '', usage: usageOf(def) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  /**
+   * Run the command line `text` ("/name args...") for `socket` in `room`. The command gets
+   * { ctx, socket, user, room, roomDoc, args, reply } where `reply(content)` sends an ephemeral
+   * message to this socket only. Returns { ok: true, command, ...what run returned } or { ok: false, error, message }.
+   */
+  async function run(ctx, socket, { room, text }) {
+    const match = /^\/(\S+)\s*([\s\S]*)$/.exec(typeof text === 'string' ? text.trim() : '');
+    if (!match) return { ok: false, error: 'invalid_command', message: 'Commands start with /' };
+    const def = get(match[1]);
+    if (!def) return { ok: false, error: 'unknown_command', message: `Unknown command /${match[1]}. Try /help` };
+
+    const roomName = room || ctx.GLOBAL_ROOM;
+    const fail = (result) => ({ ok: false, command: def.name, ...result });
+    const denied = await ctx.checkRoomAccess(socket, roomName);
+    if (denied) return fail({ ...denied, message: 'You cannot use commands in this room' });
+    const roomDoc = roomName === ctx.GLOBAL_ROOM ? null : await ctx.repos.rooms.findByName(roomName);
+    if (def.roomOnly && !roomDoc) return fail({ error: 'room_required', message: `/${def.name} only works in rooms other than global` });
+    if (def.permission) {
+      const forbidden = permissions.check(roomDoc, socket.data.userId, def.permission);
+      if (forbidden) return fail({ ...forbidden, message: `/${def.name} needs the ${forbidden.required} role` });
+    }
+    const parsed = await parseArgs(ctx, def, match[2]);
+    if (parsed.error) return fail(parsed);
+
+    const reply = (content) => socket.emit('ephemeralMessage', ephemeralMessage(roomName, def.name, content));
+    const result = (await def.run({ ctx, socket, user: ctx.userOf(socket), room: roomName, roomDoc, args: parsed.args, reply })) || {};
+    return result.error ? fail(result) : { ok: true, command: def.name, ...result };
+  }
+
+  return { register, unregister, get, list, run };
+}
+
+module.exports = { createCommandRegistry, ephemeralMessage, tokenize, parseArgs, usageOf };
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../repositories');
+const { createOnlineUsers } = require('../socket/online');
+const { createCommandRegistry, tokenize, parseArgs, usageOf } = require('.');
+
+const noop = async () => {};
+
+describe('command parsing', () => {
+  it('splits on whitespace, keeping quoted phrases together', () => {
+    assert.deepEqual(tokenize('"Lunch at 1?" pizza "hot \\"soup\\""').map((t) => t.value), ['Lunch at 1?', 'pizza', 'hot "soup"']);
+  });
+
+  it('describes a command\'s arguments', () => {
+    assert.equal(usageOf({ name: 'mute', args: [{ name: 'user', type: 'user' }, { name: 'minutes', type: 'number', optional: true }] }), '/mute <user> [minutes]');
+    assert.equal(usageOf({ name: 'poll', args: [{ name: 'question', type: 'string' }, { name: 'options', type: 'list' }] }), '/poll <question> <options...>');
+  });
+
+  it('parses typed arguments, resolving users', async () => {
+    const repos = createRepositories({ driver: 'memory' });
+    await repos.users.touchProfile({ userId: 'u2', userName: 'bob' });
+    const deps = { repos, online: createOnlineUsers() };
+    const mute = { name: 'mute', args: [{ name: 'user', type: 'user' }, { name: 'minutes', type: 'number', optional: true }] };
+
+    assert.deepEqual(await parseArgs(deps, mute, '@bob 5'), { args: { user: { userId: 'u2', userName: 'bob' }, minutes: 5 } });
+    assert.deepEqual((await parseArgs(deps, mute, 'bob')).args.minutes, null);
+    assert.equal((await parseArgs(deps, mute, '@nobody')).error, 'unknown_user');
+    assert.equal((await parseArgs(deps, mute, 'bob soon')).error, 'invalid_args');
+    assert.equal((await parseArgs(deps, mute, 'bob 5 extra')).message, 'Usage: /mute <user> [minutes]');
+    assert.deepEqual(await parseArgs(deps, { name: 'me', args: [{ name: 'action', type: 'text' }] }, '  waves   "hi" '), { args: { action: 'waves   "hi"' } });
+  });
+});
+
+describe('command registry', () => {
+  it('registers commands and their aliases, refusing clashes and bad definitions', () => {
+    const registry = createCommandRegistry();
+    registry.register({ name: 'roll', aliases: ['dice'], description: 'Roll a die', run: noop });
+    assert.equal(registry.get('DICE').name, 'roll');
+    assert.deepEqual(registry.list(), [{ name: 'roll', aliases: ['dice'], description: 'Roll a die', usage: '/roll' }]);
+
+    assert.throws(() => registry.register({ name: 'dice', run: noop }), /already registered/);
+    assert.throws(() => registry.register({ name: 'Bad Name', run: noop }), /Invalid command name/);
+    assert.throws(() => registry.register({ name: 'x', args: [{ name: 'a', type: 'date' }], run: noop }), /unknown argument type/);
+    assert.throws(() => registry.register({ name: 'x', permission: 'room.explode', run: noop }), /unknown permission/);
+
+    registry.register({ name: 'roll', run: noop }, { replace: true });
+    assert.equal(registry.get('dice'), null);
+    assert.equal(registry.unregister('roll'), true);
+    assert.deepEqual(registry.list(), []);
+  });
+
+  it('runs a command with its parsed arguments and reports failures', async () => {
+    const repos = createRepositories({ driver: 'memory' });
+    const emitted = [];
+    const socket = { data: { userId: 'u1' }, emit: (event, payload) => emitted.push({ event, payload }) };
+    const ctx = {
+      repos,
+      GLOBAL_ROOM: 'global',
+      checkRoomAccess: async () => null,
+      userOf: () => ({ userId: 'u1', userName: 'ann' })
+    };
+    const registry = createCommandRegistry();
+    registry.register({
+      name: 'echo',
+      args: [{ name: 'text', type: 'text' }],
+      async run({ args, user, reply }) {
+        reply(`${user.userName}: ${args.text}`);
+        return { echoed: args.text };
+      }
+    });
+    registry.register({ name: 'topic', roomOnly: true, run: noop });
+
+    assert.deepEqual(await registry.run(ctx, socket, { text: '/echo hi there' }), { ok: true, command: 'echo', echoed: 'hi there' });
+    assert.deepEqual(emitted.map(({ event, payload }) => [event, payload.content, payload.ephemeral]), [['ephemeralMessage', 'ann: hi there', true]]);
+    assert.equal((await registry.run(ctx, socket, { text: '/nope' })).error, 'unknown_command');
+    assert.equal((await registry.run(ctx, socket, { text: 'echo' })).error, 'invalid_command');
+    assert.equal((await registry.run(ctx, socket, { text: '/echo' })).error, 'invalid_args');
+    assert.equal((await registry.run(ctx, socket, { text: '/topic' })).error, 'room_required');
+  });
+});
@@ -3,17 +3,36 @@ const dotenv = require('dotenv');
 
 dotenv.config();
 
-const connectDB = async () => {
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/chat-app';
+
+// connect with a few retries; never exits so the server keeps running and
+// /dbstatus can report the failure in development
+async function connectWithRetry(retries = 5, delayMs = 2000) {
+  for (let i = 0; i < retries; i++) {
     try {
-        await mongoose.connect(process.env.MONGO_URI, {
-            useNewUrlParser: true,
-            useUnifiedTopology: true,
-        });
-        console.log('MongoDB connected');
-    } catch (error) {
-        console.error('MongoDB connection failed:', error.message);
-        process.exit(1);
+      await mongoose.connect(MONGODB_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true
+      });
+      console.log('MongoDB connected');
+      return;
+    } catch (err) {
+      console.error(`MongoDB connection attempt ${i + 1} failed:`, err.message);
+      if (i < retries - 1) {
+        console.log(`Retrying in ${delayMs}ms...`);
+        await new Promise((r) => setTimeout(r, delayMs));
+      } else {
+        console.error('All MongoDB connection attempts failed.');
+      }
     }
-};
+  }
+}
+
+// 0 disconnected, 1 connected, 2 connecting, 3 disconnecting
+const STATE_NAMES = { 0: 'disconnected', 1: 'connected', 2: 'connecting', 3: 'disconnecting' };
+function connectionStatus() {
+  const state = mongoose.connection.readyState;
+  return { state, status: STATE_NAMES[state] || 'unknown' };
+}
 
-module.exports = connectDB;
\ No newline at end of file
+module.exports = { connectWithRetry, connectionStatus, disconnect: () => mongoose.disconnect() };
@@ -0,0 +1,59 @@
+const attachments = require('../utils/attachments');
+
+// storage and the file store come from the app (see createServer.js)
+const depsOf = (req) => ({ repos: req.app.get('repos'), fileStore: req.app.get('fileStore') });
+
+// shown in the page rather than downloaded (unless ?download=1)
+const INLINE_TYPES = /^(image|audio|video)\/|^application\/pdf$|^text\/plain$/;
+
+const contentDisposition = (kind, name) =>
+  `${kind}; filename="${name.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+
+// GET|HEAD /api/attachments/:id — the bytes, streamed; honours a single `Range: bytes=a-b` (206)
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const deps = depsOf(req);
+    const attachment = await deps.repos.attachments.findById(req.params.id);
+    if (!attachment) return res.status(404).json({ ok: false, error: 'not_found' });
+    const denied = await attachments.checkDownload(deps.repos, attachment, {
+      userId: req.clerkUser.id, userName: req.clerkUser.username
+    });
+    if (denied) return res.status(denied.error === 'not_found' ? 404 : 403).json({ ok: false, ...denied });
+
+    const etag = `"${attachment.sha256}"`;
+    const kind = INLINE_TYPES.test(attachment.mime) && req.query.download !== '1' ? 'inline' : 'attachment';
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, max-age=3600',
+      'Content-Disposition': contentDisposition(kind, attachment.name),
+      'Content-Type': attachment.mime,
+      ETag: etag,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    if (req.headers['if-none-match'] === etag) return res.status(304).end();
+
+    // a stale If-Range means the whole file
+    const ifRange = req.headers['if-range'];
+    const range = !ifRange || ifRange === etag ? attachments.parseRange(req.headers.range, attachment.size) : null;
+    if (range === false) return res.status(416).set('Content-Range', `bytes */${attachment.size}`).end();
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${attachment.size}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.set('Content-Length', String(attachment.size));
+    }
+    if (req.method === 'HEAD') return res.end();
+
+    const stream = deps.fileStore.get(attachment.key, range || {});
+    stream.on('error', (err) => {
+      console.error('downloadAttachment stream error:', err.message || err);
+      if (!res.headersSent) return res.status(err.code === 'ENOENT' ? 404 : 500).json({ ok: false, error: err.code === 'ENOENT' ? 'not_found' : 'server_error' });
+      return res.destroy(err);
+    });
+    res.on('close', () => stream.destroy());
+    return stream.pipe(res);
+  } catch (err) {
+    console.error('downloadAttachment error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
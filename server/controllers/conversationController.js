@@ -0,0 +1,66 @@
+const conversations = require('../utils/conversations');
+const unread = require('../utils/unread');
+const groups = require('../utils/groups');
+
+// storage comes from the repositories registered on the app (see repositories/)
+const reposOf = (req) => req.app.get('repos');
+const depsOf = (req) => ({ repos: reposOf(req), io: req.app.get('io'), online: req.app.get('online') });
+
+// the signed-in user; DMs follow user ids, names are kept for display
+const requesterOf = (req) => ({ userId: req.clerkUser?.id, userName: req.clerkUser?.username || req.clerkUser?.id });
+
+// GET /api/conversations — DM partners and groups with the last message and unread count, most recent first
+exports.listConversations = async (req, res) => {
+  try {
+    return res.json({ ok: true, conversations: await groups.listAllConversations(depsOf(req), requesterOf(req)) });
+  } catch (err) {
+    console.error('listConversations error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
+
+// GET /api/conversations/:userId/messages?before=|after=&limit=50 — cursor pages of a conversation
+// (`:userId` may also be a username)
+exports.getConversationMessages = async (req, res) => {
+  try {
+    const deps = depsOf(req);
+    const peer = await conversations.resolveRecipient(deps, req.params.userId);
+    if (!peer) return res.status(404).json({ ok: false, error: 'recipient_not_found' });
+    const { before, after, limit } = req.query;
+    const page = await conversations.loadConversation(deps.repos, requesterOf(req), peer.userId, { before, after, limit });
+    if (page.error) return res.status(400).json({ ok: false, error: page.error });
+    return res.json({ ok: true, ...page, userName: peer.userName });
+  } catch (err) {
+    console.error('getConversationMessages error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
+
+// POST /api/conversations/:userId/messages — send a DM (body: { content }); offline users get it on return
+exports.sendConversationMessage = async (req, res) => {
+  try {
+    const result = await conversations.sendDirect(depsOf(req), requesterOf(req), req.params.userId, req.body?.content);
+    if (result.error) return res.status(result.error === 'recipient_not_found' ? 404 : 400).json({ ok: false, error: result.error });
+    return res.status(201).json({ ok: true, message: result.message });
+  } catch (err) {
+    console.error('sendConversationMessage error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
+
+// POST /api/conversations/:userId/read — move your read cursor (body: { messageId })
+exports.markConversationRead = async (req, res) => {
+  try {
+    const deps = depsOf(req);
+    const peer = await conversations.resolveRecipient(deps, req.params.userId);
+    if (!peer) return res.status(404).json({ ok: false, error: 'recipient_not_found' });
+    const msg = req.body?.messageId ? await deps.repos.messages.findById(req.body.messageId) : null;
+    if (msg && ![msg.fromId, msg.toId].includes(String(peer.userId))) return res.status(400).json({ ok: false, error: 'wrong_conversation' });
+    const result = await unread.markRead(deps, requesterOf(req), null, req.body?.messageId);
+    if (result.error) return res.status(result.error === 'not_found' ? 404 : 400).json({ ok: false, error: result.error });
+    return res.json({ ok: true, conversation: result.conversation });
+  } catch (err) {
+    console.error('markConversationRead error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
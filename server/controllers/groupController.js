@@ -0,0 +1,76 @@
+const groups = require('../utils/groups');
+const unread = require('../utils/unread');
+
+// storage comes from the repositories registered on the app (see repositories/)
+const reposOf = (req) => req.app.get('repos');
+const depsOf = (req) => ({ repos: reposOf(req), io: req.app.get('io'), online: req.app.get('online') });
+
+// the signed-in user; groups follow user ids, names are kept for display
+const requesterOf = (req) => ({ userId: req.clerkUser?.id, userName: req.clerkUser?.username || req.clerkUser?.id });
+
+const statusOf = (error) => (error === 'forbidden' ? 403 : error === 'not_found' || error === 'recipient_not_found' ? 404 : 400);
+
+// run a group flow and answer with the caller's view of the group
+function groupFlow(name, flow, status = 200) {
+  return async (req, res) => {
+    try {
+      const deps = depsOf(req);
+      const result = await flow(deps, req);
+      if (result.error) return res.status(statusOf(result.error)).json({ ok: false, ...result });
+      const stillIn = groups.isParticipant(result.group, req.clerkUser?.id);
+      return res.status(status).json({ ok: true, conversation: stillIn ? await groups.summarize(deps, requesterOf(req), result.group) : null });
+    } catch (err) {
+      console.error(`${name} error:`, err);
+      return res.status(500).json({ ok: false, error: 'server_error' });
+    }
+  };
+}
+
+// POST /api/conversations/groups — body: { name?, participants: [userId | username] }
+exports.createGroup = groupFlow('createGroup', (deps, req) => groups.create(deps, requesterOf(req), req.body || {}), 201);
+// PATCH /api/conversations/groups/:id — body: { name }
+exports.renameGroup = groupFlow('renameGroup', (deps, req) => groups.rename(deps, requesterOf(req), req.params.id, req.body?.name));
+// POST /api/conversations/groups/:id/members — body: { userId }
+exports.addMember = groupFlow('addMember', (deps, req) => groups.addParticipant(deps, requesterOf(req), req.params.id, req.body?.userId));
+// DELETE /api/conversations/groups/:id/members/:userId — yourself to leave
+exports.removeMember = groupFlow('removeMember', (deps, req) => groups.removeParticipant(deps, requesterOf(req), req.params.id, req.params.userId));
+
+// GET /api/conversations/groups/:id/messages?before=|after=&limit=50
+exports.getGroupMessages = async (req, res) => {
+  try {
+    const { before, after, limit } = req.query;
+    const page = await groups.loadGroupHistory(reposOf(req), requesterOf(req), req.params.id, { before, after, limit });
+    if (page.error) return res.status(statusOf(page.error)).json({ ok: false, ...page });
+    return res.json({ ok: true, ...page });
+  } catch (err) {
+    console.error('getGroupMessages error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
+
+// POST /api/conversations/groups/:id/messages — body: { content }
+exports.sendGroupMessage = async (req, res) => {
+  try {
+    const result = await groups.send(depsOf(req), requesterOf(req), req.params.id, req.body?.content);
+    if (result.error) return res.status(statusOf(result.error)).json({ ok: false, ...result });
+    return res.status(201).json({ ok: true, message: result.message });
+  } catch (err) {
+    console.error('sendGroupMessage error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
+
+// POST /api/conversations/groups/:id/read — move your read cursor (body: { messageId })
+exports.markGroupRead = async (req, res) => {
+  try {
+    const deps = depsOf(req);
+    const msg = req.body?.messageId ? await deps.repos.messages.findById(req.body.messageId) : null;
+    if (msg && String(msg.conversationId) !== req.params.id) return res.status(400).json({ ok: false, error: 'wrong_conversation' });
+    const result = await unread.markRead(deps, requesterOf(req), null, req.body?.messageId);
+    if (result.error) return res.status(statusOf(result.error)).json({ ok: false, ...result });
+    return res.json({ ok: true, conversation: result.conversation });
+  } catch (err) {
+    console.error('markGroupRead error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
@@ -0,0 +1,80 @@
+const integrations = require('../utils/integrations');
+const { sendRateLimited } = require('../middleware/rateLimit');
+
+// storage comes from the repositories registered on the app (see repositories/)
+const reposOf = (req) => req.app.get('repos');
+
+// what posting needs to broadcast, notify and fire outgoing webhooks (see utils/roomMessages)
+const depsOf = (req) => ({
+  repos: reposOf(req),
+  io: req.app.get('io'),
+  online: req.app.get('online'),
+  presence: req.app.get('presence'),
+  webhooks: req.app.get('webhooks'),
+  roomEvents: req.app.get('roomEvents')
+});
+
+const statusOf = (result) => {
+  if (result.error === 'forbidden') return 403;
+  if (result.error === 'not_found' || result.error === 'room_not_found') return 404;
+  if (result.error === 'content_too_long') return 413;
+  return 400;
+};
+
+// run a management flow against the room in :roomId on behalf of the caller
+const integrationFlow = (name, flow, successStatus = 200) => async (req, res) => {
+  try {
+    const room = await reposOf(req).rooms.findByIdOrName(req.params.roomId);
+    if (!room) return res.status(404).json({ ok: false, error: 'room_not_found' });
+    const result = await flow(reposOf(req), room, req.clerkUser?.id, req);
+    if (result.error) return res.status(statusOf(result)).json({ ok: false, ...result });
+    return res.status(successStatus).json({ ok: true, ...result });
+  } catch (err) {
+    console.error(`${name} error:`, err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
+
+// GET /api/rooms/:roomId/integrations — the room's incoming webhooks and bots (admins and up)
+exports.listIntegrations = integrationFlow('listIntegrations', (repos, room, actorId) => integrations.list(repos, room, actorId));
+
+// POST /api/rooms/:roomId/integrations — body: { kind: 'webhook' | 'bot', name, avatarUrl? };
+// the response carries the token (and a webhook's URL), shown only here
+exports.createIntegration = integrationFlow('createIntegration', (repos, room, actorId, req) => integrations.create(repos, room, actorId, req.body || {}), 201);
+
+// DELETE /api/rooms/:roomId/integrations/:integrationId — revoke its token
+exports.deleteIntegration = integrationFlow('deleteIntegration', async (repos, room, actorId, req) => {
+  const result = await integrations.remove(repos, room, actorId, req.params.integrationId);
+  if (result.deleted) req.app.get('integrationLimiter')?.reset(result.id);
+  return result;
+});
+
+/**
+ * Post as `integration` with the request body, within its token's rate limit.
+ * Answers 201 { ok, message }, or 429 { ok: false, error: 'rate_limited', retryAfterMs } with Retry-After.
+ */
+async function postAsIntegration(req, res, integration) {
+  try {
+    const limit = req.app.get('integrationLimiter')?.take(String(integration._id));
+    if (limit && !limit.ok) return sendRateLimited(res, limit.retryAfterMs);
+    const result = await integrations.post(depsOf(req), integration, req.body || {});
+    if (result.error) return res.status(statusOf(result)).json({ ok: false, ...result });
+    return res.status(201).json({ ok: true, message: result.message });
+  } catch (err) {
+    console.error('postAsIntegration error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
+exports.postAsIntegration = postAsIntegration;
+
+// POST /api/hooks/:token — an incoming webhook; the token in the URL is the only credential
+exports.postIncomingWebhook = async (req, res) => {
+  try {
+    const integration = await integrations.authenticate(reposOf(req), req.params.token, 'webhook');
+    if (!integration) return res.status(404).json({ ok: false, error: 'not_found' });
+    return postAsIntegration(req, res, integration);
+  } catch (err) {
+    console.error('postIncomingWebhook error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
@@ -1,12 +1,62 @@
-const Message = require('../models/Message');
-const Room = require('../models/Room');
+const permissions = require('../utils/permissions');
+const roomAccess = require('../utils/roomAccess');
+const messageEdits = require('../utils/messageEdits');
+const { parseQuery, snippet } = require('../utils/search');
+const { loadHistory } = require('../utils/history');
+const conversations = require('../utils/conversations');
+const mentions = require('../utils/mentions');
+const roomMessages = require('../utils/roomMessages');
+const messageText = require('../utils/messageText');
+const attachments = require('../utils/attachments');
+const validate = require('../utils/validate');
+const { errorReply } = require('../utils/errors');
+const schemas = require('../schemas');
+const { postAsIntegration } = require('./integrationController');
+
+// storage comes from the repositories registered on the app (see repositories/)
+const reposOf = (req) => req.app.get('repos');
+
+// what the shared utils need from the app (see utils/messageEdits, utils/mentions, utils/roomMessages, utils/attachments)
+const depsOf = (req) => ({
+  repos: reposOf(req),
+  io: req.app.get('io'),
+  online: req.app.get('online'),
+  presence: req.app.get('presence'),
+  webhooks: req.app.get('webhooks'),
+  roomEvents: req.app.get('roomEvents'),
+  fileStore: req.app.get('fileStore')
+});
+
+// check a request body against one of schemas.rest: null when it passes, otherwise the response sent,
+// a 400 (413 for over-long content) with the same structured error as socket acks
+const rejectBody = (res, schema, body) => {
+  const checked = validate.check(schema, body);
+  if (!checked.error) return null;
+  return res.status(checked.error === 'content_too_long' ? 413 : 400).json(errorReply(checked));
+};
+
+// who is asking: rooms are guarded by user id, DMs are addressed by name
+const requesterOf = (req) => ({ userId: req.clerkUser?.id, userName: req.clerkUser?.username || req.clerkUser?.id });
+
+// REST status and message for each error of utils/messageEdits
+const EDIT_ERRORS = {
+  content_required: [400, 'content is required'],
+  not_found: [404, 'Message not found'],
+  not_authorized: [403, 'Not authorized to edit this message'],
+  not_editable: [400, 'Message is not editable']
+};
 
 exports.getMessages = async (req, res) => {
   try {
     const { room, limit = 100 } = req.query;
-    const query = room ? { room } : {};
-    const messages = await Message.find(query).sort({ timestamp: 1 }).limit(parseInt(limit, 10));
-    res.json(messages);
+    const repos = reposOf(req);
+    // private rooms are readable by members only
+    const denied = await roomAccess.checkRoomRead(repos, room, req.clerkUser?.id);
+    if (denied) return res.status(403).json(denied);
+    // thread replies are loaded separately via /:id/thread
+    const messages = await repos.messages.list({ room, limit: parseInt(limit, 10) });
+    const hidden = room ? new Set() : await roomAccess.hiddenRooms(repos, req.clerkUser?.id);
+    res.json(messages.filter((m) => !hidden.has(m.room)));
   } catch (err) {
     console.error('getMessages error:', err);
     res.status(500).json({ error: 'Failed to fetch messages' });
@@ -15,8 +65,10 @@ exports.getMessages = async (req, res) => {
 
 exports.getMessageById = async (req, res) => {
   try {
-    const msg = await Message.findById(req.params.id);
+    const msg = await reposOf(req).messages.findById(req.params.id);
     if (!msg) return res.status(404).json({ error: 'Message not found' });
+    const denied = await roomAccess.checkMessageRead(reposOf(req), msg, requesterOf(req));
+    if (denied) return res.status(403).json(denied);
     res.json(msg);
   } catch (err) {
     console.error('getMessageById error:', err);
@@ -24,14 +76,160 @@ exports.getMessageById = async (req, res) => {
   }
 };
 
+// load a thread: the root message plus its replies, oldest first
+exports.getThread = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '200', 10), 500);
+    const { messages } = reposOf(req);
+    const root = await messages.findById(req.params.id);
+    if (!root) return res.status(404).json({ error: 'Message not found' });
+    if (root.parentId) return res.status(400).json({ error: 'Message is a reply, not a thread root', parentId: root.parentId });
+    const denied = await roomAccess.checkMessageRead(reposOf(req), root, requesterOf(req));
+    if (denied) return res.status(403).json(denied);
+    const replies = await messages.listReplies(root._id, { limit });
+    res.json({ root, replies });
+  } catch (err) {
+    console.error('getThread error:', err);
+    res.status(500).json({ error: 'Failed to fetch thread' });
+  }
+};
+
+// GET /api/messages/history?room=&before=<cursor>|after=<cursor>|around=<messageId>&limit=50
+// Cursor pages of a room's timeline (see utils/history); private rooms need a member's token.
+exports.getHistory = async (req, res) => {
+  try {
+    const { room, before, after, around, limit } = req.query;
+    const repos = reposOf(req);
+    const page = await loadHistory(repos, { room: around ? room : room || 'global', before, after, around, limit });
+    if (page.error) return res.status(page.error === 'not_found' ? 404 : 400).json({ ok: false, error: page.error });
+    const denied = await roomAccess.checkRoomRead(repos, page.room, req.clerkUser?.id);
+    if (denied) return res.status(403).json({ ok: false, ...denied });
+    return res.json({ ok: true, ...page });
+  } catch (err) {
+    console.error('getHistory error:', err);
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
+
+// parse an optional date query param (ISO string or epoch ms); undefined when absent, null when invalid
+const dateParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const d = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+// GET /api/messages/search?q=&room=&from=&since=&until=&hasAttachment=&sort=&limit=&offset=
+// Full-text search limited to what the requester may read; each result carries a highlighted snippet.
+exports.searchMessages = async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    if (!q) return res.status(400).json({ ok: false, error: 'query param `q` required' });
+    const since = dateParam(req.query.since);
+    const until = dateParam(req.query.until);
+    if (since === null || until === null) return res.status(400).json({ ok: false, error: 'invalid date' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+    const { hasAttachment } = req.query;
+
+    const repos = reposOf(req);
+    const requester = requesterOf(req);
+    const room = req.query.room || undefined;
+    const denied = await roomAccess.checkRoomRead(repos, room, requester.userId);
+    if (denied) return res.status(403).json({ ok: false, ...denied });
+
+    const { results, total } = await repos.messages.search(q, {
+      room,
+      excludeRooms: room ? [] : Array.from(await roomAccess.hiddenRooms(repos, requester.userId)),
+      from: req.query.from || undefined,
+      since,
+      until,
+      hasAttachment: hasAttachment === undefined || hasAttachment === '' ? undefined : hasAttachment === 'true',
+      // DMs and groups the requester is a party to (see roomAccess.checkMessageRead)
+      participant: {
+        ...requester,
+        groupIds: requester.userId ? (await repos.groups.listForUser(requester.userId)).map((g) => String(g._id)) : []
+      },
+      sort: req.query.sort === 'recent' ? 'recent' : 'relevance',
+      limit,
+      offset
+    });
+
+    const terms = parseQuery(q);
+    return res.json({
+      ok: true,
+      results: results.map((m) => ({ ...m, snippet: snippet(m.content || (m.file && m.file.name) || '', terms) })),
+      total,
+      offset,
+      limit,
+      hasMore: offset + results.length < total
+    });
+  } catch (err) {
+    console.error('searchMessages error:', err);
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
+
+// GET /api/messages/:id/context?before=10&after=10
+// A message with its neighbours, for jumping to a search hit. Replies are shown in their
+// thread, so their context is the root's and `threadRootId` tells the client to open it.
+exports.getMessageContext = async (req, res) => {
+  try {
+    const clamp = (v) => Math.min(Math.max(parseInt(v || '10', 10) || 0, 0), 50);
+    const { messages } = reposOf(req);
+    const msg = await messages.findById(req.params.id);
+    if (!msg) return res.status(404).json({ error: 'Message not found' });
+    const denied = await roomAccess.checkMessageRead(reposOf(req), msg, requesterOf(req));
+    if (denied) return res.status(403).json(denied);
+
+    const anchor = msg.parentId ? await messages.findById(msg.parentId) : msg;
+    if (!anchor) return res.status(404).json({ error: 'Message not found' });
+    const { before, after } = await messages.listAround(anchor, { before: clamp(req.query.before), after: clamp(req.query.after) });
+    res.json({
+      message: msg,
+      room: anchor.private ? null : anchor.room,
+      threadRootId: msg.parentId ? anchor._id : null,
+      messages: [...before, anchor, ...after]
+    });
+  } catch (err) {
+    console.error('getMessageContext error:', err);
+    res.status(500).json({ error: 'Failed to fetch message context' });
+  }
+};
+
+// POST /api/messages as a signed-in user, or as a bot token (`Authorization: Bot <token>`, see
+// utils/integrations). Room messages reach the room live, like those sent over a socket.
 exports.createMessage = async (req, res) => {
+  if (req.bot) return postAsIntegration(req, res, req.bot);
   try {
+    if (rejectBody(res, schemas.rest.createMessage, req.body)) return;
     const { content, from, to = null, room = 'general', private: isPrivate = false } = req.body;
-    if (!content || !from) return res.status(400).json({ error: 'content and from are required' });
+    // DMs take the same path as the socket and /api/conversations: sent as the signed-in user,
+    // `to` is a user id or username, and both parties are notified
+    if (isPrivate) {
+      const sender = requesterOf(req);
+      if (!sender.userId) return res.status(401).json({ error: 'Authentication required' });
+      const result = await conversations.sendDirect(depsOf(req), sender, to, content);
+      if (result.error) return res.status(result.error === 'recipient_not_found' ? 404 : 400).json({ error: result.error });
+      return res.status(201).json(result.message);
+    }
+    // the token's name wins over `from`, which older clients still send
+    const sender = req.clerkUser?.username || from;
+    const body = messageText.clean(content);
+    if (body.error || !sender) return res.status(400).json({ error: 'content and from are required' });
+    // private rooms take posts from their members only, and not from anyone muted there
+    const denied = await roomAccess.checkRoomPost(reposOf(req), room, req.clerkUser?.id);
+    if (denied) return res.status(403).json(denied);
 
-    const message = new Message({ content, from, to, room, private: !!isPrivate, timestamp: new Date() });
-    await message.save();
+    const message = await reposOf(req).messages.create({
+      content: body.text,
+      from: sender,
+      fromId: req.clerkUser?.id || null,
+      room,
+      mentions: await mentions.parse(depsOf(req), body.text, room),
+      timestamp: new Date()
+    });
     res.status(201).json(message);
+    roomMessages.publish(depsOf(req), message, { sender: requesterOf(req) });
   } catch (err) {
     console.error('createMessage error:', err);
     res.status(500).json({ error: 'Failed to create message' });
@@ -42,32 +240,53 @@ exports.createMessage = async (req, res) => {
 exports.deleteMessage = async (req, res) => {
   try {
     const id = req.params.id;
-    const msg = await Message.findById(id).lean();
+    const { messages, rooms } = reposOf(req);
+    const msg = await messages.findById(id);
     if (!msg) return res.status(404).json({ error: 'Message not found' });
 
-    // only allow deletion by message author or room creator
-    const requester = req.clerkUser?.username || req.clerkUser?.id;
-    const isAuthor = msg.from === requester || String(msg.createdBy) === String(req.clerkUser?.id);
-    let isRoomCreator = false;
-    if (msg.room) {
-      const room = await Room.findOne({ name: msg.room }).lean();
-      if (room && (String(room.createdBy) === String(req.clerkUser?.id) || String(room.createdBy) === String(requester))) isRoomCreator = true;
-    }
-    if (!isAuthor && !isRoomCreator) {
-      return res.status(403).json({ error: 'Not authorized to delete this message' });
-    }
-
-    await Message.deleteOne({ _id: id });
+    // authors may delete their own messages; moderators and up anyone's in their room,
+    // and only while they may still read it
+    const unreadable = await roomAccess.checkMessageRead(reposOf(req), msg, requesterOf(req));
+    if (unreadable) return res.status(403).json(unreadable);
+    const room = msg.room ? await rooms.findByName(msg.room) : null;
+    const denied = permissions.checkMessageDelete(msg, room, { userId: req.clerkUser?.id });
+    if (denied) return res.status(403).json(denied);
 
-    // broadcast deletion so clients can remove it
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('messageDeleted', { messageId: id, room: msg.room || null, private: !!msg.private, from: msg.from, to: msg.to || null });
+    await messages.delete(id);
+    if (msg.parentId) {
+      await messages.removeReply(msg.parentId);
+    } else if (msg.replyCount > 0) {
+      await messages.deleteReplies(msg._id);
     }
+    attachments.removeForMessage(depsOf(req), msg);
+
+    // broadcast deletion to whoever can see the message so clients can remove it
+    messageEdits.emitForMessage(depsOf(req), msg, 'messageDeleted', { messageId: id, room: msg.room || null, private: !!msg.private, from: msg.from, to: msg.to || null });
+    if (!msg.private && !msg.parentId) messageEdits.timelineChanged(depsOf(req), msg.room);
+    req.app.get('webhooks')?.dispatchMessage('message.deleted', msg, { deletedBy: req.clerkUser?.id });
 
     return res.json({ ok: true, messageId: id });
   } catch (err) {
     console.error('deleteMessage error', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+// edit a message (author only); previous content is kept in editHistory
+exports.editMessage = async (req, res) => {
+  try {
+    if (rejectBody(res, schemas.rest.editMessage, req.body)) return;
+    // the same edit as the socket `editMessage`, broadcast included
+    const result = await messageEdits.editMessage(depsOf(req), requesterOf(req), req.params.id, req.body.content);
+    if (result.error === 'forbidden') return res.status(403).json(result);
+    if (result.error === 'content_too_long') return res.status(413).json(result);
+    if (result.error) {
+      const [status, error] = EDIT_ERRORS[result.error];
+      return res.status(status).json({ error });
+    }
+    return res.json(result.message);
+  } catch (err) {
+    console.error('editMessage error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+};
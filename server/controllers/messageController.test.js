@@ -0,0 +1,181 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../repositories');
+const { createOnlineUsers } = require('../socket/online');
+const messageController = require('./messageController');
+
+// just enough of express's req / res
+const request = ({ params = {}, query = {}, body = {}, clerkUser = null, settings = {} } = {}) => ({
+  params, query, body, clerkUser, app: { get: (key) => settings[key] }
+});
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+const at = (seconds) => new Date(Date.UTC(2024, 0, 1, 0, 0, seconds));
+
+describe('threads over REST', () => {
+  let repos;
+  let root;
+  const req = (opts = {}) => request({ ...opts, settings: { repos } });
+
+  // a root in #dev with two replies, plus a message in #ops
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    root = await repos.messages.create({ content: 'root', from: 'ann', fromId: 'u1', room: 'dev', timestamp: at(1) });
+    for (const [i, content] of ['one', 'two'].entries()) {
+      const reply = await repos.messages.create({ content, from: 'bob', fromId: 'u2', room: 'dev', parentId: root._id, timestamp: at(2 + i) });
+      root = await repos.messages.addReply(root._id, reply.timestamp);
+    }
+    await repos.messages.create({ content: 'elsewhere', from: 'ann', fromId: 'u1', room: 'ops', timestamp: at(9) });
+  });
+
+  it('lists top-level messages only', async () => {
+    const res = response();
+    await messageController.getMessages(req({ query: { room: 'dev' } }), res);
+    assert.deepEqual(res.body.map((m) => m.content), ['root']);
+  });
+
+  it('loads a root with its replies, oldest first', async () => {
+    const res = response();
+    await messageController.getThread(req({ params: { id: root._id }, query: { limit: '9999' } }), res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.root.replyCount, 2);
+    assert.deepEqual(res.body.replies.map((m) => m.content), ['one', 'two']);
+  });
+
+  it('refuses to load a reply as a thread', async () => {
+    const [reply] = await repos.messages.listReplies(root._id);
+    const res = response();
+    await messageController.getThread(req({ params: { id: reply._id } }), res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.parentId, root._id);
+  });
+
+  it('takes a deleted reply off its root\'s count', async () => {
+    const [reply] = await repos.messages.listReplies(root._id);
+    const res = response();
+    await messageController.deleteMessage(req({ params: { id: reply._id }, clerkUser: { id: 'u2', username: 'bob' } }), res);
+    assert.equal(res.statusCode, 200);
+    assert.equal((await repos.messages.findById(root._id)).replyCount, 1);
+    assert.deepEqual((await repos.messages.listReplies(root._id)).map((m) => m.content), ['two']);
+  });
+
+  it('deletes a root\'s replies with it', async () => {
+    await messageController.deleteMessage(req({ params: { id: root._id }, clerkUser: { id: 'u1', username: 'ann' } }), response());
+    assert.equal(await repos.messages.findById(root._id), null);
+    assert.deepEqual(await repos.messages.listReplies(root._id), []);
+  });
+});
+
+describe('search over REST', () => {
+  let repos;
+  const ann = { id: 'u1', username: 'ann' };
+  const search = async (query, clerkUser = ann) => {
+    const res = response();
+    await messageController.searchMessages(request({ query, clerkUser, settings: { repos } }), res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    await repos.rooms.create({ name: 'secret', createdBy: 'u2', isPrivate: true, members: ['u2'] });
+    await repos.messages.create({ content: 'deploy at noon', from: 'bob', fromId: 'u2', room: 'dev', timestamp: at(1) });
+    await repos.messages.create({ content: 'deploy the secret', from: 'bob', fromId: 'u2', room: 'secret', timestamp: at(2) });
+    await repos.messages.create({ content: 'deploy with me', from: 'bob', fromId: 'u2', to: 'ann', toId: 'u1', room: null, private: true, timestamp: at(3) });
+    await repos.messages.create({ content: 'deploy for carol', from: 'bob', fromId: 'u2', to: 'carol', toId: 'u3', room: null, private: true, timestamp: at(4) });
+  });
+
+  it('finds what the requester may read, with highlighted snippets', async () => {
+    const res = await search({ q: 'deploy', sort: 'recent' });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.results.map((m) => m.content), ['deploy with me', 'deploy at noon']);
+    assert.deepEqual(res.body.results[0].snippet, { text: 'deploy with me', highlights: [[0, 6]] });
+    assert.equal(res.body.hasMore, false);
+  });
+
+  it('refuses a private room the requester is not in', async () => {
+    assert.equal((await search({ q: 'deploy', room: 'secret' })).statusCode, 403);
+    const res = await search({ q: 'deploy', room: 'secret' }, { id: 'u2', username: 'bob' });
+    assert.deepEqual(res.body.results.map((m) => m.content), ['deploy the secret']);
+  });
+
+  it('rejects a missing query and bad dates', async () => {
+    assert.equal((await search({ q: '  ' })).statusCode, 400);
+    assert.equal((await search({ q: 'deploy', since: 'someday' })).statusCode, 400);
+  });
+
+  it('loads a hit with its neighbours', async () => {
+    const [hit] = (await search({ q: 'noon' })).body.results;
+    await repos.messages.create({ content: 'after', from: 'ann', fromId: 'u1', room: 'dev', timestamp: at(5) });
+    const res = response();
+    await messageController.getMessageContext(request({ params: { id: hit._id }, query: {}, clerkUser: ann, settings: { repos } }), res);
+    assert.equal(res.body.room, 'dev');
+    assert.deepEqual(res.body.messages.map((m) => m.content), ['deploy at noon', 'after']);
+  });
+});
+
+describe('direct messages over REST', () => {
+  let repos;
+  let io;
+
+  const post = async (clerkUser, body) => {
+    const res = response();
+    const online = createOnlineUsers();
+    online.add('s9', { userId: 'mallory', userName: 'bob' });
+    await messageController.createMessage(request({ body, clerkUser, settings: { repos, io, online } }), res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    io = { sent: [], to(target) { return { emit: (event) => io.sent.push({ target, event }) }; } };
+    await repos.users.touchProfile({ userId: 'u2', userName: 'bob' });
+  });
+
+  it('sends as the signed-in user to the recipient\'s id, whatever `from` says', async () => {
+    const res = await post({ id: 'u1', username: 'ann' }, { content: 'hi', from: 'mallory', to: 'bob', private: true });
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual([res.body.from, res.body.fromId, res.body.to, res.body.toId], ['ann', 'u1', 'bob', 'u2']);
+    assert.deepEqual(io.sent.filter(({ target }) => [].concat(target).includes('s9')), []);
+  });
+
+  it('maps the DM errors to statuses', async () => {
+    assert.equal((await post({ username: 'ann' }, { content: 'hi', to: 'bob', private: true })).statusCode, 401);
+    assert.equal((await post({ id: 'u1', username: 'ann' }, { content: 'hi', to: 'nobody', private: true })).statusCode, 404);
+    assert.equal((await post({ id: 'u1', username: 'ann' }, { content: ' ', to: 'bob', private: true })).statusCode, 400);
+  });
+});
+
+describe('editing over REST', () => {
+  let repos;
+  let msg;
+
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    msg = await repos.messages.create({ content: 'first', from: 'ann', fromId: 'u1', room: 'dev', timestamp: at(1) });
+  });
+
+  const edit = async (clerkUser, content, id = msg._id) => {
+    const res = response();
+    await messageController.editMessage(request({ params: { id }, body: { content }, clerkUser, settings: { repos } }), res);
+    return res;
+  };
+
+  it('edits for the author', async () => {
+    const res = await edit({ id: 'u1', username: 'ann' }, 'second');
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.content, 'second');
+  });
+
+  it('maps the edit errors to statuses', async () => {
+    assert.equal((await edit({ id: 'u2', username: 'ann' }, 'second')).statusCode, 403);
+    assert.equal((await edit({ id: 'u1', username: 'ann' }, '')).statusCode, 400);
+    assert.equal((await edit({ id: 'u1', username: 'ann' }, 'second', 'missing')).statusCode, 404);
+  });
+});
@@ -0,0 +1,51 @@
+const notifications = require('../utils/notifications');
+
+// storage, sockets and the online registry come from the app (see createServer.js)
+const depsOf = (req) => ({ repos: req.app.get('repos'), io: req.app.get('io'), online: req.app.get('online') });
+
+// GET /api/notifications?before=<id>&limit=30&unread=true — newest first, with the unread count
+exports.listNotifications = async (req, res) => {
+  try {
+    const { before, limit, unread } = req.query;
+    const page = await notifications.list(depsOf(req), req.clerkUser.id, { before, limit, unreadOnly: unread === 'true' });
+    return res.json({ ok: true, ...page });
+  } catch (err) {
+    console.error('listNotifications error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
+
+// POST /api/notifications/read — body: { ids? }; without ids, marks everything read
+exports.markNotificationsRead = async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+    if (ids !== undefined && !Array.isArray(ids)) return res.status(400).json({ ok: false, error: 'ids must be an array' });
+    return res.json({ ok: true, ...(await notifications.markRead(depsOf(req), req.clerkUser.id, ids)) });
+  } catch (err) {
+    console.error('markNotificationsRead error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
+
+// DELETE /api/notifications/:id — clear one notification
+exports.clearNotification = async (req, res) => {
+  try {
+    const result = await notifications.clear(depsOf(req), req.clerkUser.id, { ids: [req.params.id] });
+    if (!result.cleared) return res.status(404).json({ ok: false, error: 'not_found' });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('clearNotification error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
+
+// DELETE /api/notifications?read=true — clear everything, or only what has been read
+exports.clearNotifications = async (req, res) => {
+  try {
+    const result = await notifications.clear(depsOf(req), req.clerkUser.id, { readOnly: req.query.read === 'true' });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('clearNotifications error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
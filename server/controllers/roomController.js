@@ -1,28 +1,43 @@
-const Room = require('../models/Room');
-const Message = require('../models/Message');
+const permissions = require('../utils/permissions');
+const roomAccess = require('../utils/roomAccess');
+const messageEdits = require('../utils/messageEdits');
+const unread = require('../utils/unread');
+const attachments = require('../utils/attachments');
+
+// storage comes from the repositories registered on the app (see repositories/)
+const reposOf = (req) => req.app.get('repos');
+
+// 403 with the structured `forbidden` error from utils/permissions
+const sendDenied = (res, denied) => res.status(denied.error === 'forbidden' ? 403 : 400).json(denied);
+
+// what the invite flows in utils/roomAccess need to persist and notify
+const accessDeps = (req) => ({ repos: reposOf(req), io: req.app.get('io'), online: req.app.get('online'), webhooks: req.app.get('webhooks') });
+
+// what utils/attachments needs to delete a room's files
+const fileDeps = (req) => ({ repos: reposOf(req), fileStore: req.app.get('fileStore') });
 
 exports.createRoom = async (req, res) => {
   try {
-    const { name } = req.body;
-    // derive createdBy from authenticated user when available
-    const createdBy = (req.clerkUser && (req.clerkUser.id || req.clerkUser.username)) || req.body.createdBy;
+    const { name, isPrivate = false } = req.body;
+    // the creator is the room's owner (utils/permissions), so it is the caller's user id, never a body field
+    const createdBy = req.clerkUser?.id;
     if (!createdBy) {
-      return res.status(400).json({ error: 'createdBy is required' });
+      return res.status(401).json({ error: 'Authentication required' });
     }
 
-    const room = new Room({
+    const room = await reposOf(req).rooms.create({
       name,
-      createdBy // record creator
-      // ...other fields...
+      createdBy, // record creator
+      isPrivate: !!isPrivate
     });
 
-    await room.save();
-
-    // broadcast the new room to all connected clients
+    // broadcast the new room to all connected clients; a private one only to its creator
     try {
       const io = req.app.get('io');
       if (io) {
-        io.emit('roomCreated', { id: room._id, name: room.name, createdBy: room.createdBy });
+        const creator = room.isPrivate ? req.app.get('online')?.resolve(createdBy) : null;
+        const target = room.isPrivate ? io.to(creator ? creator.sockets : []) : io;
+        if (!room.isPrivate || creator) target.emit('roomCreated', { id: room._id, name: room.name, createdBy: room.createdBy, isPrivate: room.isPrivate });
       }
     } catch (err) {
       console.warn('Failed to broadcast roomCreated:', err.message || err);
@@ -30,6 +45,7 @@ exports.createRoom = async (req, res) => {
 
     return res.status(201).json(room);
   } catch (err) {
+    if (err && err.code === 'room_exists') return res.status(409).json({ error: 'Room already exists' });
     // keep your existing error handling
     return res.status(500).json({ error: err.message || 'Server error' });
   }
@@ -37,8 +53,9 @@ exports.createRoom = async (req, res) => {
 
 exports.getRooms = async (req, res) => {
   try {
-    const rooms = await Room.find({ isPrivate: false });
-    res.json(rooms);
+    // public rooms, plus the caller's private rooms when a token is sent
+    const rooms = await reposOf(req).rooms.list();
+    res.json(rooms.filter((room) => !permissions.checkAccess(room, req.clerkUser?.id)));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -46,8 +63,10 @@ exports.getRooms = async (req, res) => {
 
 exports.getRoom = async (req, res) => {
   try {
-    const room = await Room.findById(req.params.roomId);
+    const room = await reposOf(req).rooms.findByIdOrName(req.params.roomId);
     if (!room) return res.status(404).json({ error: 'Room not found' });
+    const denied = permissions.checkAccess(room, req.clerkUser?.id);
+    if (denied) return sendDenied(res, denied);
     res.json(room);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -56,12 +75,19 @@ exports.getRoom = async (req, res) => {
 
 exports.joinRoom = async (req, res) => {
   try {
-    const room = await Room.findById(req.params.roomId);
+    const { rooms } = reposOf(req);
+    let room = await rooms.findByIdOrName(req.params.roomId);
     if (!room) return res.status(404).json({ error: 'Room not found' });
-    
-    if (!room.members.includes(req.userId)) {
-      room.members.push(req.userId);
-      await room.save();
+
+    const memberId = req.clerkUser?.id || req.userId;
+    if (room.isPrivate && !permissions.isMember(room, memberId)) {
+      // joining a private room means accepting a pending invitation
+      const result = await roomAccess.accept(accessDeps(req), room, memberId);
+      if (result.error) return sendDenied(res, permissions.checkAccess(room, memberId));
+      room = result.room;
+    } else if (!room.members.includes(memberId)) {
+      room = await rooms.addMember(room._id, memberId);
+      req.app.get('webhooks')?.dispatch(room.name, 'member.joined', { userId: String(memberId), via: 'join' });
     }
     res.json(room);
   } catch (error) {
@@ -71,11 +97,12 @@ exports.joinRoom = async (req, res) => {
 
 exports.leaveRoom = async (req, res) => {
   try {
-    const room = await Room.findById(req.params.roomId);
+    const { rooms } = reposOf(req);
+    let room = await rooms.findByIdOrName(req.params.roomId);
     if (!room) return res.status(404).json({ error: 'Room not found' });
-    
-    room.members = room.members.filter(id => id !== req.userId);
-    await room.save();
+
+    const memberId = req.clerkUser?.id || req.userId;
+    room = await rooms.update(room._id, { members: room.members.filter(id => id !== memberId) });
     res.json(room);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -87,21 +114,24 @@ async function clearRoomMessages(req, res) {
   try {
     const roomId = req.params.roomId;
     // allow roomId to be either DB id or room name
-    const room = await Room.findOne({ $or: [{ _id: roomId }, { name: roomId }] }).lean();
+    const { rooms, messages } = reposOf(req);
+    const room = await rooms.findByIdOrName(roomId);
     if (!room) return res.status(404).json({ error: 'Room not found' });
 
-    // Only allow clearing if requester is creator (or allow everyone if desired)
-    const requester = req.clerkUser?.username || req.clerkUser?.id;
-    if (room.createdBy && String(room.createdBy) !== String(req.clerkUser?.id) && String(room.createdBy) !== String(requester)) {
-      return res.status(403).json({ error: 'Not authorized to clear this room' });
-    }
+    const denied = permissions.check(room, req.clerkUser?.id, 'room.clear');
+    if (denied) return sendDenied(res, denied);
 
     // delete messages that belong to this room
-    await Message.deleteMany({ room: room.name });
+    const deleted = await messages.deleteByRoom(room.name);
+    attachments.removeForRoom(fileDeps(req), room.name);
 
     // broadcast to clients
     const io = req.app.get('io');
-    if (io) io.emit('roomCleared', { room: room.name, roomId: room._id });
+    const roomEvents = req.app.get('roomEvents');
+    if (roomEvents) await roomEvents.publish(room.name, 'roomCleared', { roomId: room._id });
+    else if (io) io.to(room.name).emit('roomCleared', { room: room.name, roomId: room._id });
+    messageEdits.timelineChanged(accessDeps(req), room.name);
+    req.app.get('webhooks')?.dispatch(room.name, 'room.cleared', { deleted, clearedBy: req.clerkUser?.id });
 
     return res.json({ ok: true, room: room.name });
   } catch (err) {
@@ -114,21 +144,27 @@ async function clearRoomMessages(req, res) {
 async function deleteRoom(req, res) {
   try {
     const roomId = req.params.roomId;
-    const room = await Room.findOne({ $or: [{ _id: roomId }, { name: roomId }] });
+    const { rooms, messages } = reposOf(req);
+    const room = await rooms.findByIdOrName(roomId);
     if (!room) return res.status(404).json({ error: 'Room not found' });
 
-    // Only creator may delete
-    if (room.createdBy && String(room.createdBy) !== String(req.clerkUser?.id) && String(room.createdBy) !== String(req.clerkUser?.username)) {
-      return res.status(403).json({ error: 'Not authorized to delete this room' });
-    }
+    const denied = permissions.check(room, req.clerkUser?.id, 'room.delete');
+    if (denied) return sendDenied(res, denied);
 
     const name = room.name;
-    await Message.deleteMany({ room: name });
-    await room.deleteOne();
+    await messages.deleteByRoom(name);
+    attachments.removeForRoom(fileDeps(req), name);
+    await reposOf(req).webhooks.deleteByRoom(name);
+    await reposOf(req).integrations.deleteByRoom(name);
+    await reposOf(req).roomEvents.deleteByRoom(name);
+    await rooms.delete(room._id);
 
-    // broadcast deletion
+    // tell the sockets in the room, then take them out of it
     const io = req.app.get('io');
-    if (io) io.emit('roomDeleted', { roomId: room._id, name });
+    if (io) {
+      io.to(name).emit('roomDeleted', { roomId: room._id, name });
+      io.in(name).socketsLeave(name);
+    }
 
     return res.json({ ok: true, roomId: room._id, name });
   } catch (err) {
@@ -137,6 +173,108 @@ async function deleteRoom(req, res) {
   }
 }
 
+// List a room's roles
+async function getRoles(req, res) {
+  try {
+    const room = await reposOf(req).rooms.findByIdOrName(req.params.roomId);
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    const denied = permissions.checkAccess(room, req.clerkUser?.id);
+    if (denied) return sendDenied(res, denied);
+    return res.json({ room: room.name, roles: permissions.listRoles(room) });
+  } catch (err) {
+    console.error('getRoles error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+}
+
+// Grant (PUT, body: { role }) or revoke (DELETE) a user's role in a room
+async function setRole(req, res, role) {
+  try {
+    const repos = reposOf(req);
+    const room = await repos.rooms.findByIdOrName(req.params.roomId);
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+
+    const result = await permissions.changeRole(repos, room, req.clerkUser?.id, req.params.userId, role);
+    if (result.error) return sendDenied(res, result);
+
+    const io = req.app.get('io');
+    if (io) {
+      const payload = { room: room.name, roomId: room._id, userId: req.params.userId, role: permissions.roleOf(result.room, req.params.userId), by: req.clerkUser?.id };
+      const target = req.app.get('online')?.resolve(req.params.userId);
+      io.to([room.name, ...(target ? target.sockets : [])]).emit('roleUpdated', payload);
+    }
+    return res.json({ ok: true, room: room.name, roles: permissions.listRoles(result.room) });
+  } catch (err) {
+    console.error('setRole error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+}
+
+const grantRole = (req, res) => setRole(req, res, req.body?.role);
+const revokeRole = (req, res) => setRole(req, res, null);
+
+// Private room invitations: run one of the utils/roomAccess flows for the room in the path
+function inviteFlow(name, flow) {
+  return async (req, res) => {
+    try {
+      const room = await reposOf(req).rooms.findByIdOrName(req.params.roomId);
+      if (!room) return res.status(404).json({ error: 'Room not found' });
+      const result = await flow(accessDeps(req), room, req);
+      if (result.error === 'not_found' || result.error === 'not_invited') return res.status(404).json(result);
+      if (result.error === 'already_member') return res.status(409).json(result);
+      if (result.error) return sendDenied(res, result);
+      return res.json({ ok: true, room: result.room.name, ...(result.invite ? { invite: result.invite } : {}), ...(result.revoked ? { revoked: result.revoked } : {}) });
+    } catch (err) {
+      console.error(`${name} error`, err);
+      return res.status(500).json({ error: err.message || 'Server error' });
+    }
+  };
+}
+
+const inviteUser = inviteFlow('inviteUser', (deps, room, req) => roomAccess.invite(deps, room, req.clerkUser?.id, req.body?.userId));
+const acceptInvite = inviteFlow('acceptInvite', (deps, room, req) => roomAccess.accept(deps, room, req.clerkUser?.id));
+const declineInvite = inviteFlow('declineInvite', (deps, room, req) => roomAccess.decline(deps, room, req.clerkUser?.id));
+// DELETE /:roomId/invites/:userId and /:roomId/members/:userId both revoke; the room state decides which
+const revokeAccess = inviteFlow('revokeAccess', (deps, room, req) => roomAccess.revoke(deps, room, req.clerkUser?.id, req.params.userId));
+
+// Unread and mention counts for every room the caller can read: { rooms: { [room]: { unread, mentions, lastReadId } } }
+async function getUnread(req, res) {
+  try {
+    const user = { userId: req.clerkUser?.id, userName: req.clerkUser?.username || req.clerkUser?.id };
+    return res.json({ rooms: await unread.unreadCounts(reposOf(req), user) });
+  } catch (err) {
+    console.error('getUnread error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+}
+
+// Move the caller's read cursor in a room up to a message (body: { messageId })
+async function markRoomRead(req, res) {
+  try {
+    const room = await reposOf(req).rooms.findByIdOrName(req.params.roomId);
+    const name = room ? room.name : req.params.roomId === 'global' ? 'global' : null;
+    if (!name) return res.status(404).json({ error: 'Room not found' });
+    const user = { userId: req.clerkUser?.id, userName: req.clerkUser?.username || req.clerkUser?.id };
+    const result = await unread.markRead(accessDeps(req), user, name, req.body?.messageId);
+    if (result.error === 'not_found') return res.status(404).json(result);
+    if (result.error) return sendDenied(res, result);
+    return res.json({ ok: true, room: result.room, ...result.counts });
+  } catch (err) {
+    console.error('markRoomRead error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+}
+
+// The caller's pending invitations
+async function getMyInvites(req, res) {
+  try {
+    return res.json({ invites: await roomAccess.listInvites(accessDeps(req), req.clerkUser?.id) });
+  } catch (err) {
+    console.error('getMyInvites error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+}
+
 module.exports = {
   createRoom: exports.createRoom,
   getRooms: exports.getRooms,
@@ -144,5 +282,15 @@ module.exports = {
   joinRoom: exports.joinRoom,
   leaveRoom: exports.leaveRoom,
   clearRoomMessages,
-  deleteRoom
+  deleteRoom,
+  getRoles,
+  grantRole,
+  revokeRole,
+  getMyInvites,
+  getUnread,
+  markRoomRead,
+  inviteUser,
+  acceptInvite,
+  declineInvite,
+  revokeAccess
 };
\ No newline at end of file
@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, collect } = require('../socket/testServer');
+
+describe('rooms over REST', () => {
+  let srv;
+
+  before(async () => { srv = await startServer(); });
+  after(() => srv.close());
+
+  it('creates rooms for signed-in callers only, owned by the caller', async () => {
+    assert.equal((await srv.http('POST', '/rooms', null, { name: 'nope', createdBy: 'u9' })).status, 401);
+    const { status, body } = await srv.http('POST', '/rooms', ['u1', 'ann'], { name: 'mine', createdBy: 'u9' });
+    assert.equal(status, 200);
+    assert.equal(body.room.createdBy, 'u1');
+
+    const api = await srv.http('POST', '/api/rooms', ['u2', 'bob'], { name: 'also-mine', createdBy: 'u9' });
+    assert.equal(api.body.createdBy, 'u2');
+  });
+
+  it('deletes for the owner only, telling just the room', async () => {
+    await srv.http('POST', '/rooms', ['u1', 'ann'], { name: 'gone' });
+    const inside = await srv.client(['u2', 'bob']);
+    const outside = await srv.client(['u3', 'carol']);
+    inside.emit('joinRoom', { room: 'gone' });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.equal((await srv.http('DELETE', '/api/rooms/gone', ['u2', 'bob'])).status, 403);
+    const insideGot = collect(inside, 'roomDeleted');
+    const outsideGot = collect(outside, 'roomDeleted');
+    assert.equal((await srv.http('DELETE', '/api/rooms/gone', ['u1', 'ann'])).status, 200);
+    assert.equal((await insideGot).length, 1);
+    assert.deepEqual(await outsideGot, []);
+  });
+
+  it('clears for the owner, telling just the room in sequence', async () => {
+    await srv.http('POST', '/rooms', ['u1', 'ann'], { name: 'hush', isPrivate: true });
+    const owner = await srv.client(['u1', 'ann']);
+    const outside = await srv.client(['u3', 'carol']);
+    await new Promise((resolve) => owner.emit('joinRoom', { room: 'hush' }, resolve));
+    await new Promise((resolve) => owner.emit('message', { room: 'hush', content: 'secret' }, resolve));
+
+    const insideGot = collect(owner, 'roomCleared');
+    const outsideGot = collect(outside, 'roomCleared');
+    assert.equal((await srv.http('POST', '/api/rooms/hush/clear', ['u1', 'ann'])).status, 200);
+    assert.deepEqual(await srv.repos.messages.list({ room: 'hush' }), []);
+    assert.deepEqual((await insideGot).map(({ room, seq }) => [room, seq]), [['hush', 2]]);
+    assert.deepEqual(await outsideGot, []);
+  });
+});
@@ -0,0 +1,53 @@
+const uploads = require('../utils/uploads');
+const attachments = require('../utils/attachments');
+const integrations = require('../utils/integrations');
+
+// storage and the file store come from the app (see createServer.js)
+const depsOf = (req) => ({ repos: req.app.get('repos'), fileStore: req.app.get('fileStore') });
+
+// uploads belong to the signed-in user, or to the bot (see middleware/botAuth)
+const uploaderOf = (req) => (req.bot ? integrations.uploaderId(req.bot) : req.clerkUser.id);
+
+const STATUS = {
+  not_found: 404,
+  offset_mismatch: 409,
+  incomplete: 409,
+  chunk_too_large: 413,
+  file_too_large: 413,
+  invalid_mime: 415,
+  checksum_mismatch: 422,
+  too_many_uploads: 429
+};
+
+// run an upload step; `successStatus` and the result's fields make the answer
+const uploadFlow = (name, flow, successStatus = 200) => async (req, res) => {
+  try {
+    const result = await flow(depsOf(req), uploaderOf(req), req);
+    if (result.error) return res.status(STATUS[result.error] || 400).json({ ok: false, ...result });
+    return res.status(successStatus).json({ ok: true, ...result });
+  } catch (err) {
+    console.error(`${name} error:`, err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
+
+// POST /api/uploads — body: { name, mime, size } -> { ok, upload: { uploadId, received, maxChunkBytes, ... } }
+exports.startUpload = uploadFlow('startUpload', (deps, owner, req) => uploads.start(deps, req.body || {}, owner), 201);
+
+// GET /api/uploads/:id — the session; `received` is the offset to resume from
+exports.getUpload = uploadFlow('getUpload', (deps, owner, req) => uploads.status(deps, req.params.id, owner));
+
+// PUT /api/uploads/:id?offset=<n> — the raw bytes of the chunk at offset n (Content-Type: application/octet-stream)
+exports.putChunk = uploadFlow('putChunk', (deps, owner, req) => {
+  const offset = Number(req.query.offset ?? req.headers['upload-offset']);
+  return uploads.appendChunk(deps, req.params.id, owner, offset, req);
+});
+
+// POST /api/uploads/:id/complete — body: { sha256 } -> the attachment, as POST /upload answers
+exports.completeUpload = uploadFlow('completeUpload', async (deps, owner, req) => {
+  const result = await uploads.complete(deps, req.params.id, owner, req.body || {});
+  return result.error ? result : attachments.fileView(result.attachment);
+}, 201);
+
+// DELETE /api/uploads/:id — cancel it and discard what was sent
+exports.cancelUpload = uploadFlow('cancelUpload', (deps, owner, req) => uploads.cancel(deps, req.params.id, owner));
@@ -1,10 +1,10 @@
-const User = require('../models/User');
+// storage comes from the repositories registered on the app (see repositories/)
+const reposOf = (req) => req.app.get('repos');
 
 exports.registerUser = async (req, res) => {
   const { username, password } = req.body;
   try {
-    const user = new User({ username, password });
-    await user.save();
+    await reposOf(req).users.create({ username, password });
     res.status(201).json({ message: 'User registered successfully' });
   } catch (err) {
     console.error('Registration error:', err);
@@ -15,8 +15,8 @@ exports.registerUser = async (req, res) => {
 exports.loginUser = async (req, res) => {
   const { username, password } = req.body;
   try {
-    const user = await User.findOne({ username });
-    if (!user || !(await user.comparePassword(password))) {
+    const user = await reposOf(req).users.verifyPassword(username, password);
+    if (!user) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     res.status(200).json({ message: 'Login successful' });
@@ -0,0 +1,48 @@
+const webhooks = require('../utils/webhooks');
+
+// storage comes from the repositories registered on the app (see repositories/)
+const reposOf = (req) => req.app.get('repos');
+
+// the room from :roomId (id or name), or a 404 sent
+async function roomOf(req, res) {
+  const room = await reposOf(req).rooms.findByIdOrName(req.params.roomId);
+  if (!room) res.status(404).json({ ok: false, error: 'room_not_found' });
+  return room;
+}
+
+// map an error object from utils/webhooks to its status
+const sendError = (res, result) => {
+  const status = result.error === 'forbidden' ? 403 : result.error === 'not_found' ? 404 : 400;
+  return res.status(status).json({ ok: false, ...result });
+};
+
+// run a management flow against the room in :roomId on behalf of the caller
+const webhookFlow = (name, flow, successStatus = 200) => async (req, res) => {
+  try {
+    const room = await roomOf(req, res);
+    if (!room) return;
+    const result = await flow(reposOf(req), room, req.clerkUser?.id, req);
+    if (result.error) return sendError(res, result);
+    return res.status(successStatus).json({ ok: true, ...result });
+  } catch (err) {
+    console.error(`${name} error:`, err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+};
+
+// GET /api/rooms/:roomId/webhooks — the room's webhooks (admins and up)
+exports.listWebhooks = webhookFlow('listWebhooks', (repos, room, actorId) => webhooks.list(repos, room, actorId));
+
+// POST /api/rooms/:roomId/webhooks — body: { url, events? }; the response carries the signing secret, shown only here
+exports.createWebhook = webhookFlow('createWebhook', (repos, room, actorId, req) => webhooks.create(repos, room, actorId, req.body || {}), 201);
+
+// PATCH /api/rooms/:roomId/webhooks/:webhookId — body: { url?, events?, active?, rotateSecret? }
+exports.updateWebhook = webhookFlow('updateWebhook', (repos, room, actorId, req) => webhooks.update(repos, room, actorId, req.params.webhookId, req.body || {}));
+
+// DELETE /api/rooms/:roomId/webhooks/:webhookId — the webhook and its delivery log
+exports.deleteWebhook = webhookFlow('deleteWebhook', (repos, room, actorId, req) => webhooks.remove(repos, room, actorId, req.params.webhookId));
+
+// GET /api/rooms/:roomId/webhooks/:webhookId/deliveries?before=<id>&limit=20 — the delivery log, newest first
+exports.listDeliveries = webhookFlow('listDeliveries', (repos, room, actorId, req) => (
+  webhooks.deliveries(repos, room, actorId, req.params.webhookId, { before: req.query.before, limit: req.query.limit })
+));
@@ -0,0 +1,180 @@
+const express = require('express');
+const http = require('http');
+const cors = require('cors');
+const { createRepositories } = require('./repositories');
+const { seedDemoRooms } = require('./repositories/seed');
+const { createSocketServer, ALL_FEATURES, GLOBAL_ROOM } = require('./socket/index'); // not ./socket.js
+const { createFileLogger } = require('./utils/logger');
+const { requireClerkAuth, optionalClerkAuth } = require('./middleware/clerkAuth');
+const roomAccess = require('./utils/roomAccess');
+const { searchMessages } = require('./controllers/messageController');
+const { createRateLimiter } = require('./utils/rateLimit');
+const { DEFAULT_REST_LIMITS, rateLimitByAddress } = require('./middleware/rateLimit');
+const { createFileStore } = require('./utils/fileStore');
+
+/**
+ * Build the chat server: Express app, HTTP server and Socket.IO sharing one storage backend.
+ * Every entry script (server.js, index.js, socket-server.js) is a thin wrapper around this.
+ *
+ * Options:
+ * - storage    'mongo' | 'memory' (default: STORAGE_DRIVER, then 'mongo')
+ * - repos      ready-made repositories; overrides `storage`
+ * - auth       socket auth mode: 'optional' | 'required' | 'none' (default 'optional')
+ * - features   domains to enable: presence, rooms, messages, groups, notifications, commands, files (default: all)
+ * - corsOrigin allowed origin(s) for HTTP and sockets (default: CLIENT_URL or the Vite dev server)
+ * - seed       seed demo rooms (memory storage only)
+ * - logFile    append socket activity to this file
+ * - webhooks   outgoing webhook delivery options: { maxAttempts, retryBaseMs, timeoutMs, allowPrivate }
+ * - integrationRate  per-token limit for incoming webhooks and bots: { capacity, refillMs } (default 20, 1000)
+ * - rateLimits request rate limits, each { capacity, refillMs }, or false to turn them all off:
+ *              { api, upload } per client address (see middleware/rateLimit), { socket, flood } per
+ *              user and event kind (see socket/flood)
+ * - commands   extra slash command definitions (see commands/); one with a built-in's name replaces it
+ * - fileStore  where attachment bytes go: 'gridfs' | 'local' | a store object (see utils/fileStore)
+ *              (default: FILE_STORE, then GridFS with mongo storage and local disk otherwise)
+ * - connectDb  connect to MongoDB when storage is mongo (default true)
+ * - recoveryMs how long a dropped socket can be recovered with the events it missed (default 2 minutes,
+ *              0 for never; see socket/index); longer gaps are caught up with `sync`
+ *
+ * Returns { app, io, server, repos }; call server.listen(port) to start.
+ */
+function createServer(options = {}) {
+  const {
+    storage = process.env.STORAGE_DRIVER || 'mongo',
+    auth = 'optional',
+    features = ALL_FEATURES,
+    corsOrigin = process.env.CLIENT_URL || 'http://localhost:5173',
+    seed = false,
+    logFile = null,
+    connectDb = true,
+    webhooks = {},
+    integrationRate = {},
+    commands = [],
+    rateLimits = {}
+  } = options;
+  const repos = options.repos || createRepositories({ driver: storage });
+  const log = createFileLogger(logFile);
+  const fileStore = createFileStore(options.fileStore, { repos });
+  const has = (feature) => features.includes(feature);
+
+  if (repos.driver === 'mongo' && connectDb) require('./config/db').connectWithRetry();
+  if (seed && repos.driver === 'memory') seedDemoRooms(repos).catch((err) => console.error('[server] seed error', err));
+
+  const app = express();
+  app.use(cors({
+    origin: corsOrigin,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    credentials: true,
+    allowedHeaders: ['Content-Type', 'Authorization']
+  }));
+  // behind a reverse proxy, e.g. TRUST_PROXY=loopback or =1, so rate limits see client addresses
+  if (process.env.TRUST_PROXY) {
+    const trust = process.env.TRUST_PROXY;
+    app.set('trust proxy', trust === 'true' || (/^\d+$/.test(trust) ? Number(trust) : trust));
+  }
+  if (rateLimits) {
+    const apiLimit = rateLimitByAddress({ ...DEFAULT_REST_LIMITS.api, ...rateLimits.api });
+    app.use(['/upload', '/api/uploads'], rateLimitByAddress({ ...DEFAULT_REST_LIMITS.upload, ...rateLimits.upload }));
+    app.use('/api', (req, res, next) => (req.path.startsWith('/uploads') ? next() : apiLimit(req, res, next)));
+  }
+  app.use(express.json());
+
+  const server = http.createServer(app);
+  const { io, ctx } = createSocketServer(server, { repos, auth, features, corsOrigin, log, webhooks, commands, fileStore, rateLimits, recoveryMs: options.recoveryMs });
+
+  // controllers reach storage, sockets and the online registry through the app
+  app.set('repos', repos);
+  app.set('io', io);
+  app.set('online', ctx.online);
+  app.set('presence', ctx.presence);
+  app.set('webhooks', ctx.webhooks);
+  app.set('roomEvents', ctx.roomEvents);
+  app.set('fileStore', fileStore);
+  app.set('integrationLimiter', createRateLimiter(integrationRate));
+
+  // health and db routes
+  app.get('/', (req, res) => res.send('Realtime Socket.IO server is running'));
+  app.get('/health', (req, res) => res.json({ status: 'ok', ts: Date.now() }));
+  app.get('/dbstatus', (req, res) => {
+    if (repos.driver === 'memory') return res.json({ driver: repos.driver, status: 'memory' });
+    const { state, status } = require('./config/db').connectionStatus();
+    return res.json({ driver: repos.driver, state, status });
+  });
+
+  app.use('/api/users', require('./routes/userRoutes'));
+
+  if (has('rooms')) {
+    app.use('/api/rooms/:roomId/webhooks', require('./routes/webhookRoutes'));
+    app.use('/api/rooms/:roomId/integrations', require('./routes/integrationRoutes'));
+    app.use('/api/rooms', require('./routes/roomRoutes'));
+
+    // lightweight room endpoints used by the demo UI
+    app.get('/rooms', optionalClerkAuth, async (req, res) => {
+      try {
+        return res.json({ ok: true, rooms: await ctx.listRooms(req.clerkUser?.id) });
+      } catch (err) {
+        console.error('[http] /rooms error', err);
+        return res.status(500).json({ ok: false, error: 'server_error' });
+      }
+    });
+    // the creator owns the room (utils/permissions), so it is the caller, never a body field
+    app.post('/rooms', requireClerkAuth, async (req, res) => {
+      try {
+        const { name } = req.body || {};
+        if (!name) return res.status(400).json({ ok: false, error: 'name required' });
+        const room = await repos.rooms.create({ name, createdBy: req.clerkUser.id });
+        await ctx.broadcastRooms();
+        return res.json({ ok: true, room });
+      } catch (err) {
+        if (err.code === 'room_exists') return res.status(409).json({ ok: false, error: 'room exists' });
+        console.error('[http] POST /rooms error', err);
+        return res.status(500).json({ ok: false, error: 'server_error' });
+      }
+    });
+  }
+
+  if (has('notifications')) {
+    app.use('/api/notifications', require('./routes/notificationRoutes'));
+  }
+
+  if (has('groups')) {
+    // mounted ahead of /api/conversations so /groups/... never reads as a DM partner id
+    app.use('/api/conversations/groups', require('./routes/groupRoutes'));
+  }
+
+  if (has('messages')) {
+    app.use('/api/messages', require('./routes/messageRoutes'));
+    app.use('/api/hooks', require('./routes/hookRoutes'));
+    app.use('/api/conversations', require('./routes/conversationRoutes'));
+
+    // GET /messages/search — same handler as /api/messages/search, kept for older clients
+    app.get('/messages/search', optionalClerkAuth, searchMessages);
+
+    // GET /messages/paginate?room=roomName&before=timestamp&limit=50 (private rooms: members only)
+    app.get('/messages/paginate', optionalClerkAuth, async (req, res) => {
+      try {
+        const room = req.query.room || GLOBAL_ROOM;
+        const denied = await roomAccess.checkRoomRead(repos, room, req.clerkUser?.id);
+        if (denied) return res.status(403).json({ ok: false, ...denied });
+        const before = parseInt(req.query.before || Date.now(), 10);
+        const limit = Math.min(parseInt(req.query.limit || '50', 10), 200);
+        // the most recent `limit` older than before, oldest first
+        const messages = await repos.messages.listRecent(room, { before, limit });
+        return res.json({ ok: true, messages });
+      } catch (err) {
+        console.error('[http] /messages/paginate error', err);
+        return res.status(500).json({ ok: false, error: 'server_error' });
+      }
+    });
+  }
+
+  if (has('files')) {
+    app.use(require('./routes/uploadRoutes')); // POST /upload, GET /uploads/* (files from before attachments)
+    app.use('/api/uploads', require('./routes/resumableUploadRoutes'));
+    app.use('/api/attachments', require('./routes/attachmentRoutes'));
+  }
+
+  return { app, io, server, repos };
+}
+
+module.exports = { createServer };
@@ -0,0 +1,20 @@
+const integrations = require('../utils/integrations');
+const { requireClerkAuth } = require('./clerkAuth');
+
+// Express middleware for routes bots may call as well as users: `Authorization: Bot <token>`
+// sets req.bot to the integration (see utils/integrations); anything else goes through Clerk
+async function botOrClerkAuth(req, res, next) {
+  const auth = req.headers.authorization || '';
+  if (!auth.startsWith('Bot ')) return requireClerkAuth(req, res, next);
+  try {
+    const bot = await integrations.authenticate(req.app.get('repos'), auth.slice(4).trim(), 'bot');
+    if (!bot) return res.status(401).json({ error: 'Invalid token' });
+    req.bot = bot;
+    return next();
+  } catch (err) {
+    console.error('[botAuth] lookup failed:', err.message || err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+module.exports = { botOrClerkAuth };
@@ -82,6 +82,13 @@ async function requireClerkAuth(req, res, next) {
   }
 }
 
+// Express middleware for public routes whose answer depends on the caller (e.g. private rooms):
+// a valid token sets req.clerkUser, no token continues anonymously, a bad token is still a 401
+async function optionalClerkAuth(req, res, next) {
+  if (!req.headers.authorization) return next();
+  return requireClerkAuth(req, res, next);
+}
+
 // Socket.IO handshake middleware
 async function socketAuth(socket, next) {
   try {
@@ -100,4 +107,4 @@ async function socketAuth(socket, next) {
   }
 }
 
-module.exports = { requireClerkAuth, socketAuth };
\ No newline at end of file
+module.exports = { requireClerkAuth, optionalClerkAuth, socketAuth };
\ No newline at end of file
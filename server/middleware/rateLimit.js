@@ -0,0 +1,25 @@
+const { createRateLimiter } = require('../utils/rateLimit');
+
+// per client address: uploads move a lot of bytes, so they get a budget of their own
+const DEFAULT_REST_LIMITS = {
+  api: { capacity: 120, refillMs: 250 }, // bursts of 120, then four a second
+  upload: { capacity: 60, refillMs: 100 } // POST /upload and /api/uploads chunks
+};
+
+// 429 with Retry-After, as every rate limited route answers
+function sendRateLimited(res, retryAfterMs) {
+  res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+  return res.status(429).json({ ok: false, error: 'rate_limited', retryAfterMs });
+}
+
+// Express middleware: a token bucket per client address. It runs before auth, so the address is all
+// there is to go on; behind a proxy, set TRUST_PROXY so req.ip is the client's and not the proxy's.
+function rateLimitByAddress(options) {
+  const limiter = createRateLimiter(options);
+  return (req, res, next) => {
+    const limit = limiter.take(req.ip);
+    return limit.ok ? next() : sendRateLimited(res, limit.retryAfterMs);
+  };
+}
+
+module.exports = { DEFAULT_REST_LIMITS, sendRateLimited, rateLimitByAddress };
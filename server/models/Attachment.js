@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// a file sent with a message. The bytes live in the file store (see utils/fileStore); messages only
+// reference the attachment, and downloads are checked against the message it belongs to.
+const AttachmentSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  mime: { type: String, required: true },
+  size: { type: Number, required: true }, // bytes
+  sha256: { type: String, required: true }, // hex digest of the bytes
+  store: { type: String, required: true }, // the file store driver that holds them
+  key: { type: String, required: true }, // where that store keeps them
+  uploadedBy: { type: String, required: true }, // user id, or `integration:<id>` for bots
+  // set when the attachment is posted; until then only the uploader can see it
+  messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+  room: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+AttachmentSchema.index({ room: 1 });
+AttachmentSchema.index({ messageId: 1 });
+
+module.exports = mongoose.model('Attachment', AttachmentSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// one person in a group conversation (by user id; the name is kept for display)
+const ParticipantSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  userName: { type: String, required: true },
+  addedBy: { type: String, default: null },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// an ad-hoc group DM: a handful of people talking without a Room document;
+// its messages are private messages carrying this conversation's id
+const GroupConversationSchema = new mongoose.Schema({
+  name: { type: String, default: null, trim: true },
+  participants: { type: [ParticipantSchema], default: [] },
+  createdBy: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+GroupConversationSchema.index({ 'participants.userId': 1 });
+
+module.exports = mongoose.model('GroupConversation', GroupConversationSchema);
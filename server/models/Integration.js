@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// a way for outside code to post into one room: an incoming webhook URL or a bot API token.
+// Only a hash of the token is kept; the token itself is shown once (see utils/integrations).
+const IntegrationSchema = new mongoose.Schema({
+  room: { type: String, required: true }, // room name, as on messages
+  kind: { type: String, enum: ['webhook', 'bot'], required: true },
+  name: { type: String, required: true, trim: true }, // default display name of its messages
+  avatarUrl: { type: String, default: null },
+  tokenHash: { type: String, required: true },
+  createdBy: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: null }
+});
+
+IntegrationSchema.index({ tokenHash: 1 }, { unique: true });
+IntegrationSchema.index({ room: 1 });
+
+module.exports = mongoose.model('Integration', IntegrationSchema);
@@ -6,15 +6,80 @@ const ReactionSchema = new mongoose.Schema({
   count: { type: Number, default: 0 }
 }, { _id: false });
 
+// who a room message @mentions: a user, or everyone with @here / @room (see utils/mentions)
+const MentionSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['user', 'here', 'room'], required: true },
+  userId: { type: String },
+  userName: { type: String }
+}, { _id: false });
+
+// the incoming webhook or bot token a message was posted through (see utils/integrations)
+const BotSchema = new mongoose.Schema({
+  integrationId: { type: String, required: true },
+  kind: { type: String, enum: ['webhook', 'bot'], required: true },
+  name: { type: String } // the integration's own name; `from` may be a custom display name
+}, { _id: false });
+
+// a /poll: each option keeps the ids of the users who picked it (one pick per user)
+const PollSchema = new mongoose.Schema({
+  question: { type: String, required: true },
+  options: {
+    type: [new mongoose.Schema({ text: { type: String, required: true }, votes: { type: [String], default: [] } }, { _id: false })],
+    default: []
+  },
+  closed: { type: Boolean, default: false }
+}, { _id: false });
+
+// previous version of an edited message
+const EditSchema = new mongoose.Schema({
+  content: { type: String },
+  timestamp: { type: Date } // when this version was written
+}, { _id: false });
+
 const MessageSchema = new mongoose.Schema({
   content: { type: String },
   from: { type: String },
+  fromId: { type: String, default: null }, // sender's user id; messages are authored by it, not by name
   to: { type: String, default: null }, // recipient username for private messages
+  // private messages: sender and recipient user ids, so DMs follow users rather than names;
+  // room messages sent over a socket carry the sender's id too
+  fromId: { type: String, default: null },
+  toId: { type: String, default: null },
+  // set by the sending client so a retried send can't post twice; unique per sender (fromId)
+  clientMsgId: { type: String, default: undefined },
+  // group conversation messages (also private): the GroupConversation they belong to
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'GroupConversation', default: null },
   room: { type: String, default: 'global' },
+  mentions: { type: [MentionSchema], default: [] },
   private: { type: Boolean, default: false },
   timestamp: { type: Date, default: Date.now },
   reactions: { type: [ReactionSchema], default: [] },
-  readBy: { type: [String], default: [] } // usernames who have read this message
+  readBy: { type: [String], default: [] }, // usernames who have read this message
+  file: { type: mongoose.Schema.Types.Mixed, default: undefined }, // { attachmentId, name, mime, size, sha256, url } (see utils/attachments); older: { name, mime, data | url }
+  bot: { type: BotSchema, default: undefined }, // set on messages posted by integrations
+  subtype: { type: String, enum: ['me', 'poll'], default: undefined }, // posted by a slash command
+  poll: { type: PollSchema, default: undefined },
+  avatarUrl: { type: String, default: undefined },
+  edited: { type: Boolean, default: false },
+  editedAt: { type: Date, default: null },
+  editHistory: { type: [EditSchema], default: [] }, // oldest first
+  // threads: replies point at their root message; the root keeps summary counters
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+  replyCount: { type: Number, default: 0 },
+  lastReplyAt: { type: Date, default: null }
 });
 
+MessageSchema.index({ parentId: 1, timestamp: 1 });
+MessageSchema.index({ room: 1, timestamp: -1 });
+MessageSchema.index({ 'mentions.userId': 1, timestamp: -1 });
+MessageSchema.index({ fromId: 1, toId: 1, timestamp: -1 }, { partialFilterExpression: { private: true } });
+MessageSchema.index({ toId: 1, timestamp: -1 }, { partialFilterExpression: { private: true } });
+MessageSchema.index({ conversationId: 1, timestamp: -1 }, { partialFilterExpression: { private: true } });
+MessageSchema.index({ fromId: 1, clientMsgId: 1 }, { unique: true, partialFilterExpression: { clientMsgId: { $type: 'string' } } });
+// full-text search (see repositories/mongo.js search); file names weigh less than message text
+MessageSchema.index(
+  { content: 'text', 'file.name': 'text' },
+  { name: 'message_text', weights: { content: 10, 'file.name': 2 }, default_language: 'english' }
+);
+
 module.exports = mongoose.model('Message', MessageSchema);
\ No newline at end of file
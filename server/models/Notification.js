@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// one entry in a user's notification center: a DM, group message, mention, reaction or invitation
+// addressed to them, kept with its read state so it can be caught up on after being offline
+const NotificationSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  type: { type: String, required: true }, // 'message' | 'mention' | 'reaction' | 'invite'
+  title: { type: String },
+  body: { type: String },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} }, // messageId, room, conversationId, from, ...
+  read: { type: Boolean, default: false },
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+NotificationSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+NotificationSchema.index({ userId: 1, read: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// everyone who has connected with a stable identity, so DMs can be addressed to offline users
+// by user id or username; also keeps the presence a user chose (see socket/presence)
+const ProfileSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  userName: { type: String, required: true },
+  lastSeenAt: { type: Date, default: Date.now },
+  status: { type: String, enum: ['online', 'away', 'dnd'], default: 'online' },
+  statusText: { type: String, default: null }
+});
+
+ProfileSchema.index({ userName: 1, lastSeenAt: -1 });
+
+module.exports = mongoose.model('Profile', ProfileSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// how far a user has read in a room: the last-read top-level message and its timestamp,
+// so unread counts are "messages after (lastReadAt, lastReadId)"
+const ReadCursorSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  room: { type: String, required: true },
+  lastReadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true },
+  lastReadAt: { type: Date, required: true },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+ReadCursorSchema.index({ userId: 1, room: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReadCursor', ReadCursorSchema);
@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 
+// per-room role of a user (by user id); users without an entry are plain members
+const RoleSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  role: { type: String, enum: ['member', 'moderator', 'admin', 'owner'], required: true }
+}, { _id: false });
+
+// pending invitation to a private room; accepting it moves the user into `members`
+const InviteSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  invitedBy: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// a user who may read but not post in the room until `until` (null: until unmuted)
+const MuteSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  until: { type: Date, default: null },
+  by: { type: String, required: true }
+}, { _id: false });
+
 const roomSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -7,7 +27,7 @@ const roomSchema = new mongoose.Schema({
     unique: true,
     trim: true
   },
-  description: {
+  description: { // the room topic, set with /topic
     type: String,
     default: ''
   },
@@ -19,6 +39,18 @@ const roomSchema = new mongoose.Schema({
     type: String,
     ref: 'User'
   }],
+  roles: {
+    type: [RoleSchema],
+    default: []
+  },
+  invites: {
+    type: [InviteSchema],
+    default: []
+  },
+  mutes: {
+    type: [MuteSchema],
+    default: []
+  },
   isPrivate: {
     type: Boolean,
     default: false
@@ -32,5 +64,6 @@ const roomSchema = new mongoose.Schema({
 // Add indexes for faster queries
 roomSchema.index({ name: 1 });
 roomSchema.index({ createdBy: 1 });
+roomSchema.index({ 'invites.userId': 1 });
 
 module.exports = mongoose.model('Room', roomSchema);
\ No newline at end of file
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// an event broadcast to a room (a new, edited or deleted message, a reaction, ...), kept for a day so
+// a client that reconnects can `sync` what it missed (see utils/roomEvents). `seq` counts up per room.
+const RoomEventSchema = new mongoose.Schema({
+  room: { type: String, required: true },
+  seq: { type: Number, required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} }, // as emitted, without `room` and `seq`
+  createdAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+RoomEventSchema.index({ room: 1, seq: 1 }, { unique: true });
+RoomEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('RoomEvent', RoomEventSchema);
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// the last room event sequence number handed out per room (see models/RoomEvent); it outlives the
+// events, so numbers keep counting up after old events expire or the room is deleted and made again
+const RoomSequenceSchema = new mongoose.Schema({
+  _id: { type: String }, // the room name
+  seq: { type: Number, default: 0 }
+});
+
+module.exports = mongoose.model('RoomSequence', RoomSequenceSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// a resumable upload in progress (see utils/uploads). Each accepted chunk is kept in the file store as
+// a part; completing the upload joins them into one Attachment and deletes the session.
+const UploadSessionSchema = new mongoose.Schema({
+  uploadedBy: { type: String, required: true }, // user id, or `integration:<id>` for bots
+  name: { type: String, required: true },
+  mime: { type: String, required: true },
+  size: { type: Number, required: true }, // the size announced when the upload started
+  received: { type: Number, default: 0 }, // bytes accepted so far; the next chunk's offset
+  parts: [{ _id: false, key: String, size: Number }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+UploadSessionSchema.index({ uploadedBy: 1 });
+UploadSessionSchema.index({ updatedAt: 1 });
+
+module.exports = mongoose.model('UploadSession', UploadSessionSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// an outgoing webhook on a room: matching room events are POSTed to `url` as JSON,
+// signed with `secret` (see utils/webhooks)
+const WebhookSchema = new mongoose.Schema({
+  room: { type: String, required: true }, // room name, as on messages
+  url: { type: String, required: true },
+  events: { type: [String], default: [] }, // 'message.created' | 'message.edited' | 'message.deleted' | 'member.joined' | 'room.cleared'
+  secret: { type: String, required: true },
+  active: { type: Boolean, default: true },
+  createdBy: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+WebhookSchema.index({ room: 1 });
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
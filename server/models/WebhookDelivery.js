@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// one event sent (or being retried) to a webhook: the delivery log room admins can inspect
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ['pending', 'success', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  responseStatus: { type: Number, default: null }, // HTTP status of the last attempt
+  lastError: { type: String, default: null },
+  nextAttemptAt: { type: Date, default: null }, // set while a retry is scheduled
+  createdAt: { type: Date, default: Date.now },
+  deliveredAt: { type: Date, default: null }
+});
+
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1, _id: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,19 @@
+const { createMemoryRepositories } = require('./memory');
+
+// Storage layer shared by every server entry point.
+// `driver` is 'mongo' or 'memory'; defaults to STORAGE_DRIVER, then 'mongo'.
+// Each driver returns { driver, messages, rooms, groups, users, reads, notifications, webhooks, integrations,
+// attachments, uploads, roomEvents } with the same API.
+function createRepositories({ driver = process.env.STORAGE_DRIVER || 'mongo' } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryRepositories();
+    case 'mongo':
+      // required lazily so the memory driver works without mongoose models loaded
+      return require('./mongo').createMongoRepositories();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { createRepositories };
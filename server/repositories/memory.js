@@ -0,0 +1,928 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { parseQuery, termScore } = require('../utils/search');
+
+// In-memory storage driver. Mirrors the Mongo driver's API and document shapes
+// so handlers and controllers can run (and be tested) without MongoDB.
+// Data lives for the lifetime of the process only.
+
+// 24-char hex ids, same format as Mongo ObjectIds
+const newId = () => crypto.randomBytes(12).toString('hex');
+
+// hand out copies so callers can't mutate the store by accident (like .lean())
+const clone = (doc) => (doc ? structuredClone(doc) : null);
+
+// room events kept per room; older ones are dropped (Mongo expires them by age instead)
+const MAX_ROOM_EVENTS = 1000;
+
+const byTime = (a, b) => (a.timestamp - b.timestamp) || (a._id < b._id ? -1 : a._id > b._id ? 1 : 0);
+
+function createMemoryRepositories() {
+  const messages = new Map(); // _id -> message
+  const rooms = new Map(); // _id -> room
+  const users = new Map(); // username -> user
+  const cursors = new Map(); // `${userId}\0${room}` -> read cursor
+  const profiles = new Map(); // userId -> { userId, userName, lastSeenAt, status, statusText }
+  const groups = new Map(); // _id -> group conversation
+  const notifications = new Map(); // _id -> notification
+  const webhooks = new Map(); // _id -> webhook
+  const integrations = new Map(); // _id -> incoming webhook / bot token
+  const deliveries = new Map(); // _id -> webhook delivery
+  const attachments = new Map(); // _id -> attachment metadata (the bytes are in the file store)
+  const uploads = new Map(); // _id -> resumable upload session
+  const roomEvents = new Map(); // room -> { seq, events } (events oldest first)
+
+  // one page of a timeline sorted by byTime: see messageRepo.listPage
+  function pageOf(timeline, { before, after, limit }) {
+    const key = after || before;
+    const cmp = (m) => (key ? byTime(m, { timestamp: new Date(key.timestamp), _id: String(key._id) }) : -1);
+    if (after) {
+      const newer = timeline.filter((m) => cmp(m) > 0);
+      return { messages: newer.slice(0, limit).map(clone), hasMore: newer.length > limit };
+    }
+    const older = timeline.filter((m) => cmp(m) < 0);
+    return { messages: older.slice(Math.max(0, older.length - limit)).map(clone), hasMore: older.length > limit };
+  }
+
+  // top-level DMs between users `a` and `b` (either direction), oldest first
+  const directTimeline = (a, b) => Array.from(messages.values())
+    .filter((m) => m.private && !m.parentId && ((m.fromId === a && m.toId === b) || (m.fromId === b && m.toId === a)))
+    .sort(byTime);
+
+  // may `participant` ({ userId, userName, groupIds }) see the DM or group message `m`? Group messages
+  // go to the group's participants, DMs to their two parties by id (legacy DMs without ids by name)
+  const isParty = (m, { userId, userName, groupIds = [] } = {}) => {
+    if (m.conversationId) return groupIds.map(String).includes(String(m.conversationId));
+    if (m.fromId) return !!userId && (m.fromId === String(userId) || m.toId === String(userId));
+    return !!userName && (m.from === userName || m.to === userName);
+  };
+
+  // the message `fromId` sent as `clientMsgId` (see messageRepo.create)
+  const bySenderAndClientId = (fromId, clientMsgId) => {
+    for (const m of messages.values()) {
+      if (m.clientMsgId === String(clientMsgId) && m.fromId === String(fromId)) return m;
+    }
+    return null;
+  };
+
+  const messageRepo = {
+    async create(data) {
+      // checked and stored without yielding, so concurrent retries can't both get in
+      if (data.clientMsgId && bySenderAndClientId(data.fromId, data.clientMsgId)) {
+        const err = new Error('duplicate message');
+        err.code = 'duplicate_message';
+        throw err;
+      }
+      const msg = {
+        _id: newId(),
+        content: data.content ?? null,
+        from: data.from ?? null,
+        to: data.to ?? null,
+        fromId: data.fromId ?? null,
+        toId: data.toId ?? null,
+        conversationId: data.conversationId ? String(data.conversationId) : null,
+        mentions: (data.mentions || []).map((m) => ({ ...m })),
+        room: data.room === undefined ? 'global' : data.room,
+        private: !!data.private,
+        timestamp: data.timestamp ? new Date(data.timestamp) : new Date(),
+        reactions: [],
+        readBy: [],
+        edited: false,
+        editedAt: null,
+        editHistory: [],
+        parentId: data.parentId ? String(data.parentId) : null,
+        replyCount: 0,
+        lastReplyAt: null
+      };
+      if (data.file) msg.file = { ...data.file };
+      if (data.bot) msg.bot = { ...data.bot };
+      if (data.avatarUrl) msg.avatarUrl = data.avatarUrl;
+      if (data.subtype) msg.subtype = data.subtype;
+      if (data.poll) msg.poll = structuredClone(data.poll);
+      if (data.clientMsgId) msg.clientMsgId = data.clientMsgId;
+      messages.set(msg._id, msg);
+      return clone(msg);
+    },
+
+    async findById(id) {
+      return clone(messages.get(String(id)));
+    },
+
+    // the message `fromId` sent with the client-generated `clientMsgId`, or null
+    async findByClientMsgId(fromId, clientMsgId) {
+      return clone(bySenderAndClientId(fromId, clientMsgId));
+    },
+
+    // oldest first, top-level room messages only (DMs are read by their parties, not listed)
+    async list({ room, limit = 100 } = {}) {
+      return Array.from(messages.values())
+        .filter((m) => !m.parentId && !m.private && (!room || m.room === room))
+        .sort(byTime)
+        .slice(0, limit)
+        .map(clone);
+    },
+
+    // newest `limit` top-level messages before `before`, returned oldest first
+    async listRecent(room, { before, limit = 50 } = {}) {
+      const cutoff = before ? new Date(before).getTime() : Infinity;
+      const matching = Array.from(messages.values())
+        .filter((m) => !m.parentId && m.room === room && m.timestamp.getTime() < cutoff)
+        .sort(byTime);
+      return matching.slice(Math.max(0, matching.length - limit)).map(clone);
+    },
+
+    // one page of a room's top-level timeline in (timestamp, _id) order, returned oldest first.
+    // `before` / `after` are exclusive { timestamp, _id } keys; with neither, the newest page.
+    // `hasMore` says whether more messages exist beyond the page in the paging direction.
+    async listPage(room, { before, after, limit = 50 } = {}) {
+      const timeline = Array.from(messages.values()).filter((m) => !m.parentId && m.room === room).sort(byTime);
+      return pageOf(timeline, { before, after, limit });
+    },
+
+    // the same paging over the DMs between `userId` and `peerId`
+    async listDirectPage(userId, peerId, { before, after, limit = 50 } = {}) {
+      return pageOf(directTimeline(String(userId), String(peerId)), { before, after, limit });
+    },
+
+    // everyone `userId` has exchanged DMs with: [{ peerId, peerName, lastMessage }], most recent first
+    async listConversations(userId) {
+      const me = String(userId);
+      const latest = new Map();
+      for (const m of messages.values()) {
+        if (!m.private || m.parentId || m.conversationId || (m.fromId !== me && m.toId !== me)) continue;
+        const peerId = m.fromId === me ? m.toId : m.fromId;
+        const current = latest.get(peerId);
+        if (!current || byTime(m, current) > 0) latest.set(peerId, m);
+      }
+      return Array.from(latest.entries())
+        .map(([peerId, m]) => ({ peerId, peerName: m.fromId === me ? m.to : m.from, lastMessage: clone(m) }))
+        .sort((a, b) => byTime(b.lastMessage, a.lastMessage));
+    },
+
+    // DMs from `peerId` to `userId` after the read cursor `after` (null: never read)
+    async countUnreadDirect(userId, peerId, after) {
+      const key = after ? { timestamp: new Date(after.lastReadAt), _id: String(after.lastReadId) } : null;
+      return directTimeline(String(userId), String(peerId))
+        .filter((m) => m.fromId === String(peerId) && (!key || byTime(m, key) > 0)).length;
+    },
+
+    // the same paging over a group conversation's top-level messages
+    async listGroupPage(conversationId, { before, after, limit = 50 } = {}) {
+      const timeline = Array.from(messages.values())
+        .filter((m) => !m.parentId && m.conversationId === String(conversationId))
+        .sort(byTime);
+      return pageOf(timeline, { before, after, limit });
+    },
+
+    // a group's top-level messages after the read cursor `after`, not sent by `excludeFromId`
+    async countUnreadGroup(conversationId, after, { excludeFromId } = {}) {
+      const key = after ? { timestamp: new Date(after.lastReadAt), _id: String(after.lastReadId) } : null;
+      let unread = 0;
+      for (const m of messages.values()) {
+        if (m.parentId || m.conversationId !== String(conversationId)) continue;
+        if ((excludeFromId && m.fromId === String(excludeFromId)) || (key && byTime(m, key) <= 0)) continue;
+        unread++;
+      }
+      return unread;
+    },
+
+    // top-level messages in `room` after the read cursor `after` ({ lastReadAt, lastReadId }, or null
+    // for "never read"), not sent by `excludeFrom`; `mentionOf` (a user id) also counts those
+    // mentioning that user, directly or through @here / @room
+    async countUnread(room, after, { excludeFrom, mentionOf } = {}) {
+      const key = after ? { timestamp: new Date(after.lastReadAt), _id: String(after.lastReadId) } : null;
+      let unread = 0;
+      let mentions = 0;
+      for (const m of messages.values()) {
+        if (m.parentId || m.room !== room || (excludeFrom && m.from === excludeFrom)) continue;
+        if (key && byTime(m, key) <= 0) continue;
+        unread++;
+        if (mentionOf && (m.mentions || []).some((x) => x.kind !== 'user' || x.userId === String(mentionOf))) mentions++;
+      }
+      return { unread, mentions };
+    },
+
+    async listReplies(parentId, { limit = 200 } = {}) {
+      return Array.from(messages.values())
+        .filter((m) => m.parentId === String(parentId))
+        .sort(byTime)
+        .slice(0, limit)
+        .map(clone);
+    },
+
+    // full-text search over content and file names; returns { results, total }.
+    // Options: room, excludeRooms, from, since, until, hasAttachment, participant ({ userId, userName,
+    // groupIds }: DMs and group messages only match for their parties), sort ('relevance' | 'recent'),
+    // limit, offset.
+    // Terms are OR'd and case-insensitive; relevance is the number of distinct terms matched.
+    async search(q, { room, excludeRooms = [], from, since, until, hasAttachment, participant, sort = 'relevance', limit = 20, offset = 0 } = {}) {
+      const terms = parseQuery(q);
+      const scored = [];
+      for (const m of messages.values()) {
+        if (room ? m.room !== room : excludeRooms.includes(m.room)) continue;
+        if (m.private && (!participant || !isParty(m, participant))) continue;
+        if (from && m.from !== from) continue;
+        if (since && m.timestamp < new Date(since)) continue;
+        if (until && m.timestamp > new Date(until)) continue;
+        if (hasAttachment !== undefined && !!m.file !== hasAttachment) continue;
+        const score = termScore(`${m.content || ''} ${(m.file && m.file.name) || ''}`, terms);
+        if (score > 0) scored.push({ m, score });
+      }
+      scored.sort((a, b) => (sort === 'relevance' && b.score - a.score) || b.m.timestamp - a.m.timestamp);
+      return { results: scored.slice(offset, offset + limit).map(({ m }) => clone(m)), total: scored.length };
+    },
+
+    // up to `before` / `after` neighbours of a message, oldest first: the same room's or group's
+    // top-level timeline, or the same two parties' DMs (by id; legacy DMs without ids by name)
+    async listAround(msg, { before = 10, after = 10 } = {}) {
+      const t = new Date(msg.timestamp).getTime();
+      const between = msg.fromId
+        ? (m) => (m.fromId === msg.fromId && m.toId === msg.toId) || (m.fromId === msg.toId && m.toId === msg.fromId)
+        : (m) => !m.fromId && ((m.from === msg.from && m.to === msg.to) || (m.from === msg.to && m.to === msg.from));
+      let sameScope = (m) => !m.private && !m.parentId && m.room === msg.room;
+      if (msg.conversationId) sameScope = (m) => !m.parentId && m.conversationId === String(msg.conversationId);
+      else if (msg.private) sameScope = (m) => m.private && !m.parentId && !m.conversationId && between(m);
+      const scope = Array.from(messages.values()).filter((m) => m._id !== String(msg._id) && sameScope(m)).sort(byTime);
+      const older = scope.filter((m) => m.timestamp.getTime() <= t);
+      return {
+        before: older.slice(Math.max(0, older.length - before)).map(clone),
+        after: scope.filter((m) => m.timestamp.getTime() > t).slice(0, after).map(clone)
+      };
+    },
+
+    async update(id, fields) {
+      const msg = messages.get(String(id));
+      if (!msg) return null;
+      Object.assign(msg, structuredClone(fields));
+      return clone(msg);
+    },
+
+    async addReply(rootId, lastReplyAt) {
+      const root = messages.get(String(rootId));
+      if (!root) return null;
+      root.replyCount += 1;
+      root.lastReplyAt = new Date(lastReplyAt);
+      return clone(root);
+    },
+
+    async removeReply(rootId) {
+      const root = messages.get(String(rootId));
+      if (!root) return null;
+      root.replyCount = Math.max(0, root.replyCount - 1);
+      return clone(root);
+    },
+
+    // toggle `user`'s reaction; returns the updated message
+    async toggleReaction(id, emoji, user) {
+      const msg = messages.get(String(id));
+      if (!msg) return null;
+      const r = msg.reactions.find((x) => x.emoji === emoji);
+      if (!r) {
+        msg.reactions.push({ emoji, users: [user], count: 1 });
+      } else if (r.users.includes(user)) {
+        r.users = r.users.filter((u) => u !== user);
+        r.count = r.users.length;
+        if (r.count === 0) msg.reactions = msg.reactions.filter((x) => x.emoji !== emoji);
+      } else {
+        r.users.push(user);
+        r.count = r.users.length;
+      }
+      return clone(msg);
+    },
+
+    // toggle `voterId`'s vote for option `index` of an open poll, taking back any other vote of
+    // theirs in the same step; null when there is no such open poll or option
+    async votePoll(id, index, voterId) {
+      const msg = messages.get(String(id));
+      const poll = msg && msg.poll;
+      if (!poll || poll.closed || !Number.isInteger(index) || !poll.options[index]) return null;
+      const voter = String(voterId);
+      const had = poll.options[index].votes.includes(voter);
+      poll.options.forEach((o, i) => {
+        o.votes = o.votes.filter((v) => v !== voter);
+        if (i === index && !had) o.votes.push(voter);
+      });
+      return clone(msg);
+    },
+
+    async delete(id) {
+      const msg = messages.get(String(id));
+      if (!msg) return null;
+      messages.delete(msg._id);
+      return clone(msg);
+    },
+
+    async deleteByRoom(room) {
+      let deleted = 0;
+      for (const [id, m] of messages) {
+        if (m.room === room) { messages.delete(id); deleted++; }
+      }
+      return deleted;
+    },
+
+    async deleteReplies(parentId) {
+      let deleted = 0;
+      for (const [id, m] of messages) {
+        if (m.parentId === String(parentId)) { messages.delete(id); deleted++; }
+      }
+      return deleted;
+    }
+  };
+
+  const roomRepo = {
+    // equality filter on top-level fields, e.g. { isPrivate: false }
+    async list(filter = {}) {
+      return Array.from(rooms.values())
+        .filter((r) => Object.entries(filter).every(([k, v]) => r[k] === v))
+        .map(clone);
+    },
+
+    async findByName(name) {
+      for (const r of rooms.values()) if (r.name === name) return clone(r);
+      return null;
+    },
+
+    async findByIdOrName(key) {
+      const k = String(key);
+      return clone(rooms.get(k)) || this.findByName(k);
+    },
+
+    async create(data) {
+      const name = String(data.name || '').trim();
+      if (await this.findByName(name)) {
+        const err = new Error('room exists');
+        err.code = 'room_exists';
+        throw err;
+      }
+      const room = {
+        _id: newId(),
+        name,
+        description: data.description || '',
+        createdBy: data.createdBy,
+        // a private room starts with its creator as the only member
+        members: Array.isArray(data.members) ? [...data.members] : (data.isPrivate && data.createdBy ? [String(data.createdBy)] : []),
+        // the creator owns the room
+        roles: Array.isArray(data.roles) ? structuredClone(data.roles) : (data.createdBy ? [{ userId: String(data.createdBy), role: 'owner' }] : []),
+        invites: [],
+        mutes: [],
+        isPrivate: !!data.isPrivate,
+        createdAt: data.createdAt ? new Date(data.createdAt) : new Date()
+      };
+      rooms.set(room._id, room);
+      return clone(room);
+    },
+
+    async update(id, fields) {
+      const room = rooms.get(String(id));
+      if (!room) return null;
+      Object.assign(room, structuredClone(fields));
+      return clone(room);
+    },
+
+    // set a user's role; `role` null removes the entry (back to plain member)
+    async setRole(id, userId, role) {
+      const room = rooms.get(String(id));
+      if (!room) return null;
+      room.roles = (room.roles || []).filter((r) => r.userId !== String(userId));
+      if (role) room.roles.push({ userId: String(userId), role });
+      return clone(room);
+    },
+
+    async addMember(id, userId) {
+      const room = rooms.get(String(id));
+      if (!room) return null;
+      if (!room.members.includes(String(userId))) room.members.push(String(userId));
+      return clone(room);
+    },
+
+    // removing a member also drops their role, so it can't keep granting access
+    async removeMember(id, userId) {
+      const room = rooms.get(String(id));
+      if (!room) return null;
+      room.members = room.members.filter((m) => m !== String(userId));
+      room.roles = (room.roles || []).filter((r) => r.userId !== String(userId));
+      return clone(room);
+    },
+
+    // mute mute.userId ({ userId, until, by }; until null is indefinite), replacing their earlier
+    // mute and dropping expired ones
+    async setMute(id, mute) {
+      const room = rooms.get(String(id));
+      if (!room) return null;
+      const entry = { userId: String(mute.userId), until: mute.until ? new Date(mute.until) : null, by: String(mute.by) };
+      const now = new Date();
+      room.mutes = (room.mutes || []).filter((m) => m.userId !== entry.userId && (!m.until || m.until > now)).concat(entry);
+      return clone(room);
+    },
+
+    async clearMute(id, userId) {
+      const room = rooms.get(String(id));
+      if (!room) return null;
+      room.mutes = (room.mutes || []).filter((m) => m.userId !== String(userId));
+      return clone(room);
+    },
+
+    // add or refresh the pending invitation for invite.userId
+    async addInvite(id, invite) {
+      const room = rooms.get(String(id));
+      if (!room) return null;
+      room.invites = (room.invites || []).filter((i) => i.userId !== String(invite.userId));
+      room.invites.push({ userId: String(invite.userId), invitedBy: String(invite.invitedBy), createdAt: new Date(invite.createdAt || Date.now()) });
+      return clone(room);
+    },
+
+    async removeInvite(id, userId) {
+      const room = rooms.get(String(id));
+      if (!room) return null;
+      room.invites = (room.invites || []).filter((i) => i.userId !== String(userId));
+      return clone(room);
+    },
+
+    // rooms with a pending invitation for `userId`
+    async listInvitedRooms(userId) {
+      return Array.from(rooms.values())
+        .filter((r) => (r.invites || []).some((i) => i.userId === String(userId)))
+        .map(clone);
+    },
+
+    async delete(id) {
+      const room = rooms.get(String(id));
+      if (!room) return null;
+      rooms.delete(room._id);
+      return clone(room);
+    }
+  };
+
+  const groupRepo = {
+    async findById(id) {
+      return clone(groups.get(String(id)));
+    },
+
+    // group conversations `userId` takes part in
+    async listForUser(userId) {
+      return Array.from(groups.values())
+        .filter((g) => g.participants.some((p) => p.userId === String(userId)))
+        .map(clone);
+    },
+
+    async create(data) {
+      const now = new Date();
+      const group = {
+        _id: newId(),
+        name: data.name || null,
+        participants: (data.participants || []).map((p) => ({ ...p, userId: String(p.userId) })),
+        createdBy: String(data.createdBy),
+        createdAt: data.createdAt ? new Date(data.createdAt) : now,
+        updatedAt: now
+      };
+      groups.set(group._id, group);
+      return clone(group);
+    },
+
+    async update(id, fields) {
+      const group = groups.get(String(id));
+      if (!group) return null;
+      Object.assign(group, fields, { updatedAt: new Date() });
+      return clone(group);
+    },
+
+    async addParticipant(id, participant) {
+      const group = groups.get(String(id));
+      if (!group) return null;
+      if (!group.participants.some((p) => p.userId === String(participant.userId))) {
+        group.participants.push({ ...participant, userId: String(participant.userId) });
+        group.updatedAt = new Date();
+      }
+      return clone(group);
+    },
+
+    async removeParticipant(id, userId) {
+      const group = groups.get(String(id));
+      if (!group) return null;
+      group.participants = group.participants.filter((p) => p.userId !== String(userId));
+      group.updatedAt = new Date();
+      return clone(group);
+    }
+  };
+
+  const userRepo = {
+    async findByUsername(username) {
+      const u = users.get(username);
+      return u ? { _id: u._id, username: u.username } : null;
+    },
+
+    async create({ username, password }) {
+      if (users.has(username)) {
+        const err = new Error('user exists');
+        err.code = 'user_exists';
+        throw err;
+      }
+      const user = { _id: newId(), username, password: await bcrypt.hash(password, 10) };
+      users.set(username, user);
+      return { _id: user._id, username };
+    },
+
+    // returns the user (without password) when the credentials match
+    async verifyPassword(username, password) {
+      const u = users.get(username);
+      if (!u || !(await bcrypt.compare(password, u.password))) return null;
+      return { _id: u._id, username: u.username };
+    },
+
+    // record that `userId` connected as `userName` (the directory DMs resolve recipients against)
+    async touchProfile({ userId, userName }) {
+      const key = String(userId);
+      const profile = { status: 'online', statusText: null, ...profiles.get(key), userId: key, userName, lastSeenAt: new Date() };
+      profiles.set(key, profile);
+      return clone(profile);
+    },
+
+    // the profile of exactly `userId`, or null
+    async getProfile(userId) {
+      return clone(profiles.get(String(userId)));
+    },
+
+    // set presence fields ({ status?, statusText? }) on an existing profile; null when there is none
+    async updateProfile(userId, fields) {
+      const profile = profiles.get(String(userId));
+      if (!profile) return null;
+      Object.assign(profile, fields);
+      return clone(profile);
+    },
+
+    // a profile by user id, else the most recently seen one with that username
+    async findProfile(idOrName) {
+      const key = String(idOrName);
+      if (profiles.has(key)) return clone(profiles.get(key));
+      const named = Array.from(profiles.values()).filter((p) => p.userName === key);
+      return clone(named.sort((a, b) => b.lastSeenAt - a.lastSeenAt)[0]);
+    }
+  };
+
+  const readRepo = {
+    // record `reader` on the message; returns the updated message
+    async markRead(messageId, reader) {
+      const msg = messages.get(String(messageId));
+      if (!msg) return null;
+      if (!msg.readBy.includes(reader)) msg.readBy.push(reader);
+      return clone(msg);
+    },
+
+    async getCursor(userId, room) {
+      return clone(cursors.get(`${userId}\u0000${room}`));
+    },
+
+    async listCursors(userId) {
+      return Array.from(cursors.values()).filter((c) => c.userId === String(userId)).map(clone);
+    },
+
+    // move the user's cursor in `room` to `msg`, never backwards; returns { cursor, changed }
+    async setCursor(userId, room, msg) {
+      const key = `${userId}\u0000${room}`;
+      const current = cursors.get(key);
+      if (current && byTime({ timestamp: new Date(msg.timestamp), _id: String(msg._id) }, { timestamp: current.lastReadAt, _id: current.lastReadId }) <= 0) {
+        return { cursor: clone(current), changed: false };
+      }
+      const cursor = { userId: String(userId), room, lastReadId: String(msg._id), lastReadAt: new Date(msg.timestamp), updatedAt: new Date() };
+      cursors.set(key, cursor);
+      return { cursor: clone(cursor), changed: true };
+    }
+  };
+
+  // newest first, like the mongo sort { createdAt: -1, _id: -1 }
+  const newestFirst = (a, b) => (b.createdAt - a.createdAt) || (a._id < b._id ? 1 : a._id > b._id ? -1 : 0);
+  const notificationsOf = (userId, ids) => Array.from(notifications.values())
+    .filter((n) => n.userId === String(userId) && (!ids || ids.includes(n._id)));
+
+  const notificationRepo = {
+    async create(data) {
+      const doc = {
+        _id: newId(),
+        userId: String(data.userId),
+        type: data.type,
+        title: data.title ?? null,
+        body: data.body ?? null,
+        data: { ...data.data },
+        read: false,
+        readAt: null,
+        createdAt: data.createdAt ? new Date(data.createdAt) : new Date()
+      };
+      notifications.set(doc._id, doc);
+      return clone(doc);
+    },
+
+    // newest first; `before` is the id of the last notification of the previous page
+    async listForUser(userId, { before, limit = 50, unreadOnly = false } = {}) {
+      const anchor = before ? notifications.get(String(before)) : null;
+      const list = notificationsOf(userId)
+        .filter((n) => (!unreadOnly || !n.read) && (!anchor || anchor.userId !== n.userId || newestFirst(anchor, n) < 0))
+        .sort(newestFirst);
+      return { notifications: list.slice(0, limit).map(clone), hasMore: list.length > limit };
+    },
+
+    async countUnread(userId) {
+      return notificationsOf(userId).filter((n) => !n.read).length;
+    },
+
+    // mark the user's notifications `ids` (all when omitted) read; returns how many changed
+    async markRead(userId, ids) {
+      const unread = notificationsOf(userId, ids).filter((n) => !n.read);
+      const now = new Date();
+      unread.forEach((n) => Object.assign(n, { read: true, readAt: now }));
+      return unread.length;
+    },
+
+    // delete the user's notifications `ids` (all when omitted, or only read ones); returns how many
+    async clear(userId, { ids, readOnly = false } = {}) {
+      const gone = notificationsOf(userId, ids).filter((n) => !readOnly || n.read);
+      gone.forEach((n) => notifications.delete(n._id));
+      return gone.length;
+    }
+  };
+
+  const deliveriesOf = (webhookId) => Array.from(deliveries.values())
+    .filter((d) => d.webhookId === String(webhookId))
+    .sort(newestFirst);
+
+  const webhookRepo = {
+    async create(data) {
+      const now = new Date();
+      const doc = {
+        _id: newId(),
+        room: data.room,
+        url: data.url,
+        events: [...(data.events || [])],
+        secret: data.secret,
+        active: data.active !== false,
+        createdBy: data.createdBy,
+        createdAt: now,
+        updatedAt: now
+      };
+      webhooks.set(doc._id, doc);
+      return clone(doc);
+    },
+
+    async findById(id) {
+      return clone(webhooks.get(String(id)));
+    },
+
+    // a room's webhooks, oldest first; `event` keeps the active ones subscribed to it
+    async listForRoom(room, { event } = {}) {
+      return Array.from(webhooks.values())
+        .filter((w) => w.room === room && (!event || (w.active && w.events.includes(event))))
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(clone);
+    },
+
+    async update(id, fields) {
+      const doc = webhooks.get(String(id));
+      if (!doc) return null;
+      Object.assign(doc, fields, { updatedAt: new Date() });
+      return clone(doc);
+    },
+
+    // remove a webhook and its delivery log
+    async delete(id) {
+      const existed = webhooks.delete(String(id));
+      deliveriesOf(id).forEach((d) => deliveries.delete(d._id));
+      return existed;
+    },
+
+    async deleteByRoom(room) {
+      const gone = Array.from(webhooks.values()).filter((w) => w.room === room);
+      await Promise.all(gone.map((w) => this.delete(w._id)));
+      return gone.length;
+    },
+
+    async createDelivery(data) {
+      const doc = {
+        _id: newId(),
+        webhookId: String(data.webhookId),
+        event: data.event,
+        payload: structuredClone(data.payload),
+        status: data.status || 'pending',
+        attempts: 0,
+        responseStatus: null,
+        lastError: null,
+        nextAttemptAt: data.nextAttemptAt || null,
+        createdAt: new Date(),
+        deliveredAt: null
+      };
+      deliveries.set(doc._id, doc);
+      return clone(doc);
+    },
+
+    async updateDelivery(id, fields) {
+      const doc = deliveries.get(String(id));
+      if (!doc) return null;
+      Object.assign(doc, fields);
+      return clone(doc);
+    },
+
+    // a webhook's delivery log, newest first; `before` is the id of the last delivery of the previous page
+    async listDeliveries(webhookId, { before, limit = 50 } = {}) {
+      const anchor = before ? deliveries.get(String(before)) : null;
+      const list = deliveriesOf(webhookId).filter((d) => !anchor || newestFirst(anchor, d) < 0);
+      return { deliveries: list.slice(0, limit).map(clone), hasMore: list.length > limit };
+    },
+
+    // deliveries still waiting for an attempt, e.g. retries cut short by a restart
+    async listPendingDeliveries() {
+      return Array.from(deliveries.values()).filter((d) => d.status === 'pending').map(clone);
+    },
+
+    // keep only the newest `keep` deliveries of a webhook; returns how many were dropped
+    async pruneDeliveries(webhookId, keep) {
+      const old = deliveriesOf(webhookId).slice(keep);
+      old.forEach((d) => deliveries.delete(d._id));
+      return old.length;
+    }
+  };
+
+  const integrationRepo = {
+    async create(data) {
+      const doc = {
+        _id: newId(),
+        room: data.room,
+        kind: data.kind,
+        name: data.name,
+        avatarUrl: data.avatarUrl ?? null,
+        tokenHash: data.tokenHash,
+        createdBy: data.createdBy,
+        createdAt: new Date(),
+        lastUsedAt: null
+      };
+      integrations.set(doc._id, doc);
+      return clone(doc);
+    },
+
+    async findById(id) {
+      return clone(integrations.get(String(id)));
+    },
+
+    async findByTokenHash(tokenHash) {
+      return clone(Array.from(integrations.values()).find((i) => i.tokenHash === tokenHash));
+    },
+
+    // a room's integrations, oldest first
+    async listForRoom(room) {
+      return Array.from(integrations.values())
+        .filter((i) => i.room === room)
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(clone);
+    },
+
+    async update(id, fields) {
+      const doc = integrations.get(String(id));
+      if (!doc) return null;
+      Object.assign(doc, fields);
+      return clone(doc);
+    },
+
+    async delete(id) {
+      return integrations.delete(String(id));
+    },
+
+    async deleteByRoom(room) {
+      const gone = Array.from(integrations.values()).filter((i) => i.room === room);
+      gone.forEach((i) => integrations.delete(i._id));
+      return gone.length;
+    }
+  };
+
+  const attachmentRepo = {
+    async create(data) {
+      const doc = {
+        _id: newId(),
+        name: data.name,
+        mime: data.mime,
+        size: data.size,
+        sha256: data.sha256,
+        store: data.store,
+        key: data.key,
+        uploadedBy: data.uploadedBy,
+        messageId: data.messageId ? String(data.messageId) : null,
+        room: data.room ?? null,
+        createdAt: new Date()
+      };
+      attachments.set(doc._id, doc);
+      return clone(doc);
+    },
+
+    async findById(id) {
+      return clone(attachments.get(String(id)));
+    },
+
+    // a room's attachments, oldest first
+    async listForRoom(room) {
+      return Array.from(attachments.values())
+        .filter((a) => a.room === room)
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(clone);
+    },
+
+    async update(id, fields) {
+      const doc = attachments.get(String(id));
+      if (!doc) return null;
+      Object.assign(doc, fields, fields.messageId ? { messageId: String(fields.messageId) } : {});
+      return clone(doc);
+    },
+
+    async delete(id) {
+      return attachments.delete(String(id));
+    }
+  };
+
+  const uploadRepo = {
+    async create(data) {
+      const now = new Date();
+      const doc = {
+        _id: newId(),
+        uploadedBy: data.uploadedBy,
+        name: data.name,
+        mime: data.mime,
+        size: data.size,
+        received: 0,
+        parts: [],
+        createdAt: now,
+        updatedAt: now
+      };
+      uploads.set(doc._id, doc);
+      return clone(doc);
+    },
+
+    async findById(id) {
+      return clone(uploads.get(String(id)));
+    },
+
+    // add `part` ({ key, size }) if nothing else was accepted since `received`; null otherwise
+    async appendPart(id, received, part) {
+      const doc = uploads.get(String(id));
+      if (!doc || doc.received !== received) return null;
+      doc.parts.push({ key: part.key, size: part.size });
+      doc.received += part.size;
+      doc.updatedAt = new Date();
+      return clone(doc);
+    },
+
+    async listForUser(uploadedBy) {
+      return Array.from(uploads.values()).filter((u) => u.uploadedBy === uploadedBy).map(clone);
+    },
+
+    // sessions nobody has touched since `before`
+    async listStale(before) {
+      return Array.from(uploads.values()).filter((u) => u.updatedAt < before).map(clone);
+    },
+
+    async delete(id) {
+      return uploads.delete(String(id));
+    }
+  };
+
+  const roomEventRepo = {
+    // record `event` as the room's next one; resolves with { room, seq, event, payload, createdAt }
+    async append(room, event, payload) {
+      const log = roomEvents.get(room) || { seq: 0, events: [] };
+      roomEvents.set(room, log);
+      log.seq += 1;
+      const doc = { room, seq: log.seq, event, payload: structuredClone(payload), createdAt: new Date() };
+      log.events.push(doc);
+      if (log.events.length > MAX_ROOM_EVENTS) log.events.splice(0, log.events.length - MAX_ROOM_EVENTS);
+      return clone(doc);
+    },
+
+    // the room's last sequence number, 0 before its first event
+    async latestSeq(room) {
+      return roomEvents.get(room)?.seq || 0;
+    },
+
+    // up to `limit` events after `seq`, oldest first
+    async listAfter(room, seq, limit) {
+      const log = roomEvents.get(room);
+      return log ? log.events.filter((e) => e.seq > seq).slice(0, limit).map(clone) : [];
+    },
+
+    // forget the events, not the sequence (see models/RoomSequence)
+    async deleteByRoom(room) {
+      const log = roomEvents.get(room);
+      if (log) log.events = [];
+    }
+  };
+
+  return {
+    driver: 'memory',
+    messages: messageRepo,
+    rooms: roomRepo,
+    groups: groupRepo,
+    users: userRepo,
+    reads: readRepo,
+    notifications: notificationRepo,
+    webhooks: webhookRepo,
+    integrations: integrationRepo,
+    attachments: attachmentRepo,
+    uploads: uploadRepo,
+    roomEvents: roomEventRepo
+  };
+}
+
+module.exports = { createMemoryRepositories, newId };
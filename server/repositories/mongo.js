@@ -0,0 +1,803 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const ReadCursor = require('../models/ReadCursor');
+const Profile = require('../models/Profile');
+const GroupConversation = require('../models/GroupConversation');
+const Notification = require('../models/Notification');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Integration = require('../models/Integration');
+const Attachment = require('../models/Attachment');
+const UploadSession = require('../models/UploadSession');
+const RoomEvent = require('../models/RoomEvent');
+const RoomSequence = require('../models/RoomSequence');
+
+// Mongo storage driver backed by the Mongoose models. Every method returns
+// plain objects (lean) so callers see the same shapes as the memory driver.
+
+const isId = (id) => mongoose.isValidObjectId(id);
+
+// one page of `query` in (timestamp, _id) order: see messageRepo.listPage
+async function pageOf(query, { before, after, limit }) {
+  const key = after || before;
+  if (key) {
+    const op = after ? '$gt' : '$lt';
+    const ts = new Date(key.timestamp);
+    query = { $and: [query, { $or: [{ timestamp: { [op]: ts } }, { timestamp: ts, _id: { [op]: key._id } }] }] };
+  }
+  const dir = after ? 1 : -1;
+  const msgs = await Message.find(query).sort({ timestamp: dir, _id: dir }).limit(limit + 1).lean();
+  const page = msgs.slice(0, limit);
+  return { messages: after ? page : page.reverse(), hasMore: msgs.length > limit };
+}
+
+// top-level DMs between users `a` and `b`, either direction
+const directQuery = (a, b) => ({
+  private: true,
+  parentId: null,
+  $or: [{ fromId: String(a), toId: String(b) }, { fromId: String(b), toId: String(a) }]
+});
+
+// the DMs and group messages `participant` ({ userId, userName, groupIds }) may see: group messages
+// go to the group's participants, DMs to their two parties by id (legacy DMs without ids by name)
+const partyQuery = ({ userId, userName, groupIds = [] } = {}) => ({
+  $or: [
+    { conversationId: { $in: groupIds } },
+    ...(userId ? [{ conversationId: null, fromId: String(userId) }, { conversationId: null, toId: String(userId) }] : []),
+    ...(userName ? [{ conversationId: null, fromId: null, $or: [{ from: userName }, { to: userName }] }] : [])
+  ]
+});
+
+function createMongoRepositories() {
+  const messageRepo = {
+    async create(data) {
+      const msg = new Message({ ...data, timestamp: data.timestamp || new Date() });
+      try {
+        await msg.save();
+      } catch (err) {
+        if (err && err.code === 11000 && data.clientMsgId) {
+          const e = new Error('duplicate message');
+          e.code = 'duplicate_message';
+          throw e;
+        }
+        throw err;
+      }
+      return msg.toObject();
+    },
+
+    async findById(id) {
+      if (!isId(id)) return null;
+      return Message.findById(id).lean();
+    },
+
+    // the message `fromId` sent with the client-generated `clientMsgId`, or null
+    async findByClientMsgId(fromId, clientMsgId) {
+      return Message.findOne({ fromId: String(fromId), clientMsgId: String(clientMsgId) }).lean();
+    },
+
+    // oldest first, top-level room messages only (DMs are read by their parties, not listed)
+    async list({ room, limit = 100 } = {}) {
+      const query = { parentId: null, private: { $ne: true }, ...(room ? { room } : {}) };
+      return Message.find(query).sort({ timestamp: 1, _id: 1 }).limit(limit).lean();
+    },
+
+    // newest `limit` top-level messages before `before`, returned oldest first
+    async listRecent(room, { before, limit = 50 } = {}) {
+      const query = { room, parentId: null };
+      if (before) query.timestamp = { $lt: new Date(before) };
+      const msgs = await Message.find(query).sort({ timestamp: -1, _id: -1 }).limit(limit).lean();
+      return msgs.reverse();
+    },
+
+    // one page of a room's top-level timeline in (timestamp, _id) order, returned oldest first.
+    // `before` / `after` are exclusive { timestamp, _id } keys; with neither, the newest page.
+    // `hasMore` says whether more messages exist beyond the page in the paging direction.
+    async listPage(room, { before, after, limit = 50 } = {}) {
+      return pageOf({ room, parentId: null }, { before, after, limit });
+    },
+
+    // the same paging over the DMs between `userId` and `peerId`
+    async listDirectPage(userId, peerId, { before, after, limit = 50 } = {}) {
+      return pageOf(directQuery(userId, peerId), { before, after, limit });
+    },
+
+    // everyone `userId` has exchanged DMs with: [{ peerId, peerName, lastMessage }], most recent first
+    async listConversations(userId) {
+      const me = String(userId);
+      const groups = await Message.aggregate([
+        { $match: { private: true, parentId: null, conversationId: null, $or: [{ fromId: me }, { toId: me }] } },
+        { $sort: { timestamp: -1, _id: -1 } },
+        { $group: { _id: { $cond: [{ $eq: ['$fromId', me] }, '$toId', '$fromId'] }, lastMessage: { $first: '$$ROOT' } } },
+        { $sort: { 'lastMessage.timestamp': -1, 'lastMessage._id': -1 } }
+      ]);
+      return groups.map(({ _id, lastMessage: m }) => ({ peerId: _id, peerName: m.fromId === me ? m.to : m.from, lastMessage: m }));
+    },
+
+    // DMs from `peerId` to `userId` after the read cursor `after` (null: never read)
+    async countUnreadDirect(userId, peerId, after) {
+      const query = { private: true, parentId: null, fromId: String(peerId), toId: String(userId) };
+      if (after) {
+        const at = new Date(after.lastReadAt);
+        query.$or = [{ timestamp: { $gt: at } }, { timestamp: at, _id: { $gt: after.lastReadId } }];
+      }
+      return Message.countDocuments(query);
+    },
+
+    // the same paging over a group conversation's top-level messages
+    async listGroupPage(conversationId, { before, after, limit = 50 } = {}) {
+      if (!isId(conversationId)) return { messages: [], hasMore: false };
+      return pageOf({ conversationId, parentId: null }, { before, after, limit });
+    },
+
+    // a group's top-level messages after the read cursor `after`, not sent by `excludeFromId`
+    async countUnreadGroup(conversationId, after, { excludeFromId } = {}) {
+      if (!isId(conversationId)) return 0;
+      const query = { conversationId, parentId: null };
+      if (after) {
+        const at = new Date(after.lastReadAt);
+        query.$or = [{ timestamp: { $gt: at } }, { timestamp: at, _id: { $gt: after.lastReadId } }];
+      }
+      if (excludeFromId) query.fromId = { $ne: String(excludeFromId) };
+      return Message.countDocuments(query);
+    },
+
+    // top-level messages in `room` after the read cursor `after` ({ lastReadAt, lastReadId }, or null
+    // for "never read"), not sent by `excludeFrom`; `mentionOf` (a user id) also counts those
+    // mentioning that user, directly or through @here / @room
+    async countUnread(room, after, { excludeFrom, mentionOf } = {}) {
+      const query = { room, parentId: null };
+      if (after) {
+        const at = new Date(after.lastReadAt);
+        query.$or = [{ timestamp: { $gt: at } }, { timestamp: at, _id: { $gt: after.lastReadId } }];
+      }
+      if (excludeFrom) query.from = { $ne: excludeFrom };
+      const [unread, mentions] = await Promise.all([
+        Message.countDocuments(query),
+        mentionOf
+          ? Message.countDocuments({ ...query, mentions: { $elemMatch: { $or: [{ userId: String(mentionOf) }, { kind: { $in: ['here', 'room'] } }] } } })
+          : 0
+      ]);
+      return { unread, mentions };
+    },
+
+    async listReplies(parentId, { limit = 200 } = {}) {
+      if (!isId(parentId)) return [];
+      return Message.find({ parentId }).sort({ timestamp: 1, _id: 1 }).limit(limit).lean();
+    },
+
+    // full-text search on the `message_text` index; returns { results, total }.
+    // Options: room, excludeRooms, from, since, until, hasAttachment, participant ({ userId, userName,
+    // groupIds }: DMs and group messages only match for their parties), sort ('relevance' | 'recent'),
+    // limit, offset.
+    async search(q, { room, excludeRooms = [], from, since, until, hasAttachment, participant, sort = 'relevance', limit = 20, offset = 0 } = {}) {
+      const and = [{ $text: { $search: String(q) } }];
+      if (room) and.push({ room });
+      else if (excludeRooms.length) and.push({ room: { $nin: excludeRooms } });
+      and.push(participant
+        ? { $or: [{ private: { $ne: true } }, { private: true, ...partyQuery(participant) }] }
+        : { private: { $ne: true } });
+      if (from) and.push({ from });
+      if (since || until) {
+        const range = {};
+        if (since) range.$gte = new Date(since);
+        if (until) range.$lte = new Date(until);
+        and.push({ timestamp: range });
+      }
+      if (hasAttachment === true) and.push({ file: { $exists: true, $ne: null } });
+      if (hasAttachment === false) and.push({ $or: [{ file: { $exists: false } }, { file: null }] });
+
+      const query = { $and: and };
+      const order = sort === 'relevance'
+        ? { score: { $meta: 'textScore' }, timestamp: -1, _id: -1 }
+        : { timestamp: -1, _id: -1 };
+      const [results, total] = await Promise.all([
+        Message.find(query, { score: { $meta: 'textScore' } }).sort(order).skip(offset).limit(limit).lean(),
+        Message.countDocuments(query)
+      ]);
+      return { results: results.map(({ score, ...m }) => m), total };
+    },
+
+    // up to `before` / `after` neighbours of a message, oldest first: the same room's or group's
+    // top-level timeline, or the same two parties' DMs (by id; legacy DMs without ids by name)
+    async listAround(msg, { before = 10, after = 10 } = {}) {
+      let scope = { room: msg.room, private: { $ne: true }, parentId: null };
+      if (msg.conversationId) scope = { conversationId: msg.conversationId, parentId: null };
+      else if (msg.private && msg.fromId) scope = { ...directQuery(msg.fromId, msg.toId), conversationId: null };
+      else if (msg.private) scope = { private: true, parentId: null, conversationId: null, fromId: null, $or: [{ from: msg.from, to: msg.to }, { from: msg.to, to: msg.from }] };
+      const ts = new Date(msg.timestamp);
+      const [older, newer] = await Promise.all([
+        Message.find({ ...scope, _id: { $ne: msg._id }, timestamp: { $lte: ts } }).sort({ timestamp: -1, _id: -1 }).limit(before).lean(),
+        Message.find({ ...scope, timestamp: { $gt: ts } }).sort({ timestamp: 1, _id: 1 }).limit(after).lean()
+      ]);
+      return { before: older.reverse(), after: newer };
+    },
+
+    async update(id, fields) {
+      if (!isId(id)) return null;
+      return Message.findByIdAndUpdate(id, { $set: fields }, { new: true }).lean();
+    },
+
+    async addReply(rootId, lastReplyAt) {
+      if (!isId(rootId)) return null;
+      return Message.findByIdAndUpdate(rootId, { $inc: { replyCount: 1 }, $set: { lastReplyAt } }, { new: true }).lean();
+    },
+
+    async removeReply(rootId) {
+      if (!isId(rootId)) return null;
+      return Message.findOneAndUpdate({ _id: rootId, replyCount: { $gt: 0 } }, { $inc: { replyCount: -1 } }, { new: true }).lean();
+    },
+
+    // toggle `user`'s reaction; returns the updated message
+    async toggleReaction(id, emoji, user) {
+      if (!isId(id)) return null;
+      const msg = await Message.findById(id);
+      if (!msg) return null;
+      const r = msg.reactions.find((x) => x.emoji === emoji);
+      if (!r) {
+        msg.reactions.push({ emoji, users: [user], count: 1 });
+      } else if (r.users.includes(user)) {
+        r.users = r.users.filter((u) => u !== user);
+        r.count = r.users.length;
+        if (r.count === 0) msg.reactions = msg.reactions.filter((x) => x.emoji !== emoji);
+      } else {
+        r.users.push(user);
+        r.count = r.users.length;
+      }
+      await msg.save();
+      return msg.toObject();
+    },
+
+    // toggle `voterId`'s vote for option `index` of an open poll, taking back any other vote of
+    // theirs, in one update so concurrent votes can't overwrite each other; null when there is no
+    // such open poll or option
+    async votePoll(id, index, voterId) {
+      if (!isId(id) || !Number.isInteger(index) || index < 0) return null;
+      const voter = { $literal: String(voterId) };
+      const had = { $in: [voter, { $arrayElemAt: ['$poll.options.votes', index] }] };
+      const options = {
+        $map: {
+          input: { $range: [0, { $size: '$poll.options' }] },
+          as: 'i',
+          in: {
+            $let: {
+              vars: { option: { $arrayElemAt: ['$poll.options', '$$i'] } },
+              in: {
+                $mergeObjects: ['$$option', {
+                  votes: {
+                    $concatArrays: [
+                      { $filter: { input: '$$option.votes', cond: { $ne: ['$$this', voter] } } },
+                      { $cond: [{ $and: [{ $eq: ['$$i', index] }, { $not: [had] }] }, [voter], []] }
+                    ]
+                  }
+                }]
+              }
+            }
+          }
+        }
+      };
+      return Message.findOneAndUpdate(
+        { _id: id, 'poll.closed': { $ne: true }, [`poll.options.${index}`]: { $exists: true } },
+        [{ $set: { 'poll.options': options } }],
+        { new: true }
+      ).lean();
+    },
+
+    async delete(id) {
+      if (!isId(id)) return null;
+      return Message.findByIdAndDelete(id).lean();
+    },
+
+    async deleteByRoom(room) {
+      const res = await Message.deleteMany({ room });
+      return res.deletedCount || 0;
+    },
+
+    async deleteReplies(parentId) {
+      if (!isId(parentId)) return 0;
+      const res = await Message.deleteMany({ parentId });
+      return res.deletedCount || 0;
+    }
+  };
+
+  const roomRepo = {
+    // equality filter on top-level fields, e.g. { isPrivate: false }
+    async list(filter = {}) {
+      return Room.find(filter).lean();
+    },
+
+    async findByName(name) {
+      return Room.findOne({ name }).lean();
+    },
+
+    async findByIdOrName(key) {
+      const query = isId(key) ? { $or: [{ _id: key }, { name: key }] } : { name: key };
+      return Room.findOne(query).lean();
+    },
+
+    async create(data) {
+      try {
+        // the creator owns the room
+        const roles = data.roles || (data.createdBy ? [{ userId: String(data.createdBy), role: 'owner' }] : []);
+        // a private room starts with its creator as the only member
+        const members = data.members || (data.isPrivate && data.createdBy ? [String(data.createdBy)] : []);
+        const room = new Room({ ...data, roles, members, createdAt: data.createdAt || new Date() });
+        await room.save();
+        return room.toObject();
+      } catch (err) {
+        if (err && err.code === 11000) {
+          const e = new Error('room exists');
+          e.code = 'room_exists';
+          throw e;
+        }
+        throw err;
+      }
+    },
+
+    async update(id, fields) {
+      if (!isId(id)) return null;
+      return Room.findByIdAndUpdate(id, { $set: fields }, { new: true }).lean();
+    },
+
+    // set a user's role; `role` null removes the entry (back to plain member)
+    async setRole(id, userId, role) {
+      if (!isId(id)) return null;
+      const pulled = await Room.findByIdAndUpdate(id, { $pull: { roles: { userId: String(userId) } } }, { new: true }).lean();
+      if (!pulled || !role) return pulled;
+      return Room.findByIdAndUpdate(id, { $push: { roles: { userId: String(userId), role } } }, { new: true }).lean();
+    },
+
+    async addMember(id, userId) {
+      if (!isId(id)) return null;
+      return Room.findByIdAndUpdate(id, { $addToSet: { members: String(userId) } }, { new: true }).lean();
+    },
+
+    // removing a member also drops their role, so it can't keep granting access
+    async removeMember(id, userId) {
+      if (!isId(id)) return null;
+      const update = { $pull: { members: String(userId), roles: { userId: String(userId) } } };
+      return Room.findByIdAndUpdate(id, update, { new: true }).lean();
+    },
+
+    // mute mute.userId ({ userId, until, by }; until null is indefinite) in one update: their earlier
+    // mute and expired ones are dropped, then the new one appended
+    async setMute(id, mute) {
+      if (!isId(id)) return null;
+      const entry = { userId: String(mute.userId), until: mute.until ? new Date(mute.until) : null, by: String(mute.by) };
+      const kept = {
+        $filter: {
+          input: { $ifNull: ['$mutes', []] },
+          cond: {
+            $and: [
+              { $ne: ['$$this.userId', entry.userId] },
+              { $or: [{ $eq: [{ $ifNull: ['$$this.until', null] }, null] }, { $gt: ['$$this.until', '$$NOW'] }] }
+            ]
+          }
+        }
+      };
+      return Room.findByIdAndUpdate(id, [{ $set: { mutes: { $concatArrays: [kept, { $literal: [entry] }] } } }], { new: true }).lean();
+    },
+
+    async clearMute(id, userId) {
+      if (!isId(id)) return null;
+      return Room.findByIdAndUpdate(id, { $pull: { mutes: { userId: String(userId) } } }, { new: true }).lean();
+    },
+
+    // add or refresh the pending invitation for invite.userId
+    async addInvite(id, invite) {
+      if (!isId(id)) return null;
+      const entry = { userId: String(invite.userId), invitedBy: String(invite.invitedBy), createdAt: invite.createdAt || new Date() };
+      await Room.updateOne({ _id: id }, { $pull: { invites: { userId: entry.userId } } });
+      return Room.findByIdAndUpdate(id, { $push: { invites: entry } }, { new: true }).lean();
+    },
+
+    async removeInvite(id, userId) {
+      if (!isId(id)) return null;
+      return Room.findByIdAndUpdate(id, { $pull: { invites: { userId: String(userId) } } }, { new: true }).lean();
+    },
+
+    // rooms with a pending invitation for `userId`
+    async listInvitedRooms(userId) {
+      return Room.find({ 'invites.userId': String(userId) }).lean();
+    },
+
+    async delete(id) {
+      if (!isId(id)) return null;
+      return Room.findByIdAndDelete(id).lean();
+    }
+  };
+
+  const groupRepo = {
+    async findById(id) {
+      if (!isId(id)) return null;
+      return GroupConversation.findById(id).lean();
+    },
+
+    // group conversations `userId` takes part in
+    async listForUser(userId) {
+      return GroupConversation.find({ 'participants.userId': String(userId) }).lean();
+    },
+
+    async create(data) {
+      const group = new GroupConversation(data);
+      await group.save();
+      return group.toObject();
+    },
+
+    async update(id, fields) {
+      if (!isId(id)) return null;
+      return GroupConversation.findByIdAndUpdate(id, { ...fields, updatedAt: new Date() }, { new: true }).lean();
+    },
+
+    async addParticipant(id, participant) {
+      if (!isId(id)) return null;
+      const userId = String(participant.userId);
+      // only push when not already there, so concurrent adds can't duplicate someone
+      const added = await GroupConversation.findOneAndUpdate(
+        { _id: id, 'participants.userId': { $ne: userId } },
+        { $push: { participants: { ...participant, userId } }, $set: { updatedAt: new Date() } },
+        { new: true }
+      ).lean();
+      return added || GroupConversation.findById(id).lean();
+    },
+
+    async removeParticipant(id, userId) {
+      if (!isId(id)) return null;
+      const update = { $pull: { participants: { userId: String(userId) } }, $set: { updatedAt: new Date() } };
+      return GroupConversation.findByIdAndUpdate(id, update, { new: true }).lean();
+    }
+  };
+
+  const userRepo = {
+    async findByUsername(username) {
+      return User.findOne({ username }).select('-password').lean();
+    },
+
+    async create({ username, password }) {
+      try {
+        const user = new User({ username, password }); // hashed by the pre-save hook
+        await user.save();
+        return { _id: user._id, username: user.username };
+      } catch (err) {
+        if (err && err.code === 11000) {
+          const e = new Error('user exists');
+          e.code = 'user_exists';
+          throw e;
+        }
+        throw err;
+      }
+    },
+
+    // returns the user (without password) when the credentials match
+    async verifyPassword(username, password) {
+      const user = await User.findOne({ username });
+      if (!user || !(await user.comparePassword(password))) return null;
+      return { _id: user._id, username: user.username };
+    },
+
+    // record that `userId` connected as `userName` (the directory DMs resolve recipients against)
+    async touchProfile({ userId, userName }) {
+      return Profile.findOneAndUpdate(
+        { userId: String(userId) },
+        { $set: { userName, lastSeenAt: new Date() } },
+        { new: true, upsert: true }
+      ).lean();
+    },
+
+    // the profile of exactly `userId`, or null
+    async getProfile(userId) {
+      return Profile.findOne({ userId: String(userId) }).lean();
+    },
+
+    // set presence fields ({ status?, statusText? }) on an existing profile; null when there is none
+    async updateProfile(userId, fields) {
+      return Profile.findOneAndUpdate({ userId: String(userId) }, { $set: fields }, { new: true }).lean();
+    },
+
+    // a profile by user id, else the most recently seen one with that username
+    async findProfile(idOrName) {
+      const key = String(idOrName);
+      return (await Profile.findOne({ userId: key }).lean())
+        || Profile.findOne({ userName: key }).sort({ lastSeenAt: -1 }).lean();
+    }
+  };
+
+  const readRepo = {
+    // record `reader` on the message; returns the updated message
+    async markRead(messageId, reader) {
+      if (!isId(messageId)) return null;
+      return Message.findByIdAndUpdate(messageId, { $addToSet: { readBy: reader } }, { new: true }).lean();
+    },
+
+    async getCursor(userId, room) {
+      return ReadCursor.findOne({ userId: String(userId), room }).lean();
+    },
+
+    async listCursors(userId) {
+      return ReadCursor.find({ userId: String(userId) }).lean();
+    },
+
+    // move the user's cursor in `room` to `msg`, never backwards; returns { cursor, changed }
+    async setCursor(userId, room, msg) {
+      const at = new Date(msg.timestamp);
+      const filter = {
+        userId: String(userId),
+        room,
+        // only match (and so only update) a cursor that is behind `msg`
+        $or: [{ lastReadAt: { $lt: at } }, { lastReadAt: at, lastReadId: { $lt: msg._id } }]
+      };
+      const update = { $set: { lastReadId: msg._id, lastReadAt: at, updatedAt: new Date() } };
+      try {
+        const cursor = await ReadCursor.findOneAndUpdate(filter, update, { new: true, upsert: true }).lean();
+        return { cursor, changed: true };
+      } catch (err) {
+        // the upsert hit the unique index: a cursor exists and is already at or past `msg`
+        if (err && err.code === 11000) return { cursor: await this.getCursor(userId, room), changed: false };
+        throw err;
+      }
+    }
+  };
+
+  const notificationRepo = {
+    async create(data) {
+      const doc = new Notification({ ...data, createdAt: data.createdAt || new Date() });
+      await doc.save();
+      return doc.toObject();
+    },
+
+    // newest first; `before` is the id of the last notification of the previous page
+    async listForUser(userId, { before, limit = 50, unreadOnly = false } = {}) {
+      const query = { userId: String(userId) };
+      if (unreadOnly) query.read = false;
+      const anchor = before && isId(before) ? await Notification.findOne({ _id: before, userId: String(userId) }).lean() : null;
+      if (anchor) query.$or = [{ createdAt: { $lt: anchor.createdAt } }, { createdAt: anchor.createdAt, _id: { $lt: anchor._id } }];
+      const docs = await Notification.find(query).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).lean();
+      return { notifications: docs.slice(0, limit), hasMore: docs.length > limit };
+    },
+
+    async countUnread(userId) {
+      return Notification.countDocuments({ userId: String(userId), read: false });
+    },
+
+    // mark the user's notifications `ids` (all when omitted) read; returns how many changed
+    async markRead(userId, ids) {
+      const query = { userId: String(userId), read: false };
+      if (ids) query._id = { $in: ids.filter(isId) };
+      const res = await Notification.updateMany(query, { $set: { read: true, readAt: new Date() } });
+      return res.modifiedCount || 0;
+    },
+
+    // delete the user's notifications `ids` (all when omitted, or only read ones); returns how many
+    async clear(userId, { ids, readOnly = false } = {}) {
+      const query = { userId: String(userId) };
+      if (ids) query._id = { $in: ids.filter(isId) };
+      if (readOnly) query.read = true;
+      const res = await Notification.deleteMany(query);
+      return res.deletedCount || 0;
+    }
+  };
+
+  const webhookRepo = {
+    async create(data) {
+      const doc = new Webhook(data);
+      await doc.save();
+      return doc.toObject();
+    },
+
+    async findById(id) {
+      if (!isId(id)) return null;
+      return Webhook.findById(id).lean();
+    },
+
+    // a room's webhooks, oldest first; `event` keeps the active ones subscribed to it
+    async listForRoom(room, { event } = {}) {
+      const query = { room };
+      if (event) Object.assign(query, { active: true, events: event });
+      return Webhook.find(query).sort({ createdAt: 1, _id: 1 }).lean();
+    },
+
+    async update(id, fields) {
+      if (!isId(id)) return null;
+      return Webhook.findByIdAndUpdate(id, { ...fields, updatedAt: new Date() }, { new: true }).lean();
+    },
+
+    // remove a webhook and its delivery log
+    async delete(id) {
+      if (!isId(id)) return false;
+      const res = await Webhook.deleteOne({ _id: id });
+      await WebhookDelivery.deleteMany({ webhookId: id });
+      return res.deletedCount > 0;
+    },
+
+    async deleteByRoom(room) {
+      const ids = (await Webhook.find({ room }, { _id: 1 }).lean()).map((w) => w._id);
+      if (!ids.length) return 0;
+      await WebhookDelivery.deleteMany({ webhookId: { $in: ids } });
+      const res = await Webhook.deleteMany({ _id: { $in: ids } });
+      return res.deletedCount || 0;
+    },
+
+    async createDelivery(data) {
+      const doc = new WebhookDelivery(data);
+      await doc.save();
+      return doc.toObject();
+    },
+
+    async updateDelivery(id, fields) {
+      if (!isId(id)) return null;
+      return WebhookDelivery.findByIdAndUpdate(id, fields, { new: true }).lean();
+    },
+
+    // a webhook's delivery log, newest first; `before` is the id of the last delivery of the previous page
+    async listDeliveries(webhookId, { before, limit = 50 } = {}) {
+      if (!isId(webhookId)) return { deliveries: [], hasMore: false };
+      const query = { webhookId };
+      const anchor = before && isId(before) ? await WebhookDelivery.findOne({ _id: before, webhookId }).lean() : null;
+      if (anchor) query.$or = [{ createdAt: { $lt: anchor.createdAt } }, { createdAt: anchor.createdAt, _id: { $lt: anchor._id } }];
+      const docs = await WebhookDelivery.find(query).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).lean();
+      return { deliveries: docs.slice(0, limit), hasMore: docs.length > limit };
+    },
+
+    // deliveries still waiting for an attempt, e.g. retries cut short by a restart
+    async listPendingDeliveries() {
+      return WebhookDelivery.find({ status: 'pending' }).sort({ nextAttemptAt: 1 }).lean();
+    },
+
+    // keep only the newest `keep` deliveries of a webhook; returns how many were dropped
+    async pruneDeliveries(webhookId, keep) {
+      const oldest = await WebhookDelivery.find({ webhookId }, { _id: 1 }).sort({ createdAt: -1, _id: -1 }).skip(keep).lean();
+      if (!oldest.length) return 0;
+      const res = await WebhookDelivery.deleteMany({ _id: { $in: oldest.map((d) => d._id) } });
+      return res.deletedCount || 0;
+    }
+  };
+
+  const integrationRepo = {
+    async create(data) {
+      const doc = new Integration(data);
+      await doc.save();
+      return doc.toObject();
+    },
+
+    async findById(id) {
+      if (!isId(id)) return null;
+      return Integration.findById(id).lean();
+    },
+
+    async findByTokenHash(tokenHash) {
+      return Integration.findOne({ tokenHash }).lean();
+    },
+
+    // a room's integrations, oldest first
+    async listForRoom(room) {
+      return Integration.find({ room }).sort({ createdAt: 1, _id: 1 }).lean();
+    },
+
+    async update(id, fields) {
+      if (!isId(id)) return null;
+      return Integration.findByIdAndUpdate(id, fields, { new: true }).lean();
+    },
+
+    async delete(id) {
+      if (!isId(id)) return false;
+      const res = await Integration.deleteOne({ _id: id });
+      return res.deletedCount > 0;
+    },
+
+    async deleteByRoom(room) {
+      const res = await Integration.deleteMany({ room });
+      return res.deletedCount || 0;
+    }
+  };
+
+  const attachmentRepo = {
+    async create(data) {
+      const doc = new Attachment(data);
+      await doc.save();
+      return doc.toObject();
+    },
+
+    async findById(id) {
+      if (!isId(id)) return null;
+      return Attachment.findById(id).lean();
+    },
+
+    // a room's attachments, oldest first
+    async listForRoom(room) {
+      return Attachment.find({ room }).sort({ createdAt: 1, _id: 1 }).lean();
+    },
+
+    async update(id, fields) {
+      if (!isId(id)) return null;
+      return Attachment.findByIdAndUpdate(id, fields, { new: true }).lean();
+    },
+
+    async delete(id) {
+      if (!isId(id)) return false;
+      const res = await Attachment.deleteOne({ _id: id });
+      return res.deletedCount > 0;
+    }
+  };
+
+  const uploadRepo = {
+    async create(data) {
+      const doc = new UploadSession(data);
+      await doc.save();
+      return doc.toObject();
+    },
+
+    async findById(id) {
+      if (!isId(id)) return null;
+      return UploadSession.findById(id).lean();
+    },
+
+    // add `part` ({ key, size }) if nothing else was accepted since `received`; null otherwise
+    async appendPart(id, received, part) {
+      if (!isId(id)) return null;
+      return UploadSession.findOneAndUpdate(
+        { _id: id, received },
+        { $push: { parts: part }, $inc: { received: part.size }, $set: { updatedAt: new Date() } },
+        { new: true }
+      ).lean();
+    },
+
+    async listForUser(uploadedBy) {
+      return UploadSession.find({ uploadedBy }).lean();
+    },
+
+    // sessions nobody has touched since `before`
+    async listStale(before) {
+      return UploadSession.find({ updatedAt: { $lt: before } }).lean();
+    },
+
+    async delete(id) {
+      if (!isId(id)) return false;
+      const res = await UploadSession.deleteOne({ _id: id });
+      return res.deletedCount > 0;
+    }
+  };
+
+  const roomEventRepo = {
+    // record `event` as the room's next one; resolves with { room, seq, event, payload, createdAt }
+    async append(room, event, payload) {
+      const { seq } = await RoomSequence.findOneAndUpdate({ _id: room }, { $inc: { seq: 1 } }, { upsert: true, new: true }).lean();
+      const doc = new RoomEvent({ room, seq, event, payload });
+      await doc.save();
+      return doc.toObject();
+    },
+
+    // the room's last sequence number, 0 before its first event
+    async latestSeq(room) {
+      const doc = await RoomSequence.findById(room).lean();
+      return doc ? doc.seq : 0;
+    },
+
+    // up to `limit` events after `seq`, oldest first
+    async listAfter(room, seq, limit) {
+      return RoomEvent.find({ room, seq: { $gt: seq } }).sort({ seq: 1 }).limit(limit).lean();
+    },
+
+    // forget the events, not the sequence (see models/RoomSequence)
+    async deleteByRoom(room) {
+      await RoomEvent.deleteMany({ room });
+    }
+  };
+
+  return {
+    driver: 'mongo',
+    messages: messageRepo,
+    rooms: roomRepo,
+    groups: groupRepo,
+    users: userRepo,
+    reads: readRepo,
+    notifications: notificationRepo,
+    webhooks: webhookRepo,
+    integrations: integrationRepo,
+    attachments: attachmentRepo,
+    uploads: uploadRepo,
+    roomEvents: roomEventRepo
+  };
+}
+
+module.exports = { createMongoRepositories };
@@ -0,0 +1,258 @@
+// Repository contract: both storage drivers must behave the same for what the handlers rely on.
+// Runs against the memory driver; set MONGODB_TEST_URI (a database the tests may wipe) to run the
+// same cases against the Mongo driver too.
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('.');
+
+const DRIVERS = ['memory', ...(process.env.MONGODB_TEST_URI ? ['mongo'] : [])];
+
+const at = (seconds) => new Date(Date.UTC(2024, 0, 1, 0, 0, seconds));
+const contents = (list) => list.map((m) => m.content);
+
+for (const driver of DRIVERS) {
+  describe(`${driver} repositories`, () => {
+    let repos;
+    let mongoose;
+
+    before(async () => {
+      if (driver !== 'mongo') return;
+      mongoose = require('mongoose');
+      await mongoose.connect(process.env.MONGODB_TEST_URI);
+    });
+
+    after(async () => {
+      if (mongoose) await mongoose.disconnect();
+    });
+
+    beforeEach(async () => {
+      if (mongoose) await mongoose.connection.db.dropDatabase();
+      repos = createRepositories({ driver });
+    });
+
+    describe('messages', () => {
+      it('lists top-level messages oldest first, by room', async () => {
+        const { messages } = repos;
+        const root = await messages.create({ content: 'one', from: 'ann', fromId: 'u1', room: 'dev', timestamp: at(1) });
+        await messages.create({ content: 'two', from: 'bob', fromId: 'u2', room: 'global', timestamp: at(2) });
+        await messages.create({ content: 'reply', from: 'bob', fromId: 'u2', room: 'dev', parentId: String(root._id), timestamp: at(3) });
+
+        assert.deepEqual(contents(await messages.list()), ['one', 'two']);
+        assert.deepEqual(contents(await messages.list({ room: 'dev' })), ['one']);
+        assert.deepEqual(contents(await messages.list({ limit: 1 })), ['one']);
+        assert.equal(root.fromId, 'u1');
+      });
+
+      it('pages a room backwards from `before`, oldest first', async () => {
+        const { messages } = repos;
+        for (let i = 1; i <= 5; i++) {
+          await messages.create({ content: `m${i}`, from: 'ann', fromId: 'u1', room: 'dev', timestamp: at(i) });
+        }
+        assert.deepEqual(contents(await messages.listRecent('dev', { limit: 2 })), ['m4', 'm5']);
+        assert.deepEqual(contents(await messages.listRecent('dev', { before: at(4), limit: 2 })), ['m2', 'm3']);
+        assert.deepEqual(await messages.listRecent('ops'), []);
+      });
+
+      it('keeps a thread\'s replies and counts on its root', async () => {
+        const { messages } = repos;
+        const root = await messages.create({ content: 'root', from: 'ann', fromId: 'u1', room: 'dev', timestamp: at(1) });
+        const reply = await messages.create({ content: 'r1', from: 'bob', fromId: 'u2', room: 'dev', parentId: String(root._id), timestamp: at(2) });
+        await messages.addReply(root._id, reply.timestamp);
+        let updated = await messages.addReply(root._id, at(3));
+        assert.equal(updated.replyCount, 2);
+        assert.equal(updated.lastReplyAt.getTime(), at(3).getTime());
+
+        updated = await messages.removeReply(root._id);
+        assert.equal(updated.replyCount, 1);
+        assert.deepEqual(contents(await messages.listReplies(root._id)), ['r1']);
+        assert.equal(await messages.deleteReplies(root._id), 1);
+        assert.deepEqual(await messages.listReplies(root._id), []);
+      });
+
+      it('searches content case-insensitively, best matches first', async () => {
+        const { messages } = repos;
+        await messages.create({ content: 'Deploy today', from: 'ann', fromId: 'u1', room: 'dev', timestamp: at(1) });
+        await messages.create({ content: 'deploy the release today', from: 'bob', fromId: 'u2', room: 'global', timestamp: at(2) });
+        await messages.create({ content: 'nothing', from: 'bob', fromId: 'u2', room: 'dev', timestamp: at(3) });
+        await messages.create({ content: 'deploy', from: 'ann', fromId: 'u1', room: 'ops', timestamp: at(4) });
+
+        const found = await messages.search('DEPLOY release');
+        assert.deepEqual(contents(found.results), ['deploy the release today', 'deploy', 'Deploy today']);
+        assert.equal(found.total, 3);
+        assert.deepEqual(contents((await messages.search('deploy', { sort: 'recent', limit: 1, offset: 1 })).results), ['deploy the release today']);
+        assert.deepEqual(contents((await messages.search('deploy', { room: 'dev' })).results), ['Deploy today']);
+        assert.deepEqual(contents((await messages.search('deploy', { excludeRooms: ['global', 'ops'] })).results), ['Deploy today']);
+        assert.deepEqual(contents((await messages.search('deploy', { from: 'ann', since: at(2) })).results), ['deploy']);
+      });
+
+      it('only finds DMs for their two parties, and group messages for the group', async () => {
+        const { messages } = repos;
+        await messages.create({ content: 'secret plan', from: 'ann', fromId: 'u1', to: 'bob', toId: 'u2', room: null, private: true, timestamp: at(1) });
+        await messages.create({ content: 'group plan', from: 'ann', fromId: 'u1', conversationId: 'g1', room: null, private: true, timestamp: at(2) });
+        assert.equal((await messages.search('plan')).total, 0);
+        assert.equal((await messages.search('plan', { participant: { userId: 'u3', userName: 'bob' } })).total, 0);
+        assert.deepEqual(contents((await messages.search('plan', { participant: { userId: 'u2', userName: 'bob' } })).results), ['secret plan']);
+        assert.deepEqual(contents((await messages.search('plan', { participant: { userId: 'u3', groupIds: ['g1'] } })).results), ['group plan']);
+      });
+
+      it('returns copies, so changing a result does not change the store', async () => {
+        const { messages } = repos;
+        const msg = await messages.create({ content: 'hi', from: 'ann', fromId: 'u1', room: 'global', timestamp: at(1) });
+        msg.content = 'changed';
+        assert.equal((await messages.findById(msg._id)).content, 'hi');
+        const updated = await messages.update(msg._id, { content: 'edited', edited: true });
+        assert.equal(updated.content, 'edited');
+        assert.equal(updated.edited, true);
+      });
+
+      it('toggles a user\'s reaction and counts users per emoji', async () => {
+        const { messages } = repos;
+        const msg = await messages.create({ content: 'hi', from: 'ann', fromId: 'u1', room: 'global', timestamp: at(1) });
+        const id = String(msg._id);
+
+        await messages.toggleReaction(id, '👍', 'bob');
+        let updated = await messages.toggleReaction(id, '👍', 'carol');
+        assert.deepEqual(updated.reactions.map(({ emoji, users, count }) => ({ emoji, users, count })), [{ emoji: '👍', users: ['bob', 'carol'], count: 2 }]);
+
+        updated = await messages.toggleReaction(id, '👍', 'bob');
+        assert.deepEqual(updated.reactions.map(({ users, count }) => ({ users, count })), [{ users: ['carol'], count: 1 }]);
+
+        updated = await messages.toggleReaction(id, '👍', 'carol');
+        assert.deepEqual(updated.reactions, []);
+      });
+
+      it('moves a voter\'s single pick between poll options, and takes it back', async () => {
+        const { messages } = repos;
+        const poll = { question: 'Lunch?', options: [{ text: 'pizza', votes: [] }, { text: 'soup', votes: [] }], closed: false };
+        const msg = await messages.create({ content: 'Lunch?', from: 'ann', fromId: 'u1', room: 'dev', subtype: 'poll', poll, timestamp: at(1) });
+        const votes = (m) => m.poll.options.map((o) => o.votes);
+
+        await messages.votePoll(msg._id, 0, 'u1');
+        assert.deepEqual(votes(await messages.votePoll(msg._id, 0, 'u2')), [['u1', 'u2'], []]);
+        assert.deepEqual(votes(await messages.votePoll(msg._id, 1, 'u1')), [['u2'], ['u1']]);
+        assert.deepEqual(votes(await messages.votePoll(msg._id, 1, 'u1')), [['u2'], []]);
+        assert.equal(await messages.votePoll(msg._id, 2, 'u1'), null);
+
+        await messages.update(msg._id, { poll: { ...poll, closed: true } });
+        assert.equal(await messages.votePoll(msg._id, 0, 'u3'), null);
+      });
+
+      it('returns null for messages that are not there', async () => {
+        const msg = await repos.messages.create({ content: 'hi', from: 'ann', fromId: 'u1', room: 'global', timestamp: at(1) });
+        assert.equal(String((await repos.messages.delete(msg._id))._id), String(msg._id));
+        assert.equal(await repos.messages.findById(msg._id), null);
+        assert.equal(await repos.messages.toggleReaction(String(msg._id), '👍', 'bob'), null);
+        assert.equal(await repos.messages.update(msg._id, { content: 'x' }), null);
+        assert.equal(await repos.reads.markRead(msg._id, 'bob'), null);
+      });
+
+      it('clears a room', async () => {
+        const { messages } = repos;
+        await messages.create({ content: 'a', from: 'ann', fromId: 'u1', room: 'dev', timestamp: at(1) });
+        await messages.create({ content: 'b', from: 'ann', fromId: 'u1', room: 'global', timestamp: at(2) });
+        assert.equal(await messages.deleteByRoom('dev'), 1);
+        assert.deepEqual(contents(await messages.list()), ['b']);
+      });
+
+      it('stores a client message id once per sender', async () => {
+        const { messages } = repos;
+        // the unique index went with the dropped database
+        if (mongoose) await mongoose.model('Message').syncIndexes();
+        const sent = await messages.create({ content: 'hi', from: 'ann', fromId: 'u1', room: 'dev', clientMsgId: 'c-1', timestamp: at(1) });
+        await assert.rejects(
+          messages.create({ content: 'hi', from: 'ann', fromId: 'u1', room: 'dev', clientMsgId: 'c-1', timestamp: at(2) }),
+          { code: 'duplicate_message' }
+        );
+        await messages.create({ content: 'hi', from: 'bob', fromId: 'u2', room: 'dev', clientMsgId: 'c-1', timestamp: at(3) });
+        await messages.create({ content: 'no id', from: 'ann', fromId: 'u1', room: 'dev', timestamp: at(4) });
+        await messages.create({ content: 'no id', from: 'ann', fromId: 'u1', room: 'dev', timestamp: at(5) });
+
+        assert.equal(String((await messages.findByClientMsgId('u1', 'c-1'))._id), String(sent._id));
+        assert.equal((await messages.findByClientMsgId('u2', 'c-1')).from, 'bob');
+        assert.equal(await messages.findByClientMsgId('u3', 'c-1'), null);
+        assert.equal((await messages.list({ room: 'dev' })).length, 4);
+      });
+    });
+
+    describe('rooms', () => {
+      it('refuses a second room with the same name', async () => {
+        const room = await repos.rooms.create({ name: 'dev', createdBy: 'u1' });
+        await assert.rejects(repos.rooms.create({ name: 'dev', createdBy: 'u2' }), { code: 'room_exists' });
+        assert.equal(String((await repos.rooms.findByIdOrName(room._id))._id), String(room._id));
+        assert.equal(String((await repos.rooms.findByIdOrName('dev'))._id), String(room._id));
+      });
+
+      it('keeps one mute per user, dropping expired ones', async () => {
+        const room = await repos.rooms.create({ name: 'dev', createdBy: 'u1' });
+        const past = new Date(Date.now() - 1000);
+        const later = new Date(Date.now() + 60000);
+        await repos.rooms.setMute(room._id, { userId: 'u2', until: past, by: 'u1' });
+        await repos.rooms.setMute(room._id, { userId: 'u3', until: null, by: 'u1' });
+        await repos.rooms.setMute(room._id, { userId: 'u3', until: later, by: 'u1' });
+        const muted = await repos.rooms.setMute(room._id, { userId: 'u4', until: null, by: 'u1' });
+        assert.deepEqual(muted.mutes.map((m) => [m.userId, m.until && m.until.getTime()]), [['u3', later.getTime()], ['u4', null]]);
+
+        const cleared = await repos.rooms.clearMute(room._id, 'u3');
+        assert.deepEqual(cleared.mutes.map((m) => m.userId), ['u4']);
+      });
+
+      it('filters rooms by field', async () => {
+        await repos.rooms.create({ name: 'open', createdBy: 'u1' });
+        await repos.rooms.create({ name: 'secret', createdBy: 'u1', isPrivate: true });
+        assert.deepEqual((await repos.rooms.list({ isPrivate: false })).map((r) => r.name), ['open']);
+      });
+    });
+
+    describe('users', () => {
+      it('checks passwords without ever handing the hash out', async () => {
+        const created = await repos.users.create({ username: 'ann', password: 'hunter22' });
+        assert.equal(created.password, undefined);
+        await assert.rejects(repos.users.create({ username: 'ann', password: 'other' }), { code: 'user_exists' });
+        assert.equal((await repos.users.verifyPassword('ann', 'hunter22')).username, 'ann');
+        assert.equal(await repos.users.verifyPassword('ann', 'wrong'), null);
+        assert.equal((await repos.users.findByUsername('ann')).password, undefined);
+      });
+    });
+
+    describe('reads', () => {
+      it('records each reader once', async () => {
+        const msg = await repos.messages.create({ content: 'hi', from: 'ann', fromId: 'u1', room: 'global', timestamp: at(1) });
+        await repos.reads.markRead(msg._id, 'bob');
+        const updated = await repos.reads.markRead(msg._id, 'bob');
+        assert.deepEqual(updated.readBy, ['bob']);
+      });
+    });
+
+    describe('uploads', () => {
+      it('accepts one part per offset, so racing chunks cannot both land', async () => {
+        const session = await repos.uploads.create({ uploadedBy: 'u1', name: 'a.txt', mime: 'text/plain', size: 10 });
+        const [first, second] = await Promise.all([
+          repos.uploads.appendPart(session._id, 0, { key: 'k1', size: 4 }),
+          repos.uploads.appendPart(session._id, 0, { key: 'k2', size: 4 })
+        ]);
+        assert.equal([first, second].filter(Boolean).length, 1);
+        const stored = await repos.uploads.findById(session._id);
+        assert.deepEqual([stored.received, stored.parts.length], [4, 1]);
+        assert.equal((await repos.uploads.appendPart(session._id, 4, { key: 'k3', size: 6 })).received, 10);
+        assert.equal(await repos.uploads.delete(session._id), true);
+        assert.equal(await repos.uploads.delete(session._id), false);
+      });
+    });
+
+    describe('room events', () => {
+      it('numbers each room\'s events, counting on after they are deleted', async () => {
+        const { roomEvents } = repos;
+        assert.equal(await roomEvents.latestSeq('dev'), 0);
+        const appended = await Promise.all(['a', 'b', 'c'].map((id) => roomEvents.append('dev', 'message', { _id: id })));
+        assert.deepEqual(appended.map((e) => e.seq).sort(), [1, 2, 3]);
+        assert.equal((await roomEvents.append('ops', 'roomCleared', {})).seq, 1);
+
+        assert.deepEqual((await roomEvents.listAfter('dev', 1, 10)).map((e) => e.seq), [2, 3]);
+        assert.deepEqual((await roomEvents.listAfter('dev', 0, 1)).map((e) => [e.event, e.payload._id]), [['message', appended.find((e) => e.seq === 1).payload._id]]);
+        await roomEvents.deleteByRoom('dev');
+        assert.deepEqual(await roomEvents.listAfter('dev', 0, 10), []);
+        assert.equal((await roomEvents.append('dev', 'message', { _id: 'd' })).seq, 4);
+      });
+    });
+  });
+}
@@ -0,0 +1,29 @@
+// Demo rooms with a couple of welcome messages; rooms that already exist are left alone.
+async function seedDemoRooms(repos) {
+  const now = Date.now();
+  const seeds = [
+    {
+      name: 'General',
+      messages: [
+        { text: 'Welcome to the General room — say hi 👋', ago: 1000 * 60 * 60 },
+        { text: 'Tip: create or join other rooms from the sidebar.', ago: 1000 * 60 * 30 }
+      ]
+    },
+    {
+      name: 'Developers',
+      messages: [
+        { text: 'Welcome to Developers — share tips, snippets and bugs.', ago: 1000 * 60 * 45 },
+        { text: 'Remember: messages here are ephemeral in this demo (in-memory).', ago: 1000 * 60 * 15 }
+      ]
+    }
+  ];
+  for (const seed of seeds) {
+    if (await repos.rooms.findByName(seed.name)) continue;
+    await repos.rooms.create({ name: seed.name, createdBy: 'system', createdAt: now });
+    for (const m of seed.messages) {
+      await repos.messages.create({ room: seed.name, from: 'System', content: m.text, timestamp: now - m.ago });
+    }
+  }
+}
+
+module.exports = { seedDemoRooms };
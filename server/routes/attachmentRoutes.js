@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const attachmentCtrl = require('../controllers/attachmentController');
+const { requireClerkAuth } = require('../middleware/clerkAuth');
+
+// <img>, <video> and download links can't send headers, so they may pass the token as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') req.headers.authorization = `Bearer ${req.query.token}`;
+  next();
+};
+
+router.use(tokenFromQuery, requireClerkAuth);
+router.get('/:id', attachmentCtrl.downloadAttachment); // GET|HEAD /api/attachments/:id?download=1 (Range supported)
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const convCtrl = require('../controllers/conversationController');
+const { requireClerkAuth } = require('../middleware/clerkAuth');
+
+// direct messages are always per user, so every route needs a token
+router.use(requireClerkAuth);
+router.get('/', convCtrl.listConversations);                        // GET /api/conversations
+router.get('/:userId/messages', convCtrl.getConversationMessages);  // GET /api/conversations/:userId/messages?before=|after=&limit=
+router.post('/:userId/messages', convCtrl.sendConversationMessage); // POST /api/conversations/:userId/messages
+router.post('/:userId/read', convCtrl.markConversationRead);        // POST /api/conversations/:userId/read
+
+module.exports = router;
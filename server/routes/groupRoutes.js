@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const groupCtrl = require('../controllers/groupController');
+const { requireClerkAuth } = require('../middleware/clerkAuth');
+
+// group conversations are for their participants only, so every route needs a token
+router.use(requireClerkAuth);
+router.post('/', groupCtrl.createGroup);                        // POST /api/conversations/groups
+router.patch('/:id', groupCtrl.renameGroup);                    // PATCH /api/conversations/groups/:id
+router.get('/:id/messages', groupCtrl.getGroupMessages);        // GET /api/conversations/groups/:id/messages?before=|after=&limit=
+router.post('/:id/messages', groupCtrl.sendGroupMessage);       // POST /api/conversations/groups/:id/messages
+router.post('/:id/read', groupCtrl.markGroupRead);              // POST /api/conversations/groups/:id/read
+router.post('/:id/members', groupCtrl.addMember);               // POST /api/conversations/groups/:id/members
+router.delete('/:id/members/:userId', groupCtrl.removeMember);  // DELETE /api/conversations/groups/:id/members/:userId
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const integrationCtrl = require('../controllers/integrationController');
+
+// incoming webhooks: no auth header, the token in the path is the credential
+router.post('/:token', integrationCtrl.postIncomingWebhook); // POST /api/hooks/:token (body: { content | text, file?, displayName?, avatarUrl? })
+
+module.exports = router;
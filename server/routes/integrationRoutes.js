@@ -0,0 +1,13 @@
+const express = require('express');
+// mounted at /api/rooms/:roomId/integrations, so :roomId comes from the parent path
+const router = express.Router({ mergeParams: true });
+const integrationCtrl = require('../controllers/integrationController');
+const { requireClerkAuth } = require('../middleware/clerkAuth');
+
+// room admins and owners manage a room's incoming webhooks and bot tokens
+router.use(requireClerkAuth);
+router.get('/', integrationCtrl.listIntegrations);                    // GET /api/rooms/:roomId/integrations
+router.post('/', integrationCtrl.createIntegration);                  // POST /api/rooms/:roomId/integrations
+router.delete('/:integrationId', integrationCtrl.deleteIntegration);  // DELETE /api/rooms/:roomId/integrations/:integrationId
+
+module.exports = router;
@@ -1,13 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const msgCtrl = require('../controllers/messageController');
-const { requireClerkAuth } = require('../middleware/clerkAuth');
+const { requireClerkAuth, optionalClerkAuth } = require('../middleware/clerkAuth');
+const { botOrClerkAuth } = require('../middleware/botAuth');
 
-router.get('/', msgCtrl.getMessages);         // GET /api/messages?room=roomName&limit=100
-router.get('/:id', msgCtrl.getMessageById);  // GET /api/messages/:id
-// protect message creation with Clerk auth
-router.post('/', requireClerkAuth, msgCtrl.createMessage);     // POST /api/messages
+// reads are public except for private rooms, which need a member's token
+router.get('/', optionalClerkAuth, msgCtrl.getMessages);         // GET /api/messages?room=roomName&limit=100
+router.get('/history', optionalClerkAuth, msgCtrl.getHistory); // GET /api/messages/history?room=&before=|after=|around=&limit=
+router.get('/search', optionalClerkAuth, msgCtrl.searchMessages); // GET /api/messages/search?q=term&room=&from=&since=&until=&hasAttachment=
+router.get('/:id', optionalClerkAuth, msgCtrl.getMessageById);  // GET /api/messages/:id
+router.get('/:id/thread', optionalClerkAuth, msgCtrl.getThread); // GET /api/messages/:id/thread
+router.get('/:id/context', optionalClerkAuth, msgCtrl.getMessageContext); // GET /api/messages/:id/context?before=10&after=10
+// protect message creation with Clerk auth; bots send `Authorization: Bot <token>` instead
+router.post('/', botOrClerkAuth, msgCtrl.createMessage);       // POST /api/messages
 // New: delete message (protected)
 router.delete('/:id', requireClerkAuth, msgCtrl.deleteMessage); // DELETE /api/messages/:id
+// edit message content (author only, protected)
+router.patch('/:id', requireClerkAuth, msgCtrl.editMessage);   // PATCH /api/messages/:id
 
 module.exports = router;
\ No newline at end of file
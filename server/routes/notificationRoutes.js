@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const notifCtrl = require('../controllers/notificationController');
+const { requireClerkAuth } = require('../middleware/clerkAuth');
+
+// notifications belong to the signed-in user
+router.use(requireClerkAuth);
+router.get('/', notifCtrl.listNotifications);          // GET /api/notifications?before=&limit=&unread=true
+router.post('/read', notifCtrl.markNotificationsRead); // POST /api/notifications/read
+router.delete('/', notifCtrl.clearNotifications);      // DELETE /api/notifications?read=true
+router.delete('/:id', notifCtrl.clearNotification);    // DELETE /api/notifications/:id
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const uploadCtrl = require('../controllers/uploadController');
+const { botOrClerkAuth } = require('../middleware/botAuth');
+
+// resumable uploads (see utils/uploads); users with a Bearer token, bots with `Bot <token>`
+router.use(botOrClerkAuth);
+router.post('/', uploadCtrl.startUpload);              // POST /api/uploads
+router.get('/:id', uploadCtrl.getUpload);              // GET /api/uploads/:id
+router.put('/:id', uploadCtrl.putChunk);               // PUT /api/uploads/:id?offset=<n> (raw bytes)
+router.post('/:id/complete', uploadCtrl.completeUpload); // POST /api/uploads/:id/complete
+router.delete('/:id', uploadCtrl.cancelUpload);        // DELETE /api/uploads/:id
+
+module.exports = router;
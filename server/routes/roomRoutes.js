@@ -7,16 +7,37 @@ const {
   joinRoom,
   leaveRoom,
   deleteRoom,
-  clearRoomMessages
+  clearRoomMessages,
+  getRoles,
+  grantRole,
+  revokeRole,
+  getMyInvites,
+  getUnread,
+  markRoomRead,
+  inviteUser,
+  acceptInvite,
+  declineInvite,
+  revokeAccess
 } = require('../controllers/roomController');
-const { requireClerkAuth } = require('../middleware/clerkAuth');
+const { requireClerkAuth, optionalClerkAuth } = require('../middleware/clerkAuth');
 
 router.post('/', requireClerkAuth, createRoom);        // Create new room (protected)
-router.get('/', getRooms);                 // Get all public rooms
-router.get('/:roomId', getRoom);           // Get single room
+router.get('/', optionalClerkAuth, getRooms);                 // Get public rooms (plus your private ones)
+router.get('/invites', requireClerkAuth, getMyInvites);     // Your pending private room invitations
+router.get('/unread', requireClerkAuth, getUnread);          // Your unread / mention counts per room
+router.get('/:roomId', optionalClerkAuth, getRoom);           // Get single room (private: members only)
 router.post('/:roomId/join', requireClerkAuth, joinRoom);    // Join room (protected)
 router.post('/:roomId/leave', requireClerkAuth, leaveRoom);  // Leave room (protected)
+router.post('/:roomId/read', requireClerkAuth, markRoomRead);       // Move your read cursor (body: { messageId })
 router.post('/:roomId/clear', requireClerkAuth, clearRoomMessages); // Clear messages in a room (protected)
 router.delete('/:roomId', requireClerkAuth, deleteRoom);     // Delete room (protected)
+router.get('/:roomId/roles', optionalClerkAuth, getRoles);    // List room roles
+router.put('/:roomId/roles/:userId', requireClerkAuth, grantRole);     // Grant role (body: { role })
+router.delete('/:roomId/roles/:userId', requireClerkAuth, revokeRole); // Revoke role (back to member)
+router.post('/:roomId/invites', requireClerkAuth, inviteUser);             // Invite to a private room (body: { userId })
+router.post('/:roomId/invites/accept', requireClerkAuth, acceptInvite);    // Accept your invitation
+router.post('/:roomId/invites/decline', requireClerkAuth, declineInvite);  // Decline your invitation
+router.delete('/:roomId/invites/:userId', requireClerkAuth, revokeAccess); // Withdraw an invitation
+router.delete('/:roomId/members/:userId', requireClerkAuth, revokeAccess); // Remove a member
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,61 @@
+const express = require('express');
+const path = require('path');
+const attachments = require('../utils/attachments');
+const integrations = require('../utils/integrations');
+const { botOrClerkAuth } = require('../middleware/botAuth');
+// multer for multipart uploads; optional so the server still starts without it
+let multer;
+try { multer = require('multer'); } catch (e) { multer = null; }
+
+// files uploaded before attachments moved to the file store; still served, never written
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+const router = express.Router();
+
+// multer storage engine that streams the part straight into the file store (see utils/attachments)
+const attachmentStorage = {
+  _handleFile(req, file, cb) {
+    const deps = { repos: req.app.get('repos'), fileStore: req.app.get('fileStore') };
+    const uploadedBy = req.bot ? integrations.uploaderId(req.bot) : req.clerkUser.id;
+    attachments.store(deps, file.stream, { name: file.originalname, mime: file.mimetype, uploadedBy })
+      .then((result) => {
+        if (result.error) return cb(Object.assign(new Error(result.error), result));
+        return cb(null, { attachment: result.attachment, size: result.attachment.size });
+      })
+      .catch(cb);
+  },
+  _removeFile(req, file, cb) {
+    const deps = { repos: req.app.get('repos'), fileStore: req.app.get('fileStore') };
+    attachments.remove(deps, file.attachment._id).then(() => cb(null), cb);
+  }
+};
+
+const STATUS = { invalid_mime: 415, file_too_large: 413, empty_file: 400 };
+
+if (multer) {
+  const upload = multer({ storage: attachmentStorage, limits: { files: 1 } });
+
+  // POST /upload (multipart field `file`; a user's Bearer token or a bot's `Bot <token>`)
+  //   -> { ok, attachmentId, url, name, mime, size, sha256 }
+  // The attachment is private to the uploader until it is sent in a message ({ file: { attachmentId } }).
+  router.post('/upload', botOrClerkAuth, (req, res) => {
+    upload.single('file')(req, res, (err) => {
+      if (err && STATUS[err.error]) {
+        const { error, max, allowed } = err;
+        return res.status(STATUS[error]).json({ ok: false, error, ...(max ? { max } : {}), ...(allowed ? { allowed } : {}) });
+      }
+      if (err && err.code === 'LIMIT_UNEXPECTED_FILE') return res.status(400).json({ ok: false, error: 'one file per upload' });
+      if (err) {
+        console.error('[http] /upload error', err);
+        return res.status(500).json({ ok: false, error: 'server_error' });
+      }
+      if (!req.file) return res.status(400).json({ ok: false, error: 'file required' });
+      return res.status(201).json({ ok: true, ...attachments.fileView(req.file.attachment) });
+    });
+  });
+} else {
+  router.post('/upload', (req, res) => res.status(501).json({ ok: false, error: 'multer_missing', message: 'Install multer in server to enable uploads: npm install multer' }));
+}
+router.use('/uploads', express.static(UPLOAD_DIR));
+
+module.exports = router;
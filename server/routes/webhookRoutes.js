@@ -0,0 +1,15 @@
+const express = require('express');
+// mounted at /api/rooms/:roomId/webhooks, so :roomId comes from the parent path
+const router = express.Router({ mergeParams: true });
+const hookCtrl = require('../controllers/webhookController');
+const { requireClerkAuth } = require('../middleware/clerkAuth');
+
+// room admins and owners manage a room's webhooks
+router.use(requireClerkAuth);
+router.get('/', hookCtrl.listWebhooks);                              // GET /api/rooms/:roomId/webhooks
+router.post('/', hookCtrl.createWebhook);                            // POST /api/rooms/:roomId/webhooks
+router.patch('/:webhookId', hookCtrl.updateWebhook);                 // PATCH /api/rooms/:roomId/webhooks/:webhookId
+router.delete('/:webhookId', hookCtrl.deleteWebhook);                // DELETE /api/rooms/:roomId/webhooks/:webhookId
+router.get('/:webhookId/deliveries', hookCtrl.listDeliveries);       // GET /api/rooms/:roomId/webhooks/:webhookId/deliveries
+
+module.exports = router;
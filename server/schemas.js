@@ -0,0 +1,134 @@
+// Payload schemas for every inbound socket event, and for the REST bodies of /api/messages (see
+// utils/validate for the rule types). socket/index checks each event's argument against its schema
+// before the handler runs, so handlers can rely on types and lengths; what a value means (does the
+// room exist, may this user post there) is still theirs to check. An event without a schema can't be
+// registered. Legacy aliases share their canonical event's schema.
+const { types: t } = require('./utils/validate');
+const { MAX_CONTENT_LENGTH } = require('./utils/messageText');
+const attachments = require('./utils/attachments');
+const uploads = require('./utils/uploads');
+
+const MAX_NAME = 100; // room, user and group names
+const MAX_USER_REF = 128; // a user id, username or socket id
+const MAX_CURSOR = 200;
+const MAX_IDS = 200; // ids in one request
+
+const room = (options) => t.string({ min: 1, max: MAX_NAME, ...options });
+const userRef = (options) => t.string({ min: 1, max: MAX_USER_REF, ...options });
+const content = (options) => t.string({ max: MAX_CONTENT_LENGTH, tooLong: 'content_too_long', ...options });
+const cursor = () => t.string({ max: MAX_CURSOR });
+const limit = () => t.integer({ min: 1, max: 500 });
+// a sending client's own id for a message (see the `message` handler), e.g. a UUID
+const clientMsgId = t.string({ min: 1, max: 64, pattern: /^[A-Za-z0-9_-]+$/ });
+
+// a file posted with a message: an upload's { attachmentId } or the whole file view it came back as
+const file = t.object({
+  attachmentId: t.id(),
+  url: t.string({ max: 200 }),
+  name: t.string({ max: 500 }),
+  mime: t.string({ max: 200 }),
+  size: t.integer({ min: 0 }),
+  sha256: t.string({ max: 64 })
+});
+
+const none = {};
+const roomOnly = { room: room({ required: true }) };
+const messageOnly = { messageId: t.id({ required: true }) };
+const uploadOnly = { uploadId: t.id({ required: true }) };
+const roomAndUser = { room: room({ required: true }), userId: userRef({ required: true }) };
+const groupAndUser = { conversationId: t.id({ required: true }), userId: userRef({ required: true }) };
+const page = { before: cursor(), after: cursor(), limit: limit() };
+
+const events = {
+  // presence
+  join: { username: t.string({ max: MAX_NAME }) },
+  typing: { room: room(), isTyping: t.boolean() },
+  setStatus: { status: t.string({ max: 20 }), text: t.string({ max: 500 }) },
+  setIdle: { idle: t.boolean() },
+  presence: { userIds: t.array(userRef(), { max: MAX_IDS }) },
+  ping: none,
+
+  // rooms
+  rooms_request: none,
+  createRoom: { name: t.string({ min: 1, max: MAX_NAME, required: true }), isPrivate: t.boolean() },
+  joinRoom: roomOnly,
+  leaveRoom: roomOnly,
+  clearRoom: roomOnly,
+  deleteRoom: roomOnly,
+  grantRole: { ...roomAndUser, role: t.string({ min: 1, max: 20, required: true }) },
+  revokeRole: roomAndUser,
+  roomRoles: roomOnly,
+  inviteToRoom: roomAndUser,
+  acceptInvite: roomOnly,
+  declineInvite: roomOnly,
+  revokeRoomAccess: roomAndUser,
+  roomInvites: none,
+  sync: { rooms: t.array(t.object({ room: room({ required: true }), seq: t.integer({ min: 0, required: true }) }), { max: MAX_IDS, required: true }) },
+
+  // messages; `from` and `by` are ignored (the sender is who the socket is) but older clients send them
+  message: { room: room(), content: content(), text: content(), file, clientMsgId, from: t.string({ max: MAX_NAME }) },
+  history: { room: room(), around: t.id(), ...page },
+  privateMessage: {
+    to: userRef(),
+    toUserId: userRef(),
+    toSocketId: userRef(),
+    content: content(),
+    payload: t.object({ content: content() })
+  },
+  private_message: { to: userRef(), toUserId: userRef(), content: content(), text: content() },
+  conversations: none,
+  conversationHistory: { with: userRef({ required: true }), ...page },
+  threadReply: { parentId: t.id({ required: true }), content: content() },
+  editMessage: { messageId: t.id({ required: true }), content: content(), text: content() },
+  deleteMessage: messageOnly,
+  reaction: { messageId: t.id({ required: true }), emoji: t.string({ min: 1, max: 64, required: true }), by: t.string({ max: MAX_NAME }) },
+  react: { messageId: t.id({ required: true }), reaction: t.string({ min: 1, max: 64, required: true }) },
+  markRead: { room: room(), messageId: t.id({ required: true }) },
+  unreadCounts: none,
+  mark_read: messageOnly,
+
+  // groups
+  createGroup: { name: t.string({ max: MAX_NAME }), participants: t.array(userRef(), { max: 50, required: true }) },
+  groupMessage: { conversationId: t.id({ required: true }), content: content(), text: content() },
+  groupHistory: { conversationId: t.id({ required: true }), ...page },
+  addGroupMember: groupAndUser,
+  removeGroupMember: groupAndUser,
+  renameGroup: { conversationId: t.id({ required: true }), name: t.string({ max: MAX_NAME }) },
+
+  // notifications
+  notifications: { before: t.id(), limit: limit(), unreadOnly: t.boolean() },
+  markNotificationsRead: { ids: t.array(t.id(), { max: MAX_IDS }) },
+  clearNotifications: { ids: t.array(t.id(), { max: MAX_IDS }), readOnly: t.boolean() },
+
+  // commands
+  command: { room: room(), text: content({ min: 1, required: true }) },
+  votePoll: { messageId: t.id({ required: true }), option: t.integer({ min: 0, required: true }) },
+
+  // files; an inline file is a data: URL (or bare base64 with `mime`), so about 4/3 of its bytes
+  file_message: {
+    room: room(),
+    name: t.string({ max: 500 }),
+    mime: t.string({ max: 200 }),
+    data: t.string({ min: 1, max: Math.ceil(attachments.MAX_BYTES * 4 / 3) + 256, required: true })
+  },
+  uploadStart: { name: t.string({ max: 500 }), mime: t.string({ max: 200 }), size: t.integer({ required: true }) },
+  uploadStatus: uploadOnly,
+  uploadChunk: { ...uploadOnly, offset: t.integer({ min: 0, required: true }), data: t.binary({ max: uploads.CHUNK_BYTES, required: true }) },
+  uploadComplete: { ...uploadOnly, sha256: t.string({ max: 64 }) },
+  uploadCancel: uploadOnly
+};
+
+// snake_case aliases kept for older clients
+Object.assign(events, {
+  create_room: events.createRoom,
+  join_room: events.joinRoom,
+  leave_room: events.leaveRoom
+});
+
+// REST bodies; POST takes the older { content, from, to, room, private } shape
+const rest = {
+  createMessage: { content: content({ required: true }), from: t.string({ max: MAX_NAME }), to: userRef(), room: room(), private: t.boolean() },
+  editMessage: { content: content({ required: true }) }
+};
+
+module.exports = { events, rest };
@@ -0,0 +1,44 @@
+// One-off: move files stored inline in messages ({ file: { name, mime, data } }, from before
+// attachments) into the file store, leaving the message with an attachment reference.
+//   MONGODB_URI=... [FILE_STORE=gridfs|local] node scripts/migrate-attachments.js [--dry-run]
+const mongoose = require('mongoose');
+const { createRepositories } = require('../repositories');
+const { createFileStore } = require('../utils/fileStore');
+const attachments = require('../utils/attachments');
+const Message = require('../models/Message');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/chat-app';
+
+async function run({ dryRun }) {
+  await mongoose.connect(MONGODB_URI);
+  const repos = createRepositories({ driver: 'mongo' });
+  const deps = { repos, fileStore: createFileStore(undefined, { repos }) };
+  const counts = { moved: 0, skipped: 0 };
+
+  const cursor = Message.find({ 'file.data': { $exists: true } }).lean().cursor();
+  for await (const msg of cursor) {
+    const { name, mime, data } = msg.file;
+    if (dryRun) {
+      console.log(`would move ${msg._id} (${name || 'file'}, ${mime || 'unknown type'})`);
+      continue;
+    }
+    const stored = await attachments.storeDataUrl(deps, data, { name, mime, uploadedBy: msg.from || 'unknown' });
+    if (stored.error) {
+      // left inline; clients still render those
+      console.warn(`skipped ${msg._id}: ${stored.error}`);
+      counts.skipped += 1;
+      continue;
+    }
+    await attachments.link(repos, stored.attachment, msg);
+    await Message.updateOne({ _id: msg._id }, { $set: { file: attachments.fileView(stored.attachment) } });
+    counts.moved += 1;
+  }
+  console.log(`done: ${counts.moved} moved, ${counts.skipped} skipped`);
+}
+
+run({ dryRun: process.argv.includes('--dry-run') })
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
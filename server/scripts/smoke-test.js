@@ -4,6 +4,23 @@ const SERVER = process.env.SERVER_URL || 'http://localhost:5000';
 
 function wait(ms) { return new Promise(r => setTimeout(r, ms)); }
 
+// emit with an ack; resolves with the ack, or { ok: false, error: { code: 'timeout' } } when none came
+function request(socket, event, payload) {
+  return new Promise((resolve) => {
+    socket.timeout(5000).emit(event, payload, (err, ack) => resolve(err ? { ok: false, error: { code: 'timeout' } } : ack));
+  });
+}
+
+// acks are { ok: true, ... } or { ok: false, error: { code, message } }; record the ones we didn't expect
+const failures = [];
+function expect(label, ack, wantCode = null) {
+  const code = ack && ack.ok ? null : (ack && ack.error && ack.error.code) || 'no_ack';
+  const pass = code === wantCode;
+  console.log(`${pass ? 'ok  ' : 'FAIL'} ${label}`, JSON.stringify(ack));
+  if (!pass) failures.push(label);
+  return ack;
+}
+
 async function run() {
   console.log('Smoke test connecting to', SERVER);
 
@@ -22,13 +39,12 @@ async function run() {
   a.on('roomsList', (rooms) => { console.log('A roomsList', rooms); });
   b.on('roomsList', (rooms) => { console.log('B roomsList', rooms); });
 
-  b.on('roomMessages', (payload) => { console.log('B roomMessages', payload.room, payload.messages.length); });
+  b.on('roomMessages', (payload) => { console.log('B roomMessages', payload.room, payload.messages.length, 'seq', payload.seq); });
 
-  a.on('message', (m) => { console.log('A got message', m._id || m.id || m); });
-  b.on('message', (m) => {
-    console.log('B got message', m._id || m.id || m);
-    state.msgId = m._id || m.id;
-  });
+  // room events carry the room's sequence number (`seq`)
+  a.on('message', (m) => { console.log('A got message', m._id || m.id || m, 'seq', m.seq); });
+  b.on('message', (m) => { console.log('B got message', m._id || m.id || m, 'seq', m.seq); });
+  b.on('privateMessage', (m) => { console.log('B privateMessage', m._id, m.from); });
   a.on('typing', (t) => { console.log('A typing event', t); });
   b.on('typing', (t) => { console.log('B typing event', t); });
   a.on('message_read', (d) => { console.log('A message_read', d); });
@@ -45,71 +61,70 @@ async function run() {
   // wait for connections
   await wait(1200);
 
-  console.log('A creating room testroom');
-  a.emit('createRoom', { name: 'testroom' }, (ack) => { console.log('createRoom ack A', ack); });
-  await wait(500);
+  // a fresh room name per run: rooms persist with Mongo storage
+  const room = `testroom-${Date.now()}`;
+  console.log('A creating room', room);
+  expect('createRoom', await request(a, 'createRoom', { name: room }));
+  expect('A joinRoom', await request(a, 'joinRoom', { room }));
 
-  console.log('B joining room testroom');
-  b.emit('joinRoom', { room: 'testroom' }, (ack) => { console.log('joinRoom ack B', ack); });
-  await wait(500);
+  console.log('B joining room', room);
+  expect('B joinRoom', await request(b, 'joinRoom', { room }));
 
-  console.log('A sending message to testroom');
-  a.emit('message', { content: 'Hello from Alice', from: 'Alice', room: 'testroom' });
-
-  // wait for message to be delivered
-  await wait(800);
-  if (!state.msgId) console.warn('No message id captured yet');
+  console.log('A sending message to', room);
+  const clientMsgId = `smoke-${Date.now()}`;
+  const sent = expect('message', await request(a, 'message', { content: 'Hello from Alice', room, clientMsgId }));
+  state.msgId = sent && sent.id;
+  // a retried send (same clientMsgId) is acked with the message already posted
+  const retried = expect('message retry', await request(a, 'message', { content: 'Hello from Alice', room, clientMsgId }));
+  if (!retried || !retried.duplicate) failures.push('message retry not deduplicated');
 
   console.log('B reacting to message with ❤️');
-  if (state.msgId) b.emit('reaction', { messageId: state.msgId, emoji: '❤️', by: 'Bob' });
+  expect('reaction', await request(b, 'reaction', { messageId: state.msgId, emoji: '❤️' }));
 
-  await wait(500);
+  console.log('B attempting to delete the message (should be forbidden)');
+  expect('B deleteMessage', await request(b, 'deleteMessage', { messageId: state.msgId }), 'forbidden');
 
-  console.log('B attempting to delete the message (should be not_authorized)');
-  b.emit('deleteMessage', { messageId: state.msgId }, (ack) => { console.log('B deleteMessage ack', ack); });
+  console.log('A editing own message');
+  expect('A editMessage', await request(a, 'editMessage', { messageId: state.msgId, content: 'Hello again from Alice' }));
 
-  await wait(500);
+  // read receipt: B marks message as read
+  console.log('B marking read for', state.msgId);
+  expect('mark_read', await request(b, 'mark_read', { messageId: state.msgId }));
 
   console.log('A deleting own message');
-  a.emit('deleteMessage', { messageId: state.msgId }, (ack) => { console.log('A deleteMessage ack', ack); });
+  expect('A deleteMessage', await request(a, 'deleteMessage', { messageId: state.msgId }));
 
-  await wait(800);
+  // a malformed payload is refused with a structured error
+  expect('invalid payload', await request(a, 'message', { content: 42, room }), 'invalid_payload');
 
   console.log('Testing private message from A -> B');
-  // find B socket id from server onlineUsers (best-effort via emitted lists)
-  a.emit('privateMessage', { toSocketId: state.bId, payload: { content: 'Hey Bob, private', from: 'Alice' } });
-
-  await wait(800);
+  expect('privateMessage', await request(a, 'privateMessage', { toSocketId: state.bId, payload: { content: 'Hey Bob, private' } }));
 
   // typing indicator simulation
   console.log('A typing true');
-  a.emit('typing', { room: 'testroom', isTyping: true });
+  a.emit('typing', { room, isTyping: true });
   await wait(300);
   console.log('A typing false');
-  a.emit('typing', { room: 'testroom', isTyping: false });
+  a.emit('typing', { room, isTyping: false });
   await wait(300);
 
-  // read receipt: B marks message as read
-  if (state.msgId) {
-    console.log('B marking read for', state.msgId);
-    b.emit('mark_read', { messageId: state.msgId }, (ack) => { console.log('mark_read ack', ack); });
-  }
-  await wait(400);
-
   // pagination via HTTP fetch
   try {
-    console.log('Pagination request for testroom');
-    const res = await fetch(`${SERVER}/messages/paginate?room=testroom&limit=10`);
+    console.log('Pagination request for room');
+    const res = await fetch(`${SERVER}/messages/paginate?room=${encodeURIComponent(room)}&limit=10`);
     const json = await res.json();
     console.log('Pagination result count', json.messages?.length || 0);
-  } catch (e) { console.warn('Pagination fetch failed', e.message); }
+    if (!res.ok) failures.push(`pagination ${res.status}`);
+  } catch (e) {
+    console.warn('Pagination fetch failed', e.message);
+    failures.push('pagination');
+  }
   await wait(400);
 
   // file_message (base64 demo)
   const fakeBase64 = Buffer.from('hello file').toString('base64');
   console.log('A sending file_message');
-  a.emit('file_message', { room: 'testroom', name: 'hello.txt', data: fakeBase64, mime: 'text/plain' }, (ack) => { console.log('file_message ack', ack); });
-  await wait(600);
+  expect('file_message', await request(a, 'file_message', { room, name: 'hello.txt', data: fakeBase64, mime: 'text/plain' }));
 
   // reconnection: disconnect B then reconnect
   console.log('Simulating B disconnect');
@@ -121,9 +136,9 @@ async function run() {
   b2.on('roomsList', (rooms) => console.log('B2 roomsList', rooms));
   await wait(800);
 
-  console.log('Smoke test done — disconnecting');
-  a.disconnect(); b.disconnect();
-  process.exit(0);
+  console.log(failures.length ? `Smoke test failed: ${failures.join(', ')}` : 'Smoke test done — disconnecting');
+  a.disconnect(); b.disconnect(); b2.disconnect();
+  process.exit(failures.length ? 1 : 0);
 }
 
 run().catch(e => { console.error('Smoke test error', e); process.exit(1); });
@@ -0,0 +1,28 @@
+const { socketAuth } = require('../middleware/clerkAuth');
+
+// Socket.IO handshake middleware for an auth mode:
+// - 'none'     no verification; identity comes from handshake.auth or `join`
+// - 'optional' verify a token when one is sent, allow anonymous sockets
+// - 'required' reject sockets that don't carry a verified token
+function socketAuthFor(mode) {
+  switch (mode) {
+    case 'none':
+      return null;
+    case 'optional':
+      return socketAuth;
+    case 'required':
+      return (socket, next) => socketAuth(socket, (err) => {
+        if (err) return next(err);
+        if (!socket.clerkUser) {
+          const e = new Error('Authentication required');
+          e.data = { reason: 'missing_token_or_invalid' };
+          return next(e);
+        }
+        return next();
+      });
+    default:
+      throw new Error(`Unknown auth mode: ${mode}`);
+  }
+}
+
+module.exports = { socketAuthFor };
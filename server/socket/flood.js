@@ -0,0 +1,118 @@
+// Flood control for socket events: a token bucket per user (per address when anonymous) and per kind
+// of event, so one client can't spam a room or fill the database. An event over its limit is dropped
+// and acked { ok: false, error: { code: 'rate_limited', message }, event, retryAfterMs }, or answered
+// with a `rateLimited` event when it has no ack. A client that keeps going anyway is disconnected and
+// refused for a while. Anonymous clients get a new id on every connection, so they go by address:
+// reconnecting hands them neither a full bucket nor a way around a ban.
+const { createRateLimiter } = require('../utils/rateLimit');
+const { errorReply } = require('../utils/errors');
+
+// what each event counts against; anything not listed is `default`
+const EVENT_KINDS = {
+  message: 'message',
+  threadReply: 'message',
+  privateMessage: 'message',
+  private_message: 'message',
+  groupMessage: 'message',
+  file_message: 'message',
+  command: 'message',
+  editMessage: 'message',
+  typing: 'typing',
+  react: 'reaction',
+  reaction: 'reaction',
+  votePoll: 'reaction',
+  createRoom: 'room',
+  create_room: 'room',
+  clearRoom: 'room',
+  deleteRoom: 'room',
+  createGroup: 'room',
+  inviteToRoom: 'room',
+  uploadStart: 'upload',
+  uploadChunk: 'upload',
+  uploadComplete: 'upload'
+};
+
+const DEFAULT_LIMITS = {
+  message: { capacity: 10, refillMs: 1000 }, // bursts of 10, then one a second
+  typing: { capacity: 10, refillMs: 500 },
+  reaction: { capacity: 20, refillMs: 500 },
+  room: { capacity: 5, refillMs: 10 * 1000 },
+  upload: { capacity: 40, refillMs: 100 }, // 512 KB chunks: about 5 MB/s
+  default: { capacity: 60, refillMs: 250 }
+};
+
+// `strikes` dropped events within `windowMs` get a client disconnected for `banMs`
+const DEFAULT_FLOOD = { strikes: 30, windowMs: 60 * 1000, banMs: 5 * 60 * 1000 };
+
+/**
+ * `limits` overrides DEFAULT_LIMITS per kind ({ message: { capacity, refillMs }, ... }); `flood`
+ * overrides DEFAULT_FLOOD. Returns { guard(socket), bannedFor(socket), disconnect(socket, retryAfterMs) }.
+ */
+function createFloodControl({ limits = {}, flood = {} } = {}) {
+  const limiters = {};
+  Object.entries({ ...DEFAULT_LIMITS, ...limits }).forEach(([kind, options]) => { limiters[kind] = createRateLimiter(options); });
+  const { strikes, windowMs, banMs } = { ...DEFAULT_FLOOD, ...flood };
+  const offenders = new Map(); // client key -> { count, since, bannedUntil }
+  let prunedAt = Date.now();
+
+  // forget clients whose window and ban are both over
+  function prune(now) {
+    prunedAt = now;
+    offenders.forEach((entry, key) => {
+      if (now - entry.since > windowMs && entry.bannedUntil <= now) offenders.delete(key);
+    });
+  }
+
+  // who a socket's buckets, strikes and ban belong to
+  const clientKey = (socket) => (socket.data.anonymous ? `ip:${socket.handshake.address}` : `user:${socket.data.userId}`);
+
+  // ms left of the client's ban, or 0
+  function bannedFor(socket) {
+    const entry = offenders.get(clientKey(socket));
+    return entry ? Math.max(0, entry.bannedUntil - Date.now()) : 0;
+  }
+
+  // count a dropped event; true when that earns the client a ban
+  function strike(socket) {
+    const key = clientKey(socket);
+    const now = Date.now();
+    if (now - prunedAt > windowMs) prune(now);
+    const entry = offenders.get(key);
+    const current = entry && (now - entry.since <= windowMs || entry.bannedUntil > now) ? entry : { count: 0, since: now, bannedUntil: 0 };
+    offenders.set(key, current);
+    if (current.bannedUntil > now) return false; // already on its way out
+    current.count += 1;
+    if (current.count < strikes) return false;
+    current.bannedUntil = now + banMs;
+    return true;
+  }
+
+  // refuse a banned client, telling it for how long
+  function disconnect(socket, retryAfterMs) {
+    socket.emit('rateLimited', errorReply({ error: 'flooding', retryAfterMs }));
+    socket.disconnect(true);
+  }
+
+  // per-socket middleware (socket.use) that drops events over their limit
+  function guard(socket) {
+    return ([event, ...args], next) => {
+      if (socket.disconnected) return undefined;
+      const kind = EVENT_KINDS[event] || 'default';
+      const limit = (limiters[kind] || limiters.default).take(`${clientKey(socket)}\0${kind}`);
+      if (limit.ok) return next();
+      const refusal = errorReply({ error: 'rate_limited', event, retryAfterMs: limit.retryAfterMs });
+      const ack = args[args.length - 1];
+      if (typeof ack === 'function') ack(refusal);
+      else socket.emit('rateLimited', refusal);
+      if (strike(socket)) {
+        console.warn(`[socket] flood from ${clientKey(socket)}; disconnected for ${banMs}ms`);
+        disconnect(socket, banMs);
+      }
+      return undefined;
+    };
+  }
+
+  return { guard, bannedFor, disconnect };
+}
+
+module.exports = { createFloodControl, EVENT_KINDS, DEFAULT_LIMITS, DEFAULT_FLOOD };
@@ -0,0 +1,91 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFloodControl } = require('./flood');
+
+// a socket stand-in: who it is, where from, and what it was told
+let sockets = 0;
+function fakeSocket({ userId = null, address = '10.0.0.1' } = {}) {
+  sockets += 1;
+  const socket = {
+    id: `s${sockets}`,
+    data: { userId: userId || `anon-s${sockets}`, anonymous: !userId },
+    handshake: { address },
+    emitted: [],
+    disconnected: false,
+    emit: (event, payload) => socket.emitted.push({ event, payload }),
+    disconnect: () => { socket.disconnected = true; }
+  };
+  return socket;
+}
+
+// send `event` through the socket's guard: 'passed', or what its ack got (undefined without one)
+function send(control, socket, event, { ack = true } = {}) {
+  let result;
+  const args = ack ? [{}, (reply) => { result = reply; }] : [{}];
+  control.guard(socket)([event, ...args], () => { result = 'passed'; });
+  return result;
+}
+
+describe('flood control', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('drops events over their kind\'s limit, acking or telling the client', () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    const control = createFloodControl({ limits: { message: { capacity: 2, refillMs: 1000 } } });
+    const ann = fakeSocket({ userId: 'u1' });
+    assert.equal(send(control, ann, 'message'), 'passed');
+    assert.equal(send(control, ann, 'editMessage'), 'passed');
+    assert.deepEqual(send(control, ann, 'message'), {
+      ok: false, error: { code: 'rate_limited', message: 'Too many requests; slow down' }, event: 'message', retryAfterMs: 1000
+    });
+    assert.equal(send(control, ann, 'typing'), 'passed');
+
+    assert.equal(send(control, ann, 'threadReply', { ack: false }), undefined);
+    assert.deepEqual(ann.emitted.map((e) => [e.event, e.payload.error.code]), [['rateLimited', 'rate_limited']]);
+    mock.timers.tick(1000);
+    assert.equal(send(control, ann, 'message'), 'passed');
+  });
+
+  it('counts a user\'s sockets together, and anonymous sockets by address', () => {
+    const control = createFloodControl({ limits: { message: { capacity: 1, refillMs: 60000 } } });
+    assert.equal(send(control, fakeSocket({ userId: 'u1' }), 'message'), 'passed');
+    assert.equal(send(control, fakeSocket({ userId: 'u1' }), 'message').error.code, 'rate_limited');
+
+    // a reconnect is a new anonymous id, but the same address and the same bucket
+    assert.equal(send(control, fakeSocket({ address: '10.0.0.9' }), 'message'), 'passed');
+    assert.equal(send(control, fakeSocket({ address: '10.0.0.9' }), 'message').error.code, 'rate_limited');
+    assert.equal(send(control, fakeSocket({ address: '10.0.0.10' }), 'message'), 'passed');
+  });
+
+  it('disconnects a client that keeps going, and keeps it out across reconnects until the ban is over', () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    const control = createFloodControl({ limits: { message: { capacity: 1, refillMs: 60000 } }, flood: { strikes: 2, windowMs: 1000, banMs: 5000 } });
+    const guest = fakeSocket({ address: '10.0.0.7' });
+    send(control, guest, 'message');
+    send(control, guest, 'message');
+    assert.equal(guest.disconnected, false);
+    send(control, guest, 'message');
+    assert.equal(guest.disconnected, true);
+    assert.deepEqual(guest.emitted.at(-1), { event: 'rateLimited', payload: {
+      ok: false, error: { code: 'flooding', message: 'Too many requests; disconnected for a while' }, retryAfterMs: 5000
+    } });
+
+    mock.timers.tick(4000);
+    assert.equal(control.bannedFor(fakeSocket({ address: '10.0.0.7' })), 1000);
+    assert.equal(control.bannedFor(fakeSocket({ address: '10.0.0.8' })), 0);
+    mock.timers.tick(1000);
+    assert.equal(control.bannedFor(fakeSocket({ address: '10.0.0.7' })), 0);
+  });
+
+  it('lets strikes lapse once their window is over', () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    const control = createFloodControl({ limits: { message: { capacity: 1, refillMs: 60000 } }, flood: { strikes: 2, windowMs: 1000, banMs: 5000 } });
+    const ann = fakeSocket({ userId: 'u1' });
+    send(control, ann, 'message');
+    send(control, ann, 'message');
+    mock.timers.tick(1001);
+    send(control, ann, 'message');
+    assert.equal(ann.disconnected, false);
+    assert.equal(control.bannedFor(ann), 0);
+  });
+});
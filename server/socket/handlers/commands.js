@@ -0,0 +1,40 @@
+// Commands: slash commands typed in the composer (see commands/) and voting on /poll messages.
+const roomAccess = require('../../utils/roomAccess');
+const { ephemeralMessage } = require('../../commands');
+
+module.exports = function registerCommandHandlers(socket, ctx) {
+  const { repos, safe } = ctx;
+
+  // what the composer autocompletes from
+  socket.emit('commands', ctx.commands.list());
+
+  // command { room, text: '/name args...' } -> ack { ok, command, ... } or { ok: false, error, message };
+  // failures are also sent to this socket as an `ephemeralMessage`, so they show up in the room
+  socket.on('command', safe(async (payload, ack) => {
+    const { room, text } = payload || {};
+    const result = await ctx.commands.run(ctx, socket, { room, text });
+    if (!result.ok) {
+      socket.emit('ephemeralMessage', ephemeralMessage(room || ctx.GLOBAL_ROOM, result.command || null, result.message || result.error, { error: true }));
+    } else {
+      ctx.log(`[command] /${result.command} room:${room || ctx.GLOBAL_ROOM} by:${ctx.nameOf(socket)}`);
+    }
+    if (typeof ack === 'function') ack(result);
+  }, 'command'));
+
+  // votePoll { messageId, option } picks an option (by index) of a poll; picking it again takes the vote back
+  socket.on('votePoll', safe(async (payload, ack) => {
+    const { messageId, option } = payload;
+    const msg = await repos.messages.findById(messageId);
+    if (!msg || !msg.poll) return ack && ack({ ok: false, error: 'not_found' });
+    const denied = await roomAccess.checkMessageRead(repos, msg, ctx.userOf(socket));
+    if (denied) return ack && ack({ ok: false, ...denied });
+    if (msg.poll.closed) return ack && ack({ ok: false, error: 'poll_closed' });
+    if (!Number.isInteger(option) || !msg.poll.options[option]) return ack && ack({ ok: false, error: 'invalid_option' });
+
+    // one atomic update, so votes cast at the same time all count; null if it closed or went meanwhile
+    const updated = await repos.messages.votePoll(msg._id, option, socket.data.userId);
+    if (!updated) return ack && ack({ ok: false, error: (await repos.messages.findById(msg._id)) ? 'poll_closed' : 'not_found' });
+    ctx.emitForMessage(updated, 'pollUpdated', { messageId: updated._id, room: updated.room, poll: updated.poll });
+    if (typeof ack === 'function') ack({ ok: true, poll: updated.poll });
+  }, 'votePoll'));
+};
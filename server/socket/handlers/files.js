@@ -0,0 +1,60 @@
+// Files: resumable uploads in chunks (the same protocol as /api/uploads, see utils/uploads) and inline
+// (base64) file messages. Multipart uploads go through POST /upload; every way the bytes end up in the
+// file store and the message only references them (see utils/attachments).
+const { Readable } = require('stream');
+const attachments = require('../../utils/attachments');
+const uploads = require('../../utils/uploads');
+
+module.exports = function registerFileHandlers(socket, ctx) {
+  const { repos, GLOBAL_ROOM, safe } = ctx;
+
+  socket.on('file_message', safe(async (payload, ack) => {
+    const { room, name, data, mime } = payload;
+    const denied = await ctx.checkRoomPost(socket, room);
+    if (denied) return ack && ack({ ok: false, ...denied });
+    const stored = await attachments.storeDataUrl(ctx, data, { name, mime, uploadedBy: socket.data.userId });
+    if (stored.error) {
+      const { error, max } = stored;
+      return ack && ack({ ok: false, error, ...(max ? { max } : {}) });
+    }
+    const msg = await repos.messages.create({
+      content: null,
+      from: ctx.nameOf(socket),
+      fromId: String(socket.data.userId),
+      room: room || GLOBAL_ROOM,
+      file: attachments.fileView(stored.attachment),
+      timestamp: new Date()
+    });
+    await attachments.link(repos, stored.attachment, msg);
+    await ctx.roomEvents.publish(msg.room, 'file_message', msg);
+    ctx.log(`[file_message] room:${msg.room} from:${msg.from} id:${msg._id}`);
+    if (typeof ack === 'function') ack({ ok: true, id: msg._id });
+    ctx.timelineChanged(msg.room, { sentBy: socket, message: msg });
+  }, 'file_message'));
+
+  // resumable uploads belong to the user, so they survive reconnects; anonymous sockets can't resume
+  const uploadEvent = (event, step) => socket.on(event, safe(async (payload, ack) => {
+    if (typeof ack !== 'function') return;
+    if (socket.data.anonymous) return ack({ ok: false, error: 'auth_required' });
+    const { error, ...result } = await step(payload);
+    ack(error ? { ok: false, error, ...result } : { ok: true, ...result });
+  }, event));
+
+  // uploadStart { name, mime, size } -> ack { ok, upload: { uploadId, received, maxChunkBytes, ... } }
+  uploadEvent('uploadStart', (payload) => uploads.start(ctx, payload, socket.data.userId));
+
+  // uploadStatus { uploadId } -> ack { ok, upload }; `received` is the offset to resume from
+  uploadEvent('uploadStatus', ({ uploadId }) => uploads.status(ctx, uploadId, socket.data.userId));
+
+  // uploadChunk { uploadId, offset, data (binary) } -> ack { ok, upload }
+  uploadEvent('uploadChunk', ({ uploadId, offset, data }) => uploads.appendChunk(ctx, uploadId, socket.data.userId, offset, Readable.from([data])));
+
+  // uploadComplete { uploadId, sha256 } -> ack { ok, file }; send it with `message` { file: { attachmentId } }
+  uploadEvent('uploadComplete', async ({ uploadId, sha256 }) => {
+    const result = await uploads.complete(ctx, uploadId, socket.data.userId, { sha256 });
+    return result.error ? result : { file: attachments.fileView(result.attachment) };
+  });
+
+  // uploadCancel { uploadId } -> ack { ok, cancelled }
+  uploadEvent('uploadCancel', ({ uploadId }) => uploads.cancel(ctx, uploadId, socket.data.userId));
+};
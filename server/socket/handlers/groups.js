@@ -0,0 +1,59 @@
+// Groups: ad-hoc group conversations of a few people (see utils/groups).
+const groups = require('../../utils/groups');
+
+module.exports = function registerGroupHandlers(socket, ctx) {
+  const { safe } = ctx;
+
+  // ack { ok, conversation } with the caller's view of the group, or the flow's error
+  const reply = async (ack, result) => {
+    if (typeof ack !== 'function') return;
+    if (result.error) return ack({ ok: false, ...result });
+    ack({ ok: true, conversation: await groups.summarize(ctx, ctx.userOf(socket), result.group) });
+  };
+
+  // createGroup { name?, participants: [userId | username] }
+  socket.on('createGroup', safe(async (payload, ack) => {
+    const { name, participants } = payload || {};
+    const result = await groups.create(ctx, ctx.userOf(socket), { name, participants });
+    if (!result.error) ctx.log(`[group] created ${result.group._id} by:${socket.data.userId}`);
+    await reply(ack, result);
+  }, 'createGroup'));
+
+  // groupMessage { conversationId, content } -> ack { ok, id }
+  socket.on('groupMessage', safe(async (payload, ack) => {
+    const { conversationId, content, text } = payload || {};
+    const result = await groups.send(ctx, ctx.userOf(socket), conversationId, content ?? text);
+    if (result.error) return ack && ack({ ok: false, ...result });
+    ctx.log(`[groupMessage] group:${conversationId} from:${socket.data.userId} id:${result.message._id}`);
+    if (typeof ack === 'function') ack({ ok: true, id: result.message._id, ts: result.message.timestamp });
+  }, 'groupMessage'));
+
+  // groupHistory { conversationId, before | after, limit } -> ack { ok, id, messages, cursors, hasMoreBefore, hasMoreAfter }
+  socket.on('groupHistory', safe(async (payload, ack) => {
+    if (typeof ack !== 'function') return;
+    const { conversationId, before, after, limit } = payload || {};
+    const page = await groups.loadGroupHistory(ctx.repos, ctx.userOf(socket), conversationId, { before, after, limit });
+    if (page.error) return ack({ ok: false, ...page });
+    ack({ ok: true, ...page });
+  }, 'groupHistory'));
+
+  socket.on('addGroupMember', safe(async (payload, ack) => {
+    const { conversationId, userId } = payload || {};
+    await reply(ack, await groups.addParticipant(ctx, ctx.userOf(socket), conversationId, userId));
+  }, 'addGroupMember'));
+
+  // removing yourself leaves the group
+  socket.on('removeGroupMember', safe(async (payload, ack) => {
+    const { conversationId, userId } = payload || {};
+    const result = await groups.removeParticipant(ctx, ctx.userOf(socket), conversationId, userId);
+    if (result.error || typeof ack !== 'function') return reply(ack, result);
+    // someone who left can no longer see the group
+    if (!groups.isParticipant(result.group, socket.data.userId)) return ack({ ok: true, conversation: null });
+    await reply(ack, result);
+  }, 'removeGroupMember'));
+
+  socket.on('renameGroup', safe(async (payload, ack) => {
+    const { conversationId, name } = payload || {};
+    await reply(ack, await groups.rename(ctx, ctx.userOf(socket), conversationId, name));
+  }, 'renameGroup'));
+};
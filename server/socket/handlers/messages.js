@@ -0,0 +1,261 @@
+// Messages: room messages, DMs and conversations, threads, edits, deletes, reactions, read cursors and receipts.
+const messageEdits = require('../../utils/messageEdits');
+const permissions = require('../../utils/permissions');
+const roomAccess = require('../../utils/roomAccess');
+const { loadHistory } = require('../../utils/history');
+const unread = require('../../utils/unread');
+const conversations = require('../../utils/conversations');
+const groups = require('../../utils/groups');
+const mentions = require('../../utils/mentions');
+const notifications = require('../../utils/notifications');
+const messageText = require('../../utils/messageText');
+const attachments = require('../../utils/attachments');
+
+module.exports = function registerMessageHandlers(socket, ctx) {
+  const { repos, GLOBAL_ROOM, safe } = ctx;
+
+  // initial history for the default room
+  repos.messages.listRecent(GLOBAL_ROOM, { limit: 50 })
+    .then((recent) => socket.emit('recent_messages', recent))
+    .catch((err) => console.error('[socket] recent_messages error', err));
+
+  // unread counts for every readable room; later changes arrive as partial `unreadCounts`
+  unread.unreadCounts(repos, ctx.userOf(socket))
+    .then((rooms) => socket.emit('unreadCounts', { rooms, full: true }))
+    .catch((err) => console.error('[socket] unreadCounts error', err));
+
+  // DM partners, including anything sent while we were offline; later changes arrive as `conversationUpdated`
+  groups.listAllConversations(ctx, ctx.userOf(socket))
+    .then((list) => socket.emit('conversations', list))
+    .catch((err) => console.error('[socket] conversations error', err));
+
+  // message { room, content, file?, clientMsgId? } -> ack { ok, id, ts, clientMsgId?, duplicate? }.
+  // `clientMsgId` is the sending client's own id for the message, so a send retried after a lost ack
+  // is acked with the message it already posted (`duplicate: true`) instead of posting it again.
+  const sentBefore = async (clientMsgId, ack) => {
+    const earlier = clientMsgId && await repos.messages.findByClientMsgId(socket.data.userId, clientMsgId);
+    if (earlier && typeof ack === 'function') ack({ ok: true, id: earlier._id, ts: earlier.timestamp, clientMsgId, duplicate: true });
+    return !!earlier;
+  };
+
+  socket.on('message', safe(async (payload, ack) => {
+    const { room, content, text, file, clientMsgId } = payload;
+    if (await sentBefore(clientMsgId, ack)) return;
+    // Markdown source, stored as typed; a file may come without text
+    const body = messageText.clean(content ?? text, { optional: !!file });
+    if (body.error) return ack && ack({ ok: false, ...body });
+    const denied = await ctx.checkRoomPost(socket, room);
+    if (denied) return ack && ack({ ok: false, ...denied });
+    // a file is the sender's own upload from POST /upload: { attachmentId }
+    const claimed = file ? await attachments.claim(repos, file, socket.data.userId) : {};
+    if (claimed.error) return ack && ack({ ok: false, error: claimed.error });
+    // the sender is the server-known identity, not payload.from
+    let message;
+    try {
+      message = await repos.messages.create({
+        content: body.text,
+        from: ctx.nameOf(socket),
+        fromId: String(socket.data.userId),
+        room: room || GLOBAL_ROOM,
+        mentions: await mentions.parse(ctx, body.text, room || GLOBAL_ROOM),
+        file: claimed.file,
+        clientMsgId,
+        timestamp: new Date()
+      });
+    } catch (err) {
+      // a retry that raced the original: whichever was stored first stands
+      if (err.code === 'duplicate_message' && await sentBefore(clientMsgId, ack)) return;
+      throw err;
+    }
+    if (claimed.attachment) await attachments.link(repos, claimed.attachment, message);
+    await ctx.roomEvents.publish(message.room, 'message', message);
+    ctx.log(`[message] room:${message.room} from:${message.from} id:${message._id}`);
+    if (typeof ack === 'function') ack({ ok: true, id: message._id, ts: message.timestamp, ...(clientMsgId ? { clientMsgId } : {}) });
+    ctx.timelineChanged(message.room, { sentBy: socket, message });
+    ctx.notifyMentions(message, socket);
+    ctx.webhooks.dispatchMessage('message.created', message);
+  }, 'message'));
+
+  // history { room, before | after | around, limit } -> ack { ok, room, messages, cursors, hasMoreBefore, hasMoreAfter }
+  socket.on('history', safe(async (payload, ack) => {
+    if (typeof ack !== 'function') return;
+    const { room, before, after, around, limit } = payload || {};
+    const page = await loadHistory(repos, { room: around ? room : room || GLOBAL_ROOM, before, after, around, limit });
+    if (page.error) return ack({ ok: false, error: page.error });
+    const denied = await ctx.checkRoomAccess(socket, page.room);
+    if (denied) return ack({ ok: false, ...denied });
+    ack({ ok: true, ...page });
+  }, 'history'));
+
+  // private messages: `to` is a user id or username (a socket id still works); delivered to every
+  // socket of both parties and stored for offline recipients (see utils/conversations)
+  const sendPrivate = async (to, content, ack) => {
+    const result = await conversations.sendDirect(ctx, ctx.userOf(socket), to, content);
+    if (result.error) return ack && ack({ ok: false, error: result.error });
+    const { message, recipient } = result;
+    ctx.log(`[private_message] from:${message.fromId} to:${message.toId} id:${message._id}`);
+    if (typeof ack === 'function') ack({ ok: true, id: message._id, to: recipient });
+  };
+  socket.on('privateMessage', safe((p, ack) => sendPrivate(p.to ?? p.toUserId ?? p.toSocketId, p.content ?? p.payload?.content, ack), 'privateMessage'));
+  socket.on('private_message', safe((p, ack) => sendPrivate(p.to ?? p.toUserId, p.content ?? p.text, ack), 'private_message'));
+
+  // conversations -> ack { ok, conversations }: DM partners and groups with the last message and unread count
+  socket.on('conversations', safe(async (_, ack) => {
+    if (typeof ack === 'function') ack({ ok: true, conversations: await groups.listAllConversations(ctx, ctx.userOf(socket)) });
+  }, 'conversations'));
+
+  // conversationHistory { with, before | after, limit } -> ack { ok, userId, messages, cursors, hasMoreBefore, hasMoreAfter }
+  socket.on('conversationHistory', safe(async (payload, ack) => {
+    if (typeof ack !== 'function') return;
+    const { with: peer, before, after, limit } = payload || {};
+    const target = await conversations.resolveRecipient(ctx, peer);
+    if (!target) return ack({ ok: false, error: 'recipient_not_found' });
+    const page = await conversations.loadConversation(repos, ctx.userOf(socket), target.userId, { before, after, limit });
+    if (page.error) return ack({ ok: false, error: page.error });
+    ack({ ok: true, ...page, userName: target.userName });
+  }, 'conversationHistory'));
+
+  // threadReply: reply to a root message without posting into the main timeline
+  socket.on('threadReply', safe(async (payload, ack) => {
+    const { parentId, content } = payload;
+    const body = messageText.clean(content);
+    if (body.error) return ack && ack({ ok: false, ...body });
+    const { text } = body;
+    const parent = await repos.messages.findById(parentId);
+    if (!parent) return ack && ack({ ok: false, error: 'not_found' });
+    // threads are one level deep: replying to a reply goes to its root
+    const root = parent.parentId ? await repos.messages.findById(parent.parentId) : parent;
+    if (!root) return ack && ack({ ok: false, error: 'not_found' });
+    // room threads need room access (and no mute), DM threads are for their two parties
+    const denied = await roomAccess.checkMessageRead(repos, root, ctx.userOf(socket))
+      || (root.private ? null : await ctx.checkRoomPost(socket, root.room));
+    if (denied) return ack && ack({ ok: false, ...denied });
+
+    // in a DM thread the reply is addressed to whichever party didn't write it
+    const me = String(socket.data.userId);
+    const toOther = root.private && root.fromId && !root.conversationId && (root.fromId === me ? { to: root.to, toId: root.toId } : { to: root.from, toId: root.fromId });
+    const reply = await repos.messages.create({
+      content: text,
+      from: ctx.nameOf(socket),
+      fromId: String(socket.data.userId),
+      to: root.to,
+      ...(toOther ? { ...toOther, fromId: me } : {}),
+      ...(root.conversationId ? { conversationId: root.conversationId, fromId: me } : {}),
+      room: root.room,
+      private: root.private,
+      mentions: root.private ? [] : await mentions.parse(ctx, text, root.room),
+      parentId: root._id,
+      timestamp: new Date()
+    });
+    const updated = await repos.messages.addReply(root._id, reply.timestamp);
+    ctx.emitForMessage(root, 'threadReply', { parentId: root._id, message: reply });
+    ctx.emitForMessage(root, 'threadUpdated', { messageId: root._id, replyCount: updated.replyCount, lastReplyAt: updated.lastReplyAt });
+    ctx.log(`[threadReply] root:${root._id} from:${reply.from} id:${reply._id}`);
+    if (typeof ack === 'function') ack({ ok: true, id: reply._id, parentId: root._id });
+    ctx.notifyMentions(reply, socket);
+    ctx.webhooks.dispatchMessage('message.created', reply);
+  }, 'threadReply'));
+
+  // editMessage: author-only edit, previous content is kept in editHistory
+  socket.on('editMessage', safe(async (payload, ack) => {
+    const { messageId, content, text } = payload;
+    // the author goes by user id (utils/messageEdits): display names can be claimed by anyone
+    const result = await messageEdits.editMessage(ctx, ctx.userOf(socket), messageId, typeof content === 'string' ? content : text);
+    if (result.error) return ack && ack({ ok: false, ...result });
+    ctx.log(`[editMessage] id:${messageId} by:${socket.data.userId}`);
+    if (typeof ack === 'function') ack({ ok: true, message: result.message });
+  }, 'editMessage'));
+
+  // the message `messageId` if this socket's user may read it; otherwise acks the error and resolves null
+  const readable = async (messageId, ack) => {
+    const msg = await repos.messages.findById(messageId);
+    const denied = msg ? await roomAccess.checkMessageRead(repos, msg, ctx.userOf(socket)) : { error: 'not_found' };
+    if (!denied) return msg;
+    if (typeof ack === 'function') ack({ ok: false, ...denied });
+    return null;
+  };
+
+  // deleteMessage: authors delete their own; moderators and up anyone's in their room.
+  // Either way only while they may still read it.
+  socket.on('deleteMessage', safe(async (payload, ack) => {
+    const { messageId } = payload;
+    const msg = await readable(messageId, ack);
+    if (!msg) return;
+
+    const room = msg.room ? await repos.rooms.findByName(msg.room) : null;
+    const denied = permissions.checkMessageDelete(msg, room, { userId: socket.data.userId });
+    if (denied) return ack && ack({ ok: false, ...denied });
+
+    await repos.messages.delete(msg._id);
+    // keep thread summaries consistent: drop a root's replies, or decrement the root's count
+    if (msg.parentId) {
+      const root = await repos.messages.removeReply(msg.parentId);
+      if (root) ctx.emitForMessage(root, 'threadUpdated', { messageId: root._id, replyCount: root.replyCount, lastReplyAt: root.lastReplyAt });
+    } else if (msg.replyCount > 0) {
+      await repos.messages.deleteReplies(msg._id);
+    }
+    ctx.emitForMessage(msg, 'messageDeleted', { messageId });
+    if (typeof ack === 'function') ack({ ok: true });
+    attachments.removeForMessage(ctx, msg);
+    if (!msg.private && !msg.parentId) ctx.timelineChanged(msg.room);
+    ctx.webhooks.dispatchMessage('message.deleted', msg, { deletedBy: socket.data.userId });
+  }, 'deleteMessage'));
+
+  // reactions toggle the sender's entry for an emoji
+  const react = async (messageId, emoji, ack) => {
+    if (!(await readable(messageId, ack))) return;
+    const by = ctx.nameOf(socket);
+    const msg = await repos.messages.toggleReaction(messageId, emoji, by);
+    if (!msg) return ack && ack({ ok: false, error: 'not_found' });
+
+    const entry = msg.reactions.find((r) => r.emoji === emoji);
+    ctx.emitForMessage(msg, 'messageReaction', msg);
+    ctx.emitForMessage(msg, 'reaction', { messageId: msg._id, reaction: emoji, count: entry ? entry.count : 0, userId: socket.data.userId });
+
+    if (typeof ack === 'function') ack({ ok: true });
+
+    // the author hears about reactions added to their message (room messages only record the name)
+    if (!entry || !entry.users.includes(by)) return;
+    const author = msg.fromId ? { userId: msg.fromId } : await conversations.resolveRecipient(ctx, msg.from);
+    if (!author || String(author.userId) === String(socket.data.userId)) return;
+    await notifications.send(ctx, [author.userId], {
+      type: 'reaction',
+      title: `${by} reacted`,
+      body: `${by} reacted ${emoji} to your message`,
+      messageId: String(msg._id),
+      room: msg.private ? null : msg.room,
+      conversationId: msg.conversationId ? String(msg.conversationId) : null,
+      private: !!msg.private
+    });
+  };
+  socket.on('reaction', safe((p, ack) => react(p.messageId, p.emoji, ack), 'reaction'));
+  socket.on('react', safe((p, ack) => react(p.messageId, p.reaction, ack), 'react'));
+
+  // markRead { room, messageId }: move this user's read cursor up to the message; every one of
+  // their sockets gets the room's new counts as `unreadCounts`. For a DM, leave out `room`: the
+  // conversation's cursor moves instead and the ack and push carry `conversation`.
+  socket.on('markRead', safe(async (payload, ack) => {
+    const { room, messageId } = payload || {};
+    const result = await unread.markRead(ctx, ctx.userOf(socket), room, messageId);
+    if (result.error) return ack && ack({ ok: false, ...result });
+    if (typeof ack !== 'function') return;
+    ack(result.conversation ? { ok: true, conversation: result.conversation } : { ok: true, room: result.room, ...result.counts });
+  }, 'markRead'));
+
+  // unreadCounts -> ack { ok, rooms }: the full map, e.g. after a rename
+  socket.on('unreadCounts', safe(async (_, ack) => {
+    if (typeof ack === 'function') ack({ ok: true, rooms: await unread.unreadCounts(repos, ctx.userOf(socket)) });
+  }, 'unreadCounts'));
+
+  // legacy per-message receipts (readBy) to the room or both DM parties; also moves the read cursor
+  socket.on('mark_read', safe(async (payload, ack) => {
+    const { messageId } = payload;
+    if (!(await readable(messageId, ack))) return;
+    const reader = ctx.nameOf(socket);
+    const msg = await repos.reads.markRead(messageId, reader);
+    if (!msg) return ack && ack({ ok: false, error: 'not_found' });
+    ctx.emitForMessage(msg, 'message_read', { messageId: msg._id, userId: socket.data.userId, reader });
+    await unread.markRead(ctx, ctx.userOf(socket), msg.private ? null : msg.room, msg._id);
+    if (typeof ack === 'function') ack({ ok: true });
+  }, 'mark_read'));
+};
@@ -0,0 +1,35 @@
+// Notifications: the per-user notification center (see utils/notifications).
+const notifications = require('../../utils/notifications');
+
+module.exports = function registerNotificationHandlers(socket, ctx) {
+  const { safe } = ctx;
+  const userId = socket.data.userId;
+
+  // what arrived while this user was away: the newest page and the unread count
+  if (!socket.data.anonymous) {
+    notifications.list(ctx, userId)
+      .then((page) => socket.emit('notifications', page))
+      .catch((err) => console.error('[socket] notifications error', err));
+  }
+
+  // notifications { before, limit, unreadOnly } -> ack { ok, notifications, unread, hasMore }
+  socket.on('notifications', safe(async (payload, ack) => {
+    if (typeof ack !== 'function') return;
+    const { before, limit, unreadOnly } = payload || {};
+    ack({ ok: true, ...(await notifications.list(ctx, userId, { before, limit, unreadOnly })) });
+  }, 'notifications'));
+
+  // markNotificationsRead { ids? } -> ack { ok, updated, unread }; without ids, everything
+  socket.on('markNotificationsRead', safe(async (payload, ack) => {
+    const result = await notifications.markRead(ctx, userId, payload && payload.ids);
+    if (typeof ack === 'function') ack({ ok: true, ...result });
+  }, 'markNotificationsRead'));
+
+  // clearNotifications { ids?, readOnly? } -> ack { ok, cleared, unread }; without ids, everything
+  // (or every read one with readOnly)
+  socket.on('clearNotifications', safe(async (payload, ack) => {
+    const { ids, readOnly } = payload || {};
+    const result = await notifications.clear(ctx, userId, { ids, readOnly });
+    if (typeof ack === 'function') ack({ ok: true, ...result });
+  }, 'clearNotifications'));
+};
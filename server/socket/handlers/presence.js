@@ -0,0 +1,128 @@
+// Presence: who is online and how (see socket/presence), `join` announcements, typing indicators.
+
+module.exports = function registerPresenceHandlers(socket, ctx) {
+  const { io, repos, online, presence, GLOBAL_ROOM, safe } = ctx;
+  const userId = socket.data.userId;
+
+  // snapshots for this socket only; everyone else hears about changes from `presenceUpdated`
+  const sendSnapshot = () => {
+    const users = online.users();
+    socket.emit('presenceSnapshot', presence.list());
+    socket.emit('users', users);
+    socket.emit('users_count', users.length);
+    socket.emit('onlineUsers', online.sockets());
+  };
+
+  // publish a presence change along with the online count it may have moved
+  const publish = (id = userId) => {
+    if (ctx.publishPresence(id)) io.emit('users_count', online.users().length);
+  };
+
+  // save what the user chose so it survives reconnects; anonymous users have no profile
+  const saveStatus = (fields) => {
+    if (socket.data.anonymous) return;
+    repos.users.updateProfile(userId, fields)
+      .catch((err) => console.warn('[presence] status update failed', err && err.message));
+  };
+
+  // tell everyone else once this socket has a name worth showing
+  const announce = () => {
+    if (socket.data.announced) return;
+    socket.data.announced = true;
+    const name = ctx.nameOf(socket);
+    socket.broadcast.emit('notification', { type: 'user_join', user: { id: socket.data.userId, name }, message: `${name} joined` });
+  };
+
+  if (socket.data.named) announce();
+  sendSnapshot();
+  // a user's first socket restores the status they chose last time
+  const restored = presence.has(userId) || socket.data.anonymous
+    ? Promise.resolve()
+    : repos.users.getProfile(userId).then((profile) => presence.restore(userId, profile));
+  restored
+    .catch((err) => console.warn('[presence] restore failed', err && err.message))
+    .then(() => publish());
+
+  // explicit name announcement; a verified token name (username, else email) always wins
+  socket.on('join', safe((payload, ack) => {
+    const { username } = payload || {};
+    const name = (socket.clerkUser?.username || socket.clerkUser?.email || username || '').toString().trim();
+    if (!name) return ack && ack({ ok: false, error: 'username_required' });
+    online.add(socket.id, { userId: socket.data.userId, userName: name });
+    socket.data.named = true;
+    ctx.rememberUser(socket);
+    ctx.log(`[join] socket:${socket.id} as:${name}`);
+    publish();
+    announce();
+    if (typeof ack === 'function') ack({ ok: true, id: socket.data.userId, name });
+  }, 'join'));
+
+  socket.on('typing', safe((payload, ack) => {
+    const { room, isTyping } = payload || {};
+    socket.to((room || GLOBAL_ROOM).toString()).emit('typing', {
+      socketId: socket.id,
+      userId: socket.data.userId,
+      username: ctx.nameOf(socket),
+      userName: ctx.nameOf(socket),
+      isTyping: !!isTyping
+    });
+    if (typeof ack === 'function') ack({ ok: true });
+  }, 'typing'));
+
+  // setStatus { status?: 'online' | 'away' | 'dnd', text?: string | null } -> ack { ok, presence };
+  // 'online' clears a chosen away / dnd, a null or empty text clears the status text
+  socket.on('setStatus', safe((payload, ack) => {
+    const { status, text } = payload || {};
+    const saved = presence.setStatus(userId, { status, text });
+    if (saved.error) return ack && ack({ ok: false, ...saved });
+    saveStatus(saved);
+    publish();
+    if (typeof ack === 'function') ack({ ok: true, presence: presence.entry(userId) });
+  }, 'setStatus'));
+
+  // setIdle { idle } — the client saw no activity for a while (or activity again); a user is away
+  // once all of their sockets are idle
+  socket.on('setIdle', safe((payload, ack) => {
+    presence.setIdle(socket.id, !!(payload && payload.idle));
+    publish();
+    if (typeof ack === 'function') ack({ ok: true });
+  }, 'setIdle'));
+
+  // presence { userIds? } -> ack { ok, users }: everyone online, or the given users including
+  // offline ones (with lastSeen and status text from their profile)
+  socket.on('presence', safe(async (payload, ack) => {
+    if (typeof ack !== 'function') return;
+    const { userIds } = payload || {};
+    if (!Array.isArray(userIds)) return ack({ ok: true, users: presence.list() });
+    const users = await Promise.all(userIds.slice(0, 200).map(async (id) => {
+      const current = presence.entry(String(id));
+      if (current.status !== 'offline' || presence.has(current.userId)) return current;
+      const profile = await repos.users.getProfile(current.userId);
+      if (!profile) return current;
+      return { ...current, userName: profile.userName, statusText: profile.statusText || null, lastSeen: profile.lastSeenAt };
+    }));
+    ack({ ok: true, users });
+  }, 'presence'));
+
+  // connectivity check; echoes the identity the server resolved
+  socket.on('ping', safe((_, ack) => {
+    if (typeof ack === 'function') ack({ ok: true, user: { id: socket.data.userId, name: ctx.nameOf(socket) } });
+  }, 'ping'));
+
+  socket.on('disconnect', () => {
+    const left = socket.data.left;
+    if (left) {
+      presence.socketGone(socket.id, left.userId);
+      // the last socket closing is when the user was last seen
+      if (left.lastSocket && !socket.data.anonymous) {
+        repos.users.touchProfile({ userId: left.userId, userName: left.userName })
+          .catch((err) => console.warn('[presence] last-seen update failed', err && err.message));
+      }
+      publish(left.userId);
+    }
+    if (left && left.lastSocket) {
+      io.emit('notification', { type: 'user_leave', user: { id: left.userId, name: left.userName }, message: `${left.userName} left` });
+    }
+    console.log(`${(left && left.userName) || 'A user'} disconnected`);
+  });
+};
@@ -0,0 +1,198 @@
+// Rooms: listing, create, join/leave, clear and delete, roles, private room invitations.
+// camelCase events are canonical; snake_case names are kept as aliases for older clients.
+const permissions = require('../../utils/permissions');
+const roomAccess = require('../../utils/roomAccess');
+const { loadHistory } = require('../../utils/history');
+const attachments = require('../../utils/attachments');
+const { errorReply } = require('../../utils/errors');
+
+module.exports = function registerRoomHandlers(socket, ctx) {
+  const { io, repos, online, GLOBAL_ROOM, safe } = ctx;
+
+  const roomUsers = (room) => {
+    const sids = io.sockets.adapter.rooms.get(room) || new Set();
+    return Array.from(sids).map((sid) => online.get(sid)).filter(Boolean).map((o) => ({ id: o.userId, name: o.userName }));
+  };
+  const broadcastRoomUsers = (room) => {
+    const payload = { room, users: roomUsers(room) };
+    io.to(room).emit('roomUsers', payload);
+    io.to(room).emit('room_users', payload);
+  };
+
+  // initial snapshot for the new socket
+  ctx.broadcastRooms(socket).catch((err) => {
+    console.error('[socket] rooms snapshot error', err);
+    socket.emit('roomsList', []);
+  });
+  roomAccess.listInvites(ctx, socket.data.userId)
+    .then((invites) => socket.emit('roomInvites', invites))
+    .catch((err) => console.error('[socket] room invites snapshot error', err));
+
+  socket.on('rooms_request', safe(async (_, ack) => {
+    const rooms = await ctx.broadcastRooms(socket);
+    if (typeof ack === 'function') ack({ ok: true, rooms });
+  }, 'rooms_request'));
+
+  // createRoom { name, isPrivate }: private rooms are only listed for and joinable by members
+  const createRoom = async (payload, ack) => {
+    const name = payload.name.trim();
+    if (!name) return ack && ack({ ok: false, error: 'name_required' });
+    let room;
+    try {
+      room = await repos.rooms.create({ name, createdBy: socket.data.userId, isPrivate: !!payload.isPrivate, createdAt: new Date() });
+    } catch (err) {
+      if (err.code === 'room_exists') return ack && ack({ ok: false, error: 'room_exists' });
+      throw err;
+    }
+    ctx.log(`[createRoom] ${room.name} by:${ctx.nameOf(socket)}`);
+    if (typeof ack === 'function') ack({ ok: true, room: { id: room._id, name: room.name, isPrivate: room.isPrivate } });
+    // a failed broadcast shouldn't turn the ack above into an error
+    ctx.broadcastRooms().catch((err) => console.warn('createRoom: failed to broadcast rooms list', err && err.message));
+  };
+  socket.on('createRoom', safe(createRoom, 'createRoom'));
+  socket.on('create_room', safe(createRoom, 'create_room'));
+
+  // join a room and receive its recent history; private rooms need membership (see acceptInvite)
+  const joinRoom = async (payload, ack) => {
+    const room = payload.room.trim();
+    if (!room) return ack && ack({ ok: false, error: 'room_required' });
+    const doc = room === GLOBAL_ROOM ? null : await repos.rooms.findByName(room);
+    if (room !== GLOBAL_ROOM && !doc) return ack && ack({ ok: false, error: 'room_not_found' });
+    const denied = permissions.checkAccess(doc, socket.data.userId);
+    if (denied) return ack && ack({ ok: false, ...denied });
+    // the first join makes a signed-in user a member, which is what `member.joined` reports once per
+    // member (as the REST join does); rejoins and other tabs of a member don't fire it again
+    if (doc && !socket.data.anonymous && !permissions.isMember(doc, socket.data.userId)) {
+      await repos.rooms.addMember(doc._id, socket.data.userId);
+      ctx.webhooks.dispatch(room, 'member.joined', { userId: String(socket.data.userId), via: 'join' });
+    }
+    socket.join(room);
+    ctx.log(`[joinRoom] socket:${socket.id} room:${room}`);
+
+    // the newest page, with cursors for paging older through `history`, and the room's latest event
+    // seq to `sync` from later (taken first: replaying an event the page already shows is harmless)
+    const seq = await ctx.roomEvents.latest(room);
+    const { messages, cursors, hasMoreBefore } = await loadHistory(repos, { room, limit: 50 });
+    socket.emit('roomMessages', { room, messages, cursors, hasMoreBefore, seq });
+    socket.emit('room_messages', { room, messages, cursors, hasMoreBefore, seq });
+    broadcastRoomUsers(room);
+    if (typeof ack === 'function') ack({ ok: true, room, messages, cursors, hasMoreBefore, seq, role: permissions.roleOf(doc, socket.data.userId) });
+  };
+  socket.on('joinRoom', safe(joinRoom, 'joinRoom'));
+  socket.on('join_room', safe(joinRoom, 'join_room'));
+
+  // sync { rooms: [{ room, seq }] } -> ack { ok, rooms }: for each room, the events after `seq` (the
+  // last one the client saw) or a snapshot of the room (see utils/roomEvents). A room that is gone or
+  // closed to the user comes back as { room, ok: false, error }.
+  socket.on('sync', safe(async (payload, ack) => {
+    if (typeof ack !== 'function') return;
+    const open = [];
+    const refused = [];
+    for (const entry of payload.rooms) {
+      const exists = entry.room === GLOBAL_ROOM || await repos.rooms.findByName(entry.room);
+      const denied = exists ? await ctx.checkRoomAccess(socket, entry.room) : { error: 'room_not_found' };
+      if (denied) refused.push({ room: entry.room, ...errorReply(denied) });
+      else open.push(entry);
+    }
+    await ctx.roomEvents.sync(open, (rooms) => ack({ ok: true, rooms: [...rooms, ...refused] }));
+  }, 'sync'));
+
+  const leaveRoom = (payload, ack) => {
+    const { room } = payload;
+    socket.leave(room);
+    broadcastRoomUsers(room);
+    if (typeof ack === 'function') ack({ ok: true, room });
+  };
+  socket.on('leaveRoom', safe(leaveRoom, 'leaveRoom'));
+  socket.on('leave_room', safe(leaveRoom, 'leave_room'));
+
+  // load a room by name and check `action` for this socket's user; acks and returns null on failure
+  const guardedRoom = async (name, action, ack) => {
+    const fail = (body) => {
+      if (typeof ack === 'function') ack({ ok: false, ...body });
+      return null;
+    };
+    const room = await repos.rooms.findByName(name);
+    if (!room) return fail({ error: 'room_not_found' });
+    const denied = permissions.check(room, socket.data.userId, action);
+    return denied ? fail(denied) : room;
+  };
+
+  // clearRoom: delete all messages in a room (moderator and up)
+  socket.on('clearRoom', safe(async (payload, ack) => {
+    const { room } = payload || {};
+    if (!(await guardedRoom(room, 'room.clear', ack))) return;
+    const deleted = await repos.messages.deleteByRoom(room);
+    await ctx.roomEvents.publish(room, 'roomCleared', {});
+    if (typeof ack === 'function') ack({ ok: true, deleted });
+    attachments.removeForRoom(ctx, room);
+    ctx.timelineChanged(room);
+    ctx.webhooks.dispatch(room, 'room.cleared', { deleted, clearedBy: socket.data.userId });
+  }, 'clearRoom'));
+
+  // deleteRoom: remove the room and its messages (owner only)
+  socket.on('deleteRoom', safe(async (payload, ack) => {
+    const { room } = payload || {};
+    const rm = await guardedRoom(room, 'room.delete', ack);
+    if (!rm) return;
+    await repos.rooms.delete(rm._id);
+    await repos.messages.deleteByRoom(room);
+    await repos.webhooks.deleteByRoom(room);
+    await repos.integrations.deleteByRoom(room);
+    await repos.roomEvents.deleteByRoom(room);
+    // only sockets in the room need to know; everyone else just gets the new rooms list
+    io.to(room).emit('roomDeleted', { room });
+    io.in(room).socketsLeave(room);
+    await ctx.broadcastRooms();
+    if (typeof ack === 'function') ack({ ok: true });
+    attachments.removeForRoom(ctx, room);
+  }, 'deleteRoom'));
+
+  // grantRole { room, userId, role } / revokeRole { room, userId }; see utils/permissions for who may do what
+  const setRole = async (payload, role, ack) => {
+    const { room: name, userId } = payload;
+    const room = await repos.rooms.findByName(name);
+    if (!room) return ack && ack({ ok: false, error: 'room_not_found' });
+    const result = await permissions.changeRole(repos, room, socket.data.userId, userId, role);
+    if (result.error) return ack && ack({ ok: false, ...result });
+
+    const update = { room: room.name, roomId: room._id, userId, role: permissions.roleOf(result.room, userId), by: socket.data.userId };
+    // the room plus the target's own sockets (they may not have joined it); io.to dedupes
+    const target = online.resolve(userId);
+    io.to([room.name, ...(target ? target.sockets : [])]).emit('roleUpdated', update);
+    ctx.log(`[role] room:${room.name} user:${userId} role:${update.role} by:${socket.data.userId}`);
+    if (typeof ack === 'function') ack({ ok: true, roles: permissions.listRoles(result.room) });
+  };
+  socket.on('grantRole', safe((p, ack) => setRole(p, p.role, ack), 'grantRole'));
+  socket.on('revokeRole', safe((p, ack) => setRole(p, null, ack), 'revokeRole'));
+
+  socket.on('roomRoles', safe(async (payload, ack) => {
+    const room = await repos.rooms.findByName(payload.room);
+    if (!room) return ack && ack({ ok: false, error: 'room_not_found' });
+    const denied = permissions.checkAccess(room, socket.data.userId);
+    if (denied) return ack && ack({ ok: false, ...denied });
+    if (typeof ack === 'function') ack({ ok: true, roles: permissions.listRoles(room) });
+  }, 'roomRoles'));
+
+  // Private room invitations. inviteToRoom { room, userId } accepts a user id or socket id;
+  // revokeRoomAccess { room, userId } withdraws an invitation or removes a member.
+  const withRoom = (fn) => async (payload, ack) => {
+    const room = await repos.rooms.findByName(payload.room);
+    if (!room) return ack && ack({ ok: false, error: 'room_not_found' });
+    const result = await fn(room, payload);
+    if (result.error) return ack && ack({ ok: false, ...result });
+    ctx.log(`[invites] room:${room.name} by:${socket.data.userId} ${JSON.stringify(payload)}`);
+    if (typeof ack === 'function') ack({ ok: true, room: room.name, ...(result.revoked ? { revoked: result.revoked } : {}) });
+  };
+  const targetOf = (userId) => online.resolve(userId)?.userId || userId;
+
+  socket.on('inviteToRoom', safe(withRoom((room, p) => roomAccess.invite(ctx, room, socket.data.userId, targetOf(p.userId))), 'inviteToRoom'));
+  socket.on('acceptInvite', safe(withRoom((room) => roomAccess.accept(ctx, room, socket.data.userId)), 'acceptInvite'));
+  socket.on('declineInvite', safe(withRoom((room) => roomAccess.decline(ctx, room, socket.data.userId)), 'declineInvite'));
+  socket.on('revokeRoomAccess', safe(withRoom((room, p) => roomAccess.revoke(ctx, room, socket.data.userId, targetOf(p.userId))), 'revokeRoomAccess'));
+
+  socket.on('roomInvites', safe(async (_, ack) => {
+    const invites = await roomAccess.listInvites(ctx, socket.data.userId);
+    if (typeof ack === 'function') ack({ ok: true, invites });
+  }, 'roomInvites'));
+};
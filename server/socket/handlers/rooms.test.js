@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, next, collect } = require('../testServer');
+
+describe('room handlers', () => {
+  let srv;
+
+  before(async () => { srv = await startServer(); });
+  after(() => srv.close());
+
+  it('lets only the owner delete a room, and tells only the sockets in it', async () => {
+    const owner = await srv.client(['u1', 'ann']);
+    const member = await srv.client(['u2', 'bob']);
+    const outsider = await srv.client(['u3', 'carol']);
+    assert.equal((await request(owner, 'createRoom', { name: 'doomed' })).ok, true);
+    await request(owner, 'joinRoom', { room: 'doomed' });
+    await request(member, 'joinRoom', { room: 'doomed' });
+
+    assert.equal((await request(member, 'deleteRoom', { room: 'doomed' })).error.code, 'forbidden');
+
+    const outsiderGot = collect(outsider, 'roomDeleted');
+    const memberGot = next(member, 'roomDeleted');
+    assert.deepEqual(await request(owner, 'deleteRoom', { room: 'doomed' }), { ok: true });
+    assert.deepEqual(await memberGot, { room: 'doomed' });
+    assert.deepEqual(await outsiderGot, []);
+    assert.equal(srv.io.sockets.adapter.rooms.get('doomed'), undefined);
+  });
+
+  it('refuses posts to a room deleted since, as a message queued offline would be', async () => {
+    const owner = await srv.client(['u1', 'ann']);
+    await request(owner, 'createRoom', { name: 'brief' });
+    await request(owner, 'deleteRoom', { room: 'brief' });
+    assert.equal((await request(owner, 'message', { room: 'brief', content: 'too late' })).error.code, 'room_not_found');
+    assert.equal((await request(owner, 'message', { room: 'global', content: 'still here' })).ok, true);
+  });
+
+  it('clears a room for moderators and up', async () => {
+    const owner = await srv.client(['u1', 'ann']);
+    const member = await srv.client(['u2', 'bob']);
+    await request(owner, 'createRoom', { name: 'busy' });
+    await request(member, 'joinRoom', { room: 'busy' });
+    await request(member, 'message', { room: 'busy', content: 'hi' });
+
+    assert.equal((await request(member, 'clearRoom', { room: 'busy' })).error.code, 'forbidden');
+    assert.deepEqual((await request(owner, 'grantRole', { room: 'busy', userId: 'u2', role: 'moderator' })).roles.map((r) => r.role), ['owner', 'moderator']);
+    const cleared = next(member, 'roomCleared');
+    assert.deepEqual(await request(member, 'clearRoom', { room: 'busy' }), { ok: true, deleted: 1 });
+    assert.deepEqual(await cleared, { room: 'busy', seq: 2 });
+  });
+
+  it('refuses to delete someone else\'s message to plain members', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    const bob = await srv.client(['u2', 'bob']);
+    const { id } = await request(ann, 'message', { content: 'mine' });
+    assert.equal((await request(bob, 'deleteMessage', { messageId: id })).error.code, 'forbidden');
+    assert.deepEqual(await request(ann, 'deleteMessage', { messageId: id }), { ok: true });
+  });
+});
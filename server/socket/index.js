@@ -0,0 +1,198 @@
+const { Server } = require('socket.io');
+const { socketAuthFor } = require('./auth');
+const { createOnlineUsers, anonymousId } = require('./online');
+const { createPresence } = require('./presence');
+const messageEdits = require('../utils/messageEdits');
+const { createFloodControl } = require('./flood');
+const roomAccess = require('../utils/roomAccess');
+const mentions = require('../utils/mentions');
+const { createWebhookDispatcher } = require('../utils/webhooks');
+const { createFileStore } = require('../utils/fileStore');
+const { createRoomEvents } = require('../utils/roomEvents');
+const { createCommandRegistry } = require('../commands');
+const builtinCommands = require('../commands/builtin');
+const schemas = require('../schemas');
+const validate = require('../utils/validate');
+const { errorReply } = require('../utils/errors');
+
+// one handler module per domain; each registers its events on a connected socket
+const HANDLERS = {
+  presence: require('./handlers/presence'),
+  rooms: require('./handlers/rooms'),
+  messages: require('./handlers/messages'),
+  groups: require('./handlers/groups'),
+  notifications: require('./handlers/notifications'),
+  commands: require('./handlers/commands'),
+  files: require('./handlers/files')
+};
+const ALL_FEATURES = Object.keys(HANDLERS);
+
+const GLOBAL_ROOM = 'global';
+const RECOVERY_MS = 2 * 60 * 1000;
+
+// Wrap a handler as fn(payload, ack): the payload is checked against the event's schema (see
+// ../schemas) first, failures are acked as { ok: false, error: { code, message }, ...details } (see
+// utils/errors), and throws and rejections are logged and acked as server_error. `ack` is undefined
+// when the client sent none.
+function safeHandler(fn, eventName) {
+  const schema = schemas.events[eventName];
+  if (!schema) throw new Error(`No payload schema for socket event '${eventName}'`);
+  return (...args) => {
+    const reply = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const ack = reply ? (result) => {
+      try { reply(result && result.ok === false ? errorReply(result) : result); } catch (e) { /* ignore */ }
+    } : undefined;
+    const fail = (err) => {
+      console.error(`[socket] handler error (${eventName}):`, err);
+      if (ack) ack({ ok: false, error: 'server_error' });
+    };
+    const checked = validate.check(schema, args[0]);
+    if (checked.error) return ack && ack({ ok: false, ...checked });
+    try {
+      return Promise.resolve(fn(checked.value, ack)).catch(fail);
+    } catch (err) {
+      return fail(err);
+    }
+  };
+}
+
+/**
+ * Attach auth and the domain handlers to an existing Socket.IO server.
+ * `webhooks` are options for the outgoing webhook dispatcher (see utils/webhooks); `commands` are
+ * extra slash commands registered next to the built-in ones (see commands/). `fileStore` holds attachment
+ * bytes (see utils/fileStore; default: the one for `repos`). `rateLimits` tunes flood control (see ./flood):
+ * { socket: { [kind]: { capacity, refillMs } }, flood: { strikes, windowMs, banMs } }, or false for none.
+ * Returns the shared handler context ({ io, repos, online, presence, webhooks, commands, fileStore, broadcastRooms, ... }).
+ */
+function registerSocketHandlers(io, { repos, auth = 'optional', features = ALL_FEATURES, log = () => {}, webhooks: webhookOptions = {}, commands: extraCommands = [], fileStore = null, rateLimits = {} } = {}) {
+  if (!repos) throw new Error('registerSocketHandlers: repos required');
+  const unknown = features.filter((f) => !HANDLERS[f]);
+  if (unknown.length) throw new Error(`Unknown feature(s): ${unknown.join(', ')}`);
+
+  const authMiddleware = socketAuthFor(auth);
+  if (authMiddleware) io.use(authMiddleware);
+
+  const floodControl = rateLimits ? createFloodControl({ limits: rateLimits.socket, flood: rateLimits.flood }) : null;
+  const online = createOnlineUsers();
+  const presence = createPresence(online);
+  const webhooks = createWebhookDispatcher({ repos, ...webhookOptions });
+  webhooks.resume().catch((err) => console.warn('[webhooks] resume failed', err && err.message));
+  const commands = createCommandRegistry();
+  builtinCommands.forEach((def) => commands.register(def));
+  extraCommands.forEach((def) => commands.register(def, { replace: true }));
+
+  const ctx = {
+    io,
+    repos,
+    online,
+    presence,
+    webhooks,
+    commands,
+    roomEvents: createRoomEvents({ repos, io }),
+    fileStore: fileStore || createFileStore(undefined, { repos }),
+    log,
+    GLOBAL_ROOM,
+    safe: safeHandler,
+
+    // server-known display name for a socket; never trust `from` sent by clients
+    nameOf: (socket) => online.nameOf(socket.id) || 'Anonymous',
+
+    // the requester shape of utils/roomAccess and utils/unread: rooms are guarded by user id, DMs addressed by name
+    userOf: (socket) => ({ userId: socket.data.userId, userName: ctx.nameOf(socket) }),
+
+    // emit to a message's room (logged, see utils/roomEvents), to every socket of both DM parties, or
+    // to a group's participants; resolves once sent
+    emitForMessage(msg, event, payload) {
+      return messageEdits.emitForMessage(ctx, msg, event, payload);
+    },
+
+    // public rooms plus the private rooms `userId` belongs to
+    listRooms: (userId = null) => roomAccess.visibleRooms(repos, userId),
+
+    // send every target socket its own rooms list (private rooms only go to members)
+    broadcastRooms: (target = io) => roomAccess.sendRoomsList({ io, repos }, target),
+
+    // null when the socket's user may read/post in `room`, otherwise a `forbidden` error
+    checkRoomAccess: (socket, room) => roomAccess.checkRoomRead(repos, room, socket.data.userId),
+
+    // the same for posting: also a `muted` error while the user is muted there, and room_not_found
+    // for a room that isn't there (any more)
+    checkRoomPost: (socket, room) => roomAccess.checkRoomPost(repos, room, socket.data.userId, { existing: true }),
+
+    // record a stable identity in the profile directory (and when it was last seen), so DMs can
+    // reach it while offline; anonymous sockets get a fresh id per connection and are skipped
+    rememberUser(socket) {
+      if (socket.data.anonymous) return;
+      repos.users.touchProfile(ctx.userOf(socket))
+        .catch((err) => console.warn('[socket] profile update failed', err && err.message));
+    },
+
+    // broadcast `userId`'s presence if it changed since it was last sent; returns the change or null
+    publishPresence(userId) {
+      const changed = presence.flush(userId);
+      if (changed) io.emit('presenceUpdated', changed);
+      return changed;
+    },
+
+    // `mention` notifications for a just-saved room message sent from `socket` (see utils/mentions);
+    // `skip` lists mentions already notified. Never throws: callers have acked.
+    notifyMentions(message, socket, { skip } = {}) {
+      mentions.notify(ctx, message, { sender: socket.data.userId, skip })
+        .catch((err) => console.warn('[socket] mention notify failed', err && err.message));
+    },
+
+    // push fresh unread counts after a room's timeline changed; `sentBy` (a socket) has read
+    // up to its own `message` (see utils/messageEdits)
+    timelineChanged(room, { sentBy, message } = {}) {
+      messageEdits.timelineChanged(ctx, room, { reader: sentBy && ctx.userOf(sentBy), message });
+    }
+  };
+
+  io.on('connection', (socket) => {
+    console.log(socket.recovered ? 'Client reconnected:' : 'New client connected:', socket.id);
+    log(`${socket.recovered ? 'Client reconnected' : 'New client connected'}: ${socket.id}`);
+
+    // identity: verified token first, then what the client put in handshake.auth;
+    // an anonymous socket can still name itself later with `join`.
+    // Room roles hang off userId, so a client-supplied id is only trusted with auth 'none'.
+    const clerkUser = socket.clerkUser || null;
+    const handshake = socket.handshake.auth || {};
+    const verifiedName = clerkUser && (clerkUser.username || clerkUser.email);
+    const claimedId = auth === 'none' ? handshake.userId : null;
+    socket.data.userId = (clerkUser && clerkUser.id) || claimedId || anonymousId(socket.id);
+    socket.data.named = !!(verifiedName || handshake.userName);
+    socket.data.anonymous = !((clerkUser && clerkUser.id) || claimedId);
+    // clients disconnected for flooding stay out until their ban is over
+    const bannedFor = floodControl ? floodControl.bannedFor(socket) : 0;
+    if (bannedFor) return floodControl.disconnect(socket, bannedFor);
+    if (floodControl) socket.use(floodControl.guard(socket));
+    online.add(socket.id, { userId: socket.data.userId, userName: verifiedName || handshake.userName || 'Anonymous' });
+    ctx.rememberUser(socket);
+    socket.on('disconnect', () => { socket.data.left = online.remove(socket.id); });
+
+    socket.join(GLOBAL_ROOM);
+
+    features.forEach((f) => HANDLERS[f](socket, ctx));
+  });
+
+  return ctx;
+}
+
+/**
+ * Create a Socket.IO server on `httpServer` with auth and domain handlers attached.
+ * `recoveryMs` is how long a dropped connection can be recovered with its rooms and the events it
+ * missed (Socket.IO connection state recovery; 0 turns it off). Longer gaps are for `sync`.
+ * Returns { io, ctx }.
+ */
+function createSocketServer(httpServer, { corsOrigin = true, recoveryMs = RECOVERY_MS, ...options } = {}) {
+  const io = new Server(httpServer, {
+    cors: { origin: corsOrigin, methods: ['GET', 'POST'], credentials: true },
+    path: '/socket.io',
+    // the auth middleware runs again on recovery: tokens expire and identity comes from it
+    ...(recoveryMs ? { connectionStateRecovery: { maxDisconnectionDuration: recoveryMs, skipMiddlewares: false } } : {})
+  });
+  const ctx = registerSocketHandlers(io, options);
+  return { io, ctx };
+}
+
+module.exports = { createSocketServer, registerSocketHandlers, ALL_FEATURES, GLOBAL_ROOM };
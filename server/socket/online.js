@@ -0,0 +1,78 @@
+// Registry of connected sockets and the users behind them.
+// A user (userId) may have several sockets open (tabs, devices); DM and
+// presence code fans out to every one of them.
+
+// sockets without a stable identity get a throwaway user id, new on every connect
+const ANONYMOUS_PREFIX = 'anon-';
+const anonymousId = (socketId) => `${ANONYMOUS_PREFIX}${socketId.slice(0, 6)}`;
+const isAnonymousId = (userId) => String(userId).startsWith(ANONYMOUS_PREFIX);
+
+function createOnlineUsers() {
+  const bySocket = new Map(); // socketId -> { userId, userName }
+  const byUser = new Map(); // userId -> { userName, sockets: Set(socketId) }
+
+  // register (or re-register under a new identity) a socket
+  function add(socketId, { userId, userName }) {
+    remove(socketId);
+    if (!byUser.has(userId)) byUser.set(userId, { userName, sockets: new Set() });
+    const info = byUser.get(userId);
+    info.userName = userName;
+    info.sockets.add(socketId);
+    bySocket.set(socketId, { userId, userName });
+  }
+
+  // returns the removed entry plus whether it was the user's last socket
+  function remove(socketId) {
+    const entry = bySocket.get(socketId);
+    if (!entry) return null;
+    bySocket.delete(socketId);
+    const info = byUser.get(entry.userId);
+    if (info) {
+      info.sockets.delete(socketId);
+      if (info.sockets.size === 0) byUser.delete(entry.userId);
+    }
+    return { ...entry, lastSocket: !byUser.has(entry.userId) };
+  }
+
+  const get = (socketId) => bySocket.get(socketId) || null;
+  const nameOf = (socketId) => (bySocket.get(socketId) || {}).userName || null;
+
+  // look a user up by socket id or user id (clients address DMs by either)
+  function resolve(idOrSocket) {
+    const entry = bySocket.get(idOrSocket);
+    const userId = entry ? entry.userId : idOrSocket;
+    const info = byUser.get(userId);
+    return info ? { userId, userName: info.userName, sockets: Array.from(info.sockets) } : null;
+  }
+
+  // sockets of every online user whose name matches (legacy DMs only record usernames)
+  function socketsOfUsers(names) {
+    const sids = [];
+    for (const info of byUser.values()) {
+      if (names.includes(info.userName)) info.sockets.forEach((sid) => sids.push(sid));
+    }
+    return sids;
+  }
+
+  // sockets of both parties to a private message: by user id, or by name for legacy DMs
+  function socketsOfParties(msg) {
+    if (!msg.fromId) return socketsOfUsers([msg.from, msg.to]);
+    const sids = new Set([msg.fromId, msg.toId].flatMap((id) => (byUser.has(id) ? Array.from(byUser.get(id).sockets) : [])));
+    return Array.from(sids);
+  }
+
+  // canonical `users` payload: one entry per user
+  const users = () => Array.from(byUser.entries()).map(([id, info]) => ({
+    id,
+    name: info.userName,
+    online: info.sockets.size > 0,
+    socketCount: info.sockets.size
+  }));
+
+  // legacy `onlineUsers` payload: one entry per socket
+  const sockets = () => Array.from(bySocket.entries()).map(([socketId, e]) => ({ socketId, username: e.userName }));
+
+  return { add, remove, get, nameOf, resolve, socketsOfUsers, socketsOfParties, users, sockets };
+}
+
+module.exports = { createOnlineUsers, anonymousId, isAnonymousId };
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createOnlineUsers } = require('./online');
+
+describe('online registry', () => {
+  it('groups a user\'s sockets and reports the last one leaving', () => {
+    const online = createOnlineUsers();
+    online.add('s1', { userId: 'u1', userName: 'ann' });
+    online.add('s2', { userId: 'u1', userName: 'ann' });
+    assert.deepEqual(online.users(), [{ id: 'u1', name: 'ann', online: true, socketCount: 2 }]);
+    assert.equal(online.remove('s1').lastSocket, false);
+    assert.equal(online.remove('s2').lastSocket, true);
+    assert.deepEqual(online.users(), []);
+    assert.equal(online.remove('s2'), null);
+  });
+
+  it('resolves by socket id or user id', () => {
+    const online = createOnlineUsers();
+    online.add('s1', { userId: 'u1', userName: 'ann' });
+    online.add('s2', { userId: 'u1', userName: 'ann' });
+    const expected = { userId: 'u1', userName: 'ann', sockets: ['s1', 's2'] };
+    assert.deepEqual(online.resolve('s2'), expected);
+    assert.deepEqual(online.resolve('u1'), expected);
+    assert.equal(online.resolve('ann'), null);
+  });
+
+  it('moves a re-registered socket to its new identity', () => {
+    const online = createOnlineUsers();
+    online.add('s1', { userId: 'anon-s1', userName: 'Anonymous' });
+    online.add('s1', { userId: 'anon-s1', userName: 'ann' });
+    assert.equal(online.nameOf('s1'), 'ann');
+    assert.deepEqual(online.socketsOfUsers(['ann', 'bob']), ['s1']);
+    assert.deepEqual(online.sockets(), [{ socketId: 's1', username: 'ann' }]);
+  });
+
+  it('reaches DM parties by user id, and by name only for DMs stored without ids', () => {
+    const online = createOnlineUsers();
+    online.add('s1', { userId: 'u1', userName: 'ann' });
+    online.add('s2', { userId: 'u2', userName: 'bob' });
+    online.add('s3', { userId: 'mallory', userName: 'bob' });
+    assert.deepEqual(online.socketsOfParties({ from: 'ann', fromId: 'u1', to: 'bob', toId: 'u2' }), ['s1', 's2']);
+    assert.deepEqual(online.socketsOfParties({ from: 'ann', to: 'bob' }), ['s1', 's2', 's3']);
+  });
+});
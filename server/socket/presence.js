@@ -0,0 +1,94 @@
+// Per-user presence on top of the online registry: online / away / dnd / offline, custom
+// status text and last-seen. A user is away when they chose to be or when every one of their
+// sockets reports idle, and offline once their last socket is gone. Handlers call `flush`
+// after a change and broadcast whatever it returns, so clients only ever get diffs.
+
+const STATUSES = ['online', 'away', 'dnd'];
+const MAX_STATUS_TEXT = 100;
+
+const cleanText = (text) => (typeof text === 'string' ? text.trim().slice(0, MAX_STATUS_TEXT) : '') || null;
+
+function createPresence(online) {
+  // userId -> { userName, chosen: null | 'away' | 'dnd', text, lastSeen, idle: Set(socketId), sent }
+  const state = new Map();
+
+  const stateOf = (userId) => {
+    if (!state.has(userId)) state.set(userId, { userName: null, chosen: null, text: null, lastSeen: null, idle: new Set(), sent: null });
+    return state.get(userId);
+  };
+
+  // { userId, userName, status, statusText, lastSeen, devices } as clients see it
+  function entry(userId) {
+    const st = state.get(userId) || { chosen: null, text: null, lastSeen: null, idle: new Set() };
+    const live = online.resolve(userId);
+    let status = 'offline';
+    if (live && st.chosen === 'dnd') status = 'dnd';
+    else if (live && (st.chosen === 'away' || live.sockets.every((sid) => st.idle.has(sid)))) status = 'away';
+    else if (live) status = 'online';
+    return {
+      userId,
+      userName: live ? live.userName : st.userName || null,
+      status,
+      statusText: st.text,
+      lastSeen: live ? null : st.lastSeen,
+      devices: live ? live.sockets.length : 0
+    };
+  }
+
+  const has = (userId) => state.has(userId);
+
+  // seed a user's chosen status and text from their saved profile (before their first flush)
+  function restore(userId, profile) {
+    if (!profile) return;
+    const st = stateOf(userId);
+    st.chosen = STATUSES.includes(profile.status) && profile.status !== 'online' ? profile.status : null;
+    st.text = cleanText(profile.statusText);
+    st.lastSeen = profile.lastSeenAt || null;
+  }
+
+  function setIdle(socketId, idle) {
+    const who = online.get(socketId);
+    if (!who) return null;
+    const st = stateOf(who.userId);
+    if (idle) st.idle.add(socketId);
+    else st.idle.delete(socketId);
+    return who.userId;
+  }
+
+  // `status`: 'online' (clears a chosen away / dnd), 'away' or 'dnd'; `text`: null clears it.
+  // Returns the { status, statusText } to persist, or { error: 'invalid_status' }.
+  function setStatus(userId, { status, text } = {}) {
+    if (status !== undefined && !STATUSES.includes(status)) return { error: 'invalid_status' };
+    const st = stateOf(userId);
+    if (status !== undefined) st.chosen = status === 'online' ? null : status;
+    if (text !== undefined) st.text = cleanText(text);
+    return { status: st.chosen || 'online', statusText: st.text };
+  }
+
+  // after a socket was removed from the registry; stamps lastSeen once the user has none left
+  function socketGone(socketId, userId) {
+    const st = stateOf(userId);
+    st.idle.delete(socketId);
+    if (!online.resolve(userId)) st.lastSeen = new Date();
+  }
+
+  // the user's entry when it differs from the last one flushed, else null;
+  // an offline user's state is dropped once announced (the profile keeps what matters)
+  function flush(userId) {
+    const current = entry(userId);
+    const st = stateOf(userId);
+    st.userName = current.userName;
+    const key = JSON.stringify(current);
+    const changed = key !== st.sent;
+    st.sent = key;
+    if (current.status === 'offline') state.delete(userId);
+    return changed ? current : null;
+  }
+
+  // entries for everyone online
+  const list = () => online.users().map((u) => entry(u.id));
+
+  return { entry, has, restore, setIdle, setStatus, socketGone, flush, list };
+}
+
+module.exports = { createPresence, STATUSES, MAX_STATUS_TEXT };
@@ -0,0 +1,61 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createOnlineUsers } = require('./online');
+const { createPresence } = require('./presence');
+
+describe('presence', () => {
+  let online;
+  let presence;
+  const status = (userId) => presence.entry(userId).status;
+
+  beforeEach(() => {
+    online = createOnlineUsers();
+    presence = createPresence(online);
+    online.add('s1', { userId: 'u1', userName: 'ann' });
+    online.add('s2', { userId: 'u1', userName: 'ann' });
+  });
+
+  it('shows a user once, whatever their number of devices', () => {
+    assert.deepEqual(presence.list(), [{ userId: 'u1', userName: 'ann', status: 'online', statusText: null, lastSeen: null, devices: 2 }]);
+  });
+
+  it('is away only once every device is idle', () => {
+    presence.setIdle('s1', true);
+    assert.equal(status('u1'), 'online');
+    presence.setIdle('s2', true);
+    assert.equal(status('u1'), 'away');
+    presence.setIdle('s1', false);
+    assert.equal(status('u1'), 'online');
+  });
+
+  it('keeps a chosen status and text until cleared', () => {
+    assert.deepEqual(presence.setStatus('u1', { status: 'dnd', text: `  ${'x'.repeat(150)}` }), { status: 'dnd', statusText: 'x'.repeat(100) });
+    presence.setIdle('s1', true);
+    assert.equal(status('u1'), 'dnd');
+    assert.deepEqual(presence.setStatus('u1', { status: 'online', text: null }), { status: 'online', statusText: null });
+    assert.deepEqual(presence.setStatus('u1', { status: 'busy' }), { error: 'invalid_status' });
+  });
+
+  it('goes offline with a last-seen time when the last device leaves', () => {
+    online.remove('s1');
+    presence.socketGone('s1', 'u1');
+    assert.equal(status('u1'), 'online');
+    online.remove('s2');
+    presence.socketGone('s2', 'u1');
+    const gone = presence.entry('u1');
+    assert.equal(gone.status, 'offline');
+    assert.ok(gone.lastSeen instanceof Date);
+  });
+
+  it('flushes only changes', () => {
+    assert.equal(presence.flush('u1').status, 'online');
+    assert.equal(presence.flush('u1'), null);
+    presence.setStatus('u1', { status: 'away' });
+    assert.equal(presence.flush('u1').status, 'away');
+  });
+
+  it('restores what a user chose last time', () => {
+    presence.restore('u1', { status: 'dnd', statusText: 'focus', lastSeenAt: new Date(0) });
+    assert.deepEqual([status('u1'), presence.entry('u1').statusText], ['dnd', 'focus']);
+  });
+});
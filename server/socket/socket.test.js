@@ -0,0 +1,528 @@
+// End-to-end over a real socket: createServer on an ephemeral port, memory storage.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { io: connect } = require('socket.io-client');
+const { startServer, tokenFor, request, next, collect } = require('./testServer');
+
+describe('socket handlers', () => {
+  let srv;
+
+  before(async () => { srv = await startServer(); });
+  after(() => srv.close());
+
+  it('stores room messages under the server-known sender, whatever `from` says', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    const bob = await srv.client(['u2', 'bob']);
+    const received = next(bob, 'message');
+    const ack = await request(ann, 'message', { content: 'hello', from: 'mallory' });
+    assert.equal(ack.ok, true);
+    const msg = await received;
+    assert.equal(String(msg._id), String(ack.id));
+    assert.equal(msg.from, 'ann');
+    assert.equal(msg.fromId, 'u1');
+    assert.equal(msg.room, 'global');
+  });
+
+  it('lets the author edit by user id, and no one who merely takes the name', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    const impostor = await srv.client('ann');
+    const { id } = await request(ann, 'message', { content: 'draft' });
+
+    assert.deepEqual(await request(impostor, 'editMessage', { messageId: id, content: 'hijacked' }), { ok: false, error: { code: 'not_authorized', message: 'Only the author can do that' } });
+    const edited = next(impostor, 'messageEdited');
+    const ack = await request(ann, 'editMessage', { messageId: id, content: 'final' });
+    assert.equal(ack.ok, true);
+    assert.equal(ack.message.content, 'final');
+    assert.deepEqual((await edited).editHistory.map((e) => e.content), ['draft']);
+  });
+
+  it('delivers a private message to every socket of both parties only', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    const bobPhone = await srv.client(['u2', 'bob']);
+    const bobLaptop = await srv.client(['u2', 'bob']);
+    const carol = await srv.client(['u3', 'carol']);
+    const carolGot = collect(carol, 'privateMessage');
+
+    const arrivals = [next(ann, 'privateMessage'), next(bobPhone, 'privateMessage'), next(bobLaptop, 'privateMessage')];
+    const ack = await request(ann, 'privateMessage', { toSocketId: 'u2', payload: { content: 'psst' } });
+    assert.equal(ack.ok, true);
+    for (const msg of await Promise.all(arrivals)) {
+      assert.equal(msg.to, 'bob');
+      assert.equal(msg.private, true);
+    }
+    assert.deepEqual(await carolGot, []);
+  });
+
+  it('keeps DMs addressed by name away from anyone who merely takes that name', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    await srv.client(['u2', 'bob']);
+    const impostor = await srv.client(['u9', 'eve']);
+    assert.equal((await request(impostor, 'join', { username: 'bob' })).name, 'eve');
+    const anonymous = await srv.client('bob');
+    const stolen = [collect(impostor, 'privateMessage'), collect(anonymous, 'privateMessage')];
+
+    const ack = await request(ann, 'privateMessage', { to: 'bob', content: 'for bob' });
+    assert.deepEqual(ack.to, { userId: 'u2', userName: 'bob' });
+    assert.deepEqual(await Promise.all(stolen), [[], []]);
+  });
+
+  it('broadcasts presence changes and keeps a chosen status across reconnects', async () => {
+    const watcher = await srv.client(['u5', 'watcher']);
+    const first = await srv.client(['u6', 'focused']);
+    const changed = new Promise((resolve) => {
+      watcher.on('presenceUpdated', (p) => { if (p.userId === 'u6' && p.status === 'dnd') resolve(p); });
+    });
+    assert.equal((await request(first, 'setStatus', { status: 'dnd', text: 'heads down' })).presence.status, 'dnd');
+    assert.equal((await changed).statusText, 'heads down');
+
+    first.close();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const [offline] = (await request(watcher, 'presence', { userIds: ['u6'] })).users;
+    assert.equal(offline.status, 'offline');
+    assert.equal(offline.statusText, 'heads down');
+
+    const again = await srv.client(['u6', 'focused']);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal((await request(again, 'presence', { userIds: ['u6'] })).users[0].status, 'dnd');
+  });
+
+  it('keeps unread counts in sync across a reader\'s devices', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    const bobPhone = await srv.client(['u2', 'bob']);
+    const bobLaptop = await srv.client(['u2', 'bob']);
+    const before = (await request(bobPhone, 'unreadCounts')).rooms.global.unread;
+
+    const pushed = [next(bobPhone, 'unreadCounts'), next(bobLaptop, 'unreadCounts')];
+    const { id } = await request(ann, 'message', { content: 'news for @bob' });
+    for (const counts of await Promise.all(pushed)) assert.equal(counts.rooms.global.unread, before + 1);
+
+    const synced = next(bobLaptop, 'unreadCounts');
+    const ack = await request(bobPhone, 'markRead', { room: 'global', messageId: id });
+    assert.deepEqual([ack.unread, ack.mentions], [0, 0]);
+    assert.equal((await synced).rooms.global.lastReadId, String(id));
+  });
+
+  it('answers `history` with cursor pages, for members only in private rooms', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    const bob = await srv.client(['u2', 'bob']);
+    assert.equal((await request(ann, 'createRoom', { name: 'history-club', isPrivate: true })).ok, true);
+    for (const content of ['one', 'two', 'three']) await request(ann, 'message', { room: 'history-club', content });
+
+    const newest = await request(ann, 'history', { room: 'history-club', limit: 2 });
+    const older = await request(ann, 'history', { room: 'history-club', before: newest.cursors.before });
+    assert.equal(newest.messages.length, 2);
+    assert.deepEqual([...older.messages, ...newest.messages].map((m) => m.content).sort(), ['one', 'three', 'two']);
+    assert.equal((await request(bob, 'history', { room: 'history-club' })).error.code, 'forbidden');
+    assert.deepEqual(await request(bob, 'history', { room: 'history-club', before: 'junk' }), { ok: false, error: { code: 'invalid_cursor', message: 'Invalid cursor' } });
+  });
+
+  it('keeps an offline user\'s notifications for their next connect, to read and clear over REST', async () => {
+    const away = await srv.client(['u7', 'gone']);
+    const left = next(away, 'disconnect');
+    away.close();
+    await left;
+    const ann = await srv.client(['u1', 'ann']);
+    assert.equal((await request(ann, 'privateMessage', { toSocketId: 'gone', payload: { content: 'while you were out' } })).ok, true);
+
+    const later = await srv.client(['u7', 'gone']);
+    const { notifications, unread } = await request(later, 'notifications', {});
+    assert.equal(unread, 1);
+    assert.deepEqual(notifications.map((n) => [n.type, n.body]), [['message', 'while you were out']]);
+
+    const synced = next(later, 'notificationsUpdated');
+    const read = await srv.http('POST', '/api/notifications/read', ['u7', 'gone'], {});
+    assert.deepEqual([read.status, read.body.updated, read.body.unread], [200, 1, 0]);
+    assert.equal((await synced).read, 'all');
+    assert.equal((await srv.http('DELETE', `/api/notifications/${notifications[0].id}`, ['u7', 'gone'])).status, 200);
+    assert.equal((await srv.http('GET', '/api/notifications', ['u7', 'gone'])).body.notifications.length, 0);
+    assert.equal((await srv.http('GET', '/api/notifications')).status, 401);
+  });
+});
+
+describe('room webhooks over a socket', () => {
+  let srv;
+  const posted = [];
+  const fetch = async (url, init) => {
+    posted.push(JSON.parse(init.body));
+    return { status: 200, ok: true };
+  };
+
+  before(async () => { srv = await startServer({ webhooks: { fetch } }); });
+  after(() => srv.close());
+
+  it('reports a member\'s first join only', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    assert.equal((await request(ann, 'createRoom', { name: 'hooked' })).ok, true);
+    const created = await srv.http('POST', '/api/rooms/hooked/webhooks', ['u1', 'ann'], { url: 'http://203.0.113.10/hook', events: ['member.joined'] });
+    assert.equal(created.status, 201);
+
+    const bobPhone = await srv.client(['u2', 'bob']);
+    const bobLaptop = await srv.client(['u2', 'bob']);
+    for (const socket of [bobPhone, bobLaptop, bobPhone]) assert.equal((await request(socket, 'joinRoom', { room: 'hooked' })).ok, true);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(posted.map(({ event, data }) => [event, data.userId, data.via]), [['member.joined', 'u2', 'join']]);
+  });
+});
+
+describe('bots over REST', () => {
+  let srv;
+
+  before(async () => { srv = await startServer({ integrationRate: { capacity: 2, refillMs: 60000 } }); });
+  after(() => srv.close());
+
+  const postAsBot = (token, body) => fetch(`${srv.url}/api/messages`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: `Bot ${token}` },
+    body: JSON.stringify(body)
+  });
+
+  it('broadcasts a bot\'s post like a socket message, which nobody may edit, within its rate limit', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    assert.equal((await request(ann, 'createRoom', { name: 'builds' })).ok, true);
+    await request(ann, 'joinRoom', { room: 'builds' });
+    const created = await srv.http('POST', '/api/rooms/builds/integrations', ['u1', 'ann'], { kind: 'bot', name: 'ann' });
+    assert.equal(created.status, 201);
+    const { token } = created.body.integration;
+
+    const live = next(ann, 'message');
+    const res = await postAsBot(token, { content: 'build green' });
+    assert.equal(res.status, 201);
+    const msg = await live;
+    assert.deepEqual([msg.from, msg.room, msg.bot.kind], ['ann', 'builds', 'bot']);
+    assert.equal((await request(ann, 'editMessage', { messageId: msg._id, content: 'mine now' })).error.code, 'not_authorized');
+
+    assert.equal((await postAsBot(token, { content: 'again' })).status, 201);
+    const limited = await postAsBot(token, { content: 'too much' });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal((await postAsBot('bot_nope', { content: 'hi' })).status, 401);
+  });
+});
+
+describe('slash commands', () => {
+  let srv;
+
+  before(async () => { srv = await startServer(); });
+  after(() => srv.close());
+
+  it('answers only the caller, and posts /me as the caller', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    const bob = await srv.client(['u2', 'bob']);
+    const heard = collect(bob, 'ephemeralMessage');
+    const help = next(ann, 'ephemeralMessage');
+    assert.equal((await request(ann, 'command', { text: '/help' })).ok, true);
+    assert.match((await help).content, /\/poll <question> <options\.\.\.>/);
+
+    const failed = next(ann, 'ephemeralMessage');
+    assert.equal((await request(ann, 'command', { text: '/nope' })).error.code, 'unknown_command');
+    assert.equal((await failed).error, true);
+    assert.deepEqual(await heard, []);
+
+    const action = next(bob, 'message');
+    assert.equal((await request(ann, 'command', { text: '/me waves' })).ok, true);
+    const msg = await action;
+    assert.deepEqual([msg.from, msg.fromId, msg.subtype, msg.content], ['ann', 'u1', 'me', 'waves']);
+  });
+
+  it('counts every vote cast on a poll at once, one per voter', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    const bob = await srv.client(['u2', 'bob']);
+    const carol = await srv.client(['u3', 'carol']);
+    const posted = next(bob, 'message');
+    assert.equal((await request(ann, 'command', { text: '/poll "Lunch?" pizza soup' })).ok, true);
+    const poll = await posted;
+    assert.deepEqual(poll.poll.options.map((o) => o.text), ['pizza', 'soup']);
+
+    const acks = await Promise.all([
+      request(ann, 'votePoll', { messageId: poll._id, option: 0 }),
+      request(bob, 'votePoll', { messageId: poll._id, option: 0 }),
+      request(carol, 'votePoll', { messageId: poll._id, option: 1 }),
+      request(bob, 'votePoll', { messageId: poll._id, option: 1 })
+    ]);
+    assert.ok(acks.every((ack) => ack.ok));
+    const stored = await srv.repos.messages.findById(poll._id);
+    assert.deepEqual(stored.poll.options.map((o) => [...o.votes].sort()), [['u1'], ['u2', 'u3']]);
+    assert.equal((await request(bob, 'votePoll', { messageId: poll._id, option: 5 })).error.code, 'invalid_option');
+  });
+
+  it('keeps a muted member from posting until they are unmuted', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    const bob = await srv.client(['u2', 'bob']);
+    assert.equal((await request(ann, 'createRoom', { name: 'quiet' })).ok, true);
+    assert.equal((await request(bob, 'joinRoom', { room: 'quiet' })).ok, true);
+
+    assert.equal((await request(bob, 'command', { room: 'quiet', text: '/mute @ann' })).error.code, 'forbidden');
+    const told = next(bob, 'muteUpdated');
+    assert.equal((await request(ann, 'command', { room: 'quiet', text: '/mute @bob 5' })).ok, true);
+    assert.deepEqual([(await told).userId, (await told).muted], ['u2', true]);
+    assert.equal((await request(bob, 'message', { room: 'quiet', content: 'hello?' })).error.code, 'muted');
+    assert.equal((await request(bob, 'command', { room: 'quiet', text: '/me sighs' })).error.code, 'muted');
+
+    assert.equal((await request(ann, 'command', { room: 'quiet', text: '/unmute bob' })).ok, true);
+    assert.equal((await request(bob, 'message', { room: 'quiet', content: 'thanks' })).ok, true);
+    assert.equal((await request(ann, 'command', { room: 'quiet', text: '/unmute bob' })).error.code, 'not_muted');
+  });
+});
+
+describe('message length', () => {
+  let srv;
+
+  before(async () => { srv = await startServer(); });
+  after(() => srv.close());
+
+  it('refuses overlong text on every path, and stores the Markdown as typed', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    const long = 'x'.repeat(4001);
+    assert.deepEqual(await request(ann, 'message', { content: long }), {
+      ok: false, error: { code: 'content_too_long', message: 'content must be at most 4000 characters' }, field: 'content', max: 4000
+    });
+    assert.equal((await request(ann, 'command', { text: `/me ${long}` })).error.code, 'content_too_long');
+    const rest = await srv.http('POST', '/api/messages', ['u1', 'ann'], { content: long, room: 'global' });
+    assert.deepEqual([rest.status, rest.body.error.code], [413, 'content_too_long']);
+
+    const { id } = await request(ann, 'message', { content: '**hi** <b>there</b>\r\n' });
+    assert.equal((await srv.repos.messages.findById(id)).content, '**hi** <b>there</b>');
+    const edit = await srv.http('PATCH', `/api/messages/${id}`, ['u1', 'ann'], { content: long });
+    assert.equal(edit.status, 413);
+  });
+});
+
+describe('attachments over HTTP and sockets', () => {
+  let srv;
+
+  before(async () => { srv = await startServer(); });
+  after(() => srv.close());
+
+  const upload = (user, name, type, text) => {
+    const form = new FormData();
+    form.append('file', new Blob([text], { type }), name);
+    return fetch(`${srv.url}/upload`, { method: 'POST', headers: { authorization: `Bearer ${tokenFor(...user)}` }, body: form });
+  };
+  const download = (user, url, headers = {}) => fetch(srv.url + url, { headers: { authorization: `Bearer ${tokenFor(...user)}`, ...headers } });
+
+  it('keeps an upload to its uploader until it is posted, then serves it to the room\'s readers only', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    const bob = await srv.client(['u2', 'bob']);
+    assert.equal((await request(ann, 'createRoom', { name: 'files', isPrivate: true })).ok, true);
+    await srv.repos.rooms.addMember((await srv.repos.rooms.findByName('files'))._id, 'u2');
+
+    const res = await upload(['u1', 'ann'], 'notes.txt', 'text/plain', 'hello world');
+    assert.equal(res.status, 201);
+    const file = await res.json();
+    assert.deepEqual([file.name, file.size, file.url], ['notes.txt', 11, `/api/attachments/${file.attachmentId}`]);
+    assert.equal((await download(['u2', 'bob'], file.url)).status, 404);
+    assert.equal((await upload(['u1', 'ann'], 'page.html', 'text/html', '<b>x</b>')).status, 415);
+
+    assert.equal((await request(bob, 'message', { room: 'files', content: 'mine', file: { attachmentId: file.attachmentId } })).error.code, 'attachment_not_found');
+    assert.equal((await request(ann, 'message', { room: 'files', content: 'notes', file: { attachmentId: file.attachmentId } })).ok, true);
+    assert.equal((await request(ann, 'message', { room: 'files', content: 'again', file: { attachmentId: file.attachmentId } })).error.code, 'attachment_in_use');
+
+    const whole = await download(['u2', 'bob'], file.url);
+    assert.deepEqual([whole.status, whole.headers.get('content-type'), await whole.text()], [200, 'text/plain; charset=utf-8', 'hello world']);
+    const part = await download(['u2', 'bob'], file.url, { range: 'bytes=6-' });
+    assert.deepEqual([part.status, part.headers.get('content-range'), await part.text()], [206, 'bytes 6-10/11', 'world']);
+    assert.equal((await download(['u3', 'carol'], file.url)).status, 403);
+  });
+
+  it('stores inline base64 files the same way', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    const posted = next(ann, 'file_message');
+    const ack = await request(ann, 'file_message', { name: 'a.txt', mime: 'text/plain', data: Buffer.from('inline').toString('base64') });
+    assert.equal(ack.ok, true);
+    const msg = await posted;
+    assert.equal(msg.file.data, undefined);
+    assert.equal(await (await download(['u2', 'bob'], msg.file.url)).text(), 'inline');
+  });
+});
+
+describe('resumable uploads', () => {
+  let srv;
+
+  before(async () => { srv = await startServer(); });
+  after(() => srv.close());
+
+  const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+  it('picks a socket upload up again on another connection', async () => {
+    const first = await srv.client(['u1', 'ann']);
+    const started = await request(first, 'uploadStart', { name: 'log.txt', mime: 'text/plain', size: 11 });
+    assert.equal(started.ok, true);
+    const { uploadId } = started.upload;
+    assert.equal((await request(first, 'uploadChunk', { uploadId, offset: 0, data: Buffer.from('hello ') })).upload.received, 6);
+    first.disconnect();
+
+    const again = await srv.client(['u1', 'ann']);
+    const { upload } = await request(again, 'uploadStatus', { uploadId });
+    assert.equal(upload.received, 6);
+    assert.deepEqual(await request(again, 'uploadChunk', { uploadId, offset: 0, data: Buffer.from('hello ') }), {
+      ok: false, error: { code: 'offset_mismatch', message: 'Offset mismatch' }, received: 6
+    });
+    assert.equal((await request(again, 'uploadChunk', { uploadId, offset: 6, data: Buffer.from('world') })).ok, true);
+    const done = await request(again, 'uploadComplete', { uploadId, sha256: sha256('hello world') });
+    assert.deepEqual([done.ok, done.file.size, done.file.sha256], [true, 11, sha256('hello world')]);
+    assert.equal((await request(again, 'message', { content: 'the log', file: { attachmentId: done.file.attachmentId } })).ok, true);
+
+    const anonymous = await srv.client('guest');
+    assert.deepEqual(await request(anonymous, 'uploadStart', { name: 'a.txt', mime: 'text/plain', size: 1 }), { ok: false, error: { code: 'auth_required', message: 'Sign in first' } });
+  });
+
+  it('takes raw chunks over HTTP and answers conflicts with where to resume', async () => {
+    const started = await srv.http('POST', '/api/uploads', ['u2', 'bob'], { name: 'a.txt', mime: 'text/plain', size: 5 });
+    assert.equal(started.status, 201);
+    const { uploadId } = started.body.upload;
+    const put = (offset, text) => fetch(`${srv.url}/api/uploads/${uploadId}?offset=${offset}`, {
+      method: 'PUT',
+      headers: { authorization: `Bearer ${tokenFor('u2', 'bob')}`, 'content-type': 'application/octet-stream' },
+      body: text
+    });
+    assert.equal((await put(0, 'he')).status, 200);
+    const conflict = await put(0, 'he');
+    assert.deepEqual([conflict.status, (await conflict.json()).received], [409, 2]);
+    assert.equal((await srv.http('GET', `/api/uploads/${uploadId}`, ['u1', 'ann'])).status, 404);
+    assert.equal((await put(2, 'llo')).status, 200);
+
+    assert.equal((await srv.http('POST', `/api/uploads/${uploadId}/complete`, ['u2', 'bob'], { sha256: sha256('jello') })).status, 422);
+    assert.equal((await srv.http('GET', `/api/uploads/${uploadId}`, ['u2', 'bob'])).status, 404);
+  });
+});
+
+describe('rate limits', () => {
+  let srv;
+
+  before(async () => {
+    srv = await startServer({
+      rateLimits: { socket: { message: { capacity: 1, refillMs: 60000 } }, flood: { strikes: 2, banMs: 60000 }, api: { capacity: 2, refillMs: 60000 } }
+    });
+  });
+  after(() => srv.close());
+
+  it('disconnects a flooding user and refuses them on reconnect', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    assert.equal((await request(ann, 'message', { content: 'one' })).ok, true);
+    assert.equal((await request(ann, 'message', { content: 'two' })).error.code, 'rate_limited');
+    const told = collect(ann, 'rateLimited');
+    const gone = next(ann, 'disconnect');
+    ann.emit('message', { content: 'three' });
+    await gone;
+    assert.deepEqual((await told).map((e) => e.error.code), ['rate_limited', 'flooding']);
+
+    // listening before the handshake: the refusal comes right after it
+    const again = connect(srv.url, { auth: { token: tokenFor('u1', 'ann') }, reconnection: false, transports: ['websocket'] });
+    const refused = await next(again, 'rateLimited');
+    again.close();
+    assert.equal(refused.error.code, 'flooding');
+    const bob = await srv.client(['u2', 'bob']);
+    assert.equal((await request(bob, 'message', { content: 'hi' })).ok, true);
+  });
+
+  it('answers REST requests over the address\'s limit with 429 and Retry-After', async () => {
+    for (let i = 0; i < 2; i++) assert.equal((await srv.http('GET', '/api/rooms')).status, 200);
+    const res = await fetch(`${srv.url}/api/rooms`);
+    assert.equal(res.status, 429);
+    assert.equal(res.headers.get('retry-after'), '60');
+    assert.equal((await res.json()).error, 'rate_limited');
+  });
+});
+
+describe('payload validation', () => {
+  let srv;
+
+  before(async () => { srv = await startServer(); });
+  after(() => srv.close());
+
+  it('acks malformed socket payloads with invalid_payload before any handler runs', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    assert.deepEqual(await request(ann, 'joinRoom', { room: 42 }), {
+      ok: false, error: { code: 'invalid_payload', message: 'room must be a string' }, field: 'room'
+    });
+    assert.deepEqual(await request(ann, 'deleteMessage', { messageId: { $ne: null } }), {
+      ok: false, error: { code: 'invalid_payload', message: 'messageId must be an id' }, field: 'messageId'
+    });
+    assert.equal((await request(ann, 'message', { content: 'hi', $where: 'sleep(1000)' })).field, '$where');
+    assert.equal((await request(ann, 'createRoom', {})).error.message, 'name is required');
+    assert.deepEqual(await srv.repos.messages.list({ room: 'global' }), []);
+  });
+
+  it('answers malformed REST bodies with a 400 and the same error', async () => {
+    const created = await srv.http('POST', '/api/messages', ['u1', 'ann'], { content: 'hi', room: ['global'] });
+    assert.deepEqual([created.status, created.body], [400, { ok: false, error: { code: 'invalid_payload', message: 'room must be a string' }, field: 'room' }]);
+    const { body } = await srv.http('POST', '/api/messages', ['u1', 'ann'], { content: 'hi' });
+    const edit = await srv.http('PATCH', `/api/messages/${body._id}`, ['u1', 'ann'], { content: 'there', pinned: true });
+    assert.deepEqual([edit.status, edit.body.error.code, edit.body.field], [400, 'invalid_payload', 'pinned']);
+  });
+});
+
+describe('message retries', () => {
+  let srv;
+
+  before(async () => { srv = await startServer(); });
+  after(() => srv.close());
+
+  it('acks a retried send with the message already posted, posting it once', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    const bob = await srv.client(['u2', 'bob']);
+    const clientMsgId = crypto.randomUUID();
+    const seen = collect(bob, 'message');
+    const sent = await request(ann, 'message', { content: 'hi', clientMsgId });
+    assert.deepEqual([sent.ok, sent.clientMsgId, sent.duplicate], [true, clientMsgId, undefined]);
+    const retried = await request(ann, 'message', { content: 'hi', clientMsgId });
+    assert.deepEqual(retried, { ok: true, id: sent.id, ts: sent.ts, clientMsgId, duplicate: true });
+    assert.deepEqual((await seen).map((m) => m.content), ['hi']);
+
+    // the id is the sender's own: someone else's message with it still posts
+    assert.notEqual((await request(bob, 'message', { content: 'hi', clientMsgId })).id, sent.id);
+    assert.equal((await request(ann, 'message', { content: 'hi', clientMsgId: 'not an id!' })).error.code, 'invalid_payload');
+  });
+
+  it('posts once when retries race the original', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    await request(ann, 'createRoom', { name: 'race' });
+    const clientMsgId = crypto.randomUUID();
+    const acks = await Promise.all([1, 2, 3].map(() => request(ann, 'message', { room: 'race', content: 'once', clientMsgId })));
+    assert.equal(new Set(acks.map((a) => a.id)).size, 1);
+    assert.equal(acks.filter((a) => a.duplicate).length, 2);
+    assert.equal((await srv.repos.messages.list({ room: 'race' })).length, 1);
+  });
+});
+
+describe('missed events', () => {
+  let srv;
+
+  before(async () => { srv = await startServer(); });
+  after(() => srv.close());
+
+  it('replays what a client missed while away, from the seq it last saw', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    await request(ann, 'createRoom', { name: 'away' });
+    const { id } = await request(ann, 'message', { room: 'away', content: 'before' });
+    const bob = await srv.client(['u2', 'bob']);
+    const { seq } = await request(bob, 'joinRoom', { room: 'away' });
+    assert.equal(seq, 1);
+    bob.close();
+
+    await request(ann, 'editMessage', { messageId: id, content: 'edited' });
+    await request(ann, 'reaction', { messageId: id, emoji: '👍' });
+    const { id: later } = await request(ann, 'message', { room: 'away', content: 'while away' });
+    await request(ann, 'deleteMessage', { messageId: id });
+
+    const back = await srv.client(['u2', 'bob']);
+    const { ok, rooms } = await request(back, 'sync', { rooms: [{ room: 'away', seq }] });
+    assert.equal(ok, true);
+    assert.deepEqual(rooms[0].events.map(({ event, payload }) => [event, payload.seq]), [
+      ['messageEdited', 2], ['messageReaction', 3], ['reaction', 4], ['message', 5], ['messageDeleted', 6]
+    ]);
+    assert.equal(rooms[0].events[3].payload._id, later);
+    assert.equal(rooms[0].seq, 6);
+    assert.deepEqual((await request(back, 'sync', { rooms: [{ room: 'away', seq: 6 }] })).rooms, [{ room: 'away', seq: 6, events: [] }]);
+  });
+
+  it('refuses rooms the client may not read or that are gone', async () => {
+    const ann = await srv.client(['u1', 'ann']);
+    await request(ann, 'createRoom', { name: 'closed', isPrivate: true });
+    await request(ann, 'message', { room: 'closed', content: 'secret' });
+    const carol = await srv.client(['u3', 'carol']);
+    const { rooms } = await request(carol, 'sync', { rooms: [{ room: 'closed', seq: 0 }, { room: 'nowhere', seq: 3 }] });
+    assert.deepEqual(rooms.map((r) => [r.room, r.ok, r.error.code, r.events]), [['closed', false, 'forbidden', undefined], ['nowhere', false, 'room_not_found', undefined]]);
+  });
+});
@@ -0,0 +1,62 @@
+// Test helper: a createServer instance on an ephemeral port (memory storage) plus socket clients.
+// Used by the *.test.js files; not loaded by the server itself.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { io: connect } = require('socket.io-client');
+const { createServer } = require('../createServer');
+const { createLocalFileStore } = require('../utils/fileStore');
+
+// without Clerk keys configured tokens are only decoded (dev mode), so any signature will do
+const tokenFor = (sub, username) => jwt.sign({ sub, username }, 'test');
+
+async function startServer(options = {}) {
+  // attachment bytes go to a scratch directory, removed on close
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-test-'));
+  const { app, io, server, repos } = createServer({ storage: 'memory', corsOrigin: true, fileStore: createLocalFileStore({ dir }), ...options });
+  await new Promise((resolve) => server.listen(0, resolve));
+  const url = `http://localhost:${server.address().port}`;
+  const sockets = [];
+
+  // a connected client; `user` is [id, name] for a verified token, or a name to `join` anonymously as
+  async function client(user) {
+    const token = Array.isArray(user) ? tokenFor(...user) : null;
+    const socket = connect(url, { auth: token ? { token } : {}, reconnection: false, transports: ['websocket'] });
+    sockets.push(socket);
+    await new Promise((resolve, reject) => { socket.on('connect', resolve); socket.on('connect_error', reject); });
+    if (typeof user === 'string') await request(socket, 'join', { username: user });
+    return socket;
+  }
+
+  // REST call as [id, name] (or anonymously with null); resolves { status, body }
+  async function http(method, path, user = null, body) {
+    const headers = { 'content-type': 'application/json' };
+    if (user) headers.authorization = `Bearer ${tokenFor(...user)}`;
+    const res = await fetch(url + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  async function close() {
+    sockets.forEach((s) => s.close());
+    io.close();
+    await new Promise((resolve) => server.close(() => resolve()));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { app, io, repos, url, client, http, close };
+}
+
+const request = (socket, event, payload) => socket.timeout(2000).emitWithAck(event, payload);
+const next = (socket, event) => new Promise((resolve) => socket.once(event, resolve));
+
+// resolves with every `event` the socket gets within `ms`
+function collect(socket, event, ms = 150) {
+  const got = [];
+  const listener = (payload) => got.push(payload);
+  socket.on(event, listener);
+  return new Promise((resolve) => setTimeout(() => { socket.off(event, listener); resolve(got); }, ms));
+}
+
+module.exports = { startServer, tokenFor, request, next, collect };
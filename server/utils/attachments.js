@@ -0,0 +1,168 @@
+// Attachments: files sent with room messages. Uploads (POST /upload, or the older base64
+// `file_message` event) are streamed into the file store (see ./fileStore) while their size and
+// SHA-256 are measured, and recorded as an Attachment. Messages only carry
+// `file: { attachmentId, name, mime, size, sha256, url }`; the bytes are downloaded from
+// GET /api/attachments/:id, which checks that the caller may read the message they were posted in
+// (before that, only the uploader may fetch them).
+// `deps` is { repos, fileStore } (socket ctx and controller deps both have them).
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const roomAccess = require('./roomAccess');
+
+const MAX_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES || String(10 * 1024 * 1024), 10); // default 10MB
+const ALLOWED_MIMES = (process.env.ALLOWED_MIMES || 'image/jpeg,image/png,image/gif,application/pdf,text/plain,application/zip,audio/mpeg,video/mp4').split(',');
+const MAX_NAME_LENGTH = 200;
+
+const urlOf = (id) => `/api/attachments/${id}`;
+
+// what a message stores as its `file`, and what uploads answer with
+const fileView = (attachment) => ({
+  attachmentId: String(attachment._id),
+  name: attachment.name,
+  mime: attachment.mime,
+  size: attachment.size,
+  sha256: attachment.sha256,
+  url: urlOf(attachment._id)
+});
+
+const cleanName = (name) => (typeof name === 'string' ? name.replace(/[\\/\u0000-\u001f]/g, '').trim().slice(0, MAX_NAME_LENGTH) : '') || 'file';
+
+// passes bytes through while counting and hashing them; fails with `code` once there are more than `max`
+function meter(max, code = 'file_too_large') {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const stream = new Transform({
+    transform(chunk, encoding, done) {
+      size += chunk.length;
+      if (size > max) return done(Object.assign(new Error(code), { code }));
+      hash.update(chunk);
+      return done(null, chunk);
+    }
+  });
+  return { stream, result: () => ({ size, sha256: hash.digest('hex') }) };
+}
+
+/**
+ * Stream `readable` into the file store as a new, not yet posted attachment of `uploadedBy`, of at
+ * most `max` bytes. Returns { attachment } or { error }: 'invalid_mime' (with `allowed`),
+ * 'file_too_large' (with `max`) or 'empty_file'.
+ */
+async function store({ repos, fileStore }, readable, { name, mime, uploadedBy, max = MAX_BYTES }) {
+  if (!ALLOWED_MIMES.includes(mime)) {
+    readable.resume();
+    return { error: 'invalid_mime', allowed: ALLOWED_MIMES };
+  }
+  const key = crypto.randomBytes(16).toString('hex');
+  const counted = meter(max);
+  const source = readable.pipe(counted.stream);
+  readable.on('error', (err) => source.destroy(err));
+  try {
+    await fileStore.put(key, source, { mime });
+  } catch (err) {
+    if (err.code !== 'file_too_large') throw err;
+    readable.resume();
+    return { error: 'file_too_large', max };
+  }
+  const { size, sha256 } = counted.result();
+  if (!size) {
+    await fileStore.delete(key);
+    return { error: 'empty_file' };
+  }
+  const attachment = await repos.attachments.create({
+    name: cleanName(name), mime, size, sha256, store: fileStore.name || 'custom', key, uploadedBy: String(uploadedBy)
+  });
+  return { attachment };
+}
+
+// the same for the base64 a `file_message` event sends: a data URL, or (as older clients send) bare
+// base64 with its `mime` given separately
+async function storeDataUrl(deps, data, { name, mime, uploadedBy }) {
+  const text = typeof data === 'string' ? data : '';
+  const match = /^data:([^;,]*)(?:;[^;,]*)*;base64,([\s\S]*)$/.exec(text);
+  const bare = !match && mime && /^[A-Za-z0-9+/\s]+={0,2}\s*$/.test(text);
+  if (!match && !bare) return { error: 'invalid_data' };
+  const bytes = Buffer.from(match ? match[2] : text, 'base64');
+  return store(deps, Readable.from([bytes]), { name, mime: mime || match[1], uploadedBy });
+}
+
+/**
+ * Check the `file` of a message `ownerId` is about to post: `{ attachmentId }` (or its
+ * `/api/attachments/<id>` url) of their own upload that is not in a message yet.
+ * Returns { file, attachment } or { error }: 'invalid_file', 'attachment_not_found' or 'attachment_in_use'.
+ */
+async function claim(repos, file, ownerId) {
+  const fromUrl = /^\/api\/attachments\/([A-Za-z0-9]+)$/.exec((file && file.url) || '');
+  const id = file && (file.attachmentId || (fromUrl && fromUrl[1]));
+  if (!id) return { error: 'invalid_file' };
+  const attachment = await repos.attachments.findById(id);
+  if (!attachment || attachment.uploadedBy !== String(ownerId)) return { error: 'attachment_not_found' };
+  if (attachment.messageId) return { error: 'attachment_in_use' };
+  return { file: fileView(attachment), attachment };
+}
+
+// record that a claimed attachment was posted as `message`; from then on it follows the message's access
+const link = (repos, attachment, message) => repos.attachments.update(attachment._id, { messageId: message._id, room: message.room });
+
+// delete an attachment and its bytes; never throws, the message is already gone
+async function remove({ repos, fileStore }, attachmentId) {
+  try {
+    const attachment = await repos.attachments.findById(attachmentId);
+    if (!attachment) return;
+    await repos.attachments.delete(attachment._id);
+    await fileStore.delete(attachment.key);
+  } catch (err) {
+    console.warn('[attachments] remove failed', err && err.message);
+  }
+}
+
+// after a message is deleted
+const removeForMessage = (deps, msg) => (msg && msg.file && msg.file.attachmentId ? remove(deps, msg.file.attachmentId) : Promise.resolve());
+
+// after a room is cleared or deleted
+async function removeForRoom(deps, room) {
+  try {
+    const list = await deps.repos.attachments.listForRoom(room);
+    for (const attachment of list) await remove(deps, attachment._id);
+  } catch (err) {
+    console.warn('[attachments] room cleanup failed', err && err.message);
+  }
+}
+
+// null when `requester` ({ userId, userName }) may download `attachment`, otherwise an error
+async function checkDownload(repos, attachment, requester) {
+  if (!attachment.messageId) return attachment.uploadedBy === String(requester.userId) ? null : { error: 'not_found' };
+  const msg = await repos.messages.findById(attachment.messageId);
+  if (!msg) return { error: 'not_found' };
+  return roomAccess.checkMessageRead(repos, msg, requester);
+}
+
+/**
+ * The bytes a `Range` header asks for in a file of `size`: { start, end } (inclusive), null for the
+ * whole file (no header, or one we don't handle such as several ranges) or false when unsatisfiable.
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  const [start, end] = match[1]
+    ? [Number(match[1]), match[2] ? Math.min(Number(match[2]), size - 1) : size - 1]
+    : [Math.max(0, size - Number(match[2])), size - 1]; // "-500": the last 500 bytes
+  if (start >= size || start > end || (!match[1] && !Number(match[2]))) return false;
+  return { start, end };
+}
+
+module.exports = {
+  MAX_BYTES,
+  ALLOWED_MIMES,
+  meter,
+  cleanName,
+  fileView,
+  store,
+  storeDataUrl,
+  claim,
+  link,
+  remove,
+  removeForMessage,
+  removeForRoom,
+  checkDownload,
+  parseRange
+};
@@ -0,0 +1,119 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { createRepositories } = require('../repositories');
+const attachments = require('./attachments');
+
+// a file store that keeps the bytes in a Map
+function memoryFileStore() {
+  const files = new Map();
+  return {
+    name: 'memory',
+    files,
+    async put(key, readable) {
+      const chunks = [];
+      for await (const chunk of readable) chunks.push(chunk);
+      files.set(key, Buffer.concat(chunks));
+    },
+    get(key, { start = 0, end } = {}) {
+      return Readable.from([files.get(key).subarray(start, end === undefined ? undefined : end + 1)]);
+    },
+    async delete(key) {
+      files.delete(key);
+    }
+  };
+}
+
+const streamOf = (text) => Readable.from([Buffer.from(text)]);
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+describe('attachments', () => {
+  let repos;
+  let fileStore;
+  let deps;
+
+  beforeEach(() => {
+    repos = createRepositories({ driver: 'memory' });
+    fileStore = memoryFileStore();
+    deps = { repos, fileStore };
+  });
+
+  it('stores the bytes in the file store and measures them', async () => {
+    const { attachment } = await attachments.store(deps, streamOf('hello'), { name: '../notes\n.txt', mime: 'text/plain', uploadedBy: 'u1' });
+    assert.deepEqual([attachment.name, attachment.size, attachment.sha256, attachment.store, attachment.uploadedBy], ['..notes.txt', 5, sha256('hello'), 'memory', 'u1']);
+    assert.equal(fileStore.files.get(attachment.key).toString(), 'hello');
+    assert.deepEqual(attachments.fileView(attachment), {
+      attachmentId: String(attachment._id), name: '..notes.txt', mime: 'text/plain', size: 5, sha256: sha256('hello'), url: `/api/attachments/${attachment._id}`
+    });
+  });
+
+  it('refuses types it does not allow and empty files, keeping nothing', async () => {
+    assert.equal((await attachments.store(deps, streamOf('<svg/>'), { name: 'x.svg', mime: 'image/svg+xml', uploadedBy: 'u1' })).error, 'invalid_mime');
+    assert.deepEqual(await attachments.store(deps, Readable.from([]), { name: 'x.txt', mime: 'text/plain', uploadedBy: 'u1' }), { error: 'empty_file' });
+    assert.equal(fileStore.files.size, 0);
+  });
+
+  it('takes base64 as a data URL, or bare with its mime', async () => {
+    const base64 = Buffer.from('hello').toString('base64');
+    const fromUrl = await attachments.storeDataUrl(deps, `data:text/plain;base64,${base64}`, { name: 'a.txt', uploadedBy: 'u1' });
+    assert.deepEqual([fromUrl.attachment.mime, fromUrl.attachment.sha256], ['text/plain', sha256('hello')]);
+    const bare = await attachments.storeDataUrl(deps, base64, { name: 'b.txt', mime: 'text/plain', uploadedBy: 'u1' });
+    assert.equal(bare.attachment.sha256, sha256('hello'));
+
+    assert.deepEqual(await attachments.storeDataUrl(deps, base64, { name: 'c.txt', uploadedBy: 'u1' }), { error: 'invalid_data' });
+    assert.deepEqual(await attachments.storeDataUrl(deps, 'not base64!', { name: 'd.txt', mime: 'text/plain', uploadedBy: 'u1' }), { error: 'invalid_data' });
+  });
+
+  it('lets only the uploader post an attachment, and only once', async () => {
+    const { attachment } = await attachments.store(deps, streamOf('hello'), { name: 'a.txt', mime: 'text/plain', uploadedBy: 'u1' });
+    assert.equal((await attachments.claim(repos, { attachmentId: String(attachment._id) }, 'u2')).error, 'attachment_not_found');
+    assert.equal((await attachments.claim(repos, { url: 'https://example.com/a.txt' }, 'u1')).error, 'invalid_file');
+    const claimed = await attachments.claim(repos, { url: `/api/attachments/${attachment._id}` }, 'u1');
+    assert.equal(claimed.file.attachmentId, String(attachment._id));
+
+    const message = await repos.messages.create({ content: null, from: 'ann', fromId: 'u1', room: 'dev', file: claimed.file, timestamp: new Date() });
+    await attachments.link(repos, attachment, message);
+    assert.equal((await attachments.claim(repos, { attachmentId: String(attachment._id) }, 'u1')).error, 'attachment_in_use');
+  });
+
+  it('lets whoever may read the message download it, and only the uploader before it is posted', async () => {
+    await repos.rooms.create({ name: 'secret', createdBy: 'u1', isPrivate: true, members: ['u1', 'u2'] });
+    const { attachment } = await attachments.store(deps, streamOf('hello'), { name: 'a.txt', mime: 'text/plain', uploadedBy: 'u1' });
+    assert.equal(await attachments.checkDownload(repos, attachment, { userId: 'u1' }), null);
+    assert.deepEqual(await attachments.checkDownload(repos, attachment, { userId: 'u2' }), { error: 'not_found' });
+
+    const message = await repos.messages.create({ content: null, from: 'ann', fromId: 'u1', room: 'secret', timestamp: new Date() });
+    await attachments.link(repos, attachment, message);
+    const posted = await repos.attachments.findById(attachment._id);
+    assert.equal(await attachments.checkDownload(repos, posted, { userId: 'u2' }), null);
+    assert.equal((await attachments.checkDownload(repos, posted, { userId: 'u3' })).error, 'forbidden');
+  });
+
+  it('deletes the bytes with the message or the room', async () => {
+    const first = (await attachments.store(deps, streamOf('one'), { name: 'a.txt', mime: 'text/plain', uploadedBy: 'u1' })).attachment;
+    const second = (await attachments.store(deps, streamOf('two'), { name: 'b.txt', mime: 'text/plain', uploadedBy: 'u1' })).attachment;
+    for (const attachment of [first, second]) {
+      const message = await repos.messages.create({ content: null, from: 'ann', fromId: 'u1', room: 'dev', file: attachments.fileView(attachment), timestamp: new Date() });
+      await attachments.link(repos, attachment, message);
+    }
+    await attachments.removeForMessage(deps, { file: attachments.fileView(first) });
+    assert.equal(await repos.attachments.findById(first._id), null);
+    assert.equal(fileStore.files.size, 1);
+
+    await attachments.removeForRoom(deps, 'dev');
+    assert.equal(await repos.attachments.findById(second._id), null);
+    assert.equal(fileStore.files.size, 0);
+  });
+
+  it('reads single byte ranges', () => {
+    assert.deepEqual(attachments.parseRange('bytes=0-4', 10), { start: 0, end: 4 });
+    assert.deepEqual(attachments.parseRange('bytes=5-', 10), { start: 5, end: 9 });
+    assert.deepEqual(attachments.parseRange('bytes=-3', 10), { start: 7, end: 9 });
+    assert.deepEqual(attachments.parseRange('bytes=8-100', 10), { start: 8, end: 9 });
+    assert.equal(attachments.parseRange(undefined, 10), null);
+    assert.equal(attachments.parseRange('bytes=0-1,4-5', 10), null);
+    assert.equal(attachments.parseRange('bytes=10-', 10), false);
+    assert.equal(attachments.parseRange('bytes=-0', 10), false);
+  });
+});
@@ -0,0 +1,141 @@
+// Direct messages addressed by user identity rather than socket id.
+// Shared by the REST controllers and socket handlers; `deps` is { repos, io, online } and a
+// user is { userId, userName }. DMs are stored with both parties' ids (fromId / toId) and names,
+// so they reach every socket of both users and wait in storage for whoever is offline.
+const { loadPage } = require('./history');
+const notifications = require('./notifications');
+const messageText = require('./messageText');
+
+// read cursors for DMs live next to room cursors, keyed by the other party
+const cursorKey = (peerId) => `@${peerId}`;
+
+const socketsOf = ({ online }, userId) => (online && online.resolve(userId)?.sockets) || [];
+
+/**
+ * { userId, userName } for `to`: the socket id or user id of someone online, else a user id or
+ * username from the profile directory (anyone who has connected before). Online display names
+ * are never matched: any socket can claim one, so a name only resolves through the directory.
+ * null when nobody matches.
+ */
+async function resolveRecipient({ repos, online }, to) {
+  if (!to) return null;
+  const live = online && online.resolve(String(to));
+  if (live) return { userId: live.userId, userName: live.userName };
+  const profile = await repos.users.findProfile(to);
+  return profile ? { userId: profile.userId, userName: profile.userName } : null;
+}
+
+// the conversation with `peer` as `user` sees it
+async function summarize({ repos, online }, user, peer, lastMessage) {
+  const cursor = await repos.reads.getCursor(user.userId, cursorKey(peer.userId));
+  return {
+    type: 'direct',
+    userId: peer.userId,
+    userName: peer.userName,
+    online: !!(online && online.resolve(peer.userId)),
+    lastMessage,
+    unread: await repos.messages.countUnreadDirect(user.userId, peer.userId, cursor),
+    lastReadId: cursor ? String(cursor.lastReadId) : null
+  };
+}
+
+// everyone `user` has exchanged DMs with, most recent first
+async function listConversations(deps, user) {
+  const conversations = await deps.repos.messages.listConversations(user.userId);
+  return Promise.all(conversations.map((c) => summarize(deps, user, { userId: c.peerId, userName: c.peerName }, c.lastMessage)));
+}
+
+// send `user` the current summary of their conversation with `peer` (to all of their sockets)
+async function pushConversation(deps, user, peer, lastMessage) {
+  const sockets = socketsOf(deps, user.userId);
+  if (!sockets.length) return;
+  deps.io.to(sockets).emit('conversationUpdated', await summarize(deps, user, peer, lastMessage));
+}
+
+/**
+ * Send a DM from `sender` to `to` (see resolveRecipient). The message goes to every socket of
+ * both parties; an offline recipient finds it in `conversations`, the conversation history and
+ * their notifications.
+ * Returns { message, recipient } or { error }: 'recipient_required', 'content_required',
+ * 'content_too_long', 'recipient_not_found', 'invalid_recipient' (yourself).
+ */
+async function sendDirect(deps, sender, to, content) {
+  const { repos, io } = deps;
+  if (!to) return { error: 'recipient_required' };
+  const { text, ...invalid } = messageText.clean(content);
+  if (invalid.error) return invalid;
+  const recipient = await resolveRecipient(deps, to);
+  if (!recipient) return { error: 'recipient_not_found' };
+  if (String(recipient.userId) === String(sender.userId)) return { error: 'invalid_recipient' };
+
+  const message = await repos.messages.create({
+    content: text,
+    from: sender.userName,
+    fromId: String(sender.userId),
+    to: recipient.userName,
+    toId: String(recipient.userId),
+    private: true,
+    room: null,
+    timestamp: new Date()
+  });
+
+  const recipientSockets = socketsOf(deps, recipient.userId);
+  const sids = Array.from(new Set([...recipientSockets, ...socketsOf(deps, sender.userId)]));
+  if (sids.length) {
+    io.to(sids).emit('privateMessage', message);
+    io.to(sids).emit('private_message', message);
+  }
+  await notifications.send(deps, [recipient.userId], {
+    type: 'message',
+    title: `New message from ${message.from}`,
+    body: message.content,
+    messageId: String(message._id),
+    from: { userId: message.fromId, userName: message.from },
+    private: true
+  });
+
+  // the sender has read their own message
+  await repos.reads.setCursor(sender.userId, cursorKey(recipient.userId), message);
+  await Promise.all([
+    pushConversation(deps, sender, recipient, message),
+    pushConversation(deps, recipient, sender, message)
+  ]);
+  return { message, recipient };
+}
+
+/**
+ * Move `user`'s read cursor in a conversation up to the DM `msg` (a top-level DM they are
+ * a party to) and push the new summary to their sockets. Returns { conversation } or { error }.
+ */
+async function markRead(deps, user, msg) {
+  const me = String(user.userId);
+  if (!msg.private || !msg.fromId || (msg.fromId !== me && msg.toId !== me)) return { error: 'not_found' };
+  const peer = msg.fromId === me ? { userId: msg.toId, userName: msg.to } : { userId: msg.fromId, userName: msg.from };
+  const { changed } = await deps.repos.reads.setCursor(me, cursorKey(peer.userId), msg);
+  const [latest] = (await deps.repos.messages.listDirectPage(me, peer.userId, { limit: 1 })).messages;
+  const conversation = await summarize(deps, user, peer, latest || msg);
+  if (changed) {
+    const sockets = socketsOf(deps, me);
+    if (sockets.length) deps.io.to(sockets).emit('conversationUpdated', conversation);
+  }
+  return { conversation };
+}
+
+/**
+ * One page of the DMs between `user` and `peerId`, oldest first; `before` / `after` take
+ * the cursors of a previous page, as in room history (see utils/history).
+ * Returns { userId, messages, cursors, hasMoreBefore, hasMoreAfter } or { error }.
+ */
+async function loadConversation(repos, user, peerId, { before, after, limit } = {}) {
+  const page = await loadPage((opts) => repos.messages.listDirectPage(user.userId, peerId, opts), { before, after, limit });
+  return page.error ? page : { userId: peerId, ...page };
+}
+
+module.exports = {
+  cursorKey,
+  resolveRecipient,
+  listConversations,
+  sendDirect,
+  markRead,
+  loadConversation
+};
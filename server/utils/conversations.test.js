@@ -0,0 +1,100 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../repositories');
+const { createOnlineUsers } = require('../socket/online');
+const conversations = require('./conversations');
+
+// an io stand-in that records what went where
+function fakeIo() {
+  const sent = [];
+  return { sent, to: (target) => ({ emit: (event, payload) => sent.push({ target, event, payload }) }) };
+}
+
+const ann = { userId: 'u1', userName: 'ann' };
+const bob = { userId: 'u2', userName: 'bob' };
+const carol = { userId: 'u3', userName: 'carol' };
+
+describe('direct messages', () => {
+  let repos;
+  let io;
+  let online;
+  let deps;
+  const eventsFor = (sid, event) => io.sent.filter((e) => e.event === event && [].concat(e.target).includes(sid));
+
+  // ann is online on two sockets; bob has connected before but is offline now
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    io = fakeIo();
+    online = createOnlineUsers();
+    online.add('s1', ann);
+    online.add('s2', ann);
+    deps = { repos, io, online };
+    await repos.users.touchProfile(ann);
+    await repos.users.touchProfile(bob);
+  });
+
+  it('resolves online users by id and anyone known by id or username', async () => {
+    assert.deepEqual(await conversations.resolveRecipient(deps, 'u1'), ann);
+    assert.deepEqual(await conversations.resolveRecipient(deps, 's2'), ann);
+    assert.deepEqual(await conversations.resolveRecipient(deps, 'bob'), bob);
+    assert.equal(await conversations.resolveRecipient(deps, 'nobody'), null);
+  });
+
+  it('never resolves a name someone online merely claims', async () => {
+    online.add('s9', { userId: 'mallory', userName: 'bob' });
+    assert.deepEqual(await conversations.resolveRecipient(deps, 'bob'), bob);
+
+    const { message } = await conversations.sendDirect(deps, ann, 'bob', 'for bob only');
+    assert.equal(message.toId, 'u2');
+    assert.deepEqual(eventsFor('s9', 'privateMessage'), []);
+  });
+
+  it('stores a DM for an offline recipient and delivers it to every socket of the sender', async () => {
+    const { message, recipient } = await conversations.sendDirect(deps, ann, 'u2', ' \nhi bob  ');
+    assert.deepEqual(recipient, bob);
+    assert.deepEqual([message.content, message.fromId, message.toId, message.private], ['hi bob', 'u1', 'u2', true]);
+    assert.deepEqual(eventsFor('s1', 'privateMessage').map((e) => e.target), [['s1', 's2']]);
+
+    // bob comes back and finds it
+    online.add('s3', bob);
+    const [conversation] = await conversations.listConversations(deps, bob);
+    assert.deepEqual([conversation.userId, conversation.unread, conversation.online], ['u1', 1, true]);
+    const page = await conversations.loadConversation(repos, bob, 'u1');
+    assert.deepEqual(page.messages.map((m) => m.content), ['hi bob']);
+  });
+
+  it('notifies the recipient and keeps both parties\' conversation lists current', async () => {
+    online.add('s3', bob);
+    await conversations.sendDirect(deps, ann, 'bob', 'ping');
+    assert.equal(eventsFor('s3', 'notification').length, 1);
+    assert.equal(eventsFor('s1', 'notification').length, 0);
+    const [forBob] = eventsFor('s3', 'conversationUpdated');
+    assert.deepEqual([forBob.payload.userId, forBob.payload.unread], ['u1', 1]);
+    const [forAnn] = eventsFor('s1', 'conversationUpdated');
+    assert.deepEqual([forAnn.payload.userId, forAnn.payload.unread], ['u2', 0]);
+  });
+
+  it('refuses bad DMs', async () => {
+    assert.deepEqual(await conversations.sendDirect(deps, ann, '', 'hi'), { error: 'recipient_required' });
+    assert.deepEqual(await conversations.sendDirect(deps, ann, 'bob', '   '), { error: 'content_required' });
+    assert.deepEqual(await conversations.sendDirect(deps, ann, 'nobody', 'hi'), { error: 'recipient_not_found' });
+    assert.deepEqual(await conversations.sendDirect(deps, ann, 'ann', 'hi'), { error: 'invalid_recipient' });
+  });
+
+  it('moves a party\'s read cursor and refuses anyone else', async () => {
+    const { message } = await conversations.sendDirect(deps, ann, 'bob', 'read me');
+    const { conversation } = await conversations.markRead(deps, bob, message);
+    assert.deepEqual([conversation.unread, conversation.lastReadId], [0, String(message._id)]);
+    assert.deepEqual(await conversations.markRead(deps, carol, message), { error: 'not_found' });
+  });
+
+  it('pages a conversation with cursors', async () => {
+    for (const content of ['one', 'two', 'three']) await conversations.sendDirect(deps, ann, 'bob', content);
+    const newest = await conversations.loadConversation(repos, bob, 'u1', { limit: 2 });
+    assert.equal(newest.messages.length, 2);
+    assert.equal(newest.hasMoreBefore, true);
+    const older = await conversations.loadConversation(repos, bob, 'u1', { before: newest.cursors.before });
+    assert.deepEqual([...older.messages, ...newest.messages].map((m) => m.content).sort(), ['one', 'three', 'two']);
+    assert.deepEqual(await conversations.loadConversation(repos, bob, 'u1', { before: 'junk' }), { error: 'invalid_cursor' });
+  });
+});
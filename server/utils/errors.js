@@ -0,0 +1,37 @@
+// Structured errors for socket acks (and REST bodies that use the same schemas). The shared utils
+// return failures as { error: 'code', ...details }; `errorReply` turns one into what clients get:
+//   { ok: false, error: { code, message }, ...details }
+// so they can branch on `code`, show `message` and read details such as `retryAfterMs` or `max`.
+
+// human messages for codes whose name alone says too little; the rest are spelled out from the code
+const MESSAGES = {
+  server_error: () => 'Something went wrong on the server',
+  rate_limited: () => 'Too many requests; slow down',
+  flooding: () => 'Too many requests; disconnected for a while',
+  forbidden: ({ required }) => (required ? `Requires the ${required} role` : 'Not allowed'),
+  muted: () => 'You are muted in this room',
+  auth_required: () => 'Sign in first',
+  content_too_long: ({ max }) => `Messages are limited to ${max} characters`,
+  file_too_large: ({ max }) => `Files are limited to ${Math.round(max / (1024 * 1024))} MB`,
+  not_authorized: () => 'Only the author can do that'
+};
+
+// 'room_not_found' -> 'Room not found'
+const spellOut = (code) => {
+  const words = String(code).replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// the message for `code`, given the failure's details
+const describe = (code, details = {}) => (MESSAGES[code] ? MESSAGES[code](details) : spellOut(code));
+
+/**
+ * A failed result ({ error, message?, ...details }, with or without `ok`) as a client error reply.
+ * A `message` the failure already carries (e.g. a slash command's) is kept as the error's message.
+ */
+function errorReply({ ok, error = 'server_error', message, ...details }) {
+  if (error && typeof error === 'object') return { ok: false, error, ...details };
+  return { ok: false, error: { code: error, message: typeof message === 'string' ? message : describe(error, details) }, ...details };
+}
+
+module.exports = { describe, errorReply };
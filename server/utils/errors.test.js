@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { errorReply } = require('./errors');
+
+describe('error replies', () => {
+  it('turns a failure code into { code, message }, keeping its details', () => {
+    assert.deepEqual(errorReply({ ok: false, error: 'room_not_found' }), { ok: false, error: { code: 'room_not_found', message: 'Room not found' } });
+    assert.deepEqual(errorReply({ error: 'content_too_long', max: 4000 }), {
+      ok: false, error: { code: 'content_too_long', message: 'Messages are limited to 4000 characters' }, max: 4000
+    });
+    assert.equal(errorReply({ error: 'forbidden', required: 'moderator' }).error.message, 'Requires the moderator role');
+    assert.equal(errorReply({}).error.code, 'server_error');
+  });
+
+  it('keeps a message the failure already carries, and leaves structured errors alone', () => {
+    assert.deepEqual(errorReply({ ok: false, error: 'invalid_args', message: 'Usage: /mute <user> [minutes]' }), {
+      ok: false, error: { code: 'invalid_args', message: 'Usage: /mute <user> [minutes]' }
+    });
+    const structured = { ok: false, error: { code: 'flooding', message: 'Slow down' }, retryAfterMs: 5 };
+    assert.deepEqual(errorReply(structured), structured);
+  });
+});
@@ -0,0 +1,123 @@
+// Where attachment bytes live. A file store is any object with this API (keys are opaque strings
+// chosen by utils/attachments):
+//
+//   name                                  driver name, recorded on each attachment
+//   put(key, readable, { mime })          store the stream's bytes under `key`; resolves when written
+//   get(key, { start, end })              a readable stream of the bytes, `end` inclusive (both optional)
+//   delete(key)                           remove them; a missing key is not an error
+//
+// Built in: `gridfs` (MongoDB GridFS, the default with mongo storage) and `local` (a directory on
+// disk, the default otherwise). An S3-compatible bucket or anything else plugs in by passing such an
+// object as `createServer({ fileStore })`.
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const DEFAULT_DIR = process.env.ATTACHMENT_DIR || path.join(__dirname, '..', 'attachments');
+
+// keys come from utils/attachments, but never let one reach outside the directory
+const safeKey = (key) => {
+  if (!/^[A-Za-z0-9_-]+$/.test(String(key))) throw new Error(`Invalid file store key: ${key}`);
+  return String(key);
+};
+
+function createLocalFileStore({ dir = DEFAULT_DIR } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileOf = (key) => path.join(dir, safeKey(key));
+  return {
+    name: 'local',
+
+    async put(key, readable) {
+      const file = fileOf(key);
+      try {
+        await pipeline(readable, fs.createWriteStream(file, { flags: 'wx' }));
+      } catch (err) {
+        await fs.promises.unlink(file).catch(() => {});
+        throw err;
+      }
+    },
+
+    get(key, { start, end } = {}) {
+      return fs.createReadStream(fileOf(key), { start, end });
+    },
+
+    async delete(key) {
+      await fs.promises.unlink(fileOf(key)).catch((err) => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    }
+  };
+}
+
+// GridFS on the mongoose connection; the bucket is opened lazily, once the connection is up
+function createGridFSFileStore({ bucketName = 'attachments' } = {}) {
+  const mongoose = require('mongoose');
+  let bucket = null;
+  const bucketOf = () => {
+    if (!bucket) {
+      if (!mongoose.connection.db) throw new Error('GridFS file store: MongoDB is not connected');
+      bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+    }
+    return bucket;
+  };
+  const idOf = async (key) => {
+    const [file] = await bucketOf().find({ filename: safeKey(key) }).limit(1).toArray();
+    return file ? file._id : null;
+  };
+
+  return {
+    name: 'gridfs',
+
+    async put(key, readable, { mime } = {}) {
+      const upload = bucketOf().openUploadStream(safeKey(key), { metadata: { mime } });
+      try {
+        await pipeline(readable, upload);
+      } catch (err) {
+        await bucketOf().delete(upload.id).catch(() => {});
+        throw err;
+      }
+    },
+
+    // GridFS wants the end exclusive; the lookup is async, so errors arrive on the stream
+    get(key, { start, end } = {}) {
+      const out = new PassThrough();
+      idOf(key)
+        .then((id) => {
+          if (!id) throw Object.assign(new Error(`No such file: ${key}`), { code: 'ENOENT' });
+          const range = { ...(start !== undefined ? { start } : {}), ...(end !== undefined ? { end: end + 1 } : {}) };
+          return pipeline(bucketOf().openDownloadStream(id, range), out);
+        })
+        .catch((err) => out.destroy(err));
+      return out;
+    },
+
+    async delete(key) {
+      const id = await idOf(key);
+      if (id) await bucketOf().delete(id);
+    }
+  };
+}
+
+/**
+ * The file store for `createServer({ fileStore })`: 'local', 'gridfs', a ready-made store object,
+ * or undefined for the default of `repos` (GridFS with mongo storage, local disk otherwise).
+ */
+function createFileStore(option, { repos, dir } = {}) {
+  if (option && typeof option === 'object') {
+    const missing = ['put', 'get', 'delete'].filter((m) => typeof option[m] !== 'function');
+    if (missing.length) throw new Error(`File store is missing: ${missing.join(', ')}`);
+    return option;
+  }
+  const kind = option || process.env.FILE_STORE || (repos && repos.driver === 'mongo' ? 'gridfs' : 'local');
+  switch (kind) {
+    case 'local':
+      return createLocalFileStore({ dir });
+    case 'gridfs':
+      return createGridFSFileStore();
+    default:
+      throw new Error(`Unknown file store: ${kind}`);
+  }
+}
+
+module.exports = { createFileStore, createLocalFileStore, createGridFSFileStore };
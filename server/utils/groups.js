@@ -0,0 +1,246 @@
+// Group conversations: ad-hoc private chats of a few people, without a Room document.
+// Shared by the REST controllers and socket handlers; `deps` is { repos, io, online } and a
+// user is { userId, userName }. A group's messages are private messages carrying its
+// `conversationId`; they reach every socket of every participant, and each participant keeps
+// a read cursor per group, as in rooms.
+const conversations = require('./conversations');
+const { loadPage } = require('./history');
+const notifications = require('./notifications');
+const messageText = require('./messageText');
+
+const MIN_PARTICIPANTS = 3;
+const MAX_PARTICIPANTS = 9;
+const MAX_NAME_LENGTH = 80;
+
+// group read cursors live next to room and DM cursors
+const cursorKey = (groupId) => `#${groupId}`;
+
+const cleanName = (name) => (typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '') || null;
+
+const isParticipant = (group, userId) => !!group && group.participants.some((p) => p.userId === String(userId));
+
+// null when `userId` takes part in `group`, otherwise a `forbidden` error shaped like the room checks
+const checkAccess = (group, userId) => (isParticipant(group, userId)
+  ? null
+  : { error: 'forbidden', action: 'group.read', required: 'participant', role: null });
+
+const socketsOf = ({ online }, userIds) => (online ? userIds.flatMap((id) => online.resolve(id)?.sockets || []) : []);
+
+const participantIds = (group) => group.participants.map((p) => p.userId);
+
+// emit to every socket of every participant of group `groupId` (optionally skipping one socket)
+async function emitToGroup(deps, groupId, event, payload, { except } = {}) {
+  const group = await deps.repos.groups.findById(groupId);
+  const sockets = group ? socketsOf(deps, participantIds(group)).filter((sid) => sid !== except) : [];
+  if (sockets.length) deps.io.to(sockets).emit(event, payload);
+}
+
+// the group as `user` sees it, in the same list as their DM conversations
+async function summarize({ repos }, user, group) {
+  const [cursor, latest] = await Promise.all([
+    repos.reads.getCursor(user.userId, cursorKey(group._id)),
+    repos.messages.listGroupPage(group._id, { limit: 1 })
+  ]);
+  return {
+    type: 'group',
+    id: String(group._id),
+    name: group.name,
+    participants: group.participants.map(({ userId, userName }) => ({ userId, userName })),
+    createdBy: group.createdBy,
+    createdAt: group.createdAt,
+    lastMessage: latest.messages[0] || null,
+    unread: await repos.messages.countUnreadGroup(group._id, cursor, { excludeFromId: user.userId }),
+    lastReadId: cursor ? String(cursor.lastReadId) : null
+  };
+}
+
+// push each online participant (or just `userIds`) their own summary as `conversationUpdated`
+async function pushSummaries(deps, group, userIds = participantIds(group)) {
+  await Promise.all(group.participants.filter((p) => userIds.includes(p.userId)).map(async (p) => {
+    const sockets = socketsOf(deps, [p.userId]);
+    if (sockets.length) deps.io.to(sockets).emit('conversationUpdated', await summarize(deps, p, group));
+  }));
+}
+
+// `groupUpdated` to the participants (plus anyone just removed): { id, name, participants, change }
+function announce(deps, group, change, extraUserIds = []) {
+  const sockets = socketsOf(deps, [...participantIds(group), ...extraUserIds]);
+  if (!sockets.length) return;
+  deps.io.to(sockets).emit('groupUpdated', {
+    id: String(group._id),
+    name: group.name,
+    participants: group.participants.map(({ userId, userName }) => ({ userId, userName })),
+    change
+  });
+}
+
+const lastActivity = (c) => new Date((c.lastMessage && c.lastMessage.timestamp) || c.createdAt || 0).getTime();
+
+// DM conversations and groups together, most recently active first
+async function listAllConversations(deps, user) {
+  const [direct, groups] = await Promise.all([
+    conversations.listConversations(deps, user),
+    deps.repos.groups.listForUser(user.userId)
+  ]);
+  const grouped = await Promise.all(groups.map((g) => summarize(deps, user, g)));
+  return [...direct, ...grouped].sort((a, b) => lastActivity(b) - lastActivity(a));
+}
+
+// load a group and check that `userId` takes part; { group } or { error }
+async function guarded(repos, groupId, userId) {
+  const group = groupId ? await repos.groups.findById(groupId) : null;
+  if (!group) return { error: 'not_found' };
+  const denied = checkAccess(group, userId);
+  return denied || { group };
+}
+
+// Each flow returns { group, ... } or an error object ({ error, ... }).
+
+/**
+ * Start a group with `creator` and `participants` (user ids or usernames, resolved like DM
+ * recipients). Groups have MIN_PARTICIPANTS..MAX_PARTICIPANTS people, creator included.
+ */
+async function create(deps, creator, { name, participants } = {}) {
+  const wanted = Array.isArray(participants) ? participants : [];
+  const resolved = await Promise.all(wanted.map((to) => conversations.resolveRecipient(deps, to)));
+  const missing = wanted.filter((_, i) => !resolved[i]);
+  if (missing.length) return { error: 'recipient_not_found', missing };
+
+  const people = new Map([[String(creator.userId), creator.userName]]);
+  resolved.forEach((r) => people.set(String(r.userId), r.userName));
+  if (people.size < MIN_PARTICIPANTS) return { error: 'too_few_participants', min: MIN_PARTICIPANTS };
+  if (people.size > MAX_PARTICIPANTS) return { error: 'too_many_participants', max: MAX_PARTICIPANTS };
+
+  const now = new Date();
+  const group = await deps.repos.groups.create({
+    name: cleanName(name),
+    createdBy: String(creator.userId),
+    createdAt: now,
+    participants: Array.from(people, ([userId, userName]) => ({ userId, userName, addedBy: String(creator.userId), addedAt: now }))
+  });
+  await pushSummaries(deps, group);
+  announce(deps, group, { type: 'created', by: String(creator.userId) });
+  return { group };
+}
+
+// any participant may add someone (user id or username) while the group has room
+async function addParticipant(deps, actor, groupId, target) {
+  const { group, ...denied } = await guarded(deps.repos, groupId, actor.userId);
+  if (!group) return denied;
+  if (!target) return { error: 'user_required' };
+  const user = await conversations.resolveRecipient(deps, target);
+  if (!user) return { error: 'recipient_not_found' };
+  if (isParticipant(group, user.userId)) return { error: 'already_member' };
+  if (group.participants.length >= MAX_PARTICIPANTS) return { error: 'too_many_participants', max: MAX_PARTICIPANTS };
+
+  const updated = await deps.repos.groups.addParticipant(group._id, {
+    userId: String(user.userId),
+    userName: user.userName,
+    addedBy: String(actor.userId),
+    addedAt: new Date()
+  });
+  await pushSummaries(deps, updated);
+  announce(deps, updated, { type: 'added', userId: String(user.userId), by: String(actor.userId) });
+  return { group: updated };
+}
+
+// any participant may remove another (user id or username); removing yourself leaves the group
+async function removeParticipant(deps, actor, groupId, target) {
+  const { group, ...denied } = await guarded(deps.repos, groupId, actor.userId);
+  if (!group) return denied;
+  if (!target) return { error: 'user_required' };
+  const leaving = group.participants.find((p) => p.userId === String(target) || p.userName === target);
+  if (!leaving) return { error: 'not_found' };
+
+  const updated = await deps.repos.groups.removeParticipant(group._id, leaving.userId);
+  const self = leaving.userId === String(actor.userId);
+  await pushSummaries(deps, updated);
+  announce(deps, updated, { type: self ? 'left' : 'removed', userId: leaving.userId, by: String(actor.userId) }, [leaving.userId]);
+  const sockets = socketsOf(deps, [leaving.userId]);
+  if (sockets.length) deps.io.to(sockets).emit('conversationRemoved', { type: 'group', id: String(group._id) });
+  return { group: updated };
+}
+
+async function rename(deps, actor, groupId, name) {
+  const { group, ...denied } = await guarded(deps.repos, groupId, actor.userId);
+  if (!group) return denied;
+  const updated = await deps.repos.groups.update(group._id, { name: cleanName(name) });
+  await pushSummaries(deps, updated);
+  announce(deps, updated, { type: 'renamed', name: updated.name, by: String(actor.userId) });
+  return { group: updated };
+}
+
+/**
+ * Post `content` to a group: every participant's sockets get `groupMessage`, the others a
+ * `notification`, and everyone a fresh `conversationUpdated`. Returns { group, message } or { error }.
+ */
+async function send(deps, sender, groupId, content) {
+  const { text, ...invalid } = messageText.clean(content);
+  if (invalid.error) return invalid;
+  const { group, ...denied } = await guarded(deps.repos, groupId, sender.userId);
+  if (!group) return denied;
+
+  const message = await deps.repos.messages.create({
+    content: text,
+    from: sender.userName,
+    fromId: String(sender.userId),
+    private: true,
+    room: null,
+    conversationId: group._id,
+    timestamp: new Date()
+  });
+  const everyone = socketsOf(deps, participantIds(group));
+  if (everyone.length) deps.io.to(everyone).emit('groupMessage', message);
+  await notifications.send(deps, participantIds(group).filter((id) => id !== String(sender.userId)), {
+    type: 'message',
+    title: `${message.from} in ${group.name || 'a group'}`,
+    body: message.content,
+    messageId: String(message._id),
+    conversationId: String(group._id),
+    private: true
+  });
+
+  // the sender has read their own message
+  await deps.repos.reads.setCursor(sender.userId, cursorKey(group._id), message);
+  await pushSummaries(deps, group);
+  return { group, message };
+}
+
+// move `user`'s cursor in the group of `msg` (a top-level group message) up to it; { conversation } or { error }
+async function markRead(deps, user, msg) {
+  const { group } = await guarded(deps.repos, msg.conversationId, user.userId);
+  if (!group) return { error: 'not_found' };
+  const { changed } = await deps.repos.reads.setCursor(user.userId, cursorKey(group._id), msg);
+  const conversation = await summarize(deps, user, group);
+  if (changed) {
+    const sockets = socketsOf(deps, [user.userId]);
+    if (sockets.length) deps.io.to(sockets).emit('conversationUpdated', conversation);
+  }
+  return { conversation };
+}
+
+// one page of a group's messages (see utils/history loadPage); participants only
+async function loadGroupHistory(repos, user, groupId, { before, after, limit } = {}) {
+  const { group, ...denied } = await guarded(repos, groupId, user.userId);
+  if (!group) return denied;
+  const page = await loadPage((opts) => repos.messages.listGroupPage(group._id, opts), { before, after, limit });
+  return page.error ? page : { id: String(group._id), ...page };
+}
+
+module.exports = {
+  MIN_PARTICIPANTS,
+  MAX_PARTICIPANTS,
+  cursorKey,
+  isParticipant,
+  checkAccess,
+  emitToGroup,
+  summarize,
+  listAllConversations,
+  create,
+  addParticipant,
+  removeParticipant,
+  rename,
+  send,
+  markRead,
+  loadGroupHistory
+};
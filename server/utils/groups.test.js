@@ -0,0 +1,92 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../repositories');
+const { createOnlineUsers } = require('../socket/online');
+const groups = require('./groups');
+const roomAccess = require('./roomAccess');
+const messageEdits = require('./messageEdits');
+
+// an io stand-in that records what went where
+function fakeIo() {
+  const sent = [];
+  return { sent, to: (target) => ({ emit: (event, payload) => sent.push({ target, event, payload }) }) };
+}
+
+const people = ['ann', 'bob', 'carol', 'dave'].map((userName, i) => ({ userId: `u${i + 1}`, userName }));
+const [ann, bob, carol, dave] = people;
+
+describe('group conversations', () => {
+  let repos;
+  let io;
+  let deps;
+  const eventsFor = (sid, event) => io.sent.filter((e) => e.event === event && [].concat(e.target).includes(sid));
+
+  // everyone is known; ann, bob and carol are online on s1..s3, dave is offline
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    io = fakeIo();
+    const online = createOnlineUsers();
+    people.slice(0, 3).forEach((p, i) => online.add(`s${i + 1}`, p));
+    deps = { repos, io, online };
+    for (const p of people) await repos.users.touchProfile(p);
+  });
+
+  const start = async () => (await groups.create(deps, ann, { name: '  launch  ', participants: ['bob', 'u3'] })).group;
+
+  it('starts a group of known users and tells each participant', async () => {
+    const group = await start();
+    assert.equal(group.name, 'launch');
+    assert.deepEqual(group.participants.map((p) => p.userId), ['u1', 'u2', 'u3']);
+    for (const sid of ['s1', 's2', 's3']) assert.equal(eventsFor(sid, 'groupUpdated')[0].payload.change.type, 'created');
+  });
+
+  it('enforces the size limits and known participants', async () => {
+    assert.deepEqual(await groups.create(deps, ann, { participants: ['bob'] }), { error: 'too_few_participants', min: 3 });
+    assert.deepEqual(await groups.create(deps, ann, { participants: ['bob', 'nobody'] }), { error: 'recipient_not_found', missing: ['nobody'] });
+    for (let i = 5; i <= 10; i++) await repos.users.touchProfile({ userId: `u${i}`, userName: `user${i}` });
+    const crowd = Array.from({ length: 9 }, (_, i) => `u${i + 2}`);
+    assert.deepEqual(await groups.create(deps, ann, { participants: crowd }), { error: 'too_many_participants', max: 9 });
+  });
+
+  it('delivers messages to every participant and keeps outsiders out', async () => {
+    const group = await start();
+    const { message } = await groups.send(deps, bob, group._id, 'ship it');
+    assert.equal(message.conversationId, String(group._id));
+    assert.deepEqual(eventsFor('s1', 'groupMessage').map((e) => e.target), [['s1', 's2', 's3']]);
+    assert.equal(eventsFor('s2', 'notification').length, 0);
+    assert.equal((await groups.send(deps, dave, group._id, 'let me in')).error, 'forbidden');
+    assert.equal((await roomAccess.checkMessageRead(repos, message, dave)).error, 'forbidden');
+    assert.equal(await roomAccess.checkMessageRead(repos, message, carol), null);
+  });
+
+  it('sends edits of a group message to its participants', async () => {
+    const group = await start();
+    const { message } = await groups.send(deps, bob, group._id, 'draft');
+    io.sent.length = 0;
+    await messageEdits.editMessage(deps, bob, message._id, 'final');
+    assert.deepEqual(io.sent.filter((e) => e.event === 'messageEdited').map((e) => e.target), [['s1', 's2', 's3']]);
+  });
+
+  it('adds, renames and removes participants; the removed lose access', async () => {
+    const group = await start();
+    assert.equal((await groups.addParticipant(deps, bob, group._id, 'dave')).group.participants.length, 4);
+    assert.deepEqual(await groups.addParticipant(deps, bob, group._id, 'u4'), { error: 'already_member' });
+    assert.equal((await groups.rename(deps, carol, group._id, 'release')).group.name, 'release');
+
+    const { group: after } = await groups.removeParticipant(deps, ann, group._id, 'carol');
+    assert.deepEqual(after.participants.map((p) => p.userId), ['u1', 'u2', 'u4']);
+    assert.equal(eventsFor('s3', 'conversationRemoved').length, 1);
+    assert.equal((await groups.loadGroupHistory(repos, carol, group._id)).error, 'forbidden');
+  });
+
+  it('counts unread per participant and moves their cursor', async () => {
+    const group = await start();
+    await groups.send(deps, ann, group._id, 'one');
+    await groups.send(deps, ann, group._id, 'two');
+    const [summary] = await groups.listAllConversations(deps, bob);
+    assert.deepEqual([summary.type, summary.unread], ['group', 2]);
+    const page = await groups.loadGroupHistory(repos, bob, group._id);
+    assert.deepEqual(page.messages.map((m) => m.content).sort(), ['one', 'two']);
+    assert.equal((await groups.markRead(deps, bob, page.messages[1])).conversation.unread, 0);
+  });
+});
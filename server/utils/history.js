@@ -0,0 +1,98 @@
+// Cursor-based room history shared by GET /api/messages/history and the socket `history` request.
+// A cursor is an opaque token for a message's (timestamp, _id) position in its room's timeline,
+// so messages sharing a millisecond are neither skipped nor repeated between pages.
+
+const MAX_LIMIT = 200;
+
+// a requested page size, defaulting to 50 and clamped to 1..MAX_LIMIT
+const pageSize = (limit) => Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LIMIT);
+
+function encodeCursor(msg) {
+  return Buffer.from(`${new Date(msg.timestamp).getTime()}:${msg._id}`).toString('base64url');
+}
+
+// { timestamp, _id } for a cursor made by encodeCursor, or null when it isn't one
+function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || !cursor) return null;
+  const match = /^(\d+):([0-9a-f]{24})$/.exec(Buffer.from(cursor, 'base64url').toString());
+  return match ? { timestamp: new Date(Number(match[1])), _id: match[2] } : null;
+}
+
+/**
+ * One page of `room`'s top-level history, oldest first.
+ * Modes (at most one): `before` / `after` a cursor, `around` a message id, or none for the newest page.
+ * `around` centres the page on the message (a thread reply is replaced by its root) and includes it.
+ *
+ * Returns { room, messages, cursors: { before, after }, hasMoreBefore, hasMoreAfter, anchorId? }
+ * or { error }: 'conflicting_anchors', 'invalid_cursor', 'not_found', 'wrong_room'.
+ * Pass `cursors.before` back as `before` to page older, `cursors.after` as `after` to catch up.
+ */
+async function loadHistory(repos, { room, before, after, around, limit = 50 } = {}) {
+  if ([before, after, around].filter(Boolean).length > 1) return { error: 'conflicting_anchors' };
+  const size = pageSize(limit);
+  let older = { messages: [], hasMore: false };
+  let newer = { messages: [], hasMore: false };
+  let anchor = null;
+
+  if (around) {
+    const msg = await repos.messages.findById(around);
+    anchor = msg && msg.parentId ? await repos.messages.findById(msg.parentId) : msg;
+    if (!anchor || anchor.private) return { error: 'not_found' };
+    if (room && anchor.room !== room) return { error: 'wrong_room' };
+    room = anchor.room;
+    const olderCount = Math.floor((size - 1) / 2);
+    [older, newer] = await Promise.all([
+      repos.messages.listPage(room, { before: anchor, limit: olderCount }),
+      repos.messages.listPage(room, { after: anchor, limit: size - 1 - olderCount })
+    ]);
+  } else if (after) {
+    const key = decodeCursor(after);
+    if (!key) return { error: 'invalid_cursor' };
+    newer = await repos.messages.listPage(room, { after: key, limit: size });
+    // there is always something before an `after` page: at least the cursor's own message
+    older.hasMore = true;
+  } else {
+    const key = before ? decodeCursor(before) : null;
+    if (before && !key) return { error: 'invalid_cursor' };
+    older = await repos.messages.listPage(room, { before: key, limit: size });
+    // the newest page has nothing after it; an older page has at least the cursor's message
+    newer.hasMore = !!key;
+  }
+
+  const messages = [...older.messages, ...(anchor ? [anchor] : []), ...newer.messages];
+  return {
+    room,
+    messages,
+    cursors: {
+      before: messages.length ? encodeCursor(messages[0]) : before || null,
+      after: messages.length ? encodeCursor(messages[messages.length - 1]) : after || null
+    },
+    hasMoreBefore: older.hasMore,
+    hasMoreAfter: newer.hasMore,
+    ...(anchor ? { anchorId: anchor._id } : {})
+  };
+}
+
+/**
+ * A `before` / `after` cursor page of any timeline, for conversations that have no room.
+ * `fetchPage({ before, after, limit })` is a repository pager such as messages.listDirectPage.
+ * Returns { messages, cursors, hasMoreBefore, hasMoreAfter } or { error } as loadHistory does.
+ */
+async function loadPage(fetchPage, { before, after, limit } = {}) {
+  if (before && after) return { error: 'conflicting_anchors' };
+  const key = before || after ? decodeCursor(before || after) : null;
+  if ((before || after) && !key) return { error: 'invalid_cursor' };
+  const page = await fetchPage({ before: before ? key : undefined, after: after ? key : undefined, limit: pageSize(limit) });
+  const { messages } = page;
+  return {
+    messages,
+    cursors: {
+      before: messages.length ? encodeCursor(messages[0]) : before || null,
+      after: messages.length ? encodeCursor(messages[messages.length - 1]) : after || null
+    },
+    hasMoreBefore: after ? true : page.hasMore,
+    hasMoreAfter: after ? page.hasMore : !!before
+  };
+}
+
+module.exports = { encodeCursor, decodeCursor, pageSize, loadHistory, loadPage, MAX_LIMIT };
@@ -0,0 +1,74 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../repositories');
+const { encodeCursor, decodeCursor, loadHistory } = require('./history');
+
+const contents = (page) => page.messages.map((m) => m.content);
+
+describe('cursor history', () => {
+  let repos;
+  let ids;
+
+  // m1..m6 in #dev, m3 and m4 in the same millisecond, plus a reply to m2 and a message in #ops
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    ids = {};
+    const seconds = [1, 2, 3, 3, 4, 5];
+    for (const [i, s] of seconds.entries()) {
+      const msg = await repos.messages.create({ content: `m${i + 1}`, from: 'ann', fromId: 'u1', room: 'dev', timestamp: new Date(Date.UTC(2024, 0, 1, 0, 0, s)) });
+      ids[msg.content] = msg._id;
+    }
+    const reply = await repos.messages.create({ content: 'reply', from: 'bob', fromId: 'u2', room: 'dev', parentId: ids.m2 });
+    ids.reply = reply._id;
+    await repos.messages.create({ content: 'elsewhere', from: 'ann', fromId: 'u1', room: 'ops' });
+  });
+
+  it('round-trips cursors and rejects anything else', () => {
+    const msg = { _id: 'a'.repeat(24), timestamp: new Date(1000) };
+    assert.deepEqual(decodeCursor(encodeCursor(msg)), { timestamp: new Date(1000), _id: msg._id });
+    assert.equal(decodeCursor('not-a-cursor'), null);
+    assert.equal(decodeCursor(undefined), null);
+  });
+
+  it('pages backwards without skipping or repeating messages that share a millisecond', async () => {
+    const newest = await loadHistory(repos, { room: 'dev', limit: 2 });
+    assert.deepEqual(contents(newest), ['m5', 'm6']);
+    assert.deepEqual([newest.hasMoreBefore, newest.hasMoreAfter], [true, false]);
+
+    // one at a time through m3 / m4, which only their ids order
+    const seen = [];
+    let page = newest;
+    while (page.hasMoreBefore) {
+      page = await loadHistory(repos, { room: 'dev', before: page.cursors.before, limit: 1 });
+      seen.unshift(...contents(page));
+      assert.equal(page.hasMoreAfter, true);
+    }
+    assert.deepEqual([...seen].sort(), ['m1', 'm2', 'm3', 'm4']);
+    assert.deepEqual(seen.slice(0, 2), ['m1', 'm2']);
+  });
+
+  it('catches up after a cursor', async () => {
+    const page = await loadHistory(repos, { room: 'dev', limit: 2 });
+    const first = await loadHistory(repos, { room: 'dev', before: page.cursors.before, limit: 3 });
+    const caughtUp = await loadHistory(repos, { room: 'dev', after: first.cursors.after, limit: 2 });
+    assert.deepEqual(contents(caughtUp), ['m5', 'm6']);
+    assert.equal(caughtUp.hasMoreAfter, false);
+  });
+
+  it('centres a page on a message, a reply on its root', async () => {
+    const page = await loadHistory(repos, { around: ids.m5, limit: 3 });
+    assert.equal(page.room, 'dev');
+    assert.equal(page.anchorId, ids.m5);
+    assert.deepEqual(contents(page).slice(1), ['m5', 'm6']);
+    assert.deepEqual([page.hasMoreBefore, page.hasMoreAfter], [true, false]);
+
+    assert.equal((await loadHistory(repos, { around: ids.reply, limit: 3 })).anchorId, ids.m2);
+  });
+
+  it('reports bad requests', async () => {
+    assert.deepEqual(await loadHistory(repos, { room: 'dev', before: 'x', after: 'y' }), { error: 'conflicting_anchors' });
+    assert.deepEqual(await loadHistory(repos, { room: 'dev', before: 'x' }), { error: 'invalid_cursor' });
+    assert.deepEqual(await loadHistory(repos, { around: 'f'.repeat(24) }), { error: 'not_found' });
+    assert.deepEqual(await loadHistory(repos, { room: 'ops', around: ids.m1 }), { error: 'wrong_room' });
+  });
+});
@@ -0,0 +1,150 @@
+// Incoming webhooks and bot tokens: credentials a room admin hands to outside code so it can post
+// into that one room. A webhook posts to `POST /api/hooks/<token>` with no other auth; a bot sends
+// `Authorization: Bot <token>` to `POST /api/messages`. Either may set a display name, an avatar and
+// one attachment per message, and is rate limited per token. Tokens are shown once and stored hashed.
+// `deps` is { repos, io, online, presence?, webhooks? } as in the other shared utils.
+const crypto = require('crypto');
+const permissions = require('./permissions');
+const mentions = require('./mentions');
+const roomMessages = require('./roomMessages');
+const messageText = require('./messageText');
+const attachments = require('./attachments');
+
+const KINDS = ['webhook', 'bot'];
+const TOKEN_PREFIX = { webhook: 'whk_', bot: 'bot_' };
+const MAX_INTEGRATIONS_PER_ROOM = 20;
+const MAX_NAME_LENGTH = 80;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const cleanName = (name) => (typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '') || null;
+
+// an http(s) URL, or null
+function cleanUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return null;
+  try {
+    const parsed = new URL(url.trim());
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+// who an integration's uploads belong to (attachments' `uploadedBy`)
+const uploaderId = (integration) => `integration:${integration._id}`;
+
+// the message's attachment: one the integration uploaded itself ({ attachmentId } or its
+// /api/attachments url, from POST /upload with its bot token) or a link to an http(s) URL
+// ({ url, name?, mime?, size? }); inline data is not accepted here.
+// Returns { file, attachment? }, {} when there is none, or { error }.
+async function resolveFile(repos, integration, file) {
+  if (file === undefined || file === null) return {};
+  if (typeof file !== 'object') return { error: 'invalid_file' };
+  if (file.attachmentId || (typeof file.url === 'string' && file.url.startsWith('/api/attachments/'))) {
+    return attachments.claim(repos, file, uploaderId(integration));
+  }
+  const url = cleanUrl(file.url);
+  if (!url) return { error: 'invalid_file' };
+  return {
+    file: {
+      url,
+      name: cleanName(file.name) || url.split('/').pop(),
+      mime: typeof file.mime === 'string' ? file.mime : null,
+      ...(Number.isFinite(file.size) ? { size: file.size } : {})
+    }
+  };
+}
+
+// the client shape; `token` (and a webhook's `url`) only right after creation
+const view = (integration, token) => ({
+  id: String(integration._id),
+  room: integration.room,
+  kind: integration.kind,
+  name: integration.name,
+  avatarUrl: integration.avatarUrl,
+  createdBy: integration.createdBy,
+  createdAt: integration.createdAt,
+  lastUsedAt: integration.lastUsedAt,
+  ...(token ? { token } : {}),
+  ...(token && integration.kind === 'webhook' ? { url: `/api/hooks/${token}` } : {})
+});
+
+async function list(repos, room, actorId) {
+  const denied = permissions.check(room, actorId, 'integration.manage');
+  if (denied) return denied;
+  return { integrations: (await repos.integrations.listForRoom(room.name)).map((i) => view(i)) };
+}
+
+// { kind, name, avatarUrl? } -> { integration } including its token
+async function create(repos, room, actorId, { kind, name, avatarUrl } = {}) {
+  const denied = permissions.check(room, actorId, 'integration.manage');
+  if (denied) return denied;
+  if (!KINDS.includes(kind)) return { error: 'invalid_kind', allowed: KINDS };
+  const displayName = cleanName(name);
+  if (!displayName) return { error: 'name required' };
+  const avatar = avatarUrl === undefined || avatarUrl === null ? null : cleanUrl(avatarUrl);
+  if (avatarUrl && !avatar) return { error: 'invalid_avatar_url' };
+  if ((await repos.integrations.listForRoom(room.name)).length >= MAX_INTEGRATIONS_PER_ROOM) {
+    return { error: 'too_many_integrations', max: MAX_INTEGRATIONS_PER_ROOM };
+  }
+
+  const token = `${TOKEN_PREFIX[kind]}${crypto.randomBytes(24).toString('hex')}`;
+  const integration = await repos.integrations.create({
+    room: room.name, kind, name: displayName, avatarUrl: avatar, tokenHash: hashToken(token), createdBy: String(actorId)
+  });
+  return { integration: view(integration, token) };
+}
+
+// revoke: the token stops working at once; messages already posted stay
+async function remove(repos, room, actorId, id) {
+  const denied = permissions.check(room, actorId, 'integration.manage');
+  if (denied) return denied;
+  const integration = await repos.integrations.findById(id);
+  if (!integration || integration.room !== room.name) return { error: 'not_found' };
+  await repos.integrations.delete(integration._id);
+  return { deleted: true, id: String(integration._id) };
+}
+
+// the integration of `kind` that `token` belongs to, or null
+async function authenticate(repos, token, kind) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX[kind])) return null;
+  const integration = await repos.integrations.findByTokenHash(hashToken(token));
+  return integration && integration.kind === kind ? integration : null;
+}
+
+/**
+ * Post into the integration's room. Body: { content | text, file?, displayName | username?,
+ * avatarUrl? }; `room`, when sent, must be the integration's own. Returns { message } or an error.
+ */
+async function post(deps, integration, body = {}) {
+  const { repos } = deps;
+  if (body.room !== undefined && body.room !== integration.room) {
+    return { error: 'forbidden', action: 'message.create', required: 'integration_room', role: null };
+  }
+  const { file, attachment, error } = await resolveFile(repos, integration, body.file);
+  if (error) return { error };
+  const { text: content, ...invalid } = messageText.clean(body.content ?? body.text, { optional: !!file });
+  if (invalid.error) return invalid;
+  const requestedAvatar = body.avatarUrl ?? body.icon_url;
+  const avatarUrl = requestedAvatar === undefined ? integration.avatarUrl : cleanUrl(requestedAvatar);
+  if (requestedAvatar && !avatarUrl) return { error: 'invalid_avatar_url' };
+  if (!(await repos.rooms.findByName(integration.room))) return { error: 'room_not_found' };
+
+  const message = await repos.messages.create({
+    content,
+    from: cleanName(body.displayName ?? body.username) || integration.name,
+    room: integration.room,
+    mentions: await mentions.parse(deps, content, integration.room),
+    file,
+    bot: { integrationId: String(integration._id), kind: integration.kind, name: integration.name },
+    avatarUrl: avatarUrl || undefined,
+    timestamp: new Date()
+  });
+  if (attachment) await attachments.link(repos, attachment, message);
+  repos.integrations.update(integration._id, { lastUsedAt: new Date() })
+    .catch((err) => console.warn('[integrations] lastUsedAt update failed', err && err.message));
+  roomMessages.publish(deps, message);
+  return { message };
+}
+
+module.exports = { KINDS, list, create, remove, authenticate, post, uploaderId };
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../repositories');
+const { createOnlineUsers } = require('../socket/online');
+const integrations = require('./integrations');
+
+// an io stand-in that records what went where
+function fakeIo() {
+  const sent = [];
+  return { sent, to: (target) => ({ emit: (event, payload) => sent.push({ target, event, payload }) }) };
+}
+
+describe('integrations', () => {
+  let repos;
+  let room;
+
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    room = await repos.rooms.create({ name: 'dev', createdBy: 'u1' });
+  });
+
+  it('hands room admins a token once, and knows it by its hash afterwards', async () => {
+    const { integration } = await integrations.create(repos, room, 'u1', { kind: 'webhook', name: 'CI' });
+    assert.match(integration.token, /^whk_[0-9a-f]{48}$/);
+    assert.equal(integration.url, `/api/hooks/${integration.token}`);
+    assert.equal((await integrations.list(repos, room, 'u1')).integrations[0].token, undefined);
+    assert.equal(JSON.stringify(await repos.integrations.findById(integration.id)).includes(integration.token), false);
+
+    assert.equal(String((await integrations.authenticate(repos, integration.token, 'webhook'))._id), integration.id);
+    assert.equal(await integrations.authenticate(repos, integration.token, 'bot'), null);
+    assert.equal(await integrations.authenticate(repos, 'whk_guess', 'webhook'), null);
+    assert.equal((await integrations.create(repos, room, 'u2', { kind: 'bot', name: 'x' })).error, 'forbidden');
+    assert.equal((await integrations.create(repos, room, 'u1', { kind: 'robot', name: 'x' })).error, 'invalid_kind');
+  });
+
+  it('stops a token working once its integration is removed', async () => {
+    const { integration } = await integrations.create(repos, room, 'u1', { kind: 'bot', name: 'Deployer' });
+    assert.deepEqual(await integrations.remove(repos, room, 'u1', integration.id), { deleted: true, id: integration.id });
+    assert.equal(await integrations.authenticate(repos, integration.token, 'bot'), null);
+  });
+
+  describe('posting', () => {
+    let bot;
+    let deps;
+
+    beforeEach(async () => {
+      const { integration } = await integrations.create(repos, room, 'u1', { kind: 'bot', name: 'Deployer', avatarUrl: 'https://example.com/bot.png' });
+      bot = await repos.integrations.findById(integration.id);
+      deps = { repos, io: fakeIo(), online: createOnlineUsers() };
+    });
+
+    it('posts into its room under its own or a custom name, live to the room', async () => {
+      const { message } = await integrations.post(deps, bot, { text: 'deployed', username: 'Release train', file: { url: 'https://ci.example.com/log.txt' } });
+      assert.deepEqual([message.from, message.fromId ?? null, message.room, message.content], ['Release train', null, 'dev', 'deployed']);
+      assert.deepEqual(message.bot, { integrationId: String(bot._id), kind: 'bot', name: 'Deployer' });
+      assert.equal(message.avatarUrl, 'https://example.com/bot.png');
+      assert.deepEqual(message.file, { url: 'https://ci.example.com/log.txt', name: 'log.txt', mime: null });
+      assert.deepEqual(deps.io.sent.filter(({ event }) => event === 'message').map(({ target }) => target), ['dev']);
+    });
+
+    it('posts its own uploads, and no one else\'s', async () => {
+      const own = await repos.attachments.create({ name: 'log.txt', mime: 'text/plain', size: 3, sha256: 'x', store: 'memory', key: 'k1', uploadedBy: integrations.uploaderId(bot) });
+      const users = await repos.attachments.create({ name: 'cv.pdf', mime: 'application/pdf', size: 3, sha256: 'y', store: 'memory', key: 'k2', uploadedBy: 'u1' });
+      assert.equal((await integrations.post(deps, bot, { file: { attachmentId: String(users._id) } })).error, 'attachment_not_found');
+      const { message } = await integrations.post(deps, bot, { file: { attachmentId: String(own._id) } });
+      assert.deepEqual([message.content, message.file.url], [null, `/api/attachments/${own._id}`]);
+      assert.equal(String((await repos.attachments.findById(own._id)).messageId), String(message._id));
+    });
+
+    it('refuses other rooms, empty posts and unusable links', async () => {
+      assert.equal((await integrations.post(deps, bot, { content: 'hi', room: 'ops' })).error, 'forbidden');
+      assert.equal((await integrations.post(deps, bot, { content: '  ' })).error, 'content_required');
+      assert.equal((await integrations.post(deps, bot, { content: 'hi', file: { url: 'javascript:alert(1)' } })).error, 'invalid_file');
+      assert.equal((await integrations.post(deps, bot, { content: 'hi', avatarUrl: 'data:x' })).error, 'invalid_avatar_url');
+      assert.deepEqual(await repos.messages.list({ room: 'dev' }), []);
+    });
+  });
+});
@@ -0,0 +1,14 @@
+const fs = require('fs');
+const path = require('path');
+
+// simple file logger for tailing logs during development;
+// returns a no-op when no file is given
+function createFileLogger(file) {
+  if (!file) return () => {};
+  try { fs.mkdirSync(path.dirname(file), { recursive: true }); } catch (e) { /* ignore */ }
+  return (msg) => {
+    try { fs.appendFileSync(file, `[${new Date().toISOString()}] ${msg}\n`); } catch (e) { /* ignore */ }
+  };
+}
+
+module.exports = { createFileLogger };
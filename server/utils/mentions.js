@@ -0,0 +1,109 @@
+// @mentions in room messages: `@username`, `@here` (everyone in the room who is online and
+// active) and `@room` (everyone in the room, i.e. with a socket joined to it). Parsed when a message is saved and stored on it as
+// `mentions: [{ kind: 'user' | 'here' | 'room', userId?, userName? }]`; each mentioned user gets a
+// `mention` notification on all of their sockets, whether or not they have joined the room.
+// `deps` is { repos, io, online, presence? } as in the other shared utils.
+const permissions = require('./permissions');
+const { escapeRegex } = require('./search');
+const notifications = require('./notifications');
+
+const GLOBAL_ROOM = 'global';
+const BROADCAST_KINDS = ['here', 'room'];
+const MAX_MENTIONS = 50;
+
+// how often one sender may ping a whole room with @here / @room; explicit @user mentions are not limited
+const BROADCAST_COOLDOWN_MS = parseInt(process.env.BROADCAST_COOLDOWN_MS || String(60 * 1000), 10);
+const lastBroadcast = new Map(); // `${senderId}\0${room}` -> time of their last @here / @room
+
+// true (and the cooldown restarts) when `sender` may broadcast to `room` now
+function takeBroadcast(sender, room) {
+  const key = `${sender}\u0000${room}`;
+  const now = Date.now();
+  if (now - (lastBroadcast.get(key) || 0) < BROADCAST_COOLDOWN_MS) return false;
+  lastBroadcast.set(key, now);
+  return true;
+}
+
+// ids of the users with a socket joined to the Socket.IO room `room`
+function usersInRoom({ io, online }, room) {
+  const sockets = io.sockets.adapter.rooms.get(room) || new Set();
+  return new Set(Array.from(sockets, (sid) => (online.get(sid) || {}).userId).filter(Boolean));
+}
+
+// "@name" not followed by more of a name, case-insensitive
+const mentionPattern = (name) => (name ? new RegExp(`(^|[^\\w@])@${escapeRegex(name)}(?![\\w-])`, 'i') : null);
+
+// single-word `@handles`, which are looked up in the profile directory
+const HANDLE = /(?:^|[^\w@])@(\w[\w.-]*\w|\w)/g;
+
+// the room document (null for global), or undefined when the room does not exist
+async function roomDoc(repos, room) {
+  if (!room || room === GLOBAL_ROOM) return null;
+  return (await repos.rooms.findByName(room)) || undefined;
+}
+
+/**
+ * Structured mentions for `content` posted in `room`. Online users are matched by their full
+ * display name (which may contain spaces), others by `@handle` against the profile directory.
+ * Users who cannot read the room are left out.
+ */
+async function parse({ repos, online }, content, room) {
+  if (typeof content !== 'string' || !content.includes('@')) return [];
+  const doc = await roomDoc(repos, room);
+  if (doc === undefined) return [];
+  const mentions = BROADCAST_KINDS.filter((kind) => mentionPattern(kind).test(content)).map((kind) => ({ kind }));
+  const users = new Map(); // userId -> userName
+  const add = (userId, userName) => {
+    if (!users.has(String(userId)) && !permissions.checkAccess(doc, String(userId))) users.set(String(userId), userName);
+  };
+
+  (online ? online.users() : []).forEach((u) => { if (mentionPattern(u.name).test(content)) add(u.id, u.name); });
+  const named = new Set(Array.from(users.values(), (n) => n.toLowerCase()));
+  const handles = Array.from(new Set(Array.from(content.matchAll(HANDLE), (m) => m[1])))
+    .filter((h) => !BROADCAST_KINDS.includes(h.toLowerCase()) && !named.has(h.toLowerCase()));
+  const profiles = await Promise.all(handles.slice(0, MAX_MENTIONS).map((h) => repos.users.findProfile(h)));
+  profiles.forEach((p, i) => { if (p && p.userName === handles[i]) add(p.userId, p.userName); });
+
+  users.forEach((userName, userId) => mentions.push({ kind: 'user', userId, userName }));
+  return mentions.slice(0, MAX_MENTIONS);
+}
+
+/**
+ * Send a `mention` notification for `message` to every user it mentions, except `sender`
+ * (a user id) and anyone in `skip` (mentions already notified, e.g. before an edit).
+ * @room reaches the room's readers with a socket joined to it; @here only those of them whose
+ * presence is `online`. A sender gets one such broadcast per room every BROADCAST_COOLDOWN_MS;
+ * within the cooldown only the users named explicitly are notified.
+ */
+async function notify(deps, message, { sender, skip = [] } = {}) {
+  const { repos, online, presence } = deps;
+  const fresh = (message.mentions || []).filter((m) => !skip.some((s) => s.kind === m.kind && s.userId === m.userId));
+  if (!online || !fresh.length) return;
+
+  const room = message.room || GLOBAL_ROOM;
+  const targets = new Map(); // userId -> kind
+  fresh.filter((m) => m.kind === 'user').forEach((m) => targets.set(m.userId, 'user'));
+  const broadcast = fresh.find((m) => m.kind === 'room') || fresh.find((m) => m.kind === 'here');
+  if (broadcast && takeBroadcast(sender, room)) {
+    const doc = await roomDoc(repos, message.room);
+    Array.from(usersInRoom(deps, room))
+      .filter((id) => doc !== undefined && !permissions.checkAccess(doc, id))
+      .filter((id) => broadcast.kind === 'room' || !presence || presence.entry(id).status === 'online')
+      .forEach((id) => { if (!targets.has(id)) targets.set(id, broadcast.kind); });
+  }
+  targets.delete(String(sender));
+
+  const byKind = new Map(); // kind -> [userId]
+  targets.forEach((kind, userId) => byKind.set(kind, [...(byKind.get(kind) || []), userId]));
+  await Promise.all(Array.from(byKind, ([kind, userIds]) => notifications.send(deps, userIds, {
+    type: 'mention',
+    mention: kind,
+    title: `${message.from} mentioned ${kind === 'user' ? 'you' : `@${kind}`} in ${room}`,
+    body: message.content,
+    messageId: String(message._id),
+    parentId: message.parentId ? String(message.parentId) : null,
+    room
+  })));
+}
+
+module.exports = { mentionPattern, parse, notify, BROADCAST_COOLDOWN_MS };
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../repositories');
+const { createOnlineUsers } = require('../socket/online');
+const mentions = require('./mentions');
+const messageEdits = require('./messageEdits');
+
+// an io stand-in that records what went where; `joined` maps Socket.IO rooms to their socket ids
+function fakeIo(joined = {}) {
+  const sent = [];
+  const rooms = new Map(Object.entries(joined).map(([room, sids]) => [room, new Set(sids)]));
+  return {
+    sent,
+    sockets: { adapter: { rooms } },
+    to: (target) => ({ emit: (event, payload) => sent.push({ target, event, payload }) })
+  };
+}
+
+const notified = (io) => io.sent.filter(({ event }) => event === 'notification')
+  .map(({ target, payload }) => [[].concat(target).join(','), payload.mention]);
+
+describe('mentions.mentionPattern', () => {
+  it('matches whole @names only', () => {
+    assert.equal(mentions.mentionPattern('ann').test('hey @ANN!'), true);
+    assert.equal(mentions.mentionPattern('ann').test('hey @annabel'), false);
+    assert.equal(mentions.mentionPattern('ann').test('mail ann@ann.dev'), false);
+    assert.equal(mentions.mentionPattern('Ann Lee').test('@ann lee, look'), true);
+    assert.equal(mentions.mentionPattern(null), null);
+  });
+});
+
+describe('mentions.parse', () => {
+  let repos;
+  let online;
+
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    online = createOnlineUsers();
+    online.add('s1', { userId: 'u1', userName: 'Ann Lee' });
+    await repos.users.touchProfile({ userId: 'u2', userName: 'bob' });
+    await repos.users.touchProfile({ userId: 'u3', userName: 'carol' });
+    await repos.rooms.create({ name: 'secret', createdBy: 'u1', isPrivate: true, members: ['u1', 'u2'] });
+  });
+
+  it('finds online users by full name, others by handle, and room-wide mentions', async () => {
+    const found = await mentions.parse({ repos, online }, '@here: @Ann Lee and @bob, not @nobody', 'global');
+    assert.deepEqual(found, [
+      { kind: 'here' },
+      { kind: 'user', userId: 'u1', userName: 'Ann Lee' },
+      { kind: 'user', userId: 'u2', userName: 'bob' }
+    ]);
+  });
+
+  it('leaves out users who cannot read the room, and rooms that do not exist', async () => {
+    assert.deepEqual((await mentions.parse({ repos, online }, '@bob @carol', 'secret')).map((m) => m.userName), ['bob']);
+    assert.deepEqual(await mentions.parse({ repos, online }, '@bob', 'nowhere'), []);
+    assert.deepEqual(await mentions.parse({ repos, online }, 'no mentions', 'global'), []);
+  });
+});
+
+describe('mentions.notify', () => {
+  let repos;
+  let online;
+
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    online = createOnlineUsers();
+    [['s1', 'u1', 'ann'], ['s2', 'u2', 'bob'], ['s3', 'u3', 'carol'], ['s4', 'u4', 'dave']].forEach(([sid, userId, userName]) => online.add(sid, { userId, userName }));
+    await repos.rooms.create({ name: 'dev', createdBy: 'u1', isPrivate: true, members: ['u1', 'u2', 'u3'] });
+  });
+
+  const message = (sender, room, kinds) => ({
+    _id: 'm1', from: sender, room, content: 'look', mentions: kinds.map((kind) => (typeof kind === 'string' ? { kind } : kind))
+  });
+
+  it('sends @room to the room\'s readers with a socket in it, not to the sender', async () => {
+    // carol has not joined the room; dave has, but is not a member
+    const io = fakeIo({ dev: ['s1', 's2', 's4'] });
+    await mentions.notify({ repos, io, online }, message('ann', 'dev', ['room']), { sender: 'u1' });
+    assert.deepEqual(notified(io), [['s2', 'room']]);
+  });
+
+  it('sends @here only to readers whose presence is online', async () => {
+    const io = fakeIo({ dev: ['s1', 's2', 's3'] });
+    const presence = { entry: (id) => ({ status: id === 'u3' ? 'away' : 'online' }) };
+    await mentions.notify({ repos, io, online, presence }, message('bob', 'dev', ['here']), { sender: 'u2' });
+    assert.deepEqual(notified(io), [['s1', 'here']]);
+  });
+
+  it('limits a sender to one broadcast per room within the cooldown, still notifying named users', async () => {
+    const io = fakeIo({ dev: ['s1', 's2', 's3'] });
+    const deps = { repos, io, online };
+    await mentions.notify(deps, message('carol', 'dev', ['room']), { sender: 'u3' });
+    io.sent.length = 0;
+    await mentions.notify(deps, message('carol', 'dev', ['room', { kind: 'user', userId: 'u2', userName: 'bob' }]), { sender: 'u3' });
+    assert.deepEqual(notified(io), [['s2', 'user']]);
+  });
+
+  it('skips mentions that were already notified', async () => {
+    const io = fakeIo();
+    const bob = { kind: 'user', userId: 'u2', userName: 'bob' };
+    const carol = { kind: 'user', userId: 'u3', userName: 'carol' };
+    await mentions.notify({ repos, io, online }, message('ann', 'dev', [bob, carol]), { sender: 'u1', skip: [bob] });
+    assert.deepEqual(notified(io), [['s3', 'user']]);
+  });
+});
+
+describe('mentions on edit', () => {
+  it('notifies only the users an edit newly mentions', async () => {
+    const repos = createRepositories({ driver: 'memory' });
+    const online = createOnlineUsers();
+    [['s1', 'u1', 'ann'], ['s2', 'u2', 'bob'], ['s3', 'u3', 'carol']].forEach(([sid, userId, userName]) => online.add(sid, { userId, userName }));
+    const io = fakeIo();
+    const deps = { repos, io, online };
+    const msg = await repos.messages.create({
+      content: 'hi @bob', from: 'ann', fromId: 'u1', room: 'global', mentions: await mentions.parse(deps, 'hi @bob', 'global')
+    });
+
+    const { message } = await messageEdits.editMessage(deps, { userId: 'u1', userName: 'ann' }, msg._id, 'hi @bob and @carol');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(message.mentions.map((m) => m.userName), ['bob', 'carol']);
+    assert.deepEqual(notified(io), [['s3', 'user']]);
+  });
+});
@@ -0,0 +1,85 @@
+// Message edits and the follow-ups of timeline changes, shared by the socket handlers and the REST
+// controllers so both paths authorize, record and broadcast a change the same way.
+// `deps` is { repos, io, online, presence, webhooks?, roomEvents? } (the socket handler context, or the same taken
+// from the express app); `online` (socket/online.js) is how the two parties of a private message are reached.
+// With `roomEvents` (see ./roomEvents), room events are logged and sequenced for replay.
+const { isAuthor } = require('./permissions');
+const roomAccess = require('./roomAccess');
+const unread = require('./unread');
+const groups = require('./groups');
+const mentions = require('./mentions');
+const messageText = require('./messageText');
+
+// send `event` to the message's room, to every socket of both parties of a private message, or to a
+// group's participants (looked up, so that case returns a promise, as does a logged room event; it
+// never rejects)
+function emitForMessage(deps, msg, event, payload) {
+  const { io, online } = deps;
+  if (!io) return;
+  if (msg.conversationId) {
+    return groups.emitToGroup(deps, msg.conversationId, event, payload)
+      .catch((err) => console.warn(`${event} to group failed`, err && err.message));
+  }
+  if (!msg.private) {
+    if (deps.roomEvents) return deps.roomEvents.publish(msg.room || 'global', event, payload);
+    io.to(msg.room || 'global').emit(event, payload);
+    return;
+  }
+  if (online) online.socketsOfParties(msg).forEach((sid) => io.to(sid).emit(event, payload));
+}
+
+/**
+ * After a room's timeline changed (new, edited, deleted or cleared messages), push fresh unread
+ * counts to everyone online who can read it; `reader` ({ userId, userName }) has read up to their
+ * own new `message`. Never throws: callers have already answered.
+ */
+function timelineChanged(deps, room, { reader, message } = {}) {
+  const update = reader
+    ? unread.markRead(deps, reader, room, message._id).then(() => unread.refreshRoom(deps, room, { except: reader.userId }))
+    : unread.refreshRoom(deps, room);
+  update.catch((err) => console.warn('unread refresh failed', err && err.message));
+}
+
+/**
+ * Edit `messageId` to `content` on behalf of `requester` ({ userId, userName }); only its author may,
+ * and only while they may still read it. The previous version is kept in editHistory and everyone who
+ * can see the message gets `messageEdited`. A room message's @mentions are parsed again: anyone it newly
+ * mentions is notified, and room counts are refreshed; the room's webhooks get `message.edited`.
+ * Returns { message, changed } or { error }: 'content_required', 'content_too_long' (with `max`),
+ * 'not_found', 'forbidden' (with the details of utils/roomAccess), 'not_authorized', 'not_editable'
+ * (file messages have no text).
+ */
+async function editMessage(deps, requester, messageId, content) {
+  const body = messageText.clean(content);
+  if (body.error === 'content_too_long') return body;
+  if (body.error) return { error: 'content_required' };
+  const text = body.text;
+  let msg = await deps.repos.messages.findById(messageId);
+  if (!msg) return { error: 'not_found' };
+  const denied = await roomAccess.checkMessageRead(deps.repos, msg, requester);
+  if (denied) return denied;
+  if (!isAuthor(msg, requester.userId)) return { error: 'not_authorized' };
+  if (typeof msg.content !== 'string') return { error: 'not_editable' };
+
+  const before = msg.mentions || [];
+  const changed = msg.content !== text;
+  if (changed) {
+    msg = await deps.repos.messages.update(msg._id, {
+      content: text,
+      ...(msg.private ? {} : { mentions: await mentions.parse(deps, text, msg.room) }),
+      edited: true,
+      editedAt: new Date(),
+      editHistory: [...(msg.editHistory || []), { content: msg.content, timestamp: msg.editedAt || msg.timestamp }]
+    });
+  }
+  await emitForMessage(deps, msg, 'messageEdited', msg);
+  if (changed && !msg.private) {
+    mentions.notify(deps, msg, { sender: requester.userId, skip: before })
+      .catch((err) => console.warn('mention notify failed', err && err.message));
+    if (!msg.parentId) timelineChanged(deps, msg.room);
+    if (deps.webhooks) deps.webhooks.dispatchMessage('message.edited', msg);
+  }
+  return { message: msg, changed };
+}
+
+module.exports = { emitForMessage, timelineChanged, editMessage };
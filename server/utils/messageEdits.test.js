@@ -0,0 +1,90 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../repositories');
+const { createOnlineUsers } = require('../socket/online');
+const messageEdits = require('./messageEdits');
+
+// an io stand-in that records what went where
+function fakeIo() {
+  const sent = [];
+  return { sent, to: (target) => ({ emit: (event, payload) => sent.push({ target, event, payload }) }) };
+}
+
+const ann = { userId: 'u1', userName: 'ann' };
+
+describe('messageEdits.editMessage', () => {
+  let repos;
+  let stored;
+  let io;
+  let deps;
+
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    stored = await repos.messages.create({ content: 'first', from: 'ann', fromId: 'u1', room: 'dev', timestamp: new Date(Date.UTC(2024, 0, 1)) });
+    io = fakeIo();
+    const online = createOnlineUsers();
+    [['s1', 'u1', 'ann'], ['s2', 'u2', 'bob'], ['s3', 'u3', 'carol']].forEach(([sid, userId, userName]) => online.add(sid, { userId, userName }));
+    deps = { repos, io, online };
+  });
+
+  it('lets the author edit, keeping the previous version', async () => {
+    const { message, changed } = await messageEdits.editMessage(deps, ann, stored._id, ' \nsecond  ');
+    assert.equal(changed, true);
+    assert.equal(message.content, 'second');
+    assert.equal(message.edited, true);
+    assert.ok(message.editedAt instanceof Date);
+    assert.deepEqual(message.editHistory.map((e) => e.content), ['first']);
+    assert.equal((await repos.messages.findById(stored._id)).content, 'second');
+    assert.deepEqual(io.sent.map(({ target, event }) => [target, event]), [['dev', 'messageEdited']]);
+  });
+
+  it('refuses anyone else, even under the author\'s name', async () => {
+    assert.deepEqual(await messageEdits.editMessage(deps, { userId: 'u2', userName: 'ann' }, stored._id, 'hijacked'), { error: 'not_authorized' });
+    assert.deepEqual(await messageEdits.editMessage(deps, { userId: null, userName: 'ann' }, stored._id, 'hijacked'), { error: 'not_authorized' });
+    assert.equal((await repos.messages.findById(stored._id)).content, 'first');
+    assert.equal(io.sent.length, 0);
+  });
+
+  it('refuses messages without a sender id, which no one can be proven to have written', async () => {
+    await repos.messages.update(stored._id, { fromId: null });
+    assert.deepEqual(await messageEdits.editMessage(deps, ann, stored._id, 'second'), { error: 'not_authorized' });
+  });
+
+  it('reports empty or overlong content, missing messages and file messages', async () => {
+    assert.deepEqual(await messageEdits.editMessage(deps, ann, stored._id, '   '), { error: 'content_required' });
+    assert.deepEqual(await messageEdits.editMessage(deps, ann, stored._id, 'x'.repeat(4001)), { error: 'content_too_long', max: 4000 });
+    assert.deepEqual(await messageEdits.editMessage(deps, ann, 'nope', 'second'), { error: 'not_found' });
+    await repos.messages.update(stored._id, { content: null });
+    assert.deepEqual(await messageEdits.editMessage(deps, ann, stored._id, 'second'), { error: 'not_editable' });
+  });
+
+  it('rebroadcasts an unchanged edit without recording a version', async () => {
+    const { message, changed } = await messageEdits.editMessage(deps, ann, stored._id, 'first');
+    assert.equal(changed, false);
+    assert.equal(message.edited, false);
+    assert.equal(message.editHistory.length, 0);
+    assert.equal(io.sent.length, 1);
+  });
+
+  it('refreshes the room\'s unread counts when an edit adds a mention', async () => {
+    await repos.rooms.create({ name: 'dev', createdBy: 'u1' });
+    await messageEdits.editMessage(deps, ann, stored._id, 'first, @bob');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const pushed = io.sent.filter(({ event, target }) => event === 'unreadCounts' && target.includes('s2'));
+    assert.deepEqual(pushed.map(({ payload }) => payload.rooms.dev.mentions), [1]);
+  });
+
+  it('tells the room\'s webhooks about changed edits only', async () => {
+    const dispatched = [];
+    deps.webhooks = { dispatchMessage: (event, msg) => dispatched.push([event, msg.content]) };
+    await messageEdits.editMessage(deps, ann, stored._id, 'first');
+    await messageEdits.editMessage(deps, ann, stored._id, 'second');
+    assert.deepEqual(dispatched, [['message.edited', 'second']]);
+  });
+
+  it('sends a private message\'s edit to both parties only', async () => {
+    await repos.messages.update(stored._id, { private: true, room: null, to: 'bob', toId: 'u2' });
+    await messageEdits.editMessage(deps, ann, stored._id, 'second');
+    assert.deepEqual(io.sent.map(({ target }) => target), ['s1', 's2']);
+  });
+});
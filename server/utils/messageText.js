@@ -0,0 +1,21 @@
+// Message text is stored as the Markdown source the sender typed. Clients render a safe subset of it
+// (bold, italic, inline code, fenced code blocks, links, lists and blockquotes) and never raw HTML,
+// so the server does not rewrite it; it only normalises line endings and bounds the length, the same
+// way for sockets, REST, DMs, groups, thread replies, edits and bots.
+const MAX_CONTENT_LENGTH = 4000;
+
+/**
+ * `{ text }` for a message's `content`, or `{ error }`: 'content_required' (unless `optional`, when
+ * text is null instead) or 'content_too_long' with `max`. Blank lines and spaces around the text are
+ * dropped, but the first line keeps its indentation so an indented code block survives.
+ */
+function clean(content, { optional = false } = {}) {
+  const text = typeof content === 'string'
+    ? content.replace(/\r\n?/g, '\n').replace(/\u0000/g, '').replace(/^(?:[ \t]*\n)+/, '').trimEnd()
+    : '';
+  if (!text.trim()) return optional ? { text: null } : { error: 'content_required' };
+  if (text.length > MAX_CONTENT_LENGTH) return { error: 'content_too_long', max: MAX_CONTENT_LENGTH };
+  return { text };
+}
+
+module.exports = { MAX_CONTENT_LENGTH, clean };
@@ -0,0 +1,20 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_CONTENT_LENGTH, clean } = require('./messageText');
+
+describe('messageText.clean', () => {
+  it('keeps the Markdown source, normalising line endings and outer blank lines', () => {
+    assert.deepEqual(clean('\r\n  \n    indented code\r\n**bold** <b>\u0000\n\n'), { text: '    indented code\n**bold** <b>' });
+  });
+
+  it('requires text unless told it is optional', () => {
+    assert.deepEqual(clean(' \n\t'), { error: 'content_required' });
+    assert.deepEqual(clean({ $gt: '' }), { error: 'content_required' });
+    assert.deepEqual(clean('', { optional: true }), { text: null });
+  });
+
+  it('bounds the length', () => {
+    assert.deepEqual(clean('x'.repeat(MAX_CONTENT_LENGTH)), { text: 'x'.repeat(MAX_CONTENT_LENGTH) });
+    assert.deepEqual(clean('x'.repeat(MAX_CONTENT_LENGTH + 1)), { error: 'content_too_long', max: MAX_CONTENT_LENGTH });
+  });
+});
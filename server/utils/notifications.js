@@ -0,0 +1,79 @@
+// The notification center: notifications addressed to a user (DMs, group messages, mentions,
+// reactions to their messages, invitations) are stored per user with read state and pushed to
+// every socket they have open. Whatever arrived while they were offline is in the `notifications`
+// snapshot sent on their next connect. `deps` is { repos, io, online } as in the other shared utils.
+// Presence join / leave notices are broadcast to everyone and not stored.
+const { isAnonymousId } = require('../socket/online');
+const { pageSize } = require('./history');
+
+// the client shape: the stored `data` fields (messageId, room, ...) sit next to type, title and body,
+// as they did before notifications were stored
+const view = (n) => ({
+  ...n.data,
+  id: String(n._id),
+  type: n.type,
+  title: n.title,
+  body: n.body,
+  read: !!n.read,
+  createdAt: n.createdAt
+});
+
+const socketsOf = ({ online }, userId) => (online && online.resolve(userId)?.sockets) || [];
+
+/**
+ * Store `{ type, title, body, ...data }` for each of `userIds` and emit it as `notification` to
+ * their sockets. Anonymous users (who get a new id on every connect) are only sent it live.
+ * Never throws: a failed save is logged and the notice is still delivered.
+ */
+async function send(deps, userIds, { type, title, body, ...data }) {
+  const targets = Array.from(new Set(userIds.filter(Boolean).map(String)));
+  await Promise.all(targets.map(async (userId) => {
+    let doc = { _id: null, userId, type, title, body, data, read: false, createdAt: new Date() };
+    if (!isAnonymousId(userId)) {
+      try {
+        doc = await deps.repos.notifications.create({ userId, type, title, body, data });
+      } catch (err) {
+        console.warn('[notifications] save failed', err && err.message);
+      }
+    }
+    const sockets = socketsOf(deps, userId);
+    if (sockets.length) deps.io.to(sockets).emit('notification', view(doc));
+  }));
+}
+
+// { notifications, unread, hasMore }: one page of `userId`'s notifications, newest first
+async function list({ repos }, userId, { before, limit = 30, unreadOnly = false } = {}) {
+  const [page, unread] = await Promise.all([
+    repos.notifications.listForUser(userId, { before, limit: pageSize(limit), unreadOnly: !!unreadOnly }),
+    repos.notifications.countUnread(userId)
+  ]);
+  return { notifications: page.notifications.map(view), unread, hasMore: page.hasMore };
+}
+
+// keep every device in step: `notificationsUpdated` { unread, read?, cleared? } where read / cleared
+// are the ids affected, or 'all'
+async function pushUpdate(deps, userId, change) {
+  const sockets = socketsOf(deps, userId);
+  if (!sockets.length) return;
+  deps.io.to(sockets).emit('notificationsUpdated', { ...change, unread: await deps.repos.notifications.countUnread(userId) });
+}
+
+const cleanIds = (ids) => (Array.isArray(ids) ? ids.map(String) : null);
+
+// mark `ids` (all when omitted) read; returns { updated, unread }
+async function markRead(deps, userId, ids) {
+  const only = cleanIds(ids);
+  const updated = await deps.repos.notifications.markRead(userId, only);
+  if (updated) await pushUpdate(deps, userId, { read: only || 'all' });
+  return { updated, unread: await deps.repos.notifications.countUnread(userId) };
+}
+
+// delete `ids` (all when omitted, or every read one with `readOnly`); returns { cleared, unread }
+async function clear(deps, userId, { ids, readOnly = false } = {}) {
+  const only = cleanIds(ids);
+  const cleared = await deps.repos.notifications.clear(userId, { ids: only, readOnly: !!readOnly });
+  if (cleared) await pushUpdate(deps, userId, { cleared: only || (readOnly ? 'read' : 'all') });
+  return { cleared, unread: await deps.repos.notifications.countUnread(userId) };
+}
+
+module.exports = { send, list, markRead, clear };
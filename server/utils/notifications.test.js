@@ -0,0 +1,74 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../repositories');
+const { createOnlineUsers } = require('../socket/online');
+const notifications = require('./notifications');
+
+// an io stand-in that records what went where
+function fakeIo() {
+  const sent = [];
+  return { sent, to: (target) => ({ emit: (event, payload) => sent.push({ target, event, payload }) }) };
+}
+
+const at = (seconds) => new Date(Date.UTC(2024, 0, 1, 0, 0, seconds));
+
+describe('notifications', () => {
+  let repos;
+  let io;
+  let deps;
+
+  beforeEach(() => {
+    repos = createRepositories({ driver: 'memory' });
+    io = fakeIo();
+    const online = createOnlineUsers();
+    online.add('s1', { userId: 'u1', userName: 'ann' });
+    online.add('s2', { userId: 'u1', userName: 'ann' });
+    online.add('s9', { userId: 'anon-s9', userName: 'Anonymous' });
+    deps = { repos, io, online };
+  });
+
+  it('stores a notice per user and pushes it to every socket of those online', async () => {
+    await notifications.send(deps, ['u1', 'u2', 'u1'], { type: 'invite', title: 'Invitation', body: 'join #dev', room: 'dev' });
+    assert.deepEqual(io.sent.map(({ target, event }) => [target, event]), [[['s1', 's2'], 'notification']]);
+    const pushed = io.sent[0].payload;
+    assert.deepEqual([pushed.type, pushed.room, pushed.read], ['invite', 'dev', false]);
+
+    // bob was offline: it waits for him
+    const { notifications: waiting, unread } = await notifications.list(deps, 'u2');
+    assert.equal(unread, 1);
+    assert.deepEqual(waiting.map((n) => [n.type, n.title, n.room]), [['invite', 'Invitation', 'dev']]);
+  });
+
+  it('only delivers anonymous users\' notices live', async () => {
+    await notifications.send(deps, ['anon-s9'], { type: 'message', title: 'hi' });
+    assert.deepEqual(io.sent.map(({ target }) => target), [['s9']]);
+    assert.equal(await repos.notifications.countUnread('anon-s9'), 0);
+  });
+
+  it('pages newest first', async () => {
+    for (let i = 1; i <= 3; i++) await repos.notifications.create({ userId: 'u1', type: 'message', title: `n${i}`, createdAt: at(i) });
+    const first = await notifications.list(deps, 'u1', { limit: 2 });
+    assert.deepEqual(first.notifications.map((n) => n.title), ['n3', 'n2']);
+    assert.equal(first.hasMore, true);
+    const rest = await notifications.list(deps, 'u1', { before: first.notifications[1].id, limit: 2 });
+    assert.deepEqual(rest.notifications.map((n) => n.title), ['n1']);
+    assert.equal(rest.hasMore, false);
+  });
+
+  it('marks read and clears, keeping every device in step', async () => {
+    const a = await repos.notifications.create({ userId: 'u1', type: 'message', title: 'a', createdAt: at(1) });
+    await repos.notifications.create({ userId: 'u1', type: 'message', title: 'b', createdAt: at(2) });
+    await repos.notifications.create({ userId: 'u2', type: 'message', title: 'not ann\'s' });
+
+    assert.deepEqual(await notifications.markRead(deps, 'u1', [a._id]), { updated: 1, unread: 1 });
+    assert.deepEqual(io.sent.map(({ target, event, payload }) => [target, event, payload]), [[['s1', 's2'], 'notificationsUpdated', { read: [String(a._id)], unread: 1 }]]);
+    assert.deepEqual((await notifications.list(deps, 'u1', { unreadOnly: true })).notifications.map((n) => n.title), ['b']);
+
+    assert.deepEqual(await notifications.clear(deps, 'u1', { readOnly: true }), { cleared: 1, unread: 1 });
+    assert.deepEqual(await notifications.clear(deps, 'u1', { ids: ['missing'] }), { cleared: 0, unread: 1 });
+    assert.deepEqual(await notifications.markRead(deps, 'u1'), { updated: 1, unread: 0 });
+    assert.deepEqual(await notifications.clear(deps, 'u1'), { cleared: 1, unread: 0 });
+    assert.equal(await repos.notifications.countUnread('u2'), 1);
+    assert.equal(io.sent.at(-1).payload.cleared, 'all');
+  });
+});
@@ -0,0 +1,159 @@
+// Room roles and the permission checks shared by the REST controllers and socket handlers.
+// Roles live on Room.roles as { userId, role }; anyone without an entry is a member.
+// Private rooms only admit their members: outsiders have no role there at all.
+
+const ROLES = ['member', 'moderator', 'admin', 'owner']; // lowest to highest
+const rank = (role) => ROLES.indexOf(role);
+
+// minimum role for each guarded action
+const REQUIRED_ROLE = {
+  'room.clear': 'moderator',
+  'room.delete': 'owner',
+  'message.delete': 'moderator', // someone else's message; authors may always delete their own
+  'role.manage': 'admin',
+  'member.invite': 'member', // private rooms: any member may invite
+  'member.remove': 'moderator', // and someone ranked below the remover
+  'member.mute': 'moderator', // likewise
+  'room.topic': 'moderator',
+  'webhook.manage': 'admin',
+  'integration.manage': 'admin' // incoming webhooks and bot tokens
+};
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+function roleOf(room, userId) {
+  if (!room || !userId) return null;
+  const entry = (room.roles || []).find((r) => sameId(r.userId, userId));
+  if (entry) return entry.role;
+  // rooms created before roles existed: the creator is the owner
+  if (sameId(room.createdBy, userId)) return 'owner';
+  if (room.isPrivate && !(room.members || []).some((m) => sameId(m, userId))) return null;
+  return 'member';
+}
+
+// members, anyone holding a role, and the creator belong to a room
+function isMember(room, userId) {
+  if (!room || !userId) return false;
+  return (room.members || []).some((m) => sameId(m, userId))
+    || (room.roles || []).some((r) => sameId(r.userId, userId))
+    || sameId(room.createdBy, userId);
+}
+
+const isInvited = (room, userId) => !!room && (room.invites || []).some((i) => sameId(i.userId, userId));
+
+// explicit roles, including a creator who only has the implicit owner role
+function listRoles(room) {
+  const roles = (room.roles || []).map((r) => ({ userId: r.userId, role: r.role }));
+  const creatorListed = roles.some((r) => r.role === 'owner' || String(r.userId) === String(room.createdBy));
+  if (room.createdBy && !creatorListed) {
+    roles.unshift({ userId: String(room.createdBy), role: 'owner' });
+  }
+  return roles;
+}
+
+const forbidden = (action, required, role) => ({ error: 'forbidden', action, required, role: role || null });
+
+// null when `userId` may perform `action` in `room`, otherwise a structured `forbidden` error
+function check(room, userId, action) {
+  const required = REQUIRED_ROLE[action];
+  if (!required) throw new Error(`Unknown action: ${action}`);
+  const role = roleOf(room, userId);
+  if (role && rank(role) >= rank(required)) return null;
+  return forbidden(action, required, role);
+}
+
+const can = (room, userId, action) => !check(room, userId, action);
+
+// may `userId` join and read `room`? Public rooms (and the global room, which has no doc) are open.
+function checkAccess(room, userId) {
+  if (!room || !room.isPrivate || isMember(room, userId)) return null;
+  return forbidden('room.read', 'member', null);
+}
+
+// did `userId` write `msg`? By the sender's user id, never the display name, which anyone can claim.
+// Integrations post under display names anyone might share, so their messages have no author.
+const isAuthor = (msg, userId) => !!userId && !!msg.fromId && !msg.bot && msg.fromId === String(userId);
+
+// authors may always delete their own messages; moderators and up anyone's in their room
+function checkMessageDelete(msg, room, { userId }) {
+  if (isAuthor(msg, userId)) return null;
+  if (!room) return forbidden('message.delete', 'author', null);
+  return check(room, userId, 'message.delete');
+}
+
+// may `actorId` set `targetId`'s role to `role` (null/'member' revokes)?
+// Admins manage roles below their own; only the owner can hand over ownership.
+function checkRoleChange(room, actorId, targetId, role) {
+  const next = role || 'member';
+  if (!ROLES.includes(next)) return { error: 'invalid_role' };
+  const denied = check(room, actorId, 'role.manage');
+  if (denied) return denied;
+
+  const actorRole = roleOf(room, actorId);
+  if (String(actorId) === String(targetId)) return forbidden('role.manage', 'owner', actorRole);
+  if (next === 'owner') return actorRole === 'owner' ? null : forbidden('role.manage', 'owner', actorRole);
+  const targetRole = roleOf(room, targetId);
+  if (rank(targetRole) >= rank(actorRole) || rank(next) >= rank(actorRole)) {
+    const needed = ROLES[Math.min(Math.max(rank(targetRole), rank(next)) + 1, ROLES.length - 1)];
+    return forbidden('role.manage', needed, actorRole);
+  }
+  return null;
+}
+
+// may `actorId` take `action` (member.remove, member.mute) against `targetId`? The actor must outrank the target.
+function checkModeration(room, actorId, targetId, action) {
+  const denied = check(room, actorId, action);
+  if (denied) return denied;
+  const actorRole = roleOf(room, actorId);
+  const targetRole = roleOf(room, targetId) || 'member';
+  if (sameId(actorId, targetId) || rank(targetRole) >= rank(actorRole)) {
+    return forbidden(action, ROLES[Math.min(rank(targetRole) + 1, ROLES.length - 1)], actorRole);
+  }
+  return null;
+}
+
+// may `actorId` remove `targetId` from a room? Leaving is separate.
+const checkMemberRemoval = (room, actorId, targetId) => checkModeration(room, actorId, targetId, 'member.remove');
+
+// `userId`'s mute in `room` if one is in force ({ userId, until, by }; until null is indefinite), else null
+function activeMute(room, userId) {
+  const mute = room && (room.mutes || []).find((m) => sameId(m.userId, userId));
+  return mute && (!mute.until || new Date(mute.until) > new Date()) ? mute : null;
+}
+
+// null when `userId` may post in `room` (reading is checkAccess), otherwise a `muted` error
+function checkMuted(room, userId) {
+  const mute = activeMute(room, userId);
+  return mute ? { error: 'muted', until: mute.until || null } : null;
+}
+
+// check and apply a role change; handing over ownership makes the previous owner an admin.
+// Returns { room } or an error object.
+async function changeRole(repos, room, actorId, targetId, role) {
+  const denied = checkRoleChange(room, actorId, targetId, role);
+  if (denied) return denied;
+  const next = role && role !== 'member' ? role : null;
+  let updated = await repos.rooms.setRole(room._id, targetId, next);
+  if (next === 'owner') updated = await repos.rooms.setRole(room._id, actorId, 'admin');
+  return { room: updated };
+}
+
+module.exports = {
+  ROLES,
+  REQUIRED_ROLE,
+  roleOf,
+  isMember,
+  isInvited,
+  listRoles,
+  check,
+  can,
+  checkAccess,
+  isAuthor,
+  checkMessageDelete,
+  checkRoleChange,
+  checkModeration,
+  checkMemberRemoval,
+  activeMute,
+  checkMuted,
+  changeRole
+};
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../repositories');
+const permissions = require('./permissions');
+
+// owner u1 (creator), admin u2, moderator u3; everyone else is a member
+const room = {
+  _id: 'r1',
+  name: 'dev',
+  createdBy: 'u1',
+  roles: [{ userId: 'u2', role: 'admin' }, { userId: 'u3', role: 'moderator' }]
+};
+
+describe('permissions', () => {
+  it('treats the creator as owner and anyone unlisted as a member', () => {
+    assert.equal(permissions.roleOf(room, 'u1'), 'owner');
+    assert.equal(permissions.roleOf(room, 'u3'), 'moderator');
+    assert.equal(permissions.roleOf(room, 'u9'), 'member');
+    assert.equal(permissions.roleOf(room, null), null);
+    assert.deepEqual(permissions.listRoles(room).map((r) => [r.userId, r.role]), [['u1', 'owner'], ['u2', 'admin'], ['u3', 'moderator']]);
+  });
+
+  it('requires the minimum role for each action', () => {
+    assert.equal(permissions.check(room, 'u3', 'room.clear'), null);
+    assert.deepEqual(permissions.check(room, 'u9', 'room.clear'), { error: 'forbidden', action: 'room.clear', required: 'moderator', role: 'member' });
+    assert.equal(permissions.can(room, 'u2', 'room.delete'), false);
+    assert.equal(permissions.can(room, 'u1', 'room.delete'), true);
+    assert.throws(() => permissions.check(room, 'u1', 'room.rename'), /Unknown action/);
+  });
+
+  it('knows authors by user id only', () => {
+    const msg = { from: 'ann', fromId: 'u9' };
+    assert.equal(permissions.isAuthor(msg, 'u9'), true);
+    assert.equal(permissions.isAuthor(msg, 'u8'), false);
+    assert.equal(permissions.isAuthor({ from: 'ann', fromId: null }, null), false);
+    // integrations' messages have no author, whatever they carry
+    assert.equal(permissions.isAuthor({ ...msg, bot: { integrationId: 'i1', kind: 'bot', name: 'ann' } }, 'u9'), false);
+  });
+
+  it('lets authors delete their own messages and moderators anyone\'s in their room', () => {
+    const msg = { from: 'ann', fromId: 'u9', room: 'dev' };
+    assert.equal(permissions.checkMessageDelete(msg, room, { userId: 'u9' }), null);
+    assert.equal(permissions.checkMessageDelete(msg, room, { userId: 'u3' }), null);
+    assert.equal(permissions.checkMessageDelete(msg, room, { userId: 'u8' }).error, 'forbidden');
+    // outside a room (a DM) only the author may
+    assert.deepEqual(permissions.checkMessageDelete({ ...msg, room: null }, null, { userId: 'u3' }), { error: 'forbidden', action: 'message.delete', required: 'author', role: null });
+  });
+
+  it('lets admins manage roles below their own only', () => {
+    assert.equal(permissions.checkRoleChange(room, 'u2', 'u9', 'moderator'), null);
+    assert.equal(permissions.checkRoleChange(room, 'u2', 'u3', null), null);
+    assert.equal(permissions.checkRoleChange(room, 'u2', 'u9', 'admin').required, 'owner');
+    assert.equal(permissions.checkRoleChange(room, 'u2', 'u2', 'member').error, 'forbidden');
+    assert.equal(permissions.checkRoleChange(room, 'u3', 'u9', 'moderator').required, 'admin');
+    assert.deepEqual(permissions.checkRoleChange(room, 'u1', 'u9', 'superuser'), { error: 'invalid_role' });
+  });
+
+  it('hands ownership over, leaving the previous owner an admin', async () => {
+    const repos = createRepositories({ driver: 'memory' });
+    const stored = await repos.rooms.create({ name: 'dev', createdBy: 'u1' });
+    const { room: updated } = await permissions.changeRole(repos, stored, 'u1', 'u2', 'owner');
+    assert.equal(permissions.roleOf(updated, 'u2'), 'owner');
+    assert.equal(permissions.roleOf(updated, 'u1'), 'admin');
+    assert.equal((await permissions.changeRole(repos, updated, 'u1', 'u9', 'owner')).error, 'forbidden');
+  });
+});
@@ -0,0 +1,44 @@
+// Token buckets keyed by whatever is being limited (an integration token, a user, ...).
+// Each key holds up to `capacity` tokens and gets one back every `refillMs`; a request takes one.
+// State is in memory, so limits are per server process.
+
+const PRUNE_EVERY_MS = 60 * 1000;
+
+function createRateLimiter({ capacity = 20, refillMs = 1000 } = {}) {
+  const buckets = new Map(); // key -> { tokens, at }
+  let prunedAt = Date.now();
+
+  // a bucket that has refilled is the same as none, so drop those now and then
+  function prune(now) {
+    prunedAt = now;
+    buckets.forEach((bucket, key) => {
+      if (bucket.tokens + Math.floor((now - bucket.at) / refillMs) >= capacity) buckets.delete(key);
+    });
+  }
+
+  // { ok: true } when `key` may go ahead, else { ok: false, retryAfterMs }
+  function take(key) {
+    const now = Date.now();
+    if (now - prunedAt > PRUNE_EVERY_MS) prune(now);
+    const bucket = buckets.get(key) || { tokens: capacity, at: now };
+    const refilled = Math.floor((now - bucket.at) / refillMs);
+    if (refilled > 0) {
+      bucket.tokens = Math.min(capacity, bucket.tokens + refilled);
+      bucket.at = bucket.tokens === capacity ? now : bucket.at + refilled * refillMs;
+    }
+    if (bucket.tokens < 1) {
+      buckets.set(key, bucket);
+      return { ok: false, retryAfterMs: Math.max(1, bucket.at + refillMs - now) };
+    }
+    bucket.tokens -= 1;
+    buckets.set(key, bucket);
+    return { ok: true };
+  }
+
+  // forget `key`, e.g. once its token is revoked
+  const reset = (key) => buckets.delete(key);
+
+  return { take, reset };
+}
+
+module.exports = { createRateLimiter };
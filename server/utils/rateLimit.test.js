@@ -0,0 +1,35 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('./rateLimit');
+
+describe('rate limiter', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('allows a burst of `capacity`, then one request per `refillMs`, per key', () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    const limiter = createRateLimiter({ capacity: 2, refillMs: 1000 });
+    assert.equal(limiter.take('a').ok, true);
+    assert.equal(limiter.take('a').ok, true);
+    assert.deepEqual(limiter.take('a'), { ok: false, retryAfterMs: 1000 });
+    assert.equal(limiter.take('b').ok, true);
+
+    mock.timers.tick(400);
+    assert.deepEqual(limiter.take('a'), { ok: false, retryAfterMs: 600 });
+    mock.timers.tick(600);
+    assert.equal(limiter.take('a').ok, true);
+    assert.equal(limiter.take('a').ok, false);
+
+    mock.timers.tick(10000);
+    assert.equal(limiter.take('a').ok, true);
+    assert.equal(limiter.take('a').ok, true);
+    assert.equal(limiter.take('a').ok, false);
+  });
+
+  it('forgets a key on reset', () => {
+    const limiter = createRateLimiter({ capacity: 1, refillMs: 60000 });
+    limiter.take('a');
+    assert.equal(limiter.take('a').ok, false);
+    limiter.reset('a');
+    assert.equal(limiter.take('a').ok, true);
+  });
+});
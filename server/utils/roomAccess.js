@@ -0,0 +1,175 @@
+// Private room visibility and the invite / accept / decline / revoke flows.
+// Shared by the REST controllers and socket handlers; `deps` is { repos, io, online, webhooks? }.
+const permissions = require('./permissions');
+const groups = require('./groups');
+const notifications = require('./notifications');
+
+const GLOBAL_ROOM = 'global';
+
+const summary = (r) => ({ id: r._id, name: r.name, topic: r.description || '', createdBy: r.createdBy, createdAt: r.createdAt, isPrivate: !!r.isPrivate });
+
+// rooms `userId` may see: every public room plus the private rooms they belong to
+async function visibleRooms(repos, userId) {
+  const rooms = await repos.rooms.list();
+  return rooms.filter((r) => !permissions.checkAccess(r, userId)).map(summary);
+}
+
+// names of the private rooms `userId` may not read, for filtering cross-room queries
+async function hiddenRooms(repos, userId) {
+  const rooms = await repos.rooms.list({ isPrivate: true });
+  return new Set(rooms.filter((r) => permissions.checkAccess(r, userId)).map((r) => r.name));
+}
+
+// null when `userId` may read `roomName`; rooms without a doc (e.g. global) are open
+async function checkRoomRead(repos, roomName, userId) {
+  if (!roomName) return null;
+  const room = await repos.rooms.findByName(roomName);
+  return permissions.checkAccess(room, userId);
+}
+
+// null when `userId` may post in `roomName`: they can read it and are not muted there. With `existing`,
+// a room other than global must also still be there (sockets post to rooms they joined, and a message
+// queued while offline may be for a room deleted since); REST posts keep the open rooms above.
+async function checkRoomPost(repos, roomName, userId, { existing = false } = {}) {
+  if (!roomName) return null;
+  const room = await repos.rooms.findByName(roomName);
+  if (existing && !room && roomName !== GLOBAL_ROOM) return { error: 'room_not_found' };
+  return permissions.checkAccess(room, userId) || permissions.checkMuted(room, userId);
+}
+
+// null when `requester` ({ userId, userName }) may read `msg`: group messages by the group's
+// participants, DMs by their two parties only (by user id; legacy DMs without ids by name),
+// room messages by anyone who may read the room
+async function checkMessageRead(repos, msg, { userId, userName } = {}) {
+  if (msg.conversationId) return groups.checkAccess(await repos.groups.findById(msg.conversationId), userId);
+  if (msg.private) {
+    const party = msg.fromId
+      ? userId && (msg.fromId === String(userId) || msg.toId === String(userId))
+      : userName && (msg.from === userName || msg.to === userName);
+    return party ? null : { error: 'forbidden', action: 'message.read', required: 'participant', role: null };
+  }
+  return checkRoomRead(repos, msg.room, userId);
+}
+
+const socketsOf = ({ io, online }, userId) => {
+  const entry = online && online.resolve(userId);
+  return entry ? entry.sockets.map((sid) => io.sockets.sockets.get(sid)).filter(Boolean) : [];
+};
+
+// send each socket its own rooms list, under both the current and the legacy event name.
+// `target` is io (every socket), a socket, or an array of sockets; returns the list of the last one.
+async function sendRoomsList({ io, repos }, target = io) {
+  const sockets = target === io ? Array.from(io.sockets.sockets.values()) : [].concat(target);
+  const all = await repos.rooms.list();
+  let rooms = [];
+  sockets.forEach((socket) => {
+    rooms = all.filter((r) => !permissions.checkAccess(r, socket.data.userId)).map(summary);
+    socket.emit('roomsList', rooms);
+    socket.emit('rooms', rooms);
+  });
+  return rooms;
+}
+
+const inviteView = (room, invite, online) => ({
+  room: room.name,
+  roomId: room._id,
+  invitedBy: invite.invitedBy,
+  invitedByName: (online && online.resolve(invite.invitedBy)?.userName) || invite.invitedBy,
+  createdAt: invite.createdAt
+});
+
+// pending invitations for `userId`, newest first
+async function listInvites({ repos, online }, userId) {
+  const rooms = await repos.rooms.listInvitedRooms(userId);
+  return rooms
+    .map((room) => inviteView(room, room.invites.find((i) => String(i.userId) === String(userId)), online))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// emit to the room and to every socket of the given users; io.to dedupes
+const notify = (deps, room, userIds, event, payload) => {
+  const sids = userIds.flatMap((id) => socketsOf(deps, id).map((s) => s.id));
+  deps.io.to([room.name, ...sids]).emit(event, payload);
+};
+
+// Each flow returns { room, ... } or an error object ({ error, ... }).
+
+async function invite(deps, room, actorId, targetId) {
+  if (!targetId) return { error: 'user_required' };
+  if (!room.isPrivate) return { error: 'room_not_private' };
+  const denied = permissions.check(room, actorId, 'member.invite');
+  if (denied) return denied;
+  if (permissions.isMember(room, targetId)) return { error: 'already_member' };
+
+  const updated = await deps.repos.rooms.addInvite(room._id, { userId: targetId, invitedBy: actorId, createdAt: new Date() });
+  const view = inviteView(updated, updated.invites.find((i) => String(i.userId) === String(targetId)), deps.online);
+  socketsOf(deps, targetId).forEach((s) => s.emit('roomInvite', view));
+  await notifications.send(deps, [targetId], { type: 'invite', title: `Invitation to ${room.name}`, body: `${view.invitedByName} invited you to ${room.name}`, room: room.name });
+  return { room: updated, invite: view };
+}
+
+async function accept(deps, room, userId) {
+  if (!permissions.isInvited(room, userId)) return { error: 'not_invited' };
+  await deps.repos.rooms.removeInvite(room._id, userId);
+  const updated = await deps.repos.rooms.addMember(room._id, userId);
+  const invitedBy = room.invites.find((i) => String(i.userId) === String(userId)).invitedBy;
+  notify(deps, room, [userId, invitedBy], 'roomInviteAccepted', { room: room.name, roomId: room._id, userId });
+  await sendRoomsList(deps, socketsOf(deps, userId));
+  if (deps.webhooks) deps.webhooks.dispatch(room.name, 'member.joined', { userId: String(userId), invitedBy, via: 'invite' });
+  return { room: updated };
+}
+
+async function decline(deps, room, userId) {
+  const pending = (room.invites || []).find((i) => String(i.userId) === String(userId));
+  if (!pending) return { error: 'not_invited' };
+  const updated = await deps.repos.rooms.removeInvite(room._id, userId);
+  [userId, pending.invitedBy].flatMap((id) => socketsOf(deps, id))
+    .forEach((s) => s.emit('roomInviteDeclined', { room: room.name, roomId: room._id, userId }));
+  return { room: updated };
+}
+
+// withdraw a pending invitation (the inviter, or anyone who may remove members),
+// or remove a member; removed users are dropped from the live room as well
+async function revoke(deps, room, actorId, targetId) {
+  if (!targetId) return { error: 'user_required' };
+  const pending = (room.invites || []).find((i) => String(i.userId) === String(targetId));
+  let updated;
+  let revoked;
+  if (pending) {
+    if (String(pending.invitedBy) !== String(actorId)) {
+      const denied = permissions.check(room, actorId, 'member.remove');
+      if (denied) return denied;
+    }
+    updated = await deps.repos.rooms.removeInvite(room._id, targetId);
+    revoked = 'invite';
+  } else if (permissions.isMember(room, targetId)) {
+    const denied = permissions.checkMemberRemoval(room, actorId, targetId);
+    if (denied) return denied;
+    updated = await deps.repos.rooms.removeMember(room._id, targetId);
+    revoked = 'member';
+  } else {
+    return { error: 'not_found' };
+  }
+
+  const targets = socketsOf(deps, targetId);
+  notify(deps, room, [targetId], 'roomAccessRevoked', { room: room.name, roomId: room._id, userId: targetId, revoked, by: actorId });
+  if (revoked === 'member') {
+    targets.forEach((s) => s.leave(room.name));
+    await sendRoomsList(deps, targets);
+  }
+  return { room: updated, revoked };
+}
+
+module.exports = {
+  visibleRooms,
+  hiddenRooms,
+  checkRoomRead,
+  checkRoomPost,
+  checkMessageRead,
+  sendRoomsList,
+  listInvites,
+  invite,
+  accept,
+  decline,
+  revoke
+};
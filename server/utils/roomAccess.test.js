@@ -0,0 +1,89 @@
+// Private rooms end to end: visibility, the invite flows and read checks on message actions.
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, next } = require('../socket/testServer');
+
+const ANN = ['u1', 'ann'];
+const BOB = ['u2', 'bob'];
+
+describe('private rooms', () => {
+  let srv;
+  let ann;
+  let bob;
+
+  // ann owns the private room `secret` and has posted in it; bob is not a member
+  beforeEach(async () => {
+    srv = await startServer();
+    ann = await srv.client(ANN);
+    bob = await srv.client(BOB);
+    assert.equal((await request(ann, 'createRoom', { name: 'secret', isPrivate: true })).ok, true);
+    await request(ann, 'joinRoom', { room: 'secret' });
+    await request(ann, 'message', { room: 'secret', content: 'for members' });
+  });
+  afterEach(() => srv.close());
+
+  it('stays out of sight of non-members', async () => {
+    const listed = await request(bob, 'rooms_request');
+    assert.deepEqual(listed.rooms.map((r) => r.name), []);
+    assert.equal((await request(bob, 'joinRoom', { room: 'secret' })).error.code, 'forbidden');
+    assert.equal((await request(bob, 'message', { room: 'secret', content: 'let me in' })).error.code, 'forbidden');
+    assert.equal((await srv.http('GET', '/messages/paginate?room=secret', BOB)).status, 403);
+    assert.equal((await srv.http('GET', '/api/messages?room=secret', BOB)).status, 403);
+    assert.equal((await srv.http('GET', '/api/messages?room=secret', null)).status, 403);
+    assert.equal((await srv.http('GET', '/api/messages?room=secret', ANN)).body.length, 1);
+  });
+
+  it('lets a member invite, and the invitee accept into the room', async () => {
+    const invited = next(bob, 'roomInvite');
+    assert.equal((await request(ann, 'inviteToRoom', { room: 'secret', userId: 'u2' })).ok, true);
+    assert.equal((await invited).invitedBy, 'u1');
+    assert.deepEqual((await request(bob, 'roomInvites')).invites.map((i) => i.room), ['secret']);
+
+    const accepted = next(ann, 'roomInviteAccepted');
+    assert.equal((await request(bob, 'acceptInvite', { room: 'secret' })).ok, true);
+    assert.equal((await accepted).userId, 'u2');
+    const joined = await request(bob, 'joinRoom', { room: 'secret' });
+    assert.deepEqual(joined.messages.map((m) => m.content), ['for members']);
+    assert.deepEqual((await request(bob, 'roomInvites')).invites, []);
+  });
+
+  it('refuses to accept without an invitation, and forgets a declined one', async () => {
+    assert.equal((await request(bob, 'acceptInvite', { room: 'secret' })).error.code, 'not_invited');
+    await request(ann, 'inviteToRoom', { room: 'secret', userId: 'u2' });
+    const declined = next(ann, 'roomInviteDeclined');
+    assert.equal((await request(bob, 'declineInvite', { room: 'secret' })).ok, true);
+    assert.equal((await declined).userId, 'u2');
+    assert.equal((await request(bob, 'acceptInvite', { room: 'secret' })).error.code, 'not_invited');
+  });
+
+  it('takes a removed member out of the room, even for their own messages', async () => {
+    await request(ann, 'inviteToRoom', { room: 'secret', userId: 'u2' });
+    await request(bob, 'acceptInvite', { room: 'secret' });
+    await request(bob, 'joinRoom', { room: 'secret' });
+    const { id } = await request(bob, 'message', { room: 'secret', content: 'mine' });
+
+    assert.equal((await request(bob, 'revokeRoomAccess', { room: 'secret', userId: 'u1' })).error.code, 'forbidden');
+    const revoked = next(bob, 'roomAccessRevoked');
+    assert.deepEqual(await request(ann, 'revokeRoomAccess', { room: 'secret', userId: 'u2' }), { ok: true, room: 'secret', revoked: 'member' });
+    assert.equal((await revoked).revoked, 'member');
+    assert.equal(srv.io.sockets.adapter.rooms.get('secret').size, 1);
+
+    for (const [event, payload] of [
+      ['editMessage', { messageId: id, content: 'still mine?' }],
+      ['deleteMessage', { messageId: id }],
+      ['react', { messageId: id, reaction: '👍' }],
+      ['mark_read', { messageId: id }]
+    ]) {
+      assert.equal((await request(bob, event, payload)).error.code, 'forbidden', event);
+    }
+    assert.equal((await srv.http('PATCH', `/api/messages/${id}`, BOB, { content: 'over REST?' })).status, 403);
+    assert.equal((await srv.http('DELETE', `/api/messages/${id}`, BOB)).status, 403);
+  });
+
+  it('keeps DMs out of the message listing', async () => {
+    const bobSocket = await srv.client(BOB);
+    await request(ann, 'privateMessage', { toSocketId: bobSocket.id, payload: { content: 'just us' } });
+    const { body } = await srv.http('GET', '/api/messages', ANN);
+    assert.deepEqual(body.map((m) => m.content), ['for members']);
+  });
+});
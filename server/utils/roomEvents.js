@@ -0,0 +1,89 @@
+// Room event log. Every event broadcast to a room's timeline (a new, edited or deleted message, a
+// reaction, a read receipt, the room being cleared or its topic changed) gets the room's next sequence
+// number, is kept for a while (repos.roomEvents) and goes out with { room, seq } added. A client that
+// reconnects sends the last `seq` it saw per room (`sync`) and has what it missed replayed, or gets a
+// snapshot of the room when that's too much or no longer kept. Presence-like events (typing, room
+// users) aren't logged: they're stale by the time anyone could replay them.
+// `deps` is { repos, io }; one log per process, shared by the socket handlers and the REST routes.
+const { loadHistory } = require('./history');
+
+const MAX_REPLAY = 200; // events replayed per room; a longer gap gets a snapshot instead
+const SNAPSHOT_SIZE = 50; // messages in a snapshot, as in a `joinRoom` reply
+
+function createRoomEvents({ repos, io }) {
+  // per room, the tail of the queue its events are published on, so they go out in `seq` order
+  const tails = new Map();
+  const enqueue = (room, fn) => {
+    const run = (tails.get(room) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    tails.set(room, tail);
+    tail.then(() => { if (tails.get(room) === tail) tails.delete(room); });
+    return run;
+  };
+
+  // run `fn` with every queue of `rooms` held, so nothing is published there meanwhile
+  async function exclusive(rooms, fn) {
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    const held = [...new Set(rooms)].map((room) => new Promise((resolve) => enqueue(room, () => { resolve(); return gate; })));
+    await Promise.all(held);
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Log `event` in `room` and emit it there with { room, seq } added to `payload`. Resolves with the
+   * seq, or null when the event couldn't be logged (it is emitted anyway). Never rejects: callers have
+   * already saved.
+   */
+  function publish(room, event, payload) {
+    return enqueue(room, async () => {
+      let seq = null;
+      try {
+        ({ seq } = await repos.roomEvents.append(room, event, payload));
+      } catch (err) {
+        console.warn(`[roomEvents] ${event} in ${room} not logged`, err && err.message);
+      }
+      const sent = { ...payload, room, ...(seq ? { seq } : {}) };
+      io.to(room).emit(event, sent);
+      // legacy listeners
+      if (event === 'message') io.to(room).emit('room_message', { room, message: sent });
+      return seq;
+    });
+  }
+
+  /**
+   * What a client missed in `rooms` ([{ room, seq }], each the last seq it saw there). Calls
+   * `reply(results)` with one result per room: { room, seq, events: [{ event, payload }] } (in order,
+   * payloads as emitted), or { room, seq, snapshot: { messages, cursors, hasMoreBefore } } when more
+   * than MAX_REPLAY events are missing or they're no longer kept; `seq` is the room's latest. Nothing
+   * is published in those rooms until `reply` has run, so no newer event reaches the client first.
+   */
+  function sync(rooms, reply) {
+    return exclusive(rooms.map((r) => r.room), async () => {
+      const results = await Promise.all(rooms.map(async ({ room, seq }) => {
+        const latest = await repos.roomEvents.latestSeq(room);
+        if (seq === latest) return { room, seq: latest, events: [] };
+        const events = seq < latest && latest - seq <= MAX_REPLAY ? await repos.roomEvents.listAfter(room, seq, MAX_REPLAY) : [];
+        if (events.length && events[0].seq === seq + 1 && events[events.length - 1].seq === latest) {
+          return { room, seq: latest, events: events.map((e) => ({ event: e.event, payload: { ...e.payload, room, seq: e.seq } })) };
+        }
+        const { messages, cursors, hasMoreBefore } = await loadHistory(repos, { room, limit: SNAPSHOT_SIZE });
+        return { room, seq: latest, snapshot: { messages, cursors, hasMoreBefore } };
+      }));
+      reply(results);
+    });
+  }
+
+  return {
+    publish,
+    sync,
+    // the room's latest seq: what a client that has just loaded the room has seen
+    latest: (room) => repos.roomEvents.latestSeq(room)
+  };
+}
+
+module.exports = { createRoomEvents, MAX_REPLAY };
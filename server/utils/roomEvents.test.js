@@ -0,0 +1,76 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../repositories');
+const { createRoomEvents, MAX_REPLAY } = require('./roomEvents');
+
+// an io stand-in that records what went to which room
+function fakeIo() {
+  const emitted = [];
+  return { emitted, to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) };
+}
+
+describe('room events', () => {
+  let repos;
+  let io;
+  let roomEvents;
+
+  beforeEach(() => {
+    repos = createRepositories({ driver: 'memory' });
+    io = fakeIo();
+    roomEvents = createRoomEvents({ repos, io });
+  });
+
+  it('sends events to their room in sequence, however they are published', async () => {
+    const seqs = await Promise.all([1, 2, 3].map((n) => roomEvents.publish('dev', 'messageEdited', { _id: `m${n}` })));
+    assert.deepEqual(seqs, [1, 2, 3]);
+    assert.deepEqual(io.emitted.map(({ room, payload }) => [room, payload._id, payload.seq]), [['dev', 'm1', 1], ['dev', 'm2', 2], ['dev', 'm3', 3]]);
+
+    await roomEvents.publish('ops', 'message', { _id: 'm4' });
+    assert.deepEqual(io.emitted.slice(3).map(({ room, event, payload }) => [room, event, payload.seq]), [['ops', 'message', 1], ['ops', 'room_message', undefined]]);
+    assert.equal(await roomEvents.latest('dev'), 3);
+  });
+
+  it('replays what a client missed, in order, or nothing when it is up to date', async () => {
+    await roomEvents.publish('dev', 'message', { _id: 'm1', content: 'hi' });
+    await roomEvents.publish('dev', 'reaction', { messageId: 'm1', emoji: '👍' });
+    await roomEvents.publish('dev', 'messageDeleted', { messageId: 'm1' });
+
+    let results;
+    await roomEvents.sync([{ room: 'dev', seq: 1 }, { room: 'ops', seq: 0 }], (r) => { results = r; });
+    assert.deepEqual(results, [
+      {
+        room: 'dev',
+        seq: 3,
+        events: [
+          { event: 'reaction', payload: { messageId: 'm1', emoji: '👍', room: 'dev', seq: 2 } },
+          { event: 'messageDeleted', payload: { messageId: 'm1', room: 'dev', seq: 3 } }
+        ]
+      },
+      { room: 'ops', seq: 0, events: [] }
+    ]);
+  });
+
+  it('sends a snapshot when the gap is too long or its events are gone', async () => {
+    await repos.messages.create({ content: 'kept', from: 'ann', fromId: 'u1', room: 'dev', timestamp: new Date() });
+    for (let i = 0; i <= MAX_REPLAY; i++) await roomEvents.publish('dev', 'reaction', { messageId: 'm1', emoji: '👍' });
+    let results;
+    await roomEvents.sync([{ room: 'dev', seq: 0 }], (r) => { results = r; });
+    assert.equal(results[0].seq, MAX_REPLAY + 1);
+    assert.equal(results[0].events, undefined);
+    assert.deepEqual(results[0].snapshot.messages.map((m) => m.content), ['kept']);
+
+    await repos.roomEvents.deleteByRoom('dev');
+    await roomEvents.publish('dev', 'roomCleared', {});
+    await roomEvents.sync([{ room: 'dev', seq: MAX_REPLAY }], (r) => { results = r; });
+    assert.ok(results[0].snapshot);
+  });
+
+  it('holds back new events in a room until its sync reply is out', async () => {
+    await roomEvents.publish('dev', 'message', { _id: 'm1' });
+    const order = [];
+    const synced = roomEvents.sync([{ room: 'dev', seq: 0 }], () => order.push('reply'));
+    const published = roomEvents.publish('dev', 'message', { _id: 'm2' }).then(() => order.push('m2'));
+    await Promise.all([synced, published]);
+    assert.deepEqual(order, ['reply', 'm2']);
+  });
+});
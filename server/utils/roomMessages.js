@@ -0,0 +1,26 @@
+// Fan-out for a room message saved outside the socket `message` handler (REST, incoming webhooks,
+// bots), so it reaches the room exactly like one sent over a socket: live to everyone in the room,
+// fresh unread counts, mention notifications and outgoing webhooks.
+// `deps` is { repos, io, online, presence?, webhooks?, roomEvents? } as in the other shared utils; with
+// `roomEvents` (see ./roomEvents) the message is logged and sequenced like the socket ones.
+const mentions = require('./mentions');
+const { timelineChanged } = require('./messageEdits');
+
+// `sender` ({ userId, userName }) is the signed-in user who posted it, who has read up to it; none
+// for integrations. Never throws: the message is saved and the caller has answered.
+function publish(deps, message, { sender = null } = {}) {
+  const { io } = deps;
+  if (deps.roomEvents) {
+    deps.roomEvents.publish(message.room, 'message', message);
+  } else if (io) {
+    io.to(message.room).emit('message', message);
+    // legacy listeners
+    io.to(message.room).emit('room_message', { room: message.room, message });
+  }
+  timelineChanged(deps, message.room, sender && sender.userId ? { reader: sender, message } : {});
+  mentions.notify(deps, message, { sender: sender && sender.userId })
+    .catch((err) => console.warn('[roomMessages] mention notify failed', err && err.message));
+  if (deps.webhooks) deps.webhooks.dispatchMessage('message.created', message);
+}
+
+module.exports = { publish };
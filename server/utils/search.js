@@ -0,0 +1,55 @@
+// Message search helpers shared by both storage drivers and the search endpoint.
+
+// split a query into lowercase terms; "quoted phrases" stay together
+function parseQuery(q) {
+  const terms = [];
+  String(q || '').replace(/"([^"]+)"|(\S+)/g, (_, phrase, word) => {
+    const term = (phrase || word).trim().toLowerCase();
+    if (term && !terms.includes(term)) terms.push(term);
+    return '';
+  });
+  return terms;
+}
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// every [start, end) range of `text` matching one of `terms`, merged and in order
+function matchRanges(text, terms) {
+  if (!text || !terms.length) return [];
+  const re = new RegExp(terms.map(escapeRegex).join('|'), 'gi');
+  const ranges = [];
+  for (const m of String(text).matchAll(re)) {
+    const last = ranges[ranges.length - 1];
+    if (last && m.index <= last[1]) last[1] = Math.max(last[1], m.index + m[0].length);
+    else ranges.push([m.index, m.index + m[0].length]);
+  }
+  return ranges;
+}
+
+/**
+ * A window of `text` around its first match, with highlight ranges relative to the snippet.
+ * Returns { text, highlights: [[start, end], ...] }; clients wrap the ranges (e.g. in <mark>),
+ * so no markup is ever sent.
+ */
+function snippet(text, terms, { radius = 60 } = {}) {
+  const source = String(text || '');
+  const ranges = matchRanges(source, terms);
+  if (!ranges.length) return { text: source.slice(0, radius * 2), highlights: [] };
+
+  const start = Math.max(0, ranges[0][0] - radius);
+  const end = Math.min(source.length, ranges[0][1] + radius);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+  const highlights = ranges
+    .filter(([s, e]) => s >= start && e <= end)
+    .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]);
+  return { text: prefix + source.slice(start, end) + suffix, highlights };
+}
+
+// how many distinct terms `text` contains; the memory driver's stand-in for Mongo's textScore
+function termScore(text, terms) {
+  const haystack = String(text || '').toLowerCase();
+  return terms.filter((t) => haystack.includes(t)).length;
+}
+
+module.exports = { parseQuery, escapeRegex, matchRanges, snippet, termScore };
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuery, matchRanges, snippet, termScore } = require('./search');
+
+describe('search helpers', () => {
+  it('splits a query into unique lowercase terms, keeping quoted phrases', () => {
+    assert.deepEqual(parseQuery('Deploy "Release Notes"  deploy'), ['deploy', 'release notes']);
+    assert.deepEqual(parseQuery('   '), []);
+    assert.deepEqual(parseQuery(undefined), []);
+  });
+
+  it('merges touching matches and treats terms literally', () => {
+    assert.deepEqual(matchRanges('a.b ab a.b', ['a.b']), [[0, 3], [7, 10]]);
+    assert.deepEqual(matchRanges('deployment', ['deploy', 'ment']), [[0, 10]]);
+    assert.deepEqual(matchRanges('', ['x']), []);
+  });
+
+  it('cuts a window around the first match with highlights relative to it', () => {
+    const text = `${'x'.repeat(100)} needle ${'y'.repeat(100)}`;
+    const { text: cut, highlights } = snippet(text, ['needle'], { radius: 10 });
+    assert.ok(cut.startsWith('…') && cut.endsWith('…'));
+    const [[start, end]] = highlights;
+    assert.equal(cut.slice(start, end), 'needle');
+  });
+
+  it('returns the start of the text, unhighlighted, when nothing matches', () => {
+    assert.deepEqual(snippet('<b>hello</b>', ['bye']), { text: '<b>hello</b>', highlights: [] });
+  });
+
+  it('scores by the number of distinct terms found', () => {
+    assert.equal(termScore('Deploy the release', ['deploy', 'release', 'rollback']), 2);
+    assert.equal(termScore(null, ['deploy']), 0);
+  });
+});
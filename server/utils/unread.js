@@ -0,0 +1,79 @@
+// Per-user read cursors and the unread / mention counts derived from them.
+// Shared by the REST controllers and socket handlers; `deps` is { repos, io, online } and a
+// user is { userId, userName } (cursors and @mentions are kept by id; senders are by name).
+const permissions = require('./permissions');
+const roomAccess = require('./roomAccess');
+const conversations = require('./conversations');
+const groups = require('./groups');
+
+const GLOBAL_ROOM = 'global';
+
+// { [room]: { unread, mentions, lastReadId } } for the given rooms
+async function countsFor(repos, { userId, userName }, rooms) {
+  const cursors = new Map((await repos.reads.listCursors(userId)).map((c) => [c.room, c]));
+  const entries = await Promise.all(rooms.map(async (room) => {
+    const cursor = cursors.get(room) || null;
+    const counts = await repos.messages.countUnread(room, cursor, { excludeFrom: userName, mentionOf: userId });
+    return [room, { ...counts, lastReadId: cursor ? String(cursor.lastReadId) : null }];
+  }));
+  return Object.fromEntries(entries);
+}
+
+// counts for every room the user can read: global plus their visible rooms
+async function unreadCounts(repos, user) {
+  const rooms = await roomAccess.visibleRooms(repos, user.userId);
+  return countsFor(repos, user, [GLOBAL_ROOM, ...rooms.map((r) => r.name)]);
+}
+
+// `unreadCounts` payload: `full` replaces the client's map, otherwise it is merged in
+const pushCounts = ({ io, online }, userId, rooms, full = false) => {
+  const entry = online && online.resolve(userId);
+  if (entry) io.to(entry.sockets).emit('unreadCounts', { rooms, full });
+};
+
+/**
+ * Move `user`'s read cursor in `room` up to `messageId` (a thread reply counts as its root)
+ * and push the room's new counts to all of the user's sockets, so other devices follow.
+ * Returns { room, counts } or { error }. A DM or group message (sent without `room`) moves the
+ * cursor of its conversation instead and returns { conversation } (see utils/conversations, utils/groups).
+ */
+async function markRead(deps, user, room, messageId) {
+  const { repos } = deps;
+  if (!messageId) return { error: 'messageId required' };
+  const found = await repos.messages.findById(messageId);
+  const msg = found && found.parentId ? await repos.messages.findById(found.parentId) : found;
+  if (!msg) return { error: 'not_found' };
+  if (msg.private) {
+    if (room) return { error: 'wrong_room' };
+    return msg.conversationId ? groups.markRead(deps, user, msg) : conversations.markRead(deps, user, msg);
+  }
+  const target = room || msg.room;
+  if (msg.room !== target) return { error: 'wrong_room' };
+  const denied = await roomAccess.checkRoomRead(repos, target, user.userId);
+  if (denied) return denied;
+
+  const { changed } = await repos.reads.setCursor(user.userId, target, msg);
+  const counts = (await countsFor(repos, user, [target]))[target];
+  if (changed) pushCounts(deps, user.userId, { [target]: counts });
+  return { room: target, counts };
+}
+
+/**
+ * Recompute `room`'s counts for every online user who can read it and push them.
+ * Call after anything that changes a room's timeline (new, deleted or cleared messages).
+ * `except` skips one user id (e.g. a sender whose cursor was just moved and pushed).
+ */
+async function refreshRoom(deps, room, { except } = {}) {
+  const { repos, online } = deps;
+  if (!online) return;
+  const doc = room === GLOBAL_ROOM ? null : await repos.rooms.findByName(room);
+  if (room !== GLOBAL_ROOM && !doc) return;
+  await Promise.all(online.users()
+    .filter((u) => u.id !== except && !permissions.checkAccess(doc, u.id))
+    .map(async (u) => {
+      const counts = await countsFor(repos, { userId: u.id, userName: u.name }, [room]);
+      pushCounts(deps, u.id, counts);
+    }));
+}
+
+module.exports = { countsFor, unreadCounts, pushCounts, markRead, refreshRoom };
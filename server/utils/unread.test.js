@@ -0,0 +1,76 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../repositories');
+const { createOnlineUsers } = require('../socket/online');
+const unread = require('./unread');
+
+// an io stand-in that records what went where
+function fakeIo() {
+  const sent = [];
+  return { sent, to: (target) => ({ emit: (event, payload) => sent.push({ target, event, payload }) }) };
+}
+
+const at = (seconds) => new Date(Date.UTC(2024, 0, 1, 0, 0, seconds));
+const ann = { userId: 'u1', userName: 'ann' };
+const bob = { userId: 'u2', userName: 'bob' };
+
+describe('unread counts', () => {
+  let repos;
+  let io;
+  let deps;
+  let posted;
+
+  // #dev: bob says hi, bob mentions @ann, ann answers, plus a reply; #secret is bob's alone
+  // (mentions are stored as utils/mentions parses them)
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    io = fakeIo();
+    const online = createOnlineUsers();
+    [['s1', ann], ['s2', ann], ['s3', bob]].forEach(([sid, user]) => online.add(sid, user));
+    deps = { repos, io, online };
+    await repos.rooms.create({ name: 'dev', createdBy: 'u2' });
+    await repos.rooms.create({ name: 'secret', createdBy: 'u2', isPrivate: true });
+    posted = [];
+    const mentionsAnn = [{ kind: 'user', userId: 'u1', userName: 'ann' }];
+    for (const [i, [from, fromId, content, mentions]] of [['bob', 'u2', 'hi'], ['bob', 'u2', 'ping @Ann', mentionsAnn], ['ann', 'u1', 'pong']].entries()) {
+      posted.push(await repos.messages.create({ content, from, fromId, room: 'dev', mentions, timestamp: at(i + 1) }));
+    }
+    await repos.messages.create({ content: '@ann in a thread', from: 'bob', fromId: 'u2', room: 'dev', parentId: posted[0]._id, mentions: mentionsAnn, timestamp: at(5) });
+    await repos.messages.create({ content: 'hidden', from: 'bob', fromId: 'u2', room: 'secret', timestamp: at(6) });
+  });
+
+  it('counts others\' top-level messages and mentions in every readable room', async () => {
+    const counts = await unread.unreadCounts(repos, ann);
+    assert.deepEqual(Object.keys(counts).sort(), ['dev', 'global']);
+    assert.deepEqual(counts.dev, { unread: 2, mentions: 1, lastReadId: null });
+  });
+
+  it('moves the cursor forwards only and syncs every socket of the reader', async () => {
+    const first = await unread.markRead(deps, ann, 'dev', posted[1]._id);
+    assert.deepEqual(first.counts, { unread: 0, mentions: 0, lastReadId: String(posted[1]._id) });
+    assert.deepEqual(io.sent.map(({ target, event }) => [target, event]), [[['s1', 's2'], 'unreadCounts']]);
+
+    const back = await unread.markRead(deps, ann, 'dev', posted[0]._id);
+    assert.equal(back.counts.lastReadId, String(posted[1]._id));
+    assert.equal(io.sent.length, 1);
+  });
+
+  it('reads a thread reply as its root and refuses rooms the user cannot read', async () => {
+    const [reply] = await repos.messages.listReplies(posted[0]._id);
+    assert.equal((await unread.markRead(deps, ann, undefined, reply._id)).counts.lastReadId, String(posted[0]._id));
+    const [hidden] = (await repos.messages.list({ room: 'secret' }));
+    assert.equal((await unread.markRead(deps, ann, 'secret', hidden._id)).error, 'forbidden');
+    assert.deepEqual(await unread.markRead(deps, ann, 'global', posted[0]._id), { error: 'wrong_room' });
+    assert.deepEqual(await unread.markRead(deps, ann, 'dev'), { error: 'messageId required' });
+  });
+
+  it('pushes a room\'s new counts to everyone online who can read it', async () => {
+    await unread.refreshRoom(deps, 'dev', { except: 'u2' });
+    assert.deepEqual(io.sent.map(({ target, payload }) => [target, payload]), [
+      [['s1', 's2'], { rooms: { dev: { unread: 2, mentions: 1, lastReadId: null } }, full: false }]
+    ]);
+    io.sent.length = 0;
+    await unread.refreshRoom(deps, 'secret');
+    assert.deepEqual(io.sent.map(({ target }) => target), [['s3']]);
+  });
+});
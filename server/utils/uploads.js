@@ -0,0 +1,154 @@
+// Resumable uploads: a file sent in chunks, over HTTP (/api/uploads) or socket events (uploadStart,
+// uploadChunk, ...). `start` announces the name, type and size; every chunk says the offset it starts
+// at, which must be the session's `received`, so a client that lost its connection asks for the session
+// and carries on from there. `complete` joins the chunks into an Attachment (see ./attachments) once all
+// bytes are in and their SHA-256 matches the client's. Until then each chunk is a part in the file store.
+// Sessions nobody touched for a day are dropped. `deps` is { repos, fileStore }.
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const attachments = require('./attachments');
+
+const MAX_BYTES = parseInt(process.env.MAX_RESUMABLE_UPLOAD_BYTES || String(100 * 1024 * 1024), 10); // default 100MB
+const CHUNK_BYTES = 512 * 1024; // well inside Socket.IO's default 1MB message limit
+const MAX_OPEN_UPLOADS = 5; // per uploader
+const TTL_MS = 24 * 60 * 60 * 1000;
+
+const expiresAt = (session) => new Date(new Date(session.updatedAt).getTime() + TTL_MS);
+
+// the client shape
+const view = (session) => ({
+  uploadId: String(session._id),
+  name: session.name,
+  mime: session.mime,
+  size: session.size,
+  received: session.received,
+  maxChunkBytes: CHUNK_BYTES,
+  expiresAt: expiresAt(session)
+});
+
+const removeParts = ({ fileStore }, parts) => Promise.all(parts.map((p) => fileStore.delete(p.key)))
+  .catch((err) => console.warn('[uploads] part cleanup failed', err && err.message));
+
+// delete a session and its parts; never throws
+async function drop(deps, session) {
+  try {
+    await deps.repos.uploads.delete(session._id);
+    await removeParts(deps, session.parts);
+  } catch (err) {
+    console.warn('[uploads] drop failed', err && err.message);
+  }
+}
+
+// drop every expired session; runs whenever an upload starts
+async function sweep(deps) {
+  const stale = await deps.repos.uploads.listStale(new Date(Date.now() - TTL_MS));
+  for (const session of stale) await drop(deps, session);
+}
+
+// `ownerId`'s session `id` while it is live, or null
+async function sessionOf(repos, id, ownerId) {
+  const session = id ? await repos.uploads.findById(id) : null;
+  if (!session || session.uploadedBy !== String(ownerId) || expiresAt(session) <= new Date()) return null;
+  return session;
+}
+
+/**
+ * Open an upload of `size` bytes for `ownerId`. Returns { upload } or { error }: 'invalid_mime'
+ * (with `allowed`), 'invalid_size', 'file_too_large' (with `max`) or 'too_many_uploads' (with `max`).
+ */
+async function start(deps, { name, mime, size } = {}, ownerId) {
+  sweep(deps).catch((err) => console.warn('[uploads] sweep failed', err && err.message));
+  if (!attachments.ALLOWED_MIMES.includes(mime)) return { error: 'invalid_mime', allowed: attachments.ALLOWED_MIMES };
+  if (!Number.isSafeInteger(size) || size <= 0) return { error: 'invalid_size' };
+  if (size > MAX_BYTES) return { error: 'file_too_large', max: MAX_BYTES };
+  const open = await deps.repos.uploads.listForUser(String(ownerId));
+  if (open.length >= MAX_OPEN_UPLOADS) return { error: 'too_many_uploads', max: MAX_OPEN_UPLOADS };
+  const session = await deps.repos.uploads.create({ uploadedBy: String(ownerId), name: attachments.cleanName(name), mime, size });
+  return { upload: view(session) };
+}
+
+// where an upload stands: { upload } (its `received` is the offset to resume from) or { error: 'not_found' }
+async function status(deps, id, ownerId) {
+  const session = await sessionOf(deps.repos, id, ownerId);
+  return session ? { upload: view(session) } : { error: 'not_found' };
+}
+
+/**
+ * Store the bytes of `readable` as the chunk at `offset`. Returns { upload } or { error }: 'not_found',
+ * 'offset_mismatch' (with `received`, where to carry on), 'chunk_too_large' (with `max`) or 'empty_chunk'.
+ */
+async function appendChunk(deps, id, ownerId, offset, readable) {
+  const session = await sessionOf(deps.repos, id, ownerId);
+  if (!session) {
+    readable.resume();
+    return { error: 'not_found' };
+  }
+  if (offset !== session.received) {
+    readable.resume();
+    return { error: 'offset_mismatch', received: session.received };
+  }
+  // no chunk may run past the announced size
+  const max = Math.min(CHUNK_BYTES, session.size - offset);
+  const key = crypto.randomBytes(16).toString('hex');
+  const counted = attachments.meter(max, 'chunk_too_large');
+  const source = readable.pipe(counted.stream);
+  readable.on('error', (err) => source.destroy(err));
+  try {
+    await deps.fileStore.put(key, source, { mime: session.mime });
+  } catch (err) {
+    if (err.code !== 'chunk_too_large') throw err;
+    readable.resume();
+    return { error: 'chunk_too_large', max };
+  }
+  const { size } = counted.result();
+  if (!size) {
+    await deps.fileStore.delete(key);
+    return { error: 'empty_chunk' };
+  }
+  const updated = await deps.repos.uploads.appendPart(session._id, offset, { key, size });
+  if (!updated) {
+    // another chunk for this offset won, or the upload was cancelled meanwhile
+    await deps.fileStore.delete(key);
+    const now = await sessionOf(deps.repos, id, ownerId);
+    return now ? { error: 'offset_mismatch', received: now.received } : { error: 'not_found' };
+  }
+  return { upload: view(updated) };
+}
+
+/**
+ * Join the chunks into an attachment of `ownerId`, if all bytes arrived and hash to `sha256` (hex).
+ * Returns { attachment } or { error }: 'not_found', 'checksum_required', 'incomplete' (with `received`
+ * and `size`) or 'checksum_mismatch'. The session is gone afterwards either way, except when incomplete.
+ */
+async function complete(deps, id, ownerId, { sha256 } = {}) {
+  const session = await sessionOf(deps.repos, id, ownerId);
+  if (!session) return { error: 'not_found' };
+  if (typeof sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(sha256)) return { error: 'checksum_required' };
+  if (session.received !== session.size) return { error: 'incomplete', received: session.received, size: session.size };
+  // whoever deletes the session finishes it, so a repeated `complete` can't make two attachments
+  if (!(await deps.repos.uploads.delete(session._id))) return { error: 'not_found' };
+  try {
+    const joined = Readable.from((async function* parts() {
+      for (const part of session.parts) yield* deps.fileStore.get(part.key);
+    })());
+    const stored = await attachments.store(deps, joined, { name: session.name, mime: session.mime, uploadedBy: ownerId, max: MAX_BYTES });
+    if (stored.error) return stored;
+    if (stored.attachment.sha256 !== sha256.toLowerCase()) {
+      await attachments.remove(deps, stored.attachment._id);
+      return { error: 'checksum_mismatch' };
+    }
+    return stored;
+  } finally {
+    await removeParts(deps, session.parts);
+  }
+}
+
+// abandon an upload: { cancelled: true } or { error: 'not_found' }
+async function cancel(deps, id, ownerId) {
+  const session = await sessionOf(deps.repos, id, ownerId);
+  if (!session) return { error: 'not_found' };
+  await drop(deps, session);
+  return { cancelled: true };
+}
+
+module.exports = { MAX_BYTES, CHUNK_BYTES, start, status, appendChunk, complete, cancel };
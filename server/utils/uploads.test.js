@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { createRepositories } = require('../repositories');
+const uploads = require('./uploads');
+
+// a file store that keeps the bytes in a Map
+function memoryFileStore() {
+  const files = new Map();
+  return {
+    name: 'memory',
+    files,
+    async put(key, readable) {
+      const chunks = [];
+      for await (const chunk of readable) chunks.push(chunk);
+      files.set(key, Buffer.concat(chunks));
+    },
+    get(key, { start = 0, end } = {}) {
+      return Readable.from([files.get(key).subarray(start, end === undefined ? undefined : end + 1)]);
+    },
+    async delete(key) {
+      files.delete(key);
+    }
+  };
+}
+
+const streamOf = (text) => Readable.from([Buffer.from(text)]);
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+describe('resumable uploads', () => {
+  let repos;
+  let fileStore;
+  let deps;
+
+  beforeEach(() => {
+    repos = createRepositories({ driver: 'memory' });
+    fileStore = memoryFileStore();
+    deps = { repos, fileStore };
+  });
+
+  const startText = async (text, owner = 'u1') => (await uploads.start(deps, { name: 'notes.txt', mime: 'text/plain', size: text.length }, owner)).upload;
+
+  it('checks what is announced before opening a session', async () => {
+    assert.equal((await uploads.start(deps, { name: 'x.exe', mime: 'application/x-msdownload', size: 3 }, 'u1')).error, 'invalid_mime');
+    assert.deepEqual(await uploads.start(deps, { name: 'x.txt', mime: 'text/plain', size: 0 }, 'u1'), { error: 'invalid_size' });
+    assert.deepEqual(await uploads.start(deps, { name: 'x.txt', mime: 'text/plain', size: uploads.MAX_BYTES + 1 }, 'u1'), { error: 'file_too_large', max: uploads.MAX_BYTES });
+    for (let i = 0; i < 5; i++) await startText('hello');
+    assert.deepEqual(await uploads.start(deps, { name: 'x.txt', mime: 'text/plain', size: 3 }, 'u1'), { error: 'too_many_uploads', max: 5 });
+    assert.ok(await startText('hello', 'u2'));
+  });
+
+  it('takes chunks in order, resuming from where the session stands', async () => {
+    const upload = await startText('hello world');
+    assert.deepEqual([upload.received, upload.maxChunkBytes], [0, uploads.CHUNK_BYTES]);
+    assert.equal((await uploads.appendChunk(deps, upload.uploadId, 'u1', 0, streamOf('hello '))).upload.received, 6);
+    assert.deepEqual(await uploads.appendChunk(deps, upload.uploadId, 'u1', 0, streamOf('hello ')), { error: 'offset_mismatch', received: 6 });
+    assert.deepEqual(await uploads.appendChunk(deps, upload.uploadId, 'u1', 6, streamOf('world!!')), { error: 'chunk_too_large', max: 5 });
+
+    // after a lost connection the client asks where to carry on
+    const { upload: resumed } = await uploads.status(deps, upload.uploadId, 'u1');
+    assert.equal(resumed.received, 6);
+    assert.deepEqual(await uploads.status(deps, upload.uploadId, 'u2'), { error: 'not_found' });
+    assert.deepEqual(await uploads.complete(deps, upload.uploadId, 'u1', { sha256: sha256('hello world') }), { error: 'incomplete', received: 6, size: 11 });
+    assert.equal((await uploads.appendChunk(deps, upload.uploadId, 'u1', 6, streamOf('world'))).upload.received, 11);
+    assert.equal(fileStore.files.size, 2);
+
+    const { attachment } = await uploads.complete(deps, upload.uploadId, 'u1', { sha256: sha256('hello world').toUpperCase() });
+    assert.deepEqual([attachment.name, attachment.size, attachment.uploadedBy], ['notes.txt', 11, 'u1']);
+    assert.deepEqual([...fileStore.files.values()].map(String), ['hello world']);
+    assert.deepEqual(await uploads.complete(deps, upload.uploadId, 'u1', { sha256: sha256('hello world') }), { error: 'not_found' });
+  });
+
+  it('drops an upload whose bytes do not match the checksum', async () => {
+    const upload = await startText('hello');
+    await uploads.appendChunk(deps, upload.uploadId, 'u1', 0, streamOf('hello'));
+    assert.deepEqual(await uploads.complete(deps, upload.uploadId, 'u1', {}), { error: 'checksum_required' });
+    assert.deepEqual(await uploads.complete(deps, upload.uploadId, 'u1', { sha256: sha256('jello') }), { error: 'checksum_mismatch' });
+    assert.equal(fileStore.files.size, 0);
+    assert.equal(await repos.uploads.findById(upload.uploadId), null);
+  });
+
+  it('cancels, and forgets sessions nobody touched for a day', async () => {
+    const cancelled = await startText('hello');
+    await uploads.appendChunk(deps, cancelled.uploadId, 'u1', 0, streamOf('he'));
+    assert.deepEqual(await uploads.cancel(deps, cancelled.uploadId, 'u2'), { error: 'not_found' });
+    assert.deepEqual(await uploads.cancel(deps, cancelled.uploadId, 'u1'), { cancelled: true });
+    assert.equal(fileStore.files.size, 0);
+
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1) });
+    try {
+      const stale = await startText('hello');
+      mock.timers.tick(24 * 60 * 60 * 1000 + 1);
+      assert.deepEqual(await uploads.status(deps, stale.uploadId, 'u1'), { error: 'not_found' });
+      // the next upload to start sweeps it away
+      await startText('hello');
+      await new Promise(setImmediate);
+      assert.equal(await repos.uploads.findById(stale.uploadId), null);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+});
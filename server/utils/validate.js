@@ -0,0 +1,95 @@
+// Declarative payload checks for socket events and REST bodies (the schemas live in ../schemas).
+// A schema is an object of field rules built from `types`; `check` walks a payload against it and
+// returns { value } with the payload's fields, or { error: 'invalid_payload', field, message } for the
+// first problem: a wrong type, a string or list too long, an id that isn't one, or a field the schema
+// doesn't declare. Fields are optional unless their rule says `required: true`; null counts as absent.
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && !Buffer.isBuffer(v);
+
+// a rule: `test(value, field)` returns null when the value is fine, otherwise the problem
+// ({ message, code?, ...details })
+const rule = (test, { required = false } = {}) => ({ test, required });
+
+const types = {
+  // `tooLong` replaces invalid_payload as the error code when only the length is wrong
+  string: ({ min = 0, max, pattern, tooLong, ...options } = {}) => rule((v, field) => {
+    if (typeof v !== 'string') return { message: `${field} must be a string` };
+    if (v.length < min) return { message: min === 1 ? `${field} must not be empty` : `${field} must be at least ${min} characters` };
+    if (max !== undefined && v.length > max) return { message: `${field} must be at most ${max} characters`, max, ...(tooLong ? { code: tooLong } : {}) };
+    if (pattern && !pattern.test(v)) return { message: `${field} is malformed` };
+    return null;
+  }, options),
+
+  // a MongoDB ObjectId (both storage drivers make them)
+  id: (options) => rule((v, field) => (typeof v === 'string' && OBJECT_ID.test(v) ? null : { message: `${field} must be an id` }), options),
+
+  integer: ({ min, max, ...options } = {}) => rule((v, field) => {
+    if (!Number.isSafeInteger(v)) return { message: `${field} must be an integer` };
+    if (min !== undefined && v < min) return { message: `${field} must be at least ${min}` };
+    if (max !== undefined && v > max) return { message: `${field} must be at most ${max}`, max };
+    return null;
+  }, options),
+
+  boolean: (options) => rule((v, field) => (typeof v === 'boolean' ? null : { message: `${field} must be true or false` }), options),
+
+  oneOf: (values, options) => rule((v, field) => (values.includes(v) ? null : { message: `${field} must be one of ${values.join(', ')}` }), options),
+
+  // binary data (a Buffer, as Socket.IO delivers it) of at most `max` bytes
+  binary: ({ max, ...options } = {}) => rule((v, field) => {
+    if (!Buffer.isBuffer(v)) return { message: `${field} must be binary` };
+    if (max !== undefined && v.length > max) return { message: `${field} must be at most ${max} bytes`, max };
+    return null;
+  }, options),
+
+  array: (item, { max, ...options } = {}) => rule((v, field) => {
+    if (!Array.isArray(v)) return { message: `${field} must be a list` };
+    if (max !== undefined && v.length > max) return { message: `${field} must have at most ${max} entries`, max };
+    for (let i = 0; i < v.length; i += 1) {
+      const problem = item.test(v[i], `${field}[${i}]`);
+      if (problem) return { field: `${field}[${i}]`, ...problem };
+    }
+    return null;
+  }, options),
+
+  // a nested object with its own fields; unknown ones are rejected as at the top level
+  object: (fields, options) => rule((v, field) => {
+    const result = walk(fields, v, `${field}.`);
+    return result.error ? result.problem : null;
+  }, options)
+};
+
+// check `payload` against `fields`; names in problems are prefixed with `prefix`
+function walk(fields, payload, prefix = '') {
+  const fail = (field, problem) => ({ error: true, field, problem: { field, ...problem } });
+  if (payload === undefined || payload === null) payload = {};
+  if (!isPlainObject(payload)) return fail(prefix.slice(0, -1) || 'payload', { message: `${prefix.slice(0, -1) || 'payload'} must be an object` });
+  const unknown = Object.keys(payload).find((key) => !Object.prototype.hasOwnProperty.call(fields, key));
+  if (unknown !== undefined) return fail(`${prefix}${unknown}`, { message: `${prefix}${unknown} is not allowed` });
+  for (const [key, fieldRule] of Object.entries(fields)) {
+    const field = `${prefix}${key}`;
+    const value = payload[key];
+    if (value === undefined || value === null) {
+      if (fieldRule.required) return fail(field, { message: `${field} is required` });
+      continue;
+    }
+    const problem = fieldRule.test(value, field);
+    if (problem) return fail(problem.field || field, problem);
+  }
+  return { value: payload };
+}
+
+/**
+ * Check `payload` (a socket event's argument or a request body) against `schema`.
+ * Returns { value } or { error, field, message, ...details }; `error` is 'invalid_payload' unless the
+ * failed rule names its own code (e.g. 'content_too_long', with `max`).
+ */
+function check(schema, payload) {
+  const result = walk(schema, payload);
+  if (!result.error) return result;
+  const { code = 'invalid_payload', field, message, ...details } = result.problem;
+  return { error: code, field, message, ...details };
+}
+
+module.exports = { OBJECT_ID, types, check };
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { types: t, check } = require('./validate');
+const schemas = require('../schemas');
+
+describe('payload validation', () => {
+  const schema = {
+    room: t.string({ min: 1, max: 5, required: true }),
+    count: t.integer({ min: 1, max: 10 }),
+    messageId: t.id(),
+    tags: t.array(t.string({ max: 3 }), { max: 2 }),
+    file: t.object({ name: t.string() })
+  };
+
+  it('passes payloads that fit, with optional fields missing or null', () => {
+    assert.deepEqual(check(schema, { room: 'dev', count: null }), { value: { room: 'dev', count: null } });
+    assert.deepEqual(check(schema, { room: 'dev', messageId: '0123456789abcdef01234567', tags: ['a'], file: { name: 'x' } }).value.tags, ['a']);
+  });
+
+  it('names the first field that does not, and how', () => {
+    assert.deepEqual(check(schema, {}), { error: 'invalid_payload', field: 'room', message: 'room is required' });
+    assert.deepEqual(check(schema, 'dev'), { error: 'invalid_payload', field: 'payload', message: 'payload must be an object' });
+    assert.equal(check(schema, { room: 7 }).message, 'room must be a string');
+    assert.deepEqual(check(schema, { room: 'general' }), { error: 'invalid_payload', field: 'room', message: 'room must be at most 5 characters', max: 5 });
+    assert.equal(check(schema, { room: 'dev', count: 1.5 }).message, 'count must be an integer');
+    assert.equal(check(schema, { room: 'dev', messageId: '$where' }).message, 'messageId must be an id');
+    assert.equal(check(schema, { room: 'dev', tags: ['a', 'b', 'c'] }).message, 'tags must have at most 2 entries');
+    assert.equal(check(schema, { room: 'dev', tags: ['long'] }).field, 'tags[0]');
+  });
+
+  it('refuses fields the schema does not declare, nested ones too', () => {
+    assert.deepEqual(check(schema, { room: 'dev', $gt: '' }), { error: 'invalid_payload', field: '$gt', message: '$gt is not allowed' });
+    assert.equal(check(schema, { room: 'dev', file: { name: 'x', path: '/etc/passwd' } }).field, 'file.path');
+  });
+
+  it('reports overlong content as content_too_long', () => {
+    const long = 'x'.repeat(4001);
+    assert.deepEqual(check(schemas.events.message, { content: long }), {
+      error: 'content_too_long', field: 'content', message: 'content must be at most 4000 characters', max: 4000
+    });
+    assert.equal(check(schemas.rest.editMessage, { content: long }).error, 'content_too_long');
+    assert.equal(check(schemas.events.command, { text: `/me ${long}` }).error, 'content_too_long');
+  });
+});
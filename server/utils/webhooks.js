@@ -0,0 +1,352 @@
+// Outgoing webhooks per room. Room admins register URLs for a subset of WEBHOOK_EVENTS; every
+// matching event is POSTed as JSON, signed with the webhook's secret:
+//
+//   X-Chat-Event: message.created
+//   X-Chat-Delivery: <delivery id>
+//   X-Chat-Signature: sha256=<hex HMAC-SHA256 of the raw body, keyed with the secret>
+//
+// A 2xx response is a success. Network errors, timeouts, 408, 429 and 5xx are retried with
+// exponential backoff; other responses fail the delivery at once. Every attempt is recorded in
+// the webhook's delivery log (the newest KEEP_DELIVERIES are kept). Deliveries to one URL are
+// independent, so a retried event may arrive after later ones: receivers should order by `timestamp`.
+//
+// Webhook URLs must resolve to public addresses: loopback, private, link-local (cloud metadata),
+// multicast and reserved ranges are refused when a webhook is saved, again before every attempt, and at
+// connect time, so a DNS answer that changes in between cannot point a delivery at the server's own
+// network. Redirects are not followed. WEBHOOK_ALLOW_PRIVATE=true lifts this (local development).
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const permissions = require('./permissions');
+const { pageSize } = require('./history');
+
+const WEBHOOK_EVENTS = ['message.created', 'message.edited', 'message.deleted', 'member.joined', 'room.cleared'];
+const MAX_WEBHOOKS_PER_ROOM = 10;
+const KEEP_DELIVERIES = 100;
+
+const newSecret = () => crypto.randomBytes(24).toString('hex');
+
+// `sha256=<hex>` for `body` (the exact string sent) keyed with `secret`
+const sign = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// what a room message looks like in payloads
+const messageData = (msg) => ({
+  id: String(msg._id),
+  room: msg.room,
+  from: msg.from,
+  content: msg.content ?? null,
+  mentions: msg.mentions || [],
+  parentId: msg.parentId ? String(msg.parentId) : null,
+  file: msg.file || null,
+  bot: msg.bot || null, // posted by an incoming webhook or bot token; skip these to avoid loops
+  timestamp: msg.timestamp,
+  edited: !!msg.edited,
+  editedAt: msg.editedAt || null
+});
+
+const retryable = (status) => status === 408 || status === 429 || status >= 500;
+
+// one list per family: a BlockList checks IPv4 addresses against IPv4-mapped IPv6 rules as well, and
+// ::ffff:0:0/96 would then block every IPv4 address
+const BLOCKED_V4 = new net.BlockList();
+const BLOCKED_V6 = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+  .forEach(([prefix, bits]) => BLOCKED_V4.addSubnet(prefix, bits, 'ipv4'));
+// ::ffff:0:0/96 covers IPv4-mapped addresses, whatever IPv4 address they carry
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['::ffff:0:0', 96]]
+  .forEach(([prefix, bits]) => BLOCKED_V6.addSubnet(prefix, bits, 'ipv6'));
+
+const isBlocked = (address) => (net.isIPv6(address) ? BLOCKED_V6.check(address, 'ipv6') : BLOCKED_V4.check(address, 'ipv4'));
+const privateAllowed = () => process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+function notAllowed(address) {
+  const err = new Error(`${address} is not a public address`);
+  err.code = 'url_not_allowed';
+  return err;
+}
+
+/**
+ * Resolve `url`'s host and throw `url_not_allowed` when any of its addresses is blocked; DNS
+ * errors are thrown as they are. Nothing is checked with `allowPrivate`.
+ */
+async function checkTarget(url, { allowPrivate = privateAllowed() } = {}) {
+  if (allowPrivate) return;
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = await dns.promises.lookup(host, { all: true });
+  const blocked = addresses.find((a) => isBlocked(a.address));
+  if (blocked) throw notAllowed(blocked.address);
+}
+
+// dns.lookup for http(s).request that fails on blocked addresses; net calls it with `all` or without
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const blocked = (Array.isArray(address) ? address : [{ address }]).find((a) => isBlocked(a.address));
+    if (blocked) return callback(notAllowed(blocked.address));
+    return callback(null, address, family);
+  });
+}
+
+/**
+ * The default `fetch` of the dispatcher: POST with node's http / https, connecting to public
+ * addresses only (unless `allowPrivate`) and never following redirects. Resolves { status, ok }.
+ */
+function postPublic(url, { method = 'POST', headers, body, signal } = {}, { allowPrivate = privateAllowed() } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, { method, headers, signal, lookup: allowPrivate ? dns.lookup : publicLookup }, (res) => {
+      res.resume();
+      resolve({ status: res.statusCode, ok: res.statusCode >= 200 && res.statusCode < 300 });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * The delivery side, created once per server (see socket/index.js) and shared by sockets and
+ * controllers as `webhooks`. `dispatch` and `dispatchMessage` never throw and return once the
+ * deliveries are logged; the HTTP requests and retries run in the background.
+ *
+ * Options: fetch (for tests; postPublic by default), maxAttempts (5), retryBaseMs (first retry
+ * delay, doubled each time; 2000), timeoutMs (per request; 10000), allowPrivate (targets on private
+ * networks; WEBHOOK_ALLOW_PRIVATE).
+ */
+function createWebhookDispatcher({
+  repos,
+  allowPrivate = privateAllowed(),
+  fetch = (url, init) => postPublic(url, init, { allowPrivate }),
+  maxAttempts = 5,
+  retryBaseMs = 2000,
+  timeoutMs = 10000
+} = {}) {
+  // retries wait on unref'd timers so they never keep the process alive
+  const later = (delivery, at) => {
+    const timer = setTimeout(() => {
+      attempt(delivery).catch((err) => console.warn('[webhooks] attempt failed', err && err.message));
+    }, Math.max(0, new Date(at) - Date.now()));
+    if (timer.unref) timer.unref();
+  };
+
+  // one POST of `delivery`; records the outcome and schedules the next attempt when there is one
+  async function attempt(delivery) {
+    const hook = await repos.webhooks.findById(delivery.webhookId);
+    if (!hook || !hook.active) {
+      await repos.webhooks.updateDelivery(delivery._id, { status: 'failed', nextAttemptAt: null, lastError: hook ? 'webhook_inactive' : 'webhook_removed' });
+      return;
+    }
+    const attempts = (delivery.attempts || 0) + 1;
+    const body = JSON.stringify(delivery.payload);
+    let status = null;
+    let error = null;
+    const abort = new AbortController();
+    const timer = setTimeout(() => abort.abort(), timeoutMs);
+    try {
+      await checkTarget(hook.url, { allowPrivate });
+      const res = await fetch(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'chat-server-webhooks',
+          'X-Chat-Event': delivery.event,
+          'X-Chat-Delivery': String(delivery._id),
+          'X-Chat-Signature': sign(hook.secret, body)
+        },
+        body,
+        signal: abort.signal
+      });
+      status = res.status;
+      if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (err) {
+      error = abort.signal.aborted ? 'timeout' : (err && (err.cause?.code || err.code || err.message)) || 'request_failed';
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!error) {
+      await repos.webhooks.updateDelivery(delivery._id, { status: 'success', attempts, responseStatus: status, lastError: null, nextAttemptAt: null, deliveredAt: new Date() });
+      return;
+    }
+    // a target that now resolves to a blocked address is not retried
+    const again = attempts < maxAttempts && error !== 'url_not_allowed' && (status === null || retryable(status));
+    const nextAttemptAt = again ? new Date(Date.now() + retryBaseMs * 2 ** (attempts - 1)) : null;
+    const updated = await repos.webhooks.updateDelivery(delivery._id, { status: again ? 'pending' : 'failed', attempts, responseStatus: status, lastError: error, nextAttemptAt });
+    if (again && updated) later(updated, nextAttemptAt);
+  }
+
+  // send `data` as `event` to every active webhook of `room` subscribed to it
+  async function dispatch(room, event, data) {
+    try {
+      if (!room || !WEBHOOK_EVENTS.includes(event)) return;
+      const hooks = await repos.webhooks.listForRoom(room, { event });
+      await Promise.all(hooks.map(async (hook) => {
+        // stored as plain JSON, so every retry sends (and signs) the same body
+        const payload = JSON.parse(JSON.stringify({ event, room, timestamp: new Date(), data }));
+        const delivery = await repos.webhooks.createDelivery({ webhookId: hook._id, event, payload });
+        attempt(delivery).catch((err) => console.warn('[webhooks] attempt failed', err && err.message));
+        repos.webhooks.pruneDeliveries(hook._id, KEEP_DELIVERIES)
+          .catch((err) => console.warn('[webhooks] prune failed', err && err.message));
+      }));
+    } catch (err) {
+      console.warn(`[webhooks] ${event} dispatch failed`, err && err.message);
+    }
+  }
+
+  // message.* events for room messages; DMs and group messages never leave the server
+  function dispatchMessage(event, msg, extra = {}) {
+    if (!msg || msg.private || msg.conversationId) return Promise.resolve();
+    const data = event === 'message.deleted'
+      ? { messageId: String(msg._id), parentId: msg.parentId ? String(msg.parentId) : null, ...extra }
+      : { message: messageData(msg), ...extra };
+    return dispatch(msg.room, event, data);
+  }
+
+  // pick up deliveries left pending by a restart
+  async function resume() {
+    const pending = await repos.webhooks.listPendingDeliveries();
+    pending.forEach((d) => later(d, d.nextAttemptAt || Date.now()));
+    return pending.length;
+  }
+
+  return { dispatch, dispatchMessage, resume };
+}
+
+// Management, shared by the REST controllers; each returns a result or an error object ({ error, ... }).
+
+// the client shape; the secret is only shown when a webhook is created or its secret rotated
+const view = (hook, { withSecret = false } = {}) => ({
+  id: String(hook._id),
+  room: hook.room,
+  url: hook.url,
+  events: hook.events,
+  active: !!hook.active,
+  createdBy: hook.createdBy,
+  createdAt: hook.createdAt,
+  updatedAt: hook.updatedAt,
+  ...(withSecret ? { secret: hook.secret } : {})
+});
+
+const deliveryView = (d) => ({
+  id: String(d._id),
+  webhookId: String(d.webhookId),
+  event: d.event,
+  status: d.status,
+  attempts: d.attempts,
+  responseStatus: d.responseStatus,
+  lastError: d.lastError,
+  nextAttemptAt: d.nextAttemptAt,
+  createdAt: d.createdAt,
+  deliveredAt: d.deliveredAt,
+  payload: d.payload
+});
+
+function cleanUrl(url) {
+  if (typeof url !== 'string') return null;
+  try {
+    const parsed = new URL(url.trim());
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+// null when `url` may be a webhook target, otherwise the error; a host that does not resolve is refused too
+async function targetError(url) {
+  try {
+    await checkTarget(url);
+    return null;
+  } catch (err) {
+    return { error: 'url_not_allowed', ...(err.code === 'url_not_allowed' ? {} : { reason: err.code || err.message }) };
+  }
+}
+
+// the requested events, all of them when omitted, or null when any is unknown
+function cleanEvents(events) {
+  if (events === undefined) return [...WEBHOOK_EVENTS];
+  if (!Array.isArray(events) || !events.length || events.some((e) => !WEBHOOK_EVENTS.includes(e))) return null;
+  return WEBHOOK_EVENTS.filter((e) => events.includes(e));
+}
+
+async function list(repos, room, actorId) {
+  const denied = permissions.check(room, actorId, 'webhook.manage');
+  if (denied) return denied;
+  return { webhooks: (await repos.webhooks.listForRoom(room.name)).map((h) => view(h)) };
+}
+
+// { url, events? } -> { webhook } including its secret
+async function create(repos, room, actorId, { url, events } = {}) {
+  const denied = permissions.check(room, actorId, 'webhook.manage');
+  if (denied) return denied;
+  const target = cleanUrl(url);
+  if (!target) return { error: 'invalid_url' };
+  const refused = await targetError(target);
+  if (refused) return refused;
+  const subscribed = cleanEvents(events);
+  if (!subscribed) return { error: 'invalid_events', allowed: WEBHOOK_EVENTS };
+  if ((await repos.webhooks.listForRoom(room.name)).length >= MAX_WEBHOOKS_PER_ROOM) return { error: 'too_many_webhooks', max: MAX_WEBHOOKS_PER_ROOM };
+
+  const hook = await repos.webhooks.create({ room: room.name, url: target, events: subscribed, secret: newSecret(), active: true, createdBy: String(actorId) });
+  return { webhook: view(hook, { withSecret: true }) };
+}
+
+// the webhook `id` of `room`, or a not_found error
+async function findHook(repos, room, id) {
+  const hook = await repos.webhooks.findById(id);
+  return hook && hook.room === room.name ? hook : null;
+}
+
+// { url?, events?, active?, rotateSecret? } -> { webhook } (with the new secret when rotated)
+async function update(repos, room, actorId, id, { url, events, active, rotateSecret } = {}) {
+  const denied = permissions.check(room, actorId, 'webhook.manage');
+  if (denied) return denied;
+  if (!(await findHook(repos, room, id))) return { error: 'not_found' };
+  const fields = {};
+  if (url !== undefined) {
+    fields.url = cleanUrl(url);
+    if (!fields.url) return { error: 'invalid_url' };
+    const refused = await targetError(fields.url);
+    if (refused) return refused;
+  }
+  if (events !== undefined) {
+    fields.events = cleanEvents(events);
+    if (!fields.events) return { error: 'invalid_events', allowed: WEBHOOK_EVENTS };
+  }
+  if (active !== undefined) fields.active = !!active;
+  if (rotateSecret) fields.secret = newSecret();
+  const hook = await repos.webhooks.update(id, fields);
+  return { webhook: view(hook, { withSecret: !!rotateSecret }) };
+}
+
+async function remove(repos, room, actorId, id) {
+  const denied = permissions.check(room, actorId, 'webhook.manage');
+  if (denied) return denied;
+  if (!(await findHook(repos, room, id))) return { error: 'not_found' };
+  await repos.webhooks.delete(id);
+  return { deleted: true };
+}
+
+// { deliveries, hasMore }: one page of a webhook's delivery log, newest first
+async function deliveries(repos, room, actorId, id, { before, limit = 20 } = {}) {
+  const denied = permissions.check(room, actorId, 'webhook.manage');
+  if (denied) return denied;
+  if (!(await findHook(repos, room, id))) return { error: 'not_found' };
+  const page = await repos.webhooks.listDeliveries(id, { before, limit: Math.min(pageSize(limit), KEEP_DELIVERIES) });
+  return { deliveries: page.deliveries.map(deliveryView), hasMore: page.hasMore };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  sign,
+  checkTarget,
+  postPublic,
+  createWebhookDispatcher,
+  list,
+  create,
+  update,
+  remove,
+  deliveries
+};
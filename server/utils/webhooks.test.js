@@ -0,0 +1,166 @@
+const { describe, it, beforeEach, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { createRepositories } = require('../repositories');
+const webhooks = require('./webhooks');
+
+// TEST-NET-3: public as far as the block list goes, and never contacted (fetch is faked)
+const PUBLIC_URL = 'http://203.0.113.10/hook';
+
+// a fetch stand-in answering with `statuses` in turn (the last one repeats), recording each request
+function fakeFetch(...statuses) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, ...init });
+    const status = statuses[Math.min(calls.length, statuses.length) - 1];
+    return { status, ok: status >= 200 && status < 300 };
+  };
+  return { calls, fetch };
+}
+
+// the webhook's delivery log once no delivery is pending
+async function settled(repos, hookId) {
+  for (let i = 0; i < 100; i++) {
+    const { deliveries } = await repos.webhooks.listDeliveries(hookId);
+    if (deliveries.length && deliveries.every((d) => d.status !== 'pending')) return deliveries;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('deliveries still pending');
+}
+
+describe('webhooks.checkTarget', () => {
+  it('refuses loopback, private, link-local, reserved and IPv4-mapped addresses', async () => {
+    for (const url of ['http://127.0.0.1/', 'http://10.1.2.3/', 'http://172.20.0.1/', 'http://192.168.1.1/', 'http://169.254.169.254/latest',
+      'http://100.64.0.1/', 'http://0.0.0.0/', 'http://224.0.0.1/', 'http://[::1]/', 'http://[fd00::1]/', 'http://[fe80::1]/',
+      'http://[::ffff:203.0.113.10]/', 'http://localhost:8080/']) {
+      await assert.rejects(webhooks.checkTarget(url, { allowPrivate: false }), { code: 'url_not_allowed' }, url);
+    }
+  });
+
+  it('lets public addresses through, and anything with allowPrivate', async () => {
+    await webhooks.checkTarget(PUBLIC_URL, { allowPrivate: false });
+    await webhooks.checkTarget('https://[2001:db8::1]/', { allowPrivate: false });
+    await webhooks.checkTarget('http://127.0.0.1/', { allowPrivate: true });
+  });
+});
+
+describe('webhooks.postPublic', () => {
+  let server;
+  let port;
+  const received = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, body });
+        if (req.url === '/moved') res.writeHead(302, { location: '/hook' });
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it('refuses to connect to a host that resolves to a blocked address', async () => {
+    await assert.rejects(webhooks.postPublic(`http://localhost:${port}/hook`, { body: '{}' }, { allowPrivate: false }), { code: 'url_not_allowed' });
+    assert.equal(received.length, 0);
+  });
+
+  it('posts with allowPrivate, without following redirects', async () => {
+    assert.deepEqual(await webhooks.postPublic(`http://localhost:${port}/hook`, { body: '{"a":1}' }, { allowPrivate: true }), { status: 200, ok: true });
+    assert.deepEqual(await webhooks.postPublic(`http://localhost:${port}/moved`, { body: '{}' }, { allowPrivate: true }), { status: 302, ok: false });
+    assert.deepEqual(received.map((r) => r.url), ['/hook', '/moved']);
+    assert.equal(received[0].body, '{"a":1}');
+  });
+});
+
+describe('webhook management', () => {
+  let repos;
+  let room;
+
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    room = await repos.rooms.create({ name: 'dev', createdBy: 'u1' });
+  });
+
+  it('creates a webhook for room admins, showing its secret once', async () => {
+    const { webhook } = await webhooks.create(repos, room, 'u1', { url: PUBLIC_URL, events: ['message.created'] });
+    assert.equal(webhook.url, PUBLIC_URL);
+    assert.deepEqual(webhook.events, ['message.created']);
+    assert.match(webhook.secret, /^[0-9a-f]{48}$/);
+    assert.equal((await webhooks.list(repos, room, 'u1')).webhooks[0].secret, undefined);
+    assert.equal((await webhooks.create(repos, room, 'u2', { url: PUBLIC_URL })).error, 'forbidden');
+  });
+
+  it('tells bad URLs from URLs it will not call', async () => {
+    assert.deepEqual(await webhooks.create(repos, room, 'u1', { url: 'ftp://example.com/' }), { error: 'invalid_url' });
+    assert.deepEqual(await webhooks.create(repos, room, 'u1', { url: 'http://169.254.169.254/latest/meta-data' }), { error: 'url_not_allowed' });
+    assert.equal((await webhooks.create(repos, room, 'u1', { url: PUBLIC_URL, events: ['nope'] })).error, 'invalid_events');
+
+    const { webhook } = await webhooks.create(repos, room, 'u1', { url: PUBLIC_URL });
+    assert.deepEqual(await webhooks.update(repos, room, 'u1', webhook.id, { url: 'http://127.0.0.1:6379/' }), { error: 'url_not_allowed' });
+    assert.equal((await repos.webhooks.findById(webhook.id)).url, PUBLIC_URL);
+  });
+});
+
+describe('webhook delivery', () => {
+  let repos;
+  let hook;
+
+  beforeEach(async () => {
+    repos = createRepositories({ driver: 'memory' });
+    hook = await repos.webhooks.create({ room: 'dev', url: PUBLIC_URL, events: ['message.created', 'room.cleared'], secret: 's3cret', active: true, createdBy: 'u1' });
+  });
+
+  it('posts signed JSON to the room\'s subscribed webhooks', async () => {
+    const { calls, fetch } = fakeFetch(204);
+    const dispatcher = webhooks.createWebhookDispatcher({ repos, fetch, allowPrivate: false });
+    await dispatcher.dispatch('dev', 'room.cleared', { deleted: 3 });
+    await dispatcher.dispatch('dev', 'member.joined', { userId: 'u2' });
+    await dispatcher.dispatch('ops', 'room.cleared', { deleted: 1 });
+
+    const [delivery] = await settled(repos, hook._id);
+    assert.deepEqual([delivery.status, delivery.attempts, delivery.responseStatus], ['success', 1, 204]);
+    assert.equal(calls.length, 1);
+    const { headers, body } = calls[0];
+    assert.equal(headers['X-Chat-Event'], 'room.cleared');
+    assert.equal(headers['X-Chat-Delivery'], String(delivery._id));
+    assert.equal(headers['X-Chat-Signature'], `sha256=${crypto.createHmac('sha256', 's3cret').update(body).digest('hex')}`);
+    assert.deepEqual(JSON.parse(body).data, { deleted: 3 });
+  });
+
+  it('retries server errors with backoff, and gives up at once on other statuses', async () => {
+    const retried = fakeFetch(503, 500, 200);
+    await webhooks.createWebhookDispatcher({ repos, fetch: retried.fetch, allowPrivate: false, retryBaseMs: 5 }).dispatch('dev', 'room.cleared', {});
+    const [delivery] = await settled(repos, hook._id);
+    assert.deepEqual([delivery.status, delivery.attempts], ['success', 3]);
+    assert.equal(new Set(retried.calls.map((c) => c.headers['X-Chat-Delivery'])).size, 1);
+
+    await repos.webhooks.pruneDeliveries(hook._id, 0);
+    await webhooks.createWebhookDispatcher({ repos, fetch: fakeFetch(404).fetch, allowPrivate: false, retryBaseMs: 5 }).dispatch('dev', 'room.cleared', {});
+    const [failed] = await settled(repos, hook._id);
+    assert.deepEqual([failed.status, failed.attempts, failed.lastError], ['failed', 1, 'HTTP 404']);
+  });
+
+  it('does not call a target that now resolves to a blocked address, nor retry it', async () => {
+    await repos.webhooks.update(hook._id, { url: 'http://127.0.0.1:9/hook' });
+    const { calls, fetch } = fakeFetch(200);
+    await webhooks.createWebhookDispatcher({ repos, fetch, allowPrivate: false, retryBaseMs: 5 }).dispatch('dev', 'room.cleared', {});
+    const [delivery] = await settled(repos, hook._id);
+    assert.deepEqual([delivery.status, delivery.attempts, delivery.lastError], ['failed', 1, 'url_not_allowed']);
+    assert.equal(calls.length, 0);
+  });
+
+  it('sends room messages only', async () => {
+    const { calls, fetch } = fakeFetch(200);
+    const dispatcher = webhooks.createWebhookDispatcher({ repos, fetch, allowPrivate: false });
+    await dispatcher.dispatchMessage('message.created', { _id: 'm1', from: 'ann', toId: 'u2', private: true, content: 'psst' });
+    await dispatcher.dispatchMessage('message.created', { _id: 'm2', from: 'ann', room: 'dev', content: 'hello' });
+    await settled(repos, hook._id);
+    assert.deepEqual(calls.map((c) => JSON.parse(c.body).data.message.id), ['m2']);
+  });
+});